@@ -0,0 +1,167 @@
+<?php
+// This file is part of Moodle invigilator for Moodle - http://moodle.org/
+//
+// Moodle invigilator is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle invigilator is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with MailTest.  If not, see <http://www.gnu.org/licenses/>.
+/**
+ * Per-student and per-group accommodations of a quiz for the quizaccess_invigilator plugin.
+ *
+ * @package   quizaccess_invigilator
+ * @copyright 2021 Brain Station 23
+ * @license   http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later.
+ */
+
+require_once(__DIR__ . '/../../../../config.php');
+require_once($CFG->libdir . '/tablelib.php');
+
+use quizaccess_invigilator\accommodation;
+
+$cmid = required_param('cmid', PARAM_INT);
+
+list($course, $cm) = get_course_and_cm_from_cmid($cmid, 'quiz');
+$context = context_module::instance($cmid, MUST_EXIST);
+
+require_login($course, true, $cm);
+require_capability('quizaccess/invigilator:manageaccommodations', $context);
+
+$url = new moodle_url('/mod/quiz/accessrule/invigilator/accommodations.php', array('cmid' => $cmid));
+$reporturl = new moodle_url('/mod/quiz/accessrule/invigilator/report.php', array('courseid' => $course->id, 'cmid' => $cmid));
+
+$PAGE->set_url($url);
+$PAGE->set_pagelayout('incourse');
+$PAGE->set_title($course->shortname . ': ' . get_string('accommodations', 'quizaccess_invigilator'));
+$PAGE->set_heading($course->fullname);
+$PAGE->navbar->add(get_string('quizaccess_invigilator_label', 'quizaccess_invigilator'), $reporturl);
+$PAGE->navbar->add(get_string('accommodations', 'quizaccess_invigilator'), $url);
+
+// Students who are invigilated on this quiz and the groups of the course.
+$students = get_enrolled_users($context, 'quizaccess/invigilator:sendscreenshot', 0, 'u.*', 'u.lastname, u.firstname');
+$groups = groups_get_all_groups($course->id);
+
+// Save the accommodation of a student or a group.
+if (optional_param('saveaccommodation', false, PARAM_BOOL) && confirm_sesskey()) {
+    $target = optional_param('target', '', PARAM_ALPHANUM);
+    $userid = preg_match('/^u(\d+)$/', $target, $matches) ? (int)$matches[1] : 0;
+    $groupid = preg_match('/^g(\d+)$/', $target, $matches) ? (int)$matches[1] : 0;
+    $delay = trim(optional_param('screenshotdelay', '', PARAM_RAW_TRIMMED));
+    $exempt = optional_param('exempt', false, PARAM_BOOL);
+    $allowwindow = optional_param('allowwindow', false, PARAM_BOOL);
+
+    if (!isset($students[$userid]) && !isset($groups[$groupid])) {
+        redirect($url, get_string('accommodation:choose', 'quizaccess_invigilator'), null,
+            \core\output\notification::NOTIFY_ERROR);
+    }
+    if ($delay !== '' && (int)$delay < 1) {
+        redirect($url, get_string('errorpositive', 'quizaccess_invigilator'), null, \core\output\notification::NOTIFY_ERROR);
+    }
+    if (!$exempt && !$allowwindow && $delay === '') {
+        redirect($url, get_string('accommodation:nothing', 'quizaccess_invigilator'), null,
+            \core\output\notification::NOTIFY_ERROR);
+    }
+    accommodation::save($cmid, $userid, $groupid, $exempt, $delay === '' ? null : (int)$delay, $allowwindow);
+    redirect($url, get_string('changessaved'), null, \core\output\notification::NOTIFY_SUCCESS);
+}
+
+// Remove an accommodation.
+$deleteid = optional_param('delete', 0, PARAM_INT);
+if ($deleteid && confirm_sesskey()) {
+    accommodation::delete($cmid, $deleteid);
+    redirect($url, get_string('accommodation:deleted', 'quizaccess_invigilator'), null,
+        \core\output\notification::NOTIFY_SUCCESS);
+}
+
+echo $OUTPUT->header();
+echo '<div id="main"><h2>' . get_string('accommodations', 'quizaccess_invigilator') . ': ' . format_string($cm->name) . '</h2>';
+echo '<div class="box generalbox m-b-1 alert alert-info p-y-1">'
+    . get_string('accommodations_desc', 'quizaccess_invigilator') . '</div>';
+
+$targets = array();
+foreach ($students as $student) {
+    $targets['u' . $student->id] = fullname($student);
+}
+$options = array(array(get_string('accommodation:students', 'quizaccess_invigilator') => $targets));
+if ($groups) {
+    $grouptargets = array();
+    foreach ($groups as $group) {
+        $grouptargets['g' . $group->id] = format_string($group->name);
+    }
+    $options[] = array(get_string('groups') => $grouptargets);
+}
+
+$form = html_writer::start_tag('form', array('method' => 'post', 'action' => $url->out(false), 'class' => 'form-inline mb-3'));
+$form .= html_writer::empty_tag('input', array('type' => 'hidden', 'name' => 'sesskey', 'value' => sesskey()));
+$form .= html_writer::empty_tag('input', array('type' => 'hidden', 'name' => 'saveaccommodation', 'value' => 1));
+$form .= html_writer::label(get_string('accommodation:for', 'quizaccess_invigilator'), 'accommodationtarget', true,
+    array('class' => 'mr-1'));
+$form .= html_writer::select($options, 'target', '', array('' => 'choosedots'),
+    array('id' => 'accommodationtarget', 'class' => 'custom-select mr-3'));
+$form .= html_writer::checkbox('exempt', 1, false, get_string('accommodation:exempt', 'quizaccess_invigilator'),
+    array('class' => 'mr-1'), array('class' => 'mr-3'));
+$form .= html_writer::checkbox('allowwindow', 1, false, get_string('accommodation:allowwindow', 'quizaccess_invigilator'),
+    array('class' => 'mr-1'), array('class' => 'mr-3'));
+$form .= html_writer::label(get_string('accommodation:screenshotdelay', 'quizaccess_invigilator'), 'screenshotdelay', true,
+    array('class' => 'mr-1'));
+$form .= html_writer::empty_tag('input', array('type' => 'number', 'min' => 1, 'name' => 'screenshotdelay',
+    'id' => 'screenshotdelay', 'class' => 'form-control mr-3',
+    'placeholder' => get_string('accommodation:quizdefault', 'quizaccess_invigilator')));
+$form .= html_writer::empty_tag('input', array('type' => 'submit', 'class' => 'btn btn-primary',
+    'value' => get_string('savechanges')));
+$form .= html_writer::end_tag('form');
+echo $form;
+
+$accommodations = accommodation::get_all($cmid);
+if (!$accommodations) {
+    echo $OUTPUT->notification(get_string('accommodation:none', 'quizaccess_invigilator'), 'info');
+} else {
+    $table = new flexible_table('invigilator-accommodations-' . $cmid);
+    $table->define_columns(array('target', 'exempt', 'allowwindow', 'screenshotdelay', 'timemodified', 'actions'));
+    $table->define_headers(
+        array(
+            get_string('accommodation:for', 'quizaccess_invigilator'),
+            get_string('accommodation:exempt', 'quizaccess_invigilator'),
+            get_string('accommodation:allowwindow', 'quizaccess_invigilator'),
+            get_string('accommodation:screenshotdelay', 'quizaccess_invigilator'),
+            get_string('lastmodified'),
+            get_string('actions', 'quizaccess_invigilator')
+        )
+    );
+    $table->define_baseurl($url);
+    $table->set_attribute('cellpadding', '5');
+    $table->set_attribute('class', 'generaltable generalbox reporttable');
+    $table->setup();
+
+    foreach ($accommodations as $row) {
+        if ($row->userid) {
+            $target = $row->firstname !== null ? fullname($row) : '-';
+        } else {
+            $target = get_string('accommodation:group', 'quizaccess_invigilator',
+                $row->groupname !== null ? format_string($row->groupname) : '-');
+        }
+        $deleteurl = new moodle_url($url, array('delete' => $row->id, 'sesskey' => sesskey()));
+        $table->add_data(array(
+            $target,
+            $row->exempt ? get_string('yes') : get_string('no'),
+            $row->allowwindow ? get_string('yes') : get_string('no'),
+            $row->screenshotdelay ? get_string('numseconds', '', $row->screenshotdelay) :
+                get_string('accommodation:quizdefault', 'quizaccess_invigilator'),
+            date("Y/M/d H:i:s", $row->timemodified),
+            $OUTPUT->action_icon($deleteurl, new pix_icon('t/delete', get_string('delete')),
+                new confirm_action(get_string('accommodation:deleteconfirm', 'quizaccess_invigilator', $target)))
+        ));
+    }
+    $table->finish_html();
+}
+
+echo $OUTPUT->single_button($reporturl, get_string('accommodation:backtoreport', 'quizaccess_invigilator'), 'get');
+echo '</div>';
+echo $OUTPUT->footer();
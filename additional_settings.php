@@ -22,16 +22,8 @@
  */
 
 require_once(__DIR__ . '/../../../../config.php');
-require_once($CFG->dirroot . '/lib/tablelib.php');
-require_once(__DIR__ . '/classes/addtional_settings_helper.php');
 
 $cmid = required_param('cmid', PARAM_INT);
-$username = optional_param('uname', '', PARAM_TEXT);
-$email = optional_param('email', '', PARAM_TEXT);
-$coursename = optional_param('coursename', '', PARAM_TEXT);
-$quizname = optional_param('quizname', '', PARAM_TEXT);
-$deleteidstring = optional_param('deleteidstring', '', PARAM_RAW);
-$formtype = optional_param('form_type', '', PARAM_TEXT);
 $context = context_module::instance($cmid, MUST_EXIST);
 
 require_capability('quizaccess/invigilator:deletescreenshot', $context);
@@ -53,86 +45,70 @@ $PAGE->set_title(get_string('invigilator:logs', 'quizaccess_invigilator'));
 $PAGE->set_heading(get_string('invigilator:Logs', 'quizaccess_invigilator'));
 
 $PAGE->navbar->add(get_string('invigilator:Logs', 'quizaccess_invigilator'), $url);
-$PAGE->requires->js_call_amd('quizaccess_invigilator/additionalSettings', 'setup', array());
+
+$record = new stdClass();
+$record->cmid = $cmid;
+$record->perpage = 50;
+$record->reporturl = (new moodle_url('/mod/quiz/accessrule/invigilator/report.php', array('cmid' => $cmid)))->out(false);
+$record->nocaptures = get_string('logsearch:nocaptures', 'quizaccess_invigilator');
+$record->selectpage = get_string('logsearch:selectpage', 'quizaccess_invigilator');
+$record->clearselection = get_string('logsearch:clearselection', 'quizaccess_invigilator');
+$record->deleteselected = get_string('logsearch:deleteselected', 'quizaccess_invigilator');
+$record->deleted = get_string('imgdlt', 'quizaccess_invigilator');
+$record->page = get_string('page');
+$record->previous = get_string('previous');
+$record->next = get_string('next');
+$PAGE->requires->js_call_amd('quizaccess_invigilator/additionalSettings', 'setup', array($record));
 
 echo $OUTPUT->header();
-$formurl = new moodle_url('/mod/quiz/accessrule/invigilator/additional_settings.php');
-
-echo '<form method="GET" id="my_form" action="' . $formurl . '">';
-echo '<input type="hidden" id="cmid" name="cmid" value="' . $cmid . '">';
-echo '<input type="hidden" id="deleteidstring" name="deleteidstring" value="">';
-echo '<input type="hidden" name="form_type" value="Delete">';
-
-$helper = new addtional_settings_helper();
-if ($formtype == 'Search') {
-    $sqlexecuted = $helper->search($username, $email, $coursename, $quizname);
-} else if ($formtype == 'Delete') {
-    $helper->deletesslogs($deleteidstring);
-    $url2 = new moodle_url(
-        '/mod/quiz/accessrule/invigilator/additional_settings.php',
-        array(
-            'cmid' => $cmid
-        )
-    );
-    redirect($url2,  get_string('imgdlt', 'quizaccess_invigilator'), -11);
-} else {
-    // Prepare data.
-    $sqlexecuted = array();
-    echo '<div class="box generalbox m-b-1 adminerror alert alert-info p-y-1">Please search logs first to see data.</div>';
-}
 
-// Print report.
-$table = new flexible_table('invigilator-report-' . $COURSE->id . '-' . $cmid);
-
-$table->define_columns(array('Log Id', 'fullname', 'email', 'coursename', 'quizname', 'dateverified', 'actions'));
-$table->define_headers(
-    array(
-        get_string('reportidheader', 'quizaccess_invigilator'),
-        get_string('user'),
-        get_string('email'),
-        get_string('coursenameheader', 'quizaccess_invigilator'),
-        get_string('quiznameheader', 'quizaccess_invigilator'),
-        get_string('dateverified', 'quizaccess_invigilator'),
-        get_string('actions', 'quizaccess_invigilator')
-    )
+echo '<form id="invigilator-logsearch-form" class="form-inline mb-3">';
+$filters = array(
+    'username' => get_string('logsearch:username', 'quizaccess_invigilator'),
+    'email' => get_string('email'),
+    'coursename' => get_string('coursenameheader', 'quizaccess_invigilator'),
+    'quizname' => get_string('quiznameheader', 'quizaccess_invigilator'),
 );
-
-$table->define_baseurl($url);
-
-$table->set_attribute('cellpadding', '5');
-$table->set_attribute('class', 'generaltable generalbox reporttable');
-$table->setup();
-
-$con = "return confirm('Are you sure want to delete ?');";
-$searchrow = array();
-$searchrow[] = 'Select All &nbsp<input type="checkbox" id="select_all" name="select_all" value="0"><br/>' .
-    '<button id="delete_select_btn" onclick="' . $con . '" style="display: none;">Delete</button>';
-$searchrow[] = '<input type="text" placeholder="user name" id="uname" name="uname" value="' . $username . '">';
-$searchrow[] = '<input type="text" placeholder="email" id="email" name="email" value="' . $email . '">';
-$searchrow[] = '<input type="text" placeholder="coursename" id="coursename" name="coursename" value="' . $coursename . '">';
-$searchrow[] = '<input type="text" placeholder="quizname" id="quizname" name="quizname" value="' . $quizname . '">';
-$searchrow[] = '';
-$searchrow[] = '<input type="submit" name="form_type" value="Search">';
-$table->add_data($searchrow);
-
-foreach ($sqlexecuted as $info) {
-    $reporturl = new moodle_url('/mod/quiz/accessrule/invigilator/report.php');
-    $folderbtn = '<a target="_blank" href="' . $reporturl . '?courseid=' . $info->courseid .
-        '&quizid=' . $info->quizid . '&cmid=' . $cmid . '&studentid=' . $info->studentid . '&reportid=' . $info->reportid . '">' .
-        '<i class="icon fa fa-folder-o fa-fw "></i>' . '</a>';
-
-
-    $data = array();
-    $data[] = $info->reportid . '<input type="checkbox" class ="reportIdChkBox" value="' . $info->reportid . '">';
-    $data[] = $info->firstname . ' ' . $info->lastname;
-    $data[] = $info->email;
-    $data[] = $info->coursename;
-    $data[] = $info->quizname;
-    $data[] = date("Y/M/d H:m:s", $info->timecreated);
-    $data[] = $folderbtn;
-    $table->add_data($data);
+foreach ($filters as $name => $label) {
+    echo '<input type="text" class="form-control mr-2 mb-2" name="' . $name . '" placeholder="' . s($label) . '"' .
+        ' aria-label="' . s($label) . '">';
+}
+echo '<label class="mr-1 mb-2" for="invigilator-logsearch-timefrom">' . get_string('from') . '</label>';
+echo '<input type="date" class="form-control mr-2 mb-2" id="invigilator-logsearch-timefrom" name="timefrom">';
+echo '<label class="mr-1 mb-2" for="invigilator-logsearch-timeto">' . get_string('to') . '</label>';
+echo '<input type="date" class="form-control mr-2 mb-2" id="invigilator-logsearch-timeto" name="timeto">';
+echo '<button type="submit" class="btn btn-primary mb-2">' . get_string('search') . '</button>';
+echo '</form>';
+
+echo '<div id="invigilator-logsearch-progress" class="mb-3" style="display: none;">';
+echo '<div class="progress"><div class="progress-bar" role="progressbar" style="width: 0%;"></div></div>';
+echo '<div class="invigilator-logsearch-progresstext small"></div>';
+echo '</div>';
+
+echo '<div id="invigilator-logsearch-selection" class="alert alert-info" style="display: none;"></div>';
+
+// The rows and the pages are loaded by the additionalSettings module.
+$columns = array(
+    'id' => get_string('reportidheader', 'quizaccess_invigilator'),
+    'fullname' => get_string('user'),
+    'email' => get_string('email'),
+    'coursename' => get_string('coursenameheader', 'quizaccess_invigilator'),
+    'quizname' => get_string('quiznameheader', 'quizaccess_invigilator'),
+    'timecreated' => get_string('dateverified', 'quizaccess_invigilator'),
+);
+echo '<table id="invigilator-logsearch" class="generaltable generalbox reporttable">';
+echo '<thead><tr><th><input type="checkbox" id="select_all" aria-label="' . s($record->selectpage) . '"></th>';
+foreach ($columns as $column => $header) {
+    echo '<th><a href="#" data-sort="' . $column . '">' . $header . '</a> <span class="invigilator-logsearch-dir"></span></th>';
 }
-$table->finish_html();
-echo "</form>";
+echo '<th>' . get_string('actions', 'quizaccess_invigilator') . '</th></tr></thead>';
+echo '<tbody></tbody>';
+echo '</table>';
+
+echo '<div class="d-flex align-items-center mb-3">';
+echo '<button type="button" id="delete_select_btn" class="btn btn-danger mr-3" style="display: none;">' .
+    $record->deleteselected . '</button>';
+echo '<nav id="invigilator-logsearch-pages" class="ml-auto"></nav>';
+echo '</div>';
 
 echo $OUTPUT->footer();
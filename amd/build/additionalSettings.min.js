@@ -1,2 +1,3 @@
-define ("quizaccess_invigilator/additionalSettings",["jquery","core/ajax","core/notification"],function(a){return{setup:function setup(){a("#select_all").click(function(){var c=document.getElementById("select_all"),d=document.getElementById("delete_select_btn");if(!0==c.checked){d.style.display="block";a(".reportIdChkBox").prop("checked",!0)}else{d.style.display="none";a(".reportIdChkBox").prop("checked",!1)}b()});a(".reportIdChkBox").click(function(){for(var a=document.getElementById("delete_select_btn"),c=document.getElementsByClassName("reportIdChkBox"),d=!1,e=0;e<c.length;e++){if(!0==c[e].checked){d=!0}}if(d){a.style.display="block"}else{a.style.display="none"}b()});function b(){for(var a=[],b=document.getElementsByClassName("reportIdChkBox"),c=0;c<b.length;c++){if(!0==b[c].checked){a.push(b[c].value)}}var d=a.join();document.getElementById("deleteidstring").value=d}return!0}}});
+define("quizaccess_invigilator/additionalSettings",["jquery","core/ajax","core/notification","core/str"],function(e,t,a,i){return{setup:function(n){var l=e("#invigilator-logsearch-form"),o=e("#invigilator-logsearch"),r=o.find("tbody"),c=e("#invigilator-logsearch-pages"),d=e("#invigilator-logsearch-selection"),s=e("#invigilator-logsearch-progress"),p=e("#delete_select_btn"),g={filters:{},sort:"id",dir:"DESC",page:0,total:0,selected:{},allMatching:!1};function u(){return Object.keys(g.selected).map(Number)}function h(){var t=r.find(".reportIdChkBox"),a=t.length>0&&t.filter(":checked").length===t.length;e("#select_all").prop("checked",a),p.toggle(g.allMatching||u().length>0),d.empty().hide();var l=e('<a href="#" class="ml-2" data-action="clear"></a>').text(n.clearselection);g.allMatching?i.get_string("logsearch:allselected","quizaccess_invigilator",g.total).done(function(e){d.empty().text(e+" ").append(l).show()}):a&&g.total>t.length&&e.when(i.get_string("logsearch:pageselected","quizaccess_invigilator",t.length),i.get_string("logsearch:selectall","quizaccess_invigilator",g.total)).done(function(t,a){d.empty().text(t+" ").append(e('<a href="#" data-action="all"></a>').text(a)).show()})}function f(){var i={methodname:"quizaccess_invigilator_search_captures",args:{cmid:n.cmid,filters:g.filters,sort:g.sort,dir:g.dir,page:g.page,perpage:n.perpage}};t.call([i])[0].done(function(t){g.total=t.total,r.empty(),0===t.captures.length&&r.append(e("<tr></tr>").append(e('<td colspan="8"></td>').text(n.nocaptures))),t.captures.forEach(function(t){r.append(function(t){var a=n.reporturl+"&courseid="+t.courseid+"&quizid="+t.quizid+"&studentid="+t.studentid+"&reportid="+t.reportid,i=e('<input type="checkbox" class="reportIdChkBox">').val(t.reportid).prop("checked",g.allMatching||g.selected.hasOwnProperty(t.reportid));return e("<tr></tr>").append(e("<td></td>").append(i)).append(e("<td></td>").text(t.reportid)).append(e("<td></td>").text(t.fullname)).append(e("<td></td>").text(t.email)).append(e("<td></td>").text(t.coursename)).append(e("<td></td>").text(t.quizname)).append(e("<td></td>").text(new Date(1e3*t.timecreated).toLocaleString())).append(e("<td></td>").append(e('<a target="_blank"><i class="icon fa fa-folder-o fa-fw"></i></a>').attr("href",a)))}(t))}),o.find(".invigilator-logsearch-dir").text(""),o.find('[data-sort="'+g.sort+'"]').next().text("ASC"===g.dir?"▲":"▼"),function(t){var a=Math.max(1,Math.ceil(g.total/n.perpage)),i=e('<ul class="pagination mb-0"></ul>');i.append(e('<li class="page-item"></li>').toggleClass("disabled",0===g.page).append(e('<a class="page-link" href="#" data-page="-1"></a>').text(n.previous)));var l=n.page+" "+(g.page+1)+" / "+a;i.append(e('<li class="page-item disabled"></li>').append(e('<span class="page-link"></span>').text(l))),i.append(e('<li class="page-item"></li>').toggleClass("disabled",g.page+1>=a).append(e('<a class="page-link" href="#" data-page="1"></a>').text(n.next))),c.empty().append(i).toggle(t>0)}(t.captures.length),h()}).fail(a.exception)}function m(){g.selected={},g.allMatching=!1,g.page=0,f()}function v(e){var l={methodname:"quizaccess_invigilator_get_deletion_progress",args:{cmid:n.cmid,deletionid:e}};t.call([l])[0].done(function(t){var l=t.total>0?Math.round(100*t.deleted/t.total):100;if(s.show().find(".progress-bar").css("width",l+"%").attr("aria-valuenow",l),i.get_string("logsearch:progress","quizaccess_invigilator",t).done(function(e){s.find(".invigilator-logsearch-progresstext").text(e)}),"done"===t.status)return a.addNotification({message:n.deleted,type:"success"}),p.prop("disabled",!1),void m();setTimeout(function(){v(e)},3e3)}).fail(a.exception)}function x(){var e={cmid:n.cmid};g.allMatching?e.filters=g.filters:e.ids=u(),t.call([{methodname:"quizaccess_invigilator_delete_captures",args:e}])[0].done(function(e){if(!e.deletionid)return a.addNotification({message:n.deleted,type:"success"}),void m();p.prop("disabled",!0),i.get_string("logsearch:queued","quizaccess_invigilator",e.total).done(function(e){a.addNotification({message:e,type:"info"})}),v(e.deletionid)}).fail(a.exception)}return l.on("submit",function(e){var t;e.preventDefault(),g.filters=(t={},l.serializeArray().forEach(function(e){t[e.name]=e.value.trim()}),t.timefrom=t.timefrom?Math.floor(new Date(t.timefrom+"T00:00:00")/1e3):0,t.timeto=t.timeto?Math.floor(new Date(t.timeto+"T23:59:59")/1e3):0,t),m()}),o.on("click","[data-sort]",function(t){t.preventDefault();var a=e(this).data("sort");g.dir=g.sort===a&&"ASC"===g.dir?"DESC":"ASC",g.sort=a,g.page=0,f()}),c.on("click","[data-page]",function(t){t.preventDefault(),e(this).parent().hasClass("disabled")||(g.page+=e(this).data("page"),f())}),e("#select_all").on("click",function(){var t=e(this).prop("checked");t||(g.allMatching=!1),r.find(".reportIdChkBox").prop("checked",t).each(function(){t?g.selected[this.value]=!0:delete g.selected[this.value]}),h()}),r.on("click",".reportIdChkBox",function(){g.allMatching&&(g.allMatching=!1,g.selected={},r.find(".reportIdChkBox:checked").each(function(){g.selected[this.value]=!0})),this.checked?g.selected[this.value]=!0:delete g.selected[this.value],h()}),d.on("click","[data-action]",function(t){t.preventDefault(),"all"===e(this).data("action")?g.allMatching=!0:(g.allMatching=!1,g.selected={},r.find(".reportIdChkBox").prop("checked",!1)),h()}),p.on("click",function(e){e.preventDefault();var t=g.allMatching?g.total:u().length;i.get_string("logsearch:deleteconfirm","quizaccess_invigilator",t).done(function(e){a.confirm(n.deleteselected,e,n.deleteselected,null,x)})}),f(),!0}}});
+
 //# sourceMappingURL=additionalSettings.min.js.map
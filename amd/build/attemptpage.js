@@ -1,36 +1,391 @@
 define(['jquery', 'core/ajax', 'core/notification'],
-    function($) {
+    function($, Ajax) {
         return {
             setup: function(props) {
                 var quizurl = props.quizurl;
+                var enforcement = props.enforcement || 'block';
+                var graceperiod = parseInt(props.graceperiod, 10) || 0;
+
+                // The problem state survives page changes so reloading does not restart the grace period.
+                var storageKey = 'quizaccess_invigilator_problem_' + props.attemptid;
+                var stored = JSON.parse(window.sessionStorage.getItem(storageKey) || '{}');
+                // Current problem with the share: '' when valid, else sharelost or surfacechanged.
+                var problem = stored.problem || '';
+                // Time in milliseconds when the current problem started.
+                var problemSince = stored.since || null;
+                // True once the grace period has expired and the attempt was locked or submitted.
+                var expired = false;
+
+                /**
+                 * Get the screen share stream kept by the quiz start page.
+                 *
+                 * @return {MediaStream|null}
+                 */
+                function getOpenerStream() {
+                    try {
+                        if (typeof window.opener == 'undefined' || window.opener === null || window.opener.closed) {
+                            return null;
+                        }
+                        var videoElem = window.opener.document.getElementById('invigilator-video-screen');
+                        return videoElem ? videoElem.srcObject : null;
+                    } catch (err) {
+                        return null;
+                    }
+                }
+
+                /**
+                 * Tell the quiz start page which attempt and question page its captures belong to.
+                 */
+                function reportAttemptPage() {
+                    try {
+                        if (window.opener && !window.opener.closed && window.opener.invigilatorSetAttemptPage) {
+                            window.opener.invigilatorSetAttemptPage(props.attemptid, props.page, props.slot);
+                        }
+                    } catch (err) {
+                        // The start page is gone or on another origin, its captures stay unlinked.
+                    }
+                }
+
+                /**
+                 * Find out what is wrong with the screen share.
+                 *
+                 * @return {string} '' when the entire monitor, or a window when allowed, is being shared.
+                 */
+                function getShareProblem() {
+                    var stream = getOpenerStream();
+                    if (stream === null || !stream.active) {
+                        return 'sharelost';
+                    }
+                    var videoTrack = stream.getVideoTracks()[0];
+                    if (typeof videoTrack == 'undefined' || videoTrack.readyState !== 'live') {
+                        return 'sharelost';
+                    }
+                    var surface = videoTrack.getSettings().displaySurface;
+                    if (surface && surface !== 'monitor' && !props.allowwindow) {
+                        return 'surfacechanged';
+                    }
+                    return '';
+                }
+
+                /**
+                 * Record a proctoring event on the server.
+                 *
+                 * @param {string} eventtype
+                 * @param {string} details
+                 * @return {Promise}
+                 */
+                function logEvent(eventtype, details) {
+                    var request = {
+                        methodname: 'quizaccess_invigilator_log_event',
+                        args: {
+                            'courseid': props.courseid,
+                            'cmid': props.cmid,
+                            'quizid': props.quizid,
+                            'attemptid': props.attemptid,
+                            'eventtype': eventtype,
+                            'details': details || ''
+                        }
+                    };
+                    return Ajax.call([request])[0].fail(function(error) {
+                        console.log('Event API failed:', error);
+                    });
+                }
+
+                /**
+                 * Show the blocking overlay.
+                 *
+                 * @param {string} message
+                 * @param {string} countdown
+                 * @param {boolean} canresume
+                 * @param {boolean} blocking False to only show a warning banner.
+                 */
+                function showOverlay(message, countdown, canresume, blocking) {
+                    var overlay = $('#invigilator-overlay');
+                    if (overlay.length === 0) {
+                        overlay = $('<div id="invigilator-overlay"><div class="invigilator-overlay-box">' +
+                            '<p class="invigilator-overlay-message"></p><p class="invigilator-overlay-countdown"></p>' +
+                            '<button class="btn btn-primary invigilator-overlay-share"></button></div></div>');
+                        overlay.find('.invigilator-overlay-share').text(props.sharescreenbtnlabel).click(resumeCapture);
+                        $('body').append(overlay);
+                    }
+                    overlay.find('.invigilator-overlay-message').text(message);
+                    overlay.find('.invigilator-overlay-countdown').text(countdown);
+                    overlay.find('.invigilator-overlay-share').toggle(canresume);
+                    overlay.toggleClass('invigilator-overlay-warning', blocking === false);
+                    overlay.show();
+                }
+
+                /**
+                 * Hide the blocking overlay.
+                 */
+                function hideOverlay() {
+                    $('#invigilator-overlay').hide();
+                }
+
+                /**
+                 * Share the screen again and hand the stream to the quiz start page.
+                 *
+                 * @param {Event} event
+                 */
+                async function resumeCapture(event) {
+                    event.preventDefault();
+                    try {
+                        var stream = await navigator.mediaDevices.getDisplayMedia({
+                            video: {displaySurface: "monitor", cursor: "always"},
+                            audio: false
+                        });
+                        if (window.opener && !window.opener.closed && window.opener.invigilatorResumeCapture) {
+                            window.opener.invigilatorResumeCapture(stream);
+                        } else {
+                            stream.getTracks().forEach(track => track.stop());
+                        }
+                    } catch (err) {
+                        console.log("Error: " + err.toString());
+                    }
+                    checkShare();
+                }
+
+                /**
+                 * Lock or submit the attempt once the grace period has expired.
+                 */
+                function expire() {
+                    expired = true;
+                    if (props.sharelossaction === 'autosubmit') {
+                        showOverlay(props.submittingmsg, '', false);
+                        logEvent('attemptsubmitted', problem).always(function() {
+                            var form = $('#responseform');
+                            if (form.length === 0) {
+                                // The summary page has its own finish attempt form.
+                                form = $('input[name=finishattempt]').closest('form');
+                            }
+                            if (form.length === 0) {
+                                window.location.href = quizurl;
+                                return;
+                            }
+                            form.find('input[name=finishattempt]').remove();
+                            form.append('<input type="hidden" name="finishattempt" value="1"/>');
+                            form.submit();
+                        });
+                    } else {
+                        showOverlay(props.lockedmsg, '', false);
+                        $('#responseform :input').prop('disabled', true);
+                        logEvent('attemptlocked', problem).always(function() {
+                            window.location.href = quizurl;
+                        });
+                    }
+                }
 
                 /**
-                 * Completely disable all validation - never close the quiz
+                 * Compare the share state with the previous check and react to changes.
                  */
-                function CloseOnParentClose() {
-                    // COMPLETELY DISABLED - never close the quiz for validation reasons
-                    console.log('Quiz validation completely disabled - quiz will never close for sharing issues');
-                    
-                    // Only close if parent window is actually closed
-                    if (typeof window.opener != 'undefined' && window.opener !== null) {
-                        if (window.opener.closed) {
-                            console.log('Parent window closed - closing quiz');
-                            window.close();
+                function checkShare() {
+                    if (expired) {
+                        return;
+                    }
+
+                    var current = getShareProblem();
+                    if (current !== problem) {
+                        if (current === '') {
+                            logEvent('shareresumed', problem);
+                            problemSince = null;
+                        } else {
+                            logEvent(current, current === 'sharelost' ? '' : 'surface not monitor');
+                            if (problemSince === null) {
+                                problemSince = Date.now();
+                            }
                         }
+                        problem = current;
+                        window.sessionStorage.setItem(storageKey, JSON.stringify({problem: problem, since: problemSince}));
+                    }
+
+                    if (problem === '' || enforcement === 'off') {
+                        hideOverlay();
+                        return;
+                    }
+
+                    var message = problem === 'sharelost' ? props.sharelostmsg : props.surfacechangedmsg;
+                    if (enforcement === 'warn') {
+                        showOverlay(message, '', true, false);
+                        return;
                     }
-                    
-                    // Don't validate URL or sharing state - just continue
-                    return;
+
+                    var remaining = graceperiod - Math.floor((Date.now() - problemSince) / 1000);
+                    if (remaining <= 0) {
+                        expire();
+                        return;
+                    }
+                    showOverlay(message, props.countdownmsg.replace('{$a}', remaining), true);
+                }
+
+                /**
+                 * Check whether the window size suggests the developer tools are docked in it.
+                 *
+                 * @return {boolean}
+                 */
+                function devtoolsSized() {
+                    var threshold = 160;
+                    return window.outerWidth - window.innerWidth > threshold ||
+                        window.outerHeight - window.innerHeight > threshold;
                 }
-                
+
+                /**
+                 * Record the browser events that suggest the student left the quiz.
+                 */
+                function watchPageEvents() {
+                    var wasFullscreen = document.fullscreenElement ? true : false;
+                    var wasDevtools = devtoolsSized();
+
+                    document.addEventListener('visibilitychange', function() {
+                        if (document.hidden) {
+                            logEvent('tabhidden', '');
+                        }
+                    });
+                    window.addEventListener('blur', function() {
+                        logEvent('windowblur', '');
+                    });
+                    document.addEventListener('fullscreenchange', function() {
+                        var isFullscreen = document.fullscreenElement ? true : false;
+                        if (wasFullscreen && !isFullscreen) {
+                            logEvent('fullscreenexit', '');
+                        }
+                        wasFullscreen = isFullscreen;
+                    });
+                    document.addEventListener('copy', function() {
+                        logEvent('copy', '');
+                    });
+                    document.addEventListener('paste', function() {
+                        logEvent('paste', '');
+                    });
+                    window.addEventListener('resize', function() {
+                        var isDevtools = devtoolsSized();
+                        if (isDevtools && !wasDevtools) {
+                            logEvent('devtoolsresize', window.outerWidth + 'x' + window.outerHeight + ' / ' +
+                                window.innerWidth + 'x' + window.innerHeight);
+                        }
+                        wasDevtools = isDevtools;
+                    });
+                }
+
+                /**
+                 * Tell the server the student has seen a proctor action.
+                 *
+                 * @param {number} actionid
+                 * @return {Promise}
+                 */
+                function acknowledgeAction(actionid) {
+                    var request = {
+                        methodname: 'quizaccess_invigilator_acknowledge_proctor_action',
+                        args: {
+                            'cmid': props.cmid,
+                            'actionid': actionid
+                        }
+                    };
+                    return Ajax.call([request])[0].fail(function(error) {
+                        console.log('Proctor action API failed:', error);
+                    });
+                }
+
+                /**
+                 * Show a message of the proctor until the student dismisses it.
+                 *
+                 * @param {Object} action
+                 */
+                function showProctorMessage(action) {
+                    var box = $('<div class="invigilator-proctor-message alert alert-warning" role="alert">' +
+                        '<strong></strong><p></p><button class="btn btn-primary"></button></div>');
+                    box.attr('data-actionid', action.id);
+                    box.find('strong').text(props.proctormessagetitle);
+                    box.find('p').text(action.message);
+                    box.find('button').text(props.proctorokbtnlabel).click(function(event) {
+                        event.preventDefault();
+                        box.remove();
+                        acknowledgeAction(action.id);
+                    });
+                    var container = $('#invigilator-proctor');
+                    if (container.length === 0) {
+                        container = $('<div id="invigilator-proctor"></div>');
+                        $('body').append(container);
+                    }
+                    container.append(box);
+                }
+
+                /**
+                 * Block or unblock the attempt while a proctor has paused it.
+                 *
+                 * @param {boolean} paused
+                 * @param {string} message
+                 */
+                function togglePause(paused, message) {
+                    var overlay = $('#invigilator-pause');
+                    if (overlay.length === 0) {
+                        overlay = $('<div id="invigilator-pause"><div class="invigilator-overlay-box">' +
+                            '<p class="invigilator-overlay-message"></p><p class="invigilator-pause-reason"></p></div></div>');
+                        $('body').append(overlay);
+                    }
+                    overlay.find('.invigilator-overlay-message').text(props.proctorpausedmsg);
+                    if (message !== undefined) {
+                        overlay.find('.invigilator-pause-reason').text(message);
+                    }
+                    $('#responseform :input').prop('disabled', paused);
+                    overlay.toggle(paused);
+                }
+
+                /**
+                 * Fetch and carry out the actions the proctor sent for this attempt.
+                 */
+                function pollProctorActions() {
+                    if (expired) {
+                        return;
+                    }
+                    var request = {
+                        methodname: 'quizaccess_invigilator_get_proctor_actions',
+                        args: {
+                            'cmid': props.cmid,
+                            'attemptid': props.attemptid
+                        }
+                    };
+                    Ajax.call([request])[0].done(function(data) {
+                        data.actions.forEach(function(action) {
+                            if (action.action === 'message') {
+                                // Messages stay pending until the student clicks them away.
+                                if ($('#invigilator-proctor [data-actionid=' + action.id + ']').length === 0) {
+                                    showProctorMessage(action);
+                                }
+                            } else if (action.action === 'pause') {
+                                togglePause(true, action.message);
+                                acknowledgeAction(action.id);
+                            } else if (action.action === 'resume') {
+                                acknowledgeAction(action.id);
+                            } else if (action.action === 'terminate') {
+                                expired = true;
+                                togglePause(false);
+                                showOverlay(action.message || props.proctorterminatedmsg, '', false);
+                                acknowledgeAction(action.id).always(function() {
+                                    window.location.href = quizurl;
+                                });
+                            }
+                        });
+                        if (!expired) {
+                            togglePause(data.paused);
+                        }
+                    }).fail(function(error) {
+                        console.log('Proctor action API failed:', error);
+                    });
+                }
+
                 $(window).ready(function() {
-                    setInterval(CloseOnParentClose, 1000);
+                    reportAttemptPage();
+                    watchPageEvents();
+                    setInterval(checkShare, 1000);
+                    if (props.attemptid) {
+                        pollProctorActions();
+                        setInterval(pollProctorActions, props.proctorpollinterval * 1000);
+                    }
                 });
                 return true;
             },
             init: function() {
-                console.log('Attempt page validation completely disabled');
                 return true;
             }
         };
-    });
\ No newline at end of file
+    });
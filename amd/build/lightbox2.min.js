@@ -1,2 +1,16 @@
-define ("quizaccess_invigilator/lightbox2",["jquery"],function(a){function b(b){this.album=[];this.currentImageIndex=void 0;this.init();this.options=a.extend({},this.constructor.defaults);this.option(b)}b.defaults={albumLabel:"Image %1 of %2",alwaysShowNavOnTouchDevices:!1,fadeDuration:300,fitImagesInViewport:!0,imageFadeDuration:300,positionFromTop:100,resizeDuration:700,showImageNumberLabel:!0,wrapAround:!1,disableScrolling:!1,sanitizeTitle:!1};b.prototype.option=function(b){a.extend(this.options,b)};b.prototype.imageCountLabel=function(a,b){return this.options.albumLabel.replace(/%1/g,a).replace(/%2/g,b)};b.prototype.init=function(){var b=this;a(document).ready(function(){b.enable();b.build()})};b.prototype.enable=function(){var b=this;a("body").on("click","a[rel^=lightbox], area[rel^=lightbox], a[data-lightbox], area[data-lightbox]",function(c){b.start(a(c.currentTarget));return!1})};b.prototype.build=function(){if(0<a("#lightbox").length){return}var b=this;a("<div id=\"lightboxOverlay\" tabindex=\"-1\" class=\"lightboxOverlay\"></div><div id=\"lightbox\" tabindex=\"-1\" class=\"lightbox\"><div class=\"lb-outerContainer\"><div class=\"lb-container\"><img class=\"lb-image\" src=\"data:image/gif;base64,R0lGODlhAQABAIAAAP///wAAACH5BAEAAAAALAAAAAABAAEAAAICRAEAOw==\" alt=\"\"/><div class=\"lb-nav\"><a class=\"lb-prev\" aria-label=\"Previous image\" href=\"\" ></a><a class=\"lb-next\" aria-label=\"Next image\" href=\"\" ></a></div><div class=\"lb-loader\"><a class=\"lb-cancel\"></a></div></div></div><div class=\"lb-dataContainer\"><div class=\"lb-data\"><div class=\"lb-details\"><span class=\"lb-caption\"></span><span class=\"lb-number\"></span></div><div class=\"lb-closeContainer\"><a class=\"lb-close\"></a></div></div></div></div>").appendTo(a("body"));this.$lightbox=a("#lightbox");this.$overlay=a("#lightboxOverlay");this.$outerContainer=this.$lightbox.find(".lb-outerContainer");this.$container=this.$lightbox.find(".lb-container");this.$image=this.$lightbox.find(".lb-image");this.$nav=this.$lightbox.find(".lb-nav");this.containerPadding={top:parseInt(this.$container.css("padding-top"),10),right:parseInt(this.$container.css("padding-right"),10),bottom:parseInt(this.$container.css("padding-bottom"),10),left:parseInt(this.$container.css("padding-left"),10)};this.imageBorderWidth={top:parseInt(this.$image.css("border-top-width"),10),right:parseInt(this.$image.css("border-right-width"),10),bottom:parseInt(this.$image.css("border-bottom-width"),10),left:parseInt(this.$image.css("border-left-width"),10)};this.$overlay.hide().on("click",function(){b.end();return!1});this.$lightbox.hide().on("click",function(c){if("lightbox"===a(c.target).attr("id")){b.end()}});this.$outerContainer.on("click",function(c){if("lightbox"===a(c.target).attr("id")){b.end()}return!1});this.$lightbox.find(".lb-prev").on("click",function(){if(0===b.currentImageIndex){b.changeImage(b.album.length-1)}else{b.changeImage(b.currentImageIndex-1)}return!1});this.$lightbox.find(".lb-next").on("click",function(){if(b.currentImageIndex===b.album.length-1){b.changeImage(0)}else{b.changeImage(b.currentImageIndex+1)}return!1});this.$nav.on("mousedown",function(a){if(3===a.which){b.$nav.css("pointer-events","none");b.$lightbox.one("contextmenu",function(){setTimeout(function(){this.$nav.css("pointer-events","auto")}.bind(b),0)})}});this.$lightbox.find(".lb-loader, .lb-close").on("click",function(){b.end();return!1})};b.prototype.start=function(b){var d=this,e=a(window);e.on("resize",a.proxy(this.sizeOverlay,this));this.sizeOverlay();this.album=[];var f=0;function c(a){d.album.push({alt:a.attr("data-alt"),link:a.attr("href"),title:a.attr("data-title")||a.attr("title")})}var g=b.attr("data-lightbox"),h;if(g){h=a(b.prop("tagName")+"[data-lightbox=\""+g+"\"]");for(var k=0;k<h.length;k=++k){c(a(h[k]));if(h[k]===b[0]){f=k}}}else{if("lightbox"===b.attr("rel")){c(b)}else{h=a(b.prop("tagName")+"[rel=\""+b.attr("rel")+"\"]");for(var l=0;l<h.length;l=++l){c(a(h[l]));if(h[l]===b[0]){f=l}}}}var m=e.scrollTop()+this.options.positionFromTop,n=e.scrollLeft();this.$lightbox.css({top:m+"px",left:n+"px"}).fadeIn(this.options.fadeDuration);if(this.options.disableScrolling){a("body").addClass("lb-disable-scrolling")}this.changeImage(f)};b.prototype.changeImage=function(b){var c=this,d=this.album[b].link,e=d.split(".").slice(-1)[0],f=this.$lightbox.find(".lb-image");this.disableKeyboardNav();this.$overlay.fadeIn(this.options.fadeDuration);a(".lb-loader").fadeIn("slow");this.$lightbox.find(".lb-image, .lb-nav, .lb-prev, .lb-next, .lb-dataContainer, .lb-numbers, .lb-caption").hide();this.$outerContainer.addClass("animating");var g=new Image;g.onload=function(){var h,i,j,k,l,m;f.attr({alt:c.album[b].alt,src:d});a(g);f.width(g.width);f.height(g.height);m=a(window).width();l=a(window).height();k=m-c.containerPadding.left-c.containerPadding.right-c.imageBorderWidth.left-c.imageBorderWidth.right-20;j=l-c.containerPadding.top-c.containerPadding.bottom-c.imageBorderWidth.top-c.imageBorderWidth.bottom-c.options.positionFromTop-70;if("svg"===e){f.width(k);f.height(j)}if(c.options.fitImagesInViewport){if(c.options.maxWidth&&c.options.maxWidth<k){k=c.options.maxWidth}if(c.options.maxHeight&&c.options.maxHeight<j){j=c.options.maxHeight}}else{k=c.options.maxWidth||g.width||k;j=c.options.maxHeight||g.height||j}if(g.width>k||g.height>j){if(g.width/k>g.height/j){i=k;h=parseInt(g.height/(g.width/i),10);f.width(i);f.height(h)}else{h=j;i=parseInt(g.width/(g.height/h),10);f.width(i);f.height(h)}}c.sizeContainer(f.width(),f.height())};g.src=this.album[b].link;this.currentImageIndex=b};b.prototype.sizeOverlay=function(){var b=this;setTimeout(function(){b.$overlay.width(a(document).width()).height(a(document).height())},0)};b.prototype.sizeContainer=function(a,b){var d=this,e=this.$outerContainer.outerWidth(),f=this.$outerContainer.outerHeight(),g=a+this.containerPadding.left+this.containerPadding.right+this.imageBorderWidth.left+this.imageBorderWidth.right,h=b+this.containerPadding.top+this.containerPadding.bottom+this.imageBorderWidth.top+this.imageBorderWidth.bottom;function c(){d.$lightbox.find(".lb-dataContainer").width(g);d.$lightbox.find(".lb-prevLink").height(h);d.$lightbox.find(".lb-nextLink").height(h);d.$overlay.focus();d.showImage()}if(e!==g||f!==h){this.$outerContainer.animate({width:g,height:h},this.options.resizeDuration,"swing",function(){c()})}else{c()}};b.prototype.showImage=function(){this.$lightbox.find(".lb-loader").stop(!0).hide();this.$lightbox.find(".lb-image").fadeIn(this.options.imageFadeDuration);this.updateNav();this.updateDetails();this.preloadNeighboringImages();this.enableKeyboardNav()};b.prototype.updateNav=function(){this.$lightbox.find(".lb-nav").show();if(1<this.album.length){if(this.options.wrapAround){this.$lightbox.find(".lb-prev, .lb-next").show()}else{if(0<this.currentImageIndex){this.$lightbox.find(".lb-prev").show()}if(this.currentImageIndex<this.album.length-1){this.$lightbox.find(".lb-next").show()}}}};b.prototype.updateDetails=function(){var a=this;if("undefined"!=typeof this.album[this.currentImageIndex].title&&""!==this.album[this.currentImageIndex].title){var b=this.$lightbox.find(".lb-caption");if(this.options.sanitizeTitle){b.text(this.album[this.currentImageIndex].title)}else{b.html(this.album[this.currentImageIndex].title)}b.fadeIn("fast")}if(1<this.album.length&&this.options.showImageNumberLabel){var c=this.imageCountLabel(this.currentImageIndex+1,this.album.length);this.$lightbox.find(".lb-number").text(c).fadeIn("fast")}else{this.$lightbox.find(".lb-number").hide()}this.$outerContainer.removeClass("animating");this.$lightbox.find(".lb-dataContainer").fadeIn(this.options.resizeDuration,function(){return a.sizeOverlay()})};b.prototype.preloadNeighboringImages=function(){if(this.album.length>this.currentImageIndex+1){var a=new Image;a.src=this.album[this.currentImageIndex+1].link}if(0<this.currentImageIndex){var b=new Image;b.src=this.album[this.currentImageIndex-1].link}};b.prototype.enableKeyboardNav=function(){this.$lightbox.on("keyup.keyboard",a.proxy(this.keyboardAction,this));this.$overlay.on("keyup.keyboard",a.proxy(this.keyboardAction,this))};b.prototype.disableKeyboardNav=function(){this.$lightbox.off(".keyboard");this.$overlay.off(".keyboard")};b.prototype.keyboardAction=function(a){var b=a.keyCode;if(b===27){a.stopPropagation();this.end()}else if(b===37){if(0!==this.currentImageIndex){this.changeImage(this.currentImageIndex-1)}else if(this.options.wrapAround&&1<this.album.length){this.changeImage(this.album.length-1)}}else if(b===39){if(this.currentImageIndex!==this.album.length-1){this.changeImage(this.currentImageIndex+1)}else if(this.options.wrapAround&&1<this.album.length){this.changeImage(0)}}};b.prototype.end=function(){this.disableKeyboardNav();a(window).off("resize",this.sizeOverlay);this.$lightbox.fadeOut(this.options.fadeDuration);this.$overlay.fadeOut(this.options.fadeDuration);if(this.options.disableScrolling){a("body").removeClass("lb-disable-scrolling")}};return new b});
+/* !
+ * Lightbox v2.11.2
+ * by Lokesh Dhakar
+ *
+ * More info:
+ * http://lokeshdhakar.com/projects/lightbox2/
+ *
+ * Copyright Lokesh Dhakar
+ * Released under the MIT license
+ * https://github.com/lokesh/lightbox2/blob/master/LICENSE
+ *
+ * @preserve
+ */
+define("quizaccess_invigilator/lightbox2",["jquery"],function(t){function e(e){this.album=[],this.currentImageIndex=void 0,this.playing=!1,this.playTimer=null,this.speed=1,this.events=[],this.init(),this.options=t.extend({},this.constructor.defaults),this.option(e)}return e.defaults={albumLabel:"Image %1 of %2",alwaysShowNavOnTouchDevices:!1,fadeDuration:300,fitImagesInViewport:!0,imageFadeDuration:300,positionFromTop:100,resizeDuration:700,showImageNumberLabel:!0,wrapAround:!1,disableScrolling:!1,sanitizeTitle:!1,replaySpeeds:[1,2,5,10],replayGap:0,annotate:!1,replayLabels:{play:"Play",pause:"Pause",speed:"Speed",flag:"Flag frame",draw:"Highlight area",note:"Note",gap:"No captures for %1 s",shortcuts:"Space: play or pause, Left/Right: previous or next frame, Home/End: first or last frame, F: flag frame"}},e.prototype.option=function(e){t.extend(this.options,e)},e.prototype.setReplay=function(e){e=e||{},this.events=e.events||[],delete e.events,e.replayLabels&&(e.replayLabels=t.extend({},this.options.replayLabels,e.replayLabels)),this.option(e)},e.prototype.imageCountLabel=function(t,e){return this.options.albumLabel.replace(/%1/g,t).replace(/%2/g,e)},e.prototype.init=function(){var e=this;t(document).ready(function(){e.enable(),e.build()})},e.prototype.enable=function(){var e=this;t("body").on("click","a[rel^=lightbox], area[rel^=lightbox], a[data-lightbox], area[data-lightbox]",function(i){return e.start(t(i.currentTarget)),!1})},e.prototype.build=function(){if(!(t("#lightbox").length>0)){var e=this;t('<div id="lightboxOverlay" tabindex="-1" class="lightboxOverlay"></div><div id="lightbox" tabindex="-1" class="lightbox"><div class="lb-outerContainer"><div class="lb-container"><img class="lb-image" src="data:image/gif;base64,R0lGODlhAQABAIAAAP///wAAACH5BAEAAAAALAAAAAABAAEAAAICRAEAOw==" alt=""/><img class="lb-face" src="data:image/gif;base64,R0lGODlhAQABAIAAAP///wAAACH5BAEAAAAALAAAAAABAAEAAAICRAEAOw==" alt=""/><div class="lb-rect"></div><div class="lb-nav"><a class="lb-prev" aria-label="Previous image" href="" ></a><a class="lb-next" aria-label="Next image" href="" ></a></div><div class="lb-loader"><a class="lb-cancel"></a></div></div></div><div class="lb-dataContainer"><div class="lb-data"><div class="lb-details"><span class="lb-caption"></span><span class="lb-number"></span></div><div class="lb-closeContainer"><a class="lb-close"></a></div></div><div class="lb-replay"><button type="button" class="lb-play btn btn-sm btn-light"></button><select class="lb-speed custom-select custom-select-sm"></select><div class="lb-track"><div class="lb-markers"></div><input type="range" class="lb-scrub" min="0" max="0" step="1" value="0"/></div><span class="lb-time"></span><button type="button" class="lb-flag btn btn-sm btn-light"><i class="icon fa fa-flag fa-fw"></i></button><button type="button" class="lb-draw btn btn-sm btn-light"><i class="icon fa fa-square-o fa-fw"></i></button><input type="text" class="lb-note form-control form-control-sm"/></div></div></div>').appendTo(t("body")),this.$lightbox=t("#lightbox"),this.$overlay=t("#lightboxOverlay"),this.$outerContainer=this.$lightbox.find(".lb-outerContainer"),this.$container=this.$lightbox.find(".lb-container"),this.$image=this.$lightbox.find(".lb-image"),this.$nav=this.$lightbox.find(".lb-nav"),this.containerPadding={top:parseInt(this.$container.css("padding-top"),10),right:parseInt(this.$container.css("padding-right"),10),bottom:parseInt(this.$container.css("padding-bottom"),10),left:parseInt(this.$container.css("padding-left"),10)},this.imageBorderWidth={top:parseInt(this.$image.css("border-top-width"),10),right:parseInt(this.$image.css("border-right-width"),10),bottom:parseInt(this.$image.css("border-bottom-width"),10),left:parseInt(this.$image.css("border-left-width"),10)},this.$overlay.hide().on("click",function(){return e.end(),!1}),this.$lightbox.hide().on("click",function(i){"lightbox"===t(i.target).attr("id")&&e.end()}),this.$outerContainer.on("click",function(i){return"lightbox"===t(i.target).attr("id")&&e.end(),!1}),this.$lightbox.find(".lb-prev").on("click",function(){return e.pause(),0===e.currentImageIndex?e.changeImage(e.album.length-1):e.changeImage(e.currentImageIndex-1),!1}),this.$lightbox.find(".lb-next").on("click",function(){return e.pause(),e.currentImageIndex===e.album.length-1?e.changeImage(0):e.changeImage(e.currentImageIndex+1),!1}),this.$nav.on("mousedown",function(t){3===t.which&&(e.$nav.css("pointer-events","none"),e.$lightbox.one("contextmenu",function(){setTimeout(function(){this.$nav.css("pointer-events","auto")}.bind(e),0)}))}),this.$lightbox.find(".lb-loader, .lb-close").on("click",function(){return e.end(),!1}),this.$replay=this.$lightbox.find(".lb-replay"),this.$replay.find(".lb-play").on("click",function(){return e.togglePlay(),!1}),this.$replay.find(".lb-flag").on("click",function(){return e.toggleFlag(),!1}),this.$replay.find(".lb-draw").on("click",function(){return e.pause(),e.$lightbox.toggleClass("lb-drawing"),!1}),this.$replay.find(".lb-note").on("change",function(){e.annotate({note:t(this).val().trim()})}),this.$container.on("mousedown",function(t){return!e.$lightbox.hasClass("lb-drawing")||1!==t.which||(e.startDrawing(t),!1)}),this.$replay.find(".lb-speed").on("change",function(){e.speed=parseFloat(t(this).val())||1,e.$overlay.focus()}),this.$replay.find(".lb-scrub").on("input",function(){e.pause(),e.updateTime(parseInt(t(this).val(),10))}).on("change",function(){e.changeImage(parseInt(t(this).val(),10))})}},e.prototype.start=function(e){var i=this,a=t(window);a.on("resize",t.proxy(this.sizeOverlay,this)),this.sizeOverlay(),this.album=[];var n=0;function s(t){i.album.push({alt:t.attr("data-alt"),link:t.attr("href"),face:t.attr("data-face"),time:parseInt(t.attr("data-time"),10)||0,id:t.attr("data-id"),flagged:"1"===t.attr("data-flagged"),note:t.attr("data-note")||"",rect:o(t.attr("data-rect")),title:t.attr("data-title")||t.attr("title")})}function o(t){var e=(t||"").split(",").map(parseFloat);return 4!==e.length||e.some(isNaN)?null:{x:e[0],y:e[1],width:e[2],height:e[3]}}var l,r=e.attr("data-lightbox");if(r){l=t(e.prop("tagName")+'[data-lightbox="'+r+'"]');for(var h=0;h<l.length;h=++h)s(t(l[h])),l[h]===e[0]&&(n=h)}else if("lightbox"===e.attr("rel"))s(e);else{l=t(e.prop("tagName")+'[rel="'+e.attr("rel")+'"]');for(var d=0;d<l.length;d=++d)s(t(l[d])),l[d]===e[0]&&(n=d)}var g=a.scrollTop()+this.options.positionFromTop,p=a.scrollLeft();this.$lightbox.css({top:g+"px",left:p+"px"}).fadeIn(this.options.fadeDuration),this.options.disableScrolling&&t("body").addClass("lb-disable-scrolling"),this.setupReplay(),this.changeImage(n)},e.prototype.setupReplay=function(){var e=this.options.replayLabels;this.pause(),this.$lightbox.removeClass("lb-drawing"),this.$replay.toggle(this.album.length>1||this.options.annotate),this.$replay.find(".lb-play, .lb-speed, .lb-track, .lb-time").toggle(this.album.length>1),this.$replay.find(".lb-draw, .lb-note").toggle(this.options.annotate),this.$replay.attr("title",e.shortcuts),this.$replay.find(".lb-flag").attr({title:e.flag,"aria-label":e.flag}),this.$replay.find(".lb-draw").attr({title:e.draw,"aria-label":e.draw}),this.$replay.find(".lb-note").attr({placeholder:e.note,"aria-label":e.note}),this.$replay.find(".lb-scrub").attr("max",this.album.length-1);var i=this.$replay.find(".lb-speed").empty().attr("aria-label",e.speed);this.options.replaySpeeds.forEach(function(e){i.append(t("<option></option>").val(e).text(e+"×"))}),i.val(this.speed),null===i.val()&&(this.speed=this.options.replaySpeeds[0],i.val(this.speed)),this.updateMarkers()},e.prototype.timeToIndex=function(t){var e=this.album;if(e.length<2||!e[0].time||t<e[0].time||t>e[e.length-1].time)return null;for(var i=1;i<e.length;i++)if(t<=e[i].time){var a=e[i].time-e[i-1].time;return i-1+(a>0?(t-e[i-1].time)/a:1)}return e.length-1},e.prototype.updateMarkers=function(){var e=this.$replay.find(".lb-markers").empty(),i=this.album.length-1,a=this.options.replayLabels,n=this;if(!(i<1)){var s=function(t){return t/i*100+"%"};if(this.options.replayGap>0)for(var o=1;o<=i;o++){var l=this.album[o].time-this.album[o-1].time;this.album[o-1].time&&l>this.options.replayGap&&e.append(t('<span class="lb-marker lb-marker-gap"></span>').css({left:s(o-1),width:100/i+"%"}).attr("title",a.gap.replace(/%1/g,l)))}this.events.forEach(function(i){var a=n.timeToIndex(i.time);null!==a&&e.append(t('<span class="lb-marker lb-marker-event"></span>').css("left",s(a)).attr("title",new Date(1e3*i.time).toLocaleTimeString()+" "+i.label))}),this.album.forEach(function(i,a){i.flagged&&e.append(t('<span class="lb-marker lb-marker-flag"></span>').css("left",s(a)))})}},e.prototype.updateTime=function(t){var e=this.album[t];this.$replay.find(".lb-time").text(e&&e.time?new Date(1e3*e.time).toLocaleTimeString():"")},e.prototype.play=function(){this.playing||this.album.length<2||(this.playing=!0,this.$replay.find(".lb-play").text(this.options.replayLabels.pause).addClass("active"),this.currentImageIndex===this.album.length-1?this.changeImage(0):this.scheduleNext())},e.prototype.pause=function(){this.playing=!1,clearTimeout(this.playTimer),this.$replay&&this.$replay.find(".lb-play").text(this.options.replayLabels.play).removeClass("active")},e.prototype.togglePlay=function(){this.playing?this.pause():this.play()},e.prototype.scheduleNext=function(){var t=this;clearTimeout(this.playTimer),this.playTimer=setTimeout(function(){t.playing&&(t.currentImageIndex>=t.album.length-1?t.pause():t.changeImage(t.currentImageIndex+1))},1e3/this.speed)},e.prototype.toggleFlag=function(){var t=this.album[this.currentImageIndex];t&&(t.flagged=!t.flagged,t.flagged||(t.note="",t.rect=null),this.flagChanged())},e.prototype.annotate=function(e){var i=this.album[this.currentImageIndex];i&&(t.extend(i,e),i.flagged=i.flagged||""!==i.note||null!==i.rect,this.flagChanged())},e.prototype.flagChanged=function(){var e=this.album[this.currentImageIndex];this.$replay.find(".lb-flag").toggleClass("active",e.flagged),this.$replay.find(".lb-note").val(e.note),this.updateRect(),this.updateMarkers(),t(document).trigger("lightbox:flag",[e,this.currentImageIndex])},e.prototype.updateRect=function(){var t=this.album[this.currentImageIndex],e=this.$lightbox.find(".lb-rect");if(t&&t.rect&&this.$image.is(":visible")){var i=this.$image.position();e.css({left:i.left+this.imageBorderWidth.left+t.rect.x*this.$image.width(),top:i.top+this.imageBorderWidth.top+t.rect.y*this.$image.height(),width:t.rect.width*this.$image.width(),height:t.rect.height*this.$image.height()}).show()}else e.hide()},e.prototype.startDrawing=function(e){var i=this,a=this.$image.offset(),n=this.$image.width(),s=this.$image.height(),o=this.$lightbox.find(".lb-rect"),l=function(t){return{x:Math.min(1,Math.max(0,(t.pageX-a.left-i.imageBorderWidth.left)/n)),y:Math.min(1,Math.max(0,(t.pageY-a.top-i.imageBorderWidth.top)/s))}},r=l(e),h=null;t(document).on("mousemove.lbdraw",function(t){var e=l(t);h={x:Math.min(r.x,e.x),y:Math.min(r.y,e.y),width:Math.abs(e.x-r.x),height:Math.abs(e.y-r.y)};var a=i.$image.position();return o.css({left:a.left+i.imageBorderWidth.left+h.x*n,top:a.top+i.imageBorderWidth.top+h.y*s,width:h.width*n,height:h.height*s}).show(),!1}).on("mouseup.lbdraw",function(){return t(document).off(".lbdraw"),i.$lightbox.removeClass("lb-drawing"),h&&h.width>.01&&h.height>.01?i.annotate({rect:h}):i.updateRect(),!1})},e.prototype.changeImage=function(e){var i=this,a=this.album[e].link,n=a.split(".").slice(-1)[0],s=this.$lightbox.find(".lb-image"),o=this.$lightbox.find(".lb-face"),l=this.album[e].face;this.disableKeyboardNav(),this.$overlay.fadeIn(this.options.fadeDuration),this.playing||(t(".lb-loader").fadeIn("slow"),this.$lightbox.find(".lb-image, .lb-face, .lb-nav, .lb-prev, .lb-next, .lb-dataContainer, .lb-numbers, .lb-caption").hide()),this.$replay.find(".lb-scrub").val(e),this.updateTime(e),this.$replay.find(".lb-flag").toggleClass("active",this.album[e].flagged),this.$replay.find(".lb-note").val(this.album[e].note),this.$lightbox.find(".lb-rect").hide(),this.$outerContainer.addClass("animating"),this.$lightbox.toggleClass("lb-has-face",!!l);var r=new Image;r.onload=function(){var h,d,g,p,b,c;if(s.attr({alt:i.album[e].alt,src:a}),t(r),s.width(r.width),s.height(r.height),c=t(window).width(),b=t(window).height(),p=c-i.containerPadding.left-i.containerPadding.right-i.imageBorderWidth.left-i.imageBorderWidth.right-20,g=b-i.containerPadding.top-i.containerPadding.bottom-i.imageBorderWidth.top-i.imageBorderWidth.bottom-i.options.positionFromTop-70,l&&(p=parseInt(.7*p,10)),"svg"===n&&(s.width(p),s.height(g)),i.options.fitImagesInViewport?(i.options.maxWidth&&i.options.maxWidth<p&&(p=i.options.maxWidth),i.options.maxHeight&&i.options.maxHeight<g&&(g=i.options.maxHeight)):(p=i.options.maxWidth||r.width||p,g=i.options.maxHeight||r.height||g),(r.width>p||r.height>g)&&(r.width/p>r.height/g?(d=p,h=parseInt(r.height/(r.width/d),10),s.width(d),s.height(h)):(h=g,d=parseInt(r.width/(r.height/h),10),s.width(d),s.height(h))),l){var u=new Image;u.onload=function(){var t=s.height(),a=parseInt(u.width*t/u.height,10);o.attr({alt:i.album[e].alt,src:l}),o.width(a),o.height(t),i.sizeContainer(s.width()+a+i.imageBorderWidth.left+i.imageBorderWidth.right,s.height())},u.onerror=function(){i.$lightbox.removeClass("lb-has-face"),i.sizeContainer(s.width(),s.height())},u.src=l}else i.sizeContainer(s.width(),s.height())},r.src=this.album[e].link,this.currentImageIndex=e},e.prototype.sizeOverlay=function(){var e=this;setTimeout(function(){e.$overlay.width(t(document).width()).height(t(document).height())},0)},e.prototype.sizeContainer=function(t,e){var i=this,a=this.$outerContainer.outerWidth(),n=this.$outerContainer.outerHeight(),s=t+this.containerPadding.left+this.containerPadding.right+this.imageBorderWidth.left+this.imageBorderWidth.right,o=e+this.containerPadding.top+this.containerPadding.bottom+this.imageBorderWidth.top+this.imageBorderWidth.bottom;function l(){i.$lightbox.find(".lb-dataContainer").width(s),i.$lightbox.find(".lb-prevLink").height(o),i.$lightbox.find(".lb-nextLink").height(o),i.$overlay.focus(),i.showImage()}a===s&&n===o||!this.playing?a!==s||n!==o?this.$outerContainer.animate({width:s,height:o},this.options.resizeDuration,"swing",function(){l()}):l():(this.$outerContainer.css({width:s,height:o}),l())},e.prototype.showImage=function(){var t=this.playing?0:this.options.imageFadeDuration;this.$lightbox.find(".lb-loader").stop(!0).hide(),this.$lightbox.find(".lb-image").fadeIn(t),this.$lightbox.hasClass("lb-has-face")?this.$lightbox.find(".lb-face").fadeIn(t):this.$lightbox.find(".lb-face").hide(),this.updateNav(),this.updateDetails(),this.updateRect(),this.preloadNeighboringImages(),this.enableKeyboardNav(),this.playing&&this.scheduleNext()},e.prototype.updateNav=function(){this.$lightbox.find(".lb-nav").show(),this.album.length>1&&(this.options.wrapAround?this.$lightbox.find(".lb-prev, .lb-next").show():(this.currentImageIndex>0&&this.$lightbox.find(".lb-prev").show(),this.currentImageIndex<this.album.length-1&&this.$lightbox.find(".lb-next").show()))},e.prototype.updateDetails=function(){var t=this;if(void 0!==this.album[this.currentImageIndex].title&&""!==this.album[this.currentImageIndex].title){var e=this.$lightbox.find(".lb-caption");this.options.sanitizeTitle?e.text(this.album[this.currentImageIndex].title):e.html(this.album[this.currentImageIndex].title),e.fadeIn("fast")}if(this.album.length>1&&this.options.showImageNumberLabel){var i=this.imageCountLabel(this.currentImageIndex+1,this.album.length);this.$lightbox.find(".lb-number").text(i).fadeIn("fast")}else this.$lightbox.find(".lb-number").hide();this.$outerContainer.removeClass("animating"),this.$lightbox.find(".lb-dataContainer").fadeIn(this.playing?0:this.options.resizeDuration,function(){return t.sizeOverlay()})},e.prototype.preloadNeighboringImages=function(){this.album.length>this.currentImageIndex+1&&((new Image).src=this.album[this.currentImageIndex+1].link);this.currentImageIndex>0&&((new Image).src=this.album[this.currentImageIndex-1].link)},e.prototype.enableKeyboardNav=function(){this.$lightbox.on("keyup.keyboard",t.proxy(this.keyboardAction,this)),this.$overlay.on("keyup.keyboard",t.proxy(this.keyboardAction,this)),this.$lightbox.add(this.$overlay).on("keydown.keyboard",function(e){32!==e.keyCode||t(e.target).is("button, select, input")||e.preventDefault()})},e.prototype.disableKeyboardNav=function(){this.$lightbox.off(".keyboard"),this.$overlay.off(".keyboard")},e.prototype.keyboardAction=function(e){var i=e.keyCode;27!==i&&t(e.target).is("button, select, input")||(27!==i&&32!==i&&70!==i&&this.pause(),32===i?this.togglePlay():70===i?this.toggleFlag():36===i&&0!==this.currentImageIndex?this.changeImage(0):35===i&&this.currentImageIndex!==this.album.length-1?this.changeImage(this.album.length-1):27===i?(e.stopPropagation(),this.end()):37===i?0!==this.currentImageIndex?this.changeImage(this.currentImageIndex-1):this.options.wrapAround&&this.album.length>1&&this.changeImage(this.album.length-1):39===i&&(this.currentImageIndex!==this.album.length-1?this.changeImage(this.currentImageIndex+1):this.options.wrapAround&&this.album.length>1&&this.changeImage(0)))},e.prototype.end=function(){this.pause(),this.$lightbox.removeClass("lb-drawing"),this.disableKeyboardNav(),t(window).off("resize",this.sizeOverlay),this.$lightbox.fadeOut(this.options.fadeDuration),this.$overlay.fadeOut(this.options.fadeDuration),this.options.disableScrolling&&t("body").removeClass("lb-disable-scrolling")},new e});
+
 //# sourceMappingURL=lightbox2.min.js.map
@@ -0,0 +1,3 @@
+define("quizaccess_invigilator/monitor",["jquery","core/ajax","core/notification","core/modal_factory","core/modal_events","core/log","quizaccess_invigilator/lightbox2"],function(t,i,e,a,n,o){return{setup:function(r){var s=t("#invigilator-monitor");function c(t){return new Date(1e3*t).toLocaleTimeString()}function l(){if(!t("#lightbox").is(":visible")){var e={methodname:"quizaccess_invigilator_get_live_attempts",args:{cmid:r.cmid}};i.call([e])[0].done(function(i){s.empty(),0!==i.attempts.length?i.attempts.forEach(function(i){s.append(function(i){var e=t('<div class="invigilator-monitor-tile"></div>').attr("data-attemptid",i.attemptid).toggleClass("invigilator-monitor-stale",i.stale).toggleClass("invigilator-monitor-sharelost",i.sharelost),a=t('<div class="invigilator-monitor-image"></div>');i.screenshot?a.append(t('<img alt="">').attr("src",i.screenshot).attr("alt",i.fullname)):a.text(r.nocapture),e.append(a);var n=r.reporturl;i.reportid&&(n+="&studentid="+i.userid+"&reportid="+i.reportid);var o=t('<a class="invigilator-monitor-name"></a>').attr("href",n).text(i.fullname);e.append(o);var s=i.lastcapture?r.lastcapture+" "+c(i.lastcapture):r.nocapture;if(e.append(t('<div class="invigilator-monitor-status"></div>').text(s)),i.paused&&e.append(t('<div class="invigilator-monitor-flag"></div>').text(r.pausedmsg)),i.exempt?e.append(t('<div class="invigilator-monitor-status"></div>').text(r.exemptmsg)):i.sharelost?e.append(t('<div class="invigilator-monitor-flag"></div>').text(r.sharelostmsg)):i.stale&&e.append(t('<div class="invigilator-monitor-flag"></div>').text(r.stalemsg)),r.canproctor){var l=t('<div class="invigilator-monitor-actions"></div>');l.append(t('<button class="btn btn-secondary btn-sm" data-action="message"></button>').text(r.messagebtn)),(i.paused||i.sharelost)&&l.append(t('<button class="btn btn-secondary btn-sm" data-action="resume"></button>').text(r.resumebtn)),i.paused||l.append(t('<button class="btn btn-secondary btn-sm" data-action="pause"></button>').text(r.pausebtn)),l.append(t('<button class="btn btn-danger btn-sm" data-action="terminate"></button>').text(r.terminatebtn)),e.append(l)}var d="invigilatorLive"+i.attemptid;return i.recent.forEach(function(a){e.append(t('<a class="invigilator-monitor-recent"></a>').attr("href",a.screenshot).attr("data-lightbox",d).attr("data-time",a.timecreated).attr("data-title",i.fullname+" "+c(a.timecreated)))}),e}(i))}):s.append(t('<div class="invigilator-monitor-empty"></div>').text(r.noactiveattempts))}).fail(function(t){o.error("Live monitor API failed:",t)})}}function d(t,a,n){var o={methodname:"quizaccess_invigilator_send_proctor_action",args:{cmid:r.cmid,attemptid:t,action:a,message:n}};i.call([o])[0].done(function(){e.addNotification({message:r.actionsent,type:"success"}),l()}).fail(e.exception)}return s.on("click",".invigilator-monitor-actions button",function(i){i.preventDefault();var o=t(this).closest(".invigilator-monitor-tile").data("attemptid"),s=t(this).data("action"),c=t(this).text();"terminate"!==s?function(i,o,s){var c=t("<div></div>").append(t('<label for="invigilator-proctor-message"></label>').text(r.messageprompt)).append('<textarea id="invigilator-proctor-message" class="form-control" rows="3"></textarea>').html();a.create({type:a.types.SAVE_CANCEL,title:s,body:c}).then(function(t){return t.setSaveButtonText(s),t.getRoot().on(n.save,function(e){var a=t.getRoot().find("#invigilator-proctor-message"),n=a.val().trim();if("message"===o&&""===n)return e.preventDefault(),void a.focus();d(i,o,n)}),t.getRoot().on(n.shown,function(){t.getRoot().find("#invigilator-proctor-message").focus()}),t.getRoot().on(n.hidden,function(){t.destroy()}),t.show(),t}).catch(e.exception)}(o,s,c):e.confirm(c,r.terminateconfirm,c,null,function(){d(o,s,"")})}),s.on("click",".invigilator-monitor-image",function(){var i=t(this).closest(".invigilator-monitor-tile").find(".invigilator-monitor-recent");i.length>0&&i.last().trigger("click")}),l(),setInterval(l,1e3*r.refreshinterval),!0}}});
+
+//# sourceMappingURL=monitor.min.js.map
@@ -0,0 +1,3 @@
+define("quizaccess_invigilator/review",["jquery","core/ajax","core/notification"],function(t,e,i){return{setup:function(a){return t(document).on("lightbox:flag",function(c,r){var n;r.id&&(n=r.flagged?{methodname:"quizaccess_invigilator_flag_screenshot",args:{cmid:a.cmid,logid:r.id,note:r.note,rectx:r.rect?r.rect.x:-1,recty:r.rect?r.rect.y:0,rectwidth:r.rect?r.rect.width:0,rectheight:r.rect?r.rect.height:0}}:{methodname:"quizaccess_invigilator_unflag_screenshot",args:{cmid:a.cmid,logid:r.id}},e.call([n])[0].done(function(){!function(e){var i=t('a[data-lightbox][data-id="'+e.id+'"]');i.attr("data-flagged",e.flagged?"1":"0"),i.attr("data-note",e.note),i.attr("data-rect",e.rect?[e.rect.x,e.rect.y,e.rect.width,e.rect.height].join(","):""),i.toggleClass("invigilator-flagged",e.flagged)}(r)}).fail(i.exception))}),!0}}});
+
+//# sourceMappingURL=review.min.js.map
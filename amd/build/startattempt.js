@@ -1,5 +1,46 @@
-define(['jquery', 'core/ajax', 'core/notification'],
-    function($, Ajax, Notification) {
+define(['jquery', 'core/ajax', 'core/notification', 'quizaccess_invigilator/uploadqueue'],
+    function($, Ajax, Notification, UploadQueue) {
+        // Enforcement level of the quiz: off, warn or block.
+        var enforcement = 'block';
+        // True while an entire monitor is being shared and, when required, the webcam is live.
+        var shareValid = false;
+
+        /**
+         * Lock or unlock the preflight form according to the enforcement level.
+         */
+        function applyEnforcement() {
+            var unlocked = enforcement !== 'block' || shareValid;
+            $('#id_submitbutton').prop("disabled", !unlocked);
+            $('#id_invigilator').css("display", unlocked ? 'block' : 'none');
+            $("label[for='id_invigilator']").css("display", unlocked ? 'block' : 'none');
+            if (!unlocked) {
+                $('#id_invigilator').prop('checked', false);
+            }
+        }
+
+        /**
+         * Record a proctoring event on the server.
+         *
+         * @param {Object} props
+         * @param {string} eventtype
+         * @param {string} details
+         */
+        function logEvent(props, eventtype, details) {
+            var request = {
+                methodname: 'quizaccess_invigilator_log_event',
+                args: {
+                    'courseid': props.courseid,
+                    'cmid': props.cmid,
+                    'quizid': props.quizid,
+                    'eventtype': eventtype,
+                    'details': details || ''
+                }
+            };
+            Ajax.call([request])[0].fail(function(error) {
+                console.log('Event API failed:', error);
+            });
+        }
+
         return {
             setup: function(props) {
                 window.invigilatorShareState = document.getElementById('invigilator_share_state');
@@ -7,10 +48,113 @@ define(['jquery', 'core/ajax', 'core/notification'],
                 window.invigilatorScreenoff = document.getElementById('invigilator_screen_off_flag');
 
                 const videoElem = document.getElementById("invigilator-video-screen");
+                const webcamElem = document.getElementById("invigilator-video-webcam");
                 const logElem = document.getElementById("invigilator-log-screen");
                 const screensharemsg = props.screensharemsg;
+                const windowsurfacemsg = props.windowsurfacemsg;
                 const restartattemptcommand = props.restartattemptcommand;
                 const somethingwentwrong = props.somethingwentwrong;
+                const webcammsg = props.webcammsg;
+                window.invigilatorWebcamState = document.getElementById('invigilator_webcam_state');
+
+                enforcement = props.enforcement || 'block';
+                applyEnforcement();
+
+                // Captures are queued so they survive a lost connection and are sent in order.
+                var uploads = UploadQueue.create(props.userid, props.uploadqueuelimit, function(params) {
+                    return readAsDataURL(params.screenshot).then(function(screenshot) {
+                        return new Promise(function(resolve, reject) {
+                            var request = {
+                                methodname: 'quizaccess_invigilator_send_screenshot',
+                                args: $.extend({}, params, {'screenshot': screenshot})
+                            };
+                            Ajax.call([request])[0].done(function(data) {
+                                if (data.warnings.length > 0) {
+                                    logElem.innerHTML = somethingwentwrong;
+                                }
+                                resolve(data);
+                            }).fail(function(error) {
+                                console.log('Screenshot API failed:', error);
+                                reject(error);
+                            });
+                        });
+                    });
+                });
+
+                /**
+                 * Read a captured image as a data URL for the web service.
+                 *
+                 * @param {Blob} blob
+                 * @return {Promise}
+                 */
+                function readAsDataURL(blob) {
+                    return new Promise(function(resolve, reject) {
+                        var reader = new FileReader();
+                        reader.onload = function() {
+                            resolve(reader.result);
+                        };
+                        reader.onerror = function() {
+                            reject(reader.error);
+                        };
+                        reader.readAsDataURL(blob);
+                    });
+                }
+
+                // Attempt and question page shown in the quiz window, reported by its attempt pages.
+                var attemptPage = {attemptid: 0, page: -1, slot: 0};
+                window.invigilatorSetAttemptPage = function(attemptid, page, slot) {
+                    attemptPage = {attemptid: attemptid, page: page, slot: slot};
+                };
+
+                // Small grayscale thumbnails of the last uploaded captures, by capture type.
+                var fingerprints = {};
+                var FINGERPRINT_SIZE = 16;
+
+                /**
+                 * Compute a small grayscale thumbnail used to compare captures.
+                 *
+                 * @param {HTMLCanvasElement} canvas
+                 * @return {number[]}
+                 */
+                function fingerprint(canvas) {
+                    var small = document.createElement('canvas');
+                    small.width = FINGERPRINT_SIZE;
+                    small.height = FINGERPRINT_SIZE;
+                    var context = small.getContext('2d');
+                    context.drawImage(canvas, 0, 0, FINGERPRINT_SIZE, FINGERPRINT_SIZE);
+                    var pixels = context.getImageData(0, 0, FINGERPRINT_SIZE, FINGERPRINT_SIZE).data;
+                    var values = [];
+                    for (var i = 0; i < pixels.length; i += 4) {
+                        values.push(0.299 * pixels[i] + 0.587 * pixels[i + 1] + 0.114 * pixels[i + 2]);
+                    }
+                    return values;
+                }
+
+                /**
+                 * Check whether a capture is nearly identical to the last uploaded one of the same type.
+                 *
+                 * @param {HTMLCanvasElement} canvas
+                 * @param {string} capturetype
+                 * @return {boolean}
+                 */
+                function isUnchanged(canvas, capturetype) {
+                    if (!props.changethreshold) {
+                        return false;
+                    }
+                    var current = fingerprint(canvas);
+                    var previous = fingerprints[capturetype];
+                    if (previous !== undefined) {
+                        var difference = 0;
+                        for (var i = 0; i < current.length; i++) {
+                            difference += Math.abs(current[i] - previous[i]);
+                        }
+                        if (difference / current.length / 255 * 100 < props.changethreshold) {
+                            return true;
+                        }
+                    }
+                    fingerprints[capturetype] = current;
+                    return false;
+                }
 
                 var displayMediaOptions = {
                     video: {
@@ -22,155 +166,302 @@ define(['jquery', 'core/ajax', 'core/notification'],
                     audio: false
                 };
 
+                // Whether the student has been warned about the current invalid share.
+                var warned = false;
+
                 $("#invigilator-share-screen-btn").click(async function(event) {
                     event.preventDefault();
                     startCapture();
                 });
 
+                // The screen is only shared once the student accepted the privacy notice,
+                // the consent is recorded when the form is submitted.
+                var $consent = $('#id_invigilatorconsent');
+                var $shareBtn = $('#invigilator-share-screen-btn');
+                if (props.consented) {
+                    $consent.prop('checked', true).prop('disabled', true);
+                }
+                $shareBtn.prop('disabled', !$consent.prop('checked'));
+                $consent.on('change', function() {
+                    $shareBtn.prop('disabled', !this.checked);
+                });
+
                 /**
-                 * Start screen capture - completely disable validation
+                 * Start screen capture and validate the shared surface.
                  */
                 async function startCapture() {
                     logElem.innerHTML = "";
+                    warned = false;
                     try {
-                        console.log("Starting screen capture...");
                         videoElem.srcObject = await navigator.mediaDevices.getDisplayMedia(displayMediaOptions);
-                        console.log('Screen capture started successfully');
-
-                        // Immediately set all status values to valid
-                        setTimeout(function() {
-                            document.getElementById('invigilator_window_surface').value = 'live';
-                            document.getElementById('invigilator_share_state').value = 'true';
-                            
-                            if (window.invigilatorWindowSurface) {
-                                window.invigilatorWindowSurface.value = 'live';
-                            }
-                            if (window.invigilatorShareState) {
-                                window.invigilatorShareState.value = 'true';
-                            }
-                            
-                            $('#id_invigilator').css("display", 'block');
-                            $("label[for='id_invigilator']").css("display", 'block');
-                            
-                            console.log('All validation states set to valid');
-                        }, 500);
-
+                        watchTrack(videoElem.srcObject.getVideoTracks()[0]);
                     } catch (err) {
-                        console.log("Error: " + err.toString());
-                        // Don't show error notifications - just log
-                        console.log('Screen sharing error, but continuing anyway');
+                        logElem.innerHTML = "Error: " + err.toString();
+                        videoElem.srcObject = null;
+                        if (enforcement !== 'off') {
+                            Notification.alert('', screensharemsg);
+                        }
+                        updateWindowStatus();
+                        return true;
+                    }
+                    if (props.webcam) {
+                        await startWebcam();
                     }
+                    updateWindowStatus();
                     return true;
                 }
 
+                /**
+                 * Start the webcam once the screen is being shared.
+                 */
+                async function startWebcam() {
+                    if (webcamElem.srcObject !== null && webcamElem.srcObject.active) {
+                        return;
+                    }
+                    try {
+                        webcamElem.srcObject = await navigator.mediaDevices.getUserMedia({video: {width: 320}, audio: false});
+                    } catch (err) {
+                        logElem.innerHTML = "Error: " + err.toString();
+                        webcamElem.srcObject = null;
+                        if (enforcement !== 'off') {
+                            Notification.alert('', webcammsg);
+                        }
+                    }
+                }
+
+                /**
+                 * Check whether the webcam is streaming.
+                 *
+                 * @return {boolean}
+                 */
+                function isWebcamLive() {
+                    if (webcamElem === null || webcamElem.srcObject === null) {
+                        return false;
+                    }
+                    const webcamTrack = webcamElem.srcObject.getVideoTracks()[0];
+                    return webcamElem.srcObject.active && webcamTrack.readyState === 'live';
+                }
+
+                /**
+                 * Record the start of a screen share and follow its end.
+                 *
+                 * @param {MediaStreamTrack} videoTrack
+                 */
+                function watchTrack(videoTrack) {
+                    logEvent(props, 'sharestarted', videoTrack.getSettings().displaySurface);
+                    videoTrack.addEventListener('ended', function() {
+                        logEvent(props, 'shareended', '');
+                        updateWindowStatus();
+                    });
+                }
+
+                /**
+                 * Use a screen share started again from the attempt page.
+                 *
+                 * @param {MediaStream} stream
+                 */
+                window.invigilatorResumeCapture = function(stream) {
+                    videoElem.srcObject = stream;
+                    watchTrack(stream.getVideoTracks()[0]);
+                    warned = false;
+                    updateWindowStatus();
+                };
+
+                /**
+                 * Report the current share state and apply the enforcement level.
+                 */
                 var updateWindowStatus = function() {
-                    if (videoElem.srcObject !== null) {
-                        const videoTrack = videoElem.srcObject.getVideoTracks()[0];
-                        var currentStream = videoElem.srcObject;
-                        var active = currentStream.active;
-                        var readyState = videoTrack.readyState;
-                        
-                        // Always set to valid values
-                        document.getElementById('invigilator_window_surface').value = 'live';
-                        document.getElementById('invigilator_share_state').value = 'true';
-                        
-                        var screenoff = document.getElementById('invigilator_screen_off_flag').value;
-                        
+                    var surface = '';
+                    var live = false;
+                    var currentStream = videoElem.srcObject;
+                    if (currentStream !== null) {
+                        const videoTrack = currentStream.getVideoTracks()[0];
+                        surface = videoTrack.getSettings().displaySurface || '';
+                        live = currentStream.active && videoTrack.readyState === 'live';
+
+                        var screenoff = window.invigilatorScreenoff.value;
                         if (screenoff == "1") {
                             let tracks = currentStream.getTracks();
                             tracks.forEach(track => track.stop());
-                            console.log('Video stopped');
                             clearInterval(windowState);
                             location.reload();
+                            return;
+                        }
+                    }
+
+                    var wasValid = shareValid;
+                    window.invigilatorWindowSurface.value = surface;
+                    window.invigilatorShareState.value = live ? 'true' : 'false';
+                    // Students with an accommodation may share a window instead of the entire screen.
+                    var surfaceValid = surface === 'monitor' || !!props.allowwindow;
+                    shareValid = live && surfaceValid;
+                    if (props.webcam) {
+                        var webcamLive = isWebcamLive();
+                        window.invigilatorWebcamState.value = webcamLive ? 'true' : 'false';
+                        shareValid = shareValid && webcamLive;
+                    }
+                    applyEnforcement();
+
+                    if (shareValid || currentStream === null) {
+                        warned = false;
+                    } else if (!warned && enforcement !== 'off') {
+                        warned = true;
+                        if (live && surfaceValid) {
+                            Notification.alert('', webcammsg);
+                        } else if (live) {
+                            Notification.alert('', windowsurfacemsg);
+                        } else if (wasValid) {
+                            Notification.alert('', restartattemptcommand);
+                        } else {
+                            Notification.alert('', screensharemsg);
                         }
-                    } else {
-                        // Even without video, set valid states to prevent validation errors
-                        document.getElementById('invigilator_window_surface').value = 'live';
-                        document.getElementById('invigilator_share_state').value = 'true';
                     }
                 };
 
-                var takeScreenshot = function() {
-                    var screenoff = document.getElementById('invigilator_screen_off_flag').value;
-                    if (videoElem.srcObject !== null) {
-                        const videoTrack = videoElem.srcObject.getVideoTracks()[0];
-                        var currentStream = videoElem.srcObject;
-                        var active = currentStream.active;
-                        const videoConstraints = videoTrack.getSettings();
-                        console.log('Video constraints: media settings:', JSON.stringify(videoConstraints));
-
-                        var readyState = videoTrack.readyState;
-                        
-                        // COMPLETELY DISABLE ALL VALIDATION - just continue with screenshots
-                        console.log('Screenshot capture continuing - all validation disabled');
-
-                        // Capture Screen
-                        var videoScreen = document.getElementById('invigilator-video-screen');
-                        var canvasScreen = document.getElementById('invigilator-canvas-screen');
-                        var screenContext = canvasScreen.getContext('2d');
-                        var widthConfig = props.screenshotwidth;
-                        var heightConfig = findHeight(props.screenshotwidth);
-                        canvasScreen.width = widthConfig;
-                        canvasScreen.height = heightConfig;
-                        screenContext.drawImage(videoScreen, 0, 0, widthConfig, heightConfig);
-                        var screenData = canvasScreen.toDataURL('image/png');
-
-                        // API Call
-                        var wsfunction = 'quizaccess_invigilator_send_screenshot';
-                        var params = {
-                            'courseid': props.courseid,
-                            'cmid': props.cmid,
-                            'quizid': props.quizid,
-                            'screenshot': screenData
-                        };
+                /**
+                 * Capture a frame of a live video and send it to the server.
+                 *
+                 * @param {HTMLVideoElement} video
+                 * @param {HTMLCanvasElement} canvas
+                 * @param {number} width
+                 * @param {string} capturetype
+                 * @return {boolean}
+                 */
+                var capture = function(video, canvas, width, capturetype) {
+                    var screenoff = window.invigilatorScreenoff.value;
+                    if (video !== null && video.srcObject !== null) {
+                        const videoTrack = video.srcObject.getVideoTracks()[0];
+                        if (videoTrack.readyState !== 'live') {
+                            return false;
+                        }
 
-                        var request = {
-                            methodname: wsfunction,
-                            args: params
-                        };
+                        var context = canvas.getContext('2d');
+                        var size = findSourceSize(video, videoTrack);
+                        var height = Math.round(width * size.height / size.width);
+                        canvas.width = width;
+                        canvas.height = height;
+                        context.drawImage(video, 0, 0, width, height);
+                        var timecaptured = Math.floor(Date.now() / 1000);
 
-                        if (screenoff == "0") {
-                            Ajax.call([request])[0].done(function(data) {
-                                if (data.warnings.length < 1) {
-                                    console.log('Screenshot sent successfully');
-                                } else {
-                                    console.log('Screenshot API warnings:', data.warnings);
-                                }
-                            }).fail(function(error) {
-                                console.log('Screenshot API failed:', error);
-                            });
+                        if (screenoff != "0") {
+                            return true;
+                        }
+                        if (isUnchanged(canvas, capturetype)) {
+                            logEvent(props, 'nochange', capturetype);
+                            return true;
                         }
+                        canvas.toBlob(function(blob) {
+                            if (blob === null) {
+                                return;
+                            }
+                            uploads.add({
+                                'courseid': props.courseid,
+                                'cmid': props.cmid,
+                                'quizid': props.quizid,
+                                'screenshot': blob,
+                                'capturetype': capturetype,
+                                'timecaptured': timecaptured,
+                                'surfacewidth': size.width,
+                                'surfaceheight': size.height,
+                                'multidisplay': multidisplay,
+                                'attemptid': attemptPage.attemptid,
+                                'page': attemptPage.page,
+                                'slot': attemptPage.slot
+                            });
+                        }, props.imageformat, props.imagequality);
                     }
                     return true;
                 };
 
-                function findHeight(width) {
-                    var currentAspectRatio = screen.width / screen.height;
-                    var newHeight = width / currentAspectRatio;
-                    return newHeight;
+                var takeScreenshot = function() {
+                    return capture(videoElem, document.getElementById('invigilator-canvas-screen'),
+                        props.screenshotwidth, 'screen');
+                };
+
+                var takeWebcamSnapshot = function() {
+                    return capture(webcamElem, document.getElementById('invigilator-canvas-webcam'), 320, 'webcam');
+                };
+
+                /**
+                 * Find the resolution of the captured surface.
+                 *
+                 * The track settings describe what is actually shared, which may be another
+                 * monitor than the one showing the browser, at any zoom or pixel density.
+                 *
+                 * @param {HTMLVideoElement} video
+                 * @param {MediaStreamTrack} videoTrack
+                 * @return {Object} The width and height in pixels.
+                 */
+                function findSourceSize(video, videoTrack) {
+                    var settings = videoTrack.getSettings();
+                    if (settings.width && settings.height) {
+                        return {width: settings.width, height: settings.height};
+                    }
+                    if (video.videoWidth && video.videoHeight) {
+                        return {width: video.videoWidth, height: video.videoHeight};
+                    }
+                    return {width: screen.width, height: screen.height};
+                }
+
+                // Whether more than one display is connected: 1 yes, 0 no, -1 unknown.
+                var multidisplay = -1;
+
+                /**
+                 * Detect multiple displays with the Window Management API when the browser supports it.
+                 *
+                 * The screen details are only read when the permission was already granted,
+                 * students are never asked for it.
+                 */
+                async function detectDisplays() {
+                    if (typeof screen.isExtended === 'boolean') {
+                        multidisplay = screen.isExtended ? 1 : 0;
+                    }
+                    if (!('getScreenDetails' in window) || !navigator.permissions) {
+                        return;
+                    }
+                    try {
+                        var permission = await navigator.permissions.query({name: 'window-management'});
+                        if (permission.state === 'granted') {
+                            var details = await window.getScreenDetails();
+                            multidisplay = details.screens.length > 1 ? 1 : 0;
+                        }
+                    } catch (err) {
+                        // Older browsers do not know the permission, keep what screen.isExtended told.
+                    }
                 }
 
+                detectDisplays();
+
                 var windowState = setInterval(updateWindowStatus, 1000);
-                var screenShotInterval = setInterval(takeScreenshot, props.screenshotdelay * 1000);
+                /**
+                 * Run a capture again and again, each time after the delay changed by a random jitter.
+                 *
+                 * @param {Function} callback
+                 * @param {number} delay Delay in seconds.
+                 */
+                function schedule(callback, delay) {
+                    var jitter = props.screenshotjitter || 0;
+                    var next = delay + (Math.random() * 2 - 1) * jitter;
+                    setTimeout(function() {
+                        callback();
+                        schedule(callback, delay);
+                    }, Math.max(1, next) * 1000);
+                }
+
+                schedule(takeScreenshot, props.screenshotdelay);
+                if (props.webcam) {
+                    schedule(takeWebcamSnapshot, props.webcamdelay);
+                }
             },
             init: function(props) {
-                // Immediately enable all buttons and hide validation
-                $('#id_submitbutton').prop("disabled", false);
-                $('#id_invigilator').css("display", 'block');
-                $("label[for='id_invigilator']").css("display", 'block');
-                
-                // Auto-check the checkbox
-                $('#id_invigilator').prop('checked', true);
-
-                console.log('Invigilator validation completely disabled - all checks bypassed');
+                enforcement = props.enforcement || 'block';
+                applyEnforcement();
 
                 $('#id_invigilator').click(function() {
-                    // Always enable submit button regardless of validation
-                    $('#id_submitbutton').prop("disabled", false);
-                    console.log('Submit button enabled - validation bypassed');
+                    applyEnforcement();
                 });
 
                 return true;
             }
         };
-    });
\ No newline at end of file
+    });
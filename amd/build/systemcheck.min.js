@@ -0,0 +1,3 @@
+define("quizaccess_invigilator/systemcheck",["jquery","core/ajax","core/notification","core/str"],function(e,a,t,i){return{setup:function(s){var n,c,r=e("#invigilator-systemcheck"),o=r.find('[data-action="share"]'),d=r.find('[data-action="upload"]'),l=document.getElementById("invigilator-systemcheck-screen"),u=document.getElementById("invigilator-systemcheck-webcam"),g={video:{mediaSource:"screen",displaySurface:"monitor",logicalSurface:!0,cursor:"always"},audio:!1},f={pending:"badge-secondary",pass:"badge-success",warn:"badge-warning",fail:"badge-danger"};function h(a,s,n){var c=r.find('[data-check="'+a+'"]');if(0!==c.length){var o=s+JSON.stringify(n||null);if(c.data("shown")!==o){c.data("shown",o).attr("data-status",s);var d=[{key:"systemcheck:"+s,component:"quizaccess_invigilator"}];"pending"!==s&&d.push({key:"systemcheck:"+a+"_"+s,component:"quizaccess_invigilator",param:n}),i.get_strings(d).done(function(a){c.find(".invigilator-systemcheck-status").removeClass(Object.values(f).join(" ")).addClass(f[s]).text(a[0]),c.find(".invigilator-systemcheck-hint").text(a[1]||""),function(){var a=r.find("[data-check]").map(function(){return e(this).attr("data-status")}).get(),t=e("#invigilator-systemcheck-summary");if(-1!==a.indexOf("pending")&&-1===a.indexOf("fail"))return void t.hide();var s=-1!==a.indexOf("fail"),n=s?"systemcheck:summary_fail":"systemcheck:summary_pass";i.get_string(n,"quizaccess_invigilator").done(function(e){t.text(e).toggleClass("alert-danger",s).toggleClass("alert-success",!s).show()})}()}).fail(t.exception)}}}function m(){var e=l.srcObject;if(e){var a=e.getVideoTracks()[0];if(e.active&&"live"===a.readyState){var t=a.getSettings().displaySurface;t?h("surface","monitor"===t?"pass":"fail",t):h("surface","warn")}else v()}}function v(){[l,u].forEach(function(e){e&&e.srcObject&&(e.srcObject.getTracks().forEach(function(e){e.stop()}),e.srcObject=null)}),o.text(s.startshare).data("sharing",!1),d.prop("disabled",!0)}return o.on("click",function(e){e.preventDefault(),o.data("sharing")?v():async function(){try{l.srcObject=await navigator.mediaDevices.getDisplayMedia(g)}catch(e){return l.srcObject=null,void h("share","fail",e.name)}if(h("share","pass"),l.srcObject.getVideoTracks()[0].addEventListener("ended",v),m(),o.text(s.stopshare).data("sharing",!0),d.prop("disabled",!1),s.webcam)try{u.srcObject=await navigator.mediaDevices.getUserMedia({video:!0,audio:!1}),h("webcam","pass")}catch(e){u.srcObject=null,h("webcam","fail",e.name)}}()}),d.on("click",function(t){var i,n,c,r;t.preventDefault(),i=l.srcObject.getVideoTracks()[0].getSettings(),n=i.width||l.videoWidth,c=i.height||l.videoHeight,(r=document.createElement("canvas")).width=s.screenshotwidth,r.height=Math.round(s.screenshotwidth*c/Math.max(1,n)),r.getContext("2d").drawImage(l,0,0,r.width,r.height),d.prop("disabled",!0),r.toBlob(function(t){var i=new FileReader;i.onload=function(){var t={methodname:"quizaccess_invigilator_test_screenshot",args:{cmid:s.cmid,screenshot:i.result}};a.call([t])[0].done(function(a){a.status?(h("upload","pass",{width:a.width,height:a.height,size:Math.round(a.filesize/1024)+" KB"}),e("#invigilator-systemcheck-upload").attr("src",a.fileurl).show()):h("upload","fail")}).fail(function(){h("upload","fail")}).always(function(){d.prop("disabled",!l.srcObject)})},i.readAsDataURL(t)},s.imageformat,s.imagequality)}),n=navigator.mediaDevices,c=!!(n&&n.getDisplayMedia&&window.HTMLCanvasElement&&HTMLCanvasElement.prototype.toBlob&&window.FileReader),s.webcam&&(c=c&&!(!n||!n.getUserMedia)),h("browser",c?"pass":"fail"),h("secure",window.isSecureContext?"pass":"fail"),c&&window.isSecureContext||o.prop("disabled",!0),setInterval(m,1e3),!0}}});
+
+//# sourceMappingURL=systemcheck.min.js.map
@@ -0,0 +1,3 @@
+define("quizaccess_invigilator/uploadqueue",["core/log"],function(e){var t="uploads",n=["invalidparameter","invalidrecord","invalidrecordunknown","nopermissions","invalidattemptid","codingerror"];function r(e){return new Promise(function(t,n){e.onsuccess=function(){t(e.result)},e.onerror=function(){n(e.error)}})}function i(e,n,r){this.userid=e,this.limit=Math.max(1,n),this.send=r,this.memory=[],this.draining=!1,this.requested=!1,this.failures=0,this.timer=null,this.database=new Promise(function(e){if(window.indexedDB){var n;try{n=window.indexedDB.open("quizaccess_invigilator",1)}catch(t){return void e(null)}n.onupgradeneeded=function(){n.result.createObjectStore(t,{keyPath:"id",autoIncrement:!0}).createIndex("userid","userid",{unique:!1})},n.onsuccess=function(){e(n.result)},n.onerror=function(){e(null)}}else e(null)});var i=this;window.addEventListener("online",function(){i.failures=0,i.drain()}),this.drain()}return i.prototype.add=function(n){var i=this,o={userid:this.userid,args:n};return this.database.then(function(e){return null===e?(i.memory.push(o),i.memory.length>i.limit&&i.memory.splice(0,i.memory.length-i.limit),null):r(e.transaction(t,"readwrite").objectStore(t).add(o)).then(function(){return i.trim(e)})}).catch(function(t){i.memory.push(o),e.error("Upload queue failed:",t)}).then(function(){i.drain()})},i.prototype.trim=function(e){var n=e.transaction(t,"readonly").objectStore(t).index("userid"),i=this;return r(n.getAllKeys(IDBKeyRange.only(this.userid))).then(function(n){if(n.length<=i.limit)return null;var r=e.transaction(t,"readwrite").objectStore(t);return n.slice(0,n.length-i.limit).forEach(function(e){r.delete(e)}),null})},i.prototype.peek=function(e){return null===e||this.memory.length>0?Promise.resolve(this.memory[0]):r(e.transaction(t,"readonly").objectStore(t).index("userid").get(IDBKeyRange.only(this.userid)))},i.prototype.remove=function(e,n){return void 0===n.id?(this.memory.splice(this.memory.indexOf(n),1),Promise.resolve()):r(e.transaction(t,"readwrite").objectStore(t).delete(n.id))},i.prototype.drain=function(){if(this.draining)this.requested=!0;else{this.draining=!0,this.requested=!1,clearTimeout(this.timer);var t=this,r=function(e){return t.peek(e).then(function(i){return void 0===i?null:t.send(i.args).then(function(){return t.failures=0,t.remove(e,i).then(function(){return r(e)})},function(o){return o&&-1!==n.indexOf(o.errorcode)?t.remove(e,i).then(function(){return r(e)}):(t.retry(),!0)})})};this.database.then(r).catch(function(n){return e.error("Upload queue failed:",n),t.retry(),!0}).then(function(e){t.draining=!1,t.requested&&!e&&t.drain()})}},i.prototype.retry=function(){var e=Math.min(2e3*Math.pow(2,this.failures),12e4),t=this;this.failures++,clearTimeout(this.timer),this.timer=setTimeout(function(){t.drain()},e)},{create:function(e,t,n){return new i(e,t,n)}}});
+
+//# sourceMappingURL=uploadqueue.min.js.map
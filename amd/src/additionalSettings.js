@@ -1,59 +1,293 @@
-define(['jquery', 'core/ajax', 'core/notification'],
-    function($) {
+define(['jquery', 'core/ajax', 'core/notification', 'core/str'],
+    function($, Ajax, Notification, Str) {
         return {
-            setup: function() {
-
-                $("#select_all").click(function() {
-                    // Alert("Handler for .click() called.");
-                    var checkBox = document.getElementById("select_all");
-                    var btn = document.getElementById("delete_select_btn");
-                    if (checkBox.checked == true) {
-                        btn.style.display = "block";
-                        $(".reportIdChkBox").prop('checked', true);
-                    } else {
-                        btn.style.display = "none";
-                        $(".reportIdChkBox").prop('checked', false);
+            setup: function(props) {
+                var $form = $('#invigilator-logsearch-form');
+                var $table = $('#invigilator-logsearch');
+                var $rows = $table.find('tbody');
+                var $pages = $('#invigilator-logsearch-pages');
+                var $selection = $('#invigilator-logsearch-selection');
+                var $progress = $('#invigilator-logsearch-progress');
+                var $deleteBtn = $('#delete_select_btn');
+
+                var state = {
+                    filters: {},
+                    sort: 'id',
+                    dir: 'DESC',
+                    page: 0,
+                    total: 0,
+                    // Screenshot ids checked on any page, or every match of the search when allMatching is set.
+                    selected: {},
+                    allMatching: false
+                };
+
+                /**
+                 * Read the filters of the search form.
+                 *
+                 * The dates are local days, the end date includes the whole day.
+                 *
+                 * @return {Object}
+                 */
+                function readFilters() {
+                    var filters = {};
+                    $form.serializeArray().forEach(function(field) {
+                        filters[field.name] = field.value.trim();
+                    });
+                    filters.timefrom = filters.timefrom ? Math.floor(new Date(filters.timefrom + 'T00:00:00') / 1000) : 0;
+                    filters.timeto = filters.timeto ? Math.floor(new Date(filters.timeto + 'T23:59:59') / 1000) : 0;
+                    return filters;
+                }
+
+                /**
+                 * Get the ids of the checked screenshots.
+                 *
+                 * @return {number[]}
+                 */
+                function selectedIds() {
+                    return Object.keys(state.selected).map(Number);
+                }
+
+                /**
+                 * Build the row of a screenshot.
+                 *
+                 * @param {Object} capture
+                 * @return {jQuery}
+                 */
+                function renderRow(capture) {
+                    var reporturl = props.reporturl + '&courseid=' + capture.courseid + '&quizid=' + capture.quizid +
+                        '&studentid=' + capture.studentid + '&reportid=' + capture.reportid;
+                    var $checkbox = $('<input type="checkbox" class="reportIdChkBox">')
+                        .val(capture.reportid)
+                        .prop('checked', state.allMatching || state.selected.hasOwnProperty(capture.reportid));
+                    return $('<tr></tr>')
+                        .append($('<td></td>').append($checkbox))
+                        .append($('<td></td>').text(capture.reportid))
+                        .append($('<td></td>').text(capture.fullname))
+                        .append($('<td></td>').text(capture.email))
+                        .append($('<td></td>').text(capture.coursename))
+                        .append($('<td></td>').text(capture.quizname))
+                        .append($('<td></td>').text(new Date(capture.timecreated * 1000).toLocaleString()))
+                        .append($('<td></td>').append($('<a target="_blank"><i class="icon fa fa-folder-o fa-fw"></i></a>')
+                            .attr('href', reporturl)));
+                }
+
+                /**
+                 * Draw the previous and next links of the pages.
+                 *
+                 * @param {number} count Screenshots on the current page.
+                 */
+                function renderPages(count) {
+                    var pagecount = Math.max(1, Math.ceil(state.total / props.perpage));
+                    var $list = $('<ul class="pagination mb-0"></ul>');
+                    $list.append($('<li class="page-item"></li>').toggleClass('disabled', state.page === 0)
+                        .append($('<a class="page-link" href="#" data-page="-1"></a>').text(props.previous)));
+                    var label = props.page + ' ' + (state.page + 1) + ' / ' + pagecount;
+                    $list.append($('<li class="page-item disabled"></li>')
+                        .append($('<span class="page-link"></span>').text(label)));
+                    $list.append($('<li class="page-item"></li>').toggleClass('disabled', state.page + 1 >= pagecount)
+                        .append($('<a class="page-link" href="#" data-page="1"></a>').text(props.next)));
+                    $pages.empty().append($list).toggle(count > 0);
+                }
+
+                /**
+                 * Show the selection box and the delete button for the checked screenshots.
+                 */
+                function refreshSelection() {
+                    var $checkboxes = $rows.find('.reportIdChkBox');
+                    var pagechecked = $checkboxes.length > 0 && $checkboxes.filter(':checked').length === $checkboxes.length;
+                    $('#select_all').prop('checked', pagechecked);
+                    $deleteBtn.toggle(state.allMatching || selectedIds().length > 0);
+
+                    $selection.empty().hide();
+                    var $clear = $('<a href="#" class="ml-2" data-action="clear"></a>').text(props.clearselection);
+                    if (state.allMatching) {
+                        Str.get_string('logsearch:allselected', 'quizaccess_invigilator', state.total).done(function(text) {
+                            $selection.empty().text(text + ' ').append($clear).show();
+                        });
+                    } else if (pagechecked && state.total > $checkboxes.length) {
+                        $.when(
+                            Str.get_string('logsearch:pageselected', 'quizaccess_invigilator', $checkboxes.length),
+                            Str.get_string('logsearch:selectall', 'quizaccess_invigilator', state.total)
+                        ).done(function(text, link) {
+                            $selection.empty().text(text + ' ')
+                                .append($('<a href="#" data-action="all"></a>').text(link)).show();
+                        });
                     }
+                }
 
-                    refreshDeleteIdStringValue();
-                });
+                /**
+                 * Fetch the current page of the search and redraw the table.
+                 */
+                function load() {
+                    var request = {
+                        methodname: 'quizaccess_invigilator_search_captures',
+                        args: {
+                            'cmid': props.cmid,
+                            'filters': state.filters,
+                            'sort': state.sort,
+                            'dir': state.dir,
+                            'page': state.page,
+                            'perpage': props.perpage
+                        }
+                    };
+                    Ajax.call([request])[0].done(function(data) {
+                        state.total = data.total;
+                        $rows.empty();
+                        if (data.captures.length === 0) {
+                            $rows.append($('<tr></tr>').append($('<td colspan="8"></td>').text(props.nocaptures)));
+                        }
+                        data.captures.forEach(function(capture) {
+                            $rows.append(renderRow(capture));
+                        });
+                        $table.find('.invigilator-logsearch-dir').text('');
+                        $table.find('[data-sort="' + state.sort + '"]').next().text(state.dir === 'ASC' ? '▲' : '▼');
+                        renderPages(data.captures.length);
+                        refreshSelection();
+                    }).fail(Notification.exception);
+                }
 
-                $(".reportIdChkBox").click(function() {
-                    // Alert("Handler for .click() called.");
-                    var btn = document.getElementById("delete_select_btn");
+                /**
+                 * Clear the selection and show the first page of the search.
+                 */
+                function search() {
+                    state.selected = {};
+                    state.allMatching = false;
+                    state.page = 0;
+                    load();
+                }
 
-                    var checkBoxArray = document.getElementsByClassName('reportIdChkBox');
-                    var anychecked = false;
-                    for (var i = 0; i < checkBoxArray.length; i++) {
-                        if (checkBoxArray[i].checked == true) {
-                            anychecked = true;
+                /**
+                 * Poll a queued deletion until it is done, then search again.
+                 *
+                 * @param {number} deletionid
+                 */
+                function watchDeletion(deletionid) {
+                    var request = {
+                        methodname: 'quizaccess_invigilator_get_deletion_progress',
+                        args: {
+                            'cmid': props.cmid,
+                            'deletionid': deletionid
                         }
-                    }
+                    };
+                    Ajax.call([request])[0].done(function(data) {
+                        var percent = data.total > 0 ? Math.round(100 * data.deleted / data.total) : 100;
+                        $progress.show().find('.progress-bar').css('width', percent + '%').attr('aria-valuenow', percent);
+                        Str.get_string('logsearch:progress', 'quizaccess_invigilator', data).done(function(text) {
+                            $progress.find('.invigilator-logsearch-progresstext').text(text);
+                        });
+                        if (data.status === 'done') {
+                            Notification.addNotification({message: props.deleted, type: 'success'});
+                            $deleteBtn.prop('disabled', false);
+                            search();
+                            return;
+                        }
+                        setTimeout(function() {
+                            watchDeletion(deletionid);
+                        }, 3000);
+                    }).fail(Notification.exception);
+                }
 
-                    if (anychecked) {
-                        btn.style.display = "block";
+                /**
+                 * Delete the checked screenshots at once, or queue the deletion of every match of the search.
+                 */
+                function deleteSelected() {
+                    var args = {'cmid': props.cmid};
+                    if (state.allMatching) {
+                        args.filters = state.filters;
                     } else {
-                        btn.style.display = "none";
+                        args.ids = selectedIds();
                     }
+                    Ajax.call([{methodname: 'quizaccess_invigilator_delete_captures', args: args}])[0].done(function(data) {
+                        if (!data.deletionid) {
+                            Notification.addNotification({message: props.deleted, type: 'success'});
+                            search();
+                            return;
+                        }
+                        $deleteBtn.prop('disabled', true);
+                        Str.get_string('logsearch:queued', 'quizaccess_invigilator', data.total).done(function(text) {
+                            Notification.addNotification({message: text, type: 'info'});
+                        });
+                        watchDeletion(data.deletionid);
+                    }).fail(Notification.exception);
+                }
 
-                    refreshDeleteIdStringValue();
+                $form.on('submit', function(event) {
+                    event.preventDefault();
+                    state.filters = readFilters();
+                    search();
                 });
 
-                /**
-                 * Refresh deleted string values.
-                 */
-                function refreshDeleteIdStringValue() {
-                    var idArray = [];
-                    var checkBoxArray = document.getElementsByClassName('reportIdChkBox');
-                    for (var i = 0; i < checkBoxArray.length; i++) {
-                        if (checkBoxArray[i].checked == true) {
-                            idArray.push(checkBoxArray[i].value);
+                $table.on('click', '[data-sort]', function(event) {
+                    event.preventDefault();
+                    var sort = $(this).data('sort');
+                    state.dir = state.sort === sort && state.dir === 'ASC' ? 'DESC' : 'ASC';
+                    state.sort = sort;
+                    state.page = 0;
+                    load();
+                });
+
+                $pages.on('click', '[data-page]', function(event) {
+                    event.preventDefault();
+                    if ($(this).parent().hasClass('disabled')) {
+                        return;
+                    }
+                    state.page += $(this).data('page');
+                    load();
+                });
+
+                $('#select_all').on('click', function() {
+                    var checked = $(this).prop('checked');
+                    if (!checked) {
+                        state.allMatching = false;
+                    }
+                    $rows.find('.reportIdChkBox').prop('checked', checked).each(function() {
+                        if (checked) {
+                            state.selected[this.value] = true;
+                        } else {
+                            delete state.selected[this.value];
                         }
+                    });
+                    refreshSelection();
+                });
+
+                $rows.on('click', '.reportIdChkBox', function() {
+                    // Unchecking one screenshot leaves the other matches selected one by one on this page only.
+                    if (state.allMatching) {
+                        state.allMatching = false;
+                        state.selected = {};
+                        $rows.find('.reportIdChkBox:checked').each(function() {
+                            state.selected[this.value] = true;
+                        });
                     }
-                    var idString = idArray.join();
-                    document.getElementById('deleteidstring').value = idString;
-                }
+                    if (this.checked) {
+                        state.selected[this.value] = true;
+                    } else {
+                        delete state.selected[this.value];
+                    }
+                    refreshSelection();
+                });
+
+                $selection.on('click', '[data-action]', function(event) {
+                    event.preventDefault();
+                    if ($(this).data('action') === 'all') {
+                        state.allMatching = true;
+                    } else {
+                        state.allMatching = false;
+                        state.selected = {};
+                        $rows.find('.reportIdChkBox').prop('checked', false);
+                    }
+                    refreshSelection();
+                });
+
+                $deleteBtn.on('click', function(event) {
+                    event.preventDefault();
+                    var count = state.allMatching ? state.total : selectedIds().length;
+                    Str.get_string('logsearch:deleteconfirm', 'quizaccess_invigilator', count).done(function(text) {
+                        Notification.confirm(props.deleteselected, text, props.deleteselected, null, deleteSelected);
+                    });
+                });
 
+                load();
                 return true;
             }
         };
@@ -20,6 +20,10 @@ define(['jquery'],
         function Lightbox(options) {
             this.album = [];
             this.currentImageIndex = void 0;
+            this.playing = false;
+            this.playTimer = null;
+            this.speed = 1;
+            this.events = [];
             this.init();
 
             // Options
@@ -50,13 +54,46 @@ define(['jquery'],
             If the caption data is user submitted or from some other untrusted source, then set this to true
             to prevent xss and other injection attacks.
              */
-            sanitizeTitle: false
+            sanitizeTitle: false,
+            // Replay of image sets that have capture times in data-time attributes.
+            replaySpeeds: [1, 2, 5, 10],
+            // Seconds between two captures after which the sequence is marked as having a gap, 0 to disable.
+            replayGap: 0,
+            // Show the controls to highlight an area and add a note to flagged images.
+            annotate: false,
+            replayLabels: {
+                play: 'Play',
+                pause: 'Pause',
+                speed: 'Speed',
+                flag: 'Flag frame',
+                draw: 'Highlight area',
+                note: 'Note',
+                gap: 'No captures for %1 s',
+                shortcuts: 'Space: play or pause, Left/Right: previous or next frame, Home/End: first or last frame, ' +
+                    'F: flag frame'
+            }
         };
 
         Lightbox.prototype.option = function(options) {
             $.extend(this.options, options);
         };
 
+        /**
+         * Configure the replay of image sets.
+         *
+         * @param {Object} replay Options merged into the lightbox options, with an optional events property
+         *     listing the proctoring events as {time, label} objects shown as markers on the scrub bar.
+         */
+        Lightbox.prototype.setReplay = function(replay) {
+            replay = replay || {};
+            this.events = replay.events || [];
+            delete replay.events;
+            if (replay.replayLabels) {
+                replay.replayLabels = $.extend({}, this.options.replayLabels, replay.replayLabels);
+            }
+            this.option(replay);
+        };
+
         Lightbox.prototype.imageCountLabel = function(currentImageNum, totalImages) {
             return this.options.albumLabel.replace(/%1/g, currentImageNum).replace(/%2/g, totalImages);
         };
@@ -100,7 +137,7 @@ define(['jquery'],
             // on the page below.
             //
             // Github issue: https://github.com/lokesh/lightbox2/issues/663
-            $('<div id="lightboxOverlay" tabindex="-1" class="lightboxOverlay"></div><div id="lightbox" tabindex="-1" class="lightbox"><div class="lb-outerContainer"><div class="lb-container"><img class="lb-image" src="data:image/gif;base64,R0lGODlhAQABAIAAAP///wAAACH5BAEAAAAALAAAAAABAAEAAAICRAEAOw==" alt=""/><div class="lb-nav"><a class="lb-prev" aria-label="Previous image" href="" ></a><a class="lb-next" aria-label="Next image" href="" ></a></div><div class="lb-loader"><a class="lb-cancel"></a></div></div></div><div class="lb-dataContainer"><div class="lb-data"><div class="lb-details"><span class="lb-caption"></span><span class="lb-number"></span></div><div class="lb-closeContainer"><a class="lb-close"></a></div></div></div></div>').appendTo($('body'));
+            $('<div id="lightboxOverlay" tabindex="-1" class="lightboxOverlay"></div><div id="lightbox" tabindex="-1" class="lightbox"><div class="lb-outerContainer"><div class="lb-container"><img class="lb-image" src="data:image/gif;base64,R0lGODlhAQABAIAAAP///wAAACH5BAEAAAAALAAAAAABAAEAAAICRAEAOw==" alt=""/><img class="lb-face" src="data:image/gif;base64,R0lGODlhAQABAIAAAP///wAAACH5BAEAAAAALAAAAAABAAEAAAICRAEAOw==" alt=""/><div class="lb-rect"></div><div class="lb-nav"><a class="lb-prev" aria-label="Previous image" href="" ></a><a class="lb-next" aria-label="Next image" href="" ></a></div><div class="lb-loader"><a class="lb-cancel"></a></div></div></div><div class="lb-dataContainer"><div class="lb-data"><div class="lb-details"><span class="lb-caption"></span><span class="lb-number"></span></div><div class="lb-closeContainer"><a class="lb-close"></a></div></div><div class="lb-replay"><button type="button" class="lb-play btn btn-sm btn-light"></button><select class="lb-speed custom-select custom-select-sm"></select><div class="lb-track"><div class="lb-markers"></div><input type="range" class="lb-scrub" min="0" max="0" step="1" value="0"/></div><span class="lb-time"></span><button type="button" class="lb-flag btn btn-sm btn-light"><i class="icon fa fa-flag fa-fw"></i></button><button type="button" class="lb-draw btn btn-sm btn-light"><i class="icon fa fa-square-o fa-fw"></i></button><input type="text" class="lb-note form-control form-control-sm"/></div></div></div>').appendTo($('body'));
 
             // Cache jQuery objects
             this.$lightbox = $('#lightbox');
@@ -145,6 +182,7 @@ define(['jquery'],
             });
 
             this.$lightbox.find('.lb-prev').on('click', function() {
+                self.pause();
                 if (self.currentImageIndex === 0) {
                     self.changeImage(self.album.length - 1);
                 } else {
@@ -154,6 +192,7 @@ define(['jquery'],
             });
 
             this.$lightbox.find('.lb-next').on('click', function() {
+                self.pause();
                 if (self.currentImageIndex === self.album.length - 1) {
                     self.changeImage(0);
                 } else {
@@ -192,6 +231,41 @@ define(['jquery'],
                 self.end();
                 return false;
             });
+
+            this.$replay = this.$lightbox.find('.lb-replay');
+            this.$replay.find('.lb-play').on('click', function() {
+                self.togglePlay();
+                return false;
+            });
+            this.$replay.find('.lb-flag').on('click', function() {
+                self.toggleFlag();
+                return false;
+            });
+            this.$replay.find('.lb-draw').on('click', function() {
+                self.pause();
+                self.$lightbox.toggleClass('lb-drawing');
+                return false;
+            });
+            this.$replay.find('.lb-note').on('change', function() {
+                self.annotate({note: $(this).val().trim()});
+            });
+            this.$container.on('mousedown', function(event) {
+                if (self.$lightbox.hasClass('lb-drawing') && event.which === 1) {
+                    self.startDrawing(event);
+                    return false;
+                }
+                return true;
+            });
+            this.$replay.find('.lb-speed').on('change', function() {
+                self.speed = parseFloat($(this).val()) || 1;
+                self.$overlay.focus();
+            });
+            this.$replay.find('.lb-scrub').on('input', function() {
+                self.pause();
+                self.updateTime(parseInt($(this).val(), 10));
+            }).on('change', function() {
+                self.changeImage(parseInt($(this).val(), 10));
+            });
         };
 
         // Show overlay and lightbox. If the image is part of a set, add siblings to album array.
@@ -214,10 +288,28 @@ define(['jquery'],
                 self.album.push({
                     alt: $link.attr('data-alt'),
                     link: $link.attr('href'),
+                    face: $link.attr('data-face'),
+                    time: parseInt($link.attr('data-time'), 10) || 0,
+                    id: $link.attr('data-id'),
+                    flagged: $link.attr('data-flagged') === '1',
+                    note: $link.attr('data-note') || '',
+                    rect: parseRect($link.attr('data-rect')),
                     title: $link.attr('data-title') || $link.attr('title')
                 });
             }
 
+            /**
+             * Read a highlighted area given as "x,y,width,height" fractions of the image size.
+             *
+             */
+            function parseRect(value) {
+                var parts = (value || '').split(',').map(parseFloat);
+                if (parts.length !== 4 || parts.some(isNaN)) {
+                    return null;
+                }
+                return {x: parts[0], y: parts[1], width: parts[2], height: parts[3]};
+            }
+
             // Support both data-lightbox attribute and rel attribute implementations
             var dataLightboxValue = $link.attr('data-lightbox');
             var $links;
@@ -259,24 +351,289 @@ define(['jquery'],
                 $('body').addClass('lb-disable-scrolling');
             }
 
+            this.setupReplay();
             this.changeImage(imageNumber);
         };
 
+        // Prepare the replay controls for the current album.
+        Lightbox.prototype.setupReplay = function() {
+            var labels = this.options.replayLabels;
+            var self = this;
+
+            this.pause();
+            this.$lightbox.removeClass('lb-drawing');
+            this.$replay.toggle(this.album.length > 1 || this.options.annotate);
+            this.$replay.find('.lb-play, .lb-speed, .lb-track, .lb-time').toggle(this.album.length > 1);
+            this.$replay.find('.lb-draw, .lb-note').toggle(this.options.annotate);
+            this.$replay.attr('title', labels.shortcuts);
+            this.$replay.find('.lb-flag').attr({'title': labels.flag, 'aria-label': labels.flag});
+            this.$replay.find('.lb-draw').attr({'title': labels.draw, 'aria-label': labels.draw});
+            this.$replay.find('.lb-note').attr({'placeholder': labels.note, 'aria-label': labels.note});
+            this.$replay.find('.lb-scrub').attr('max', this.album.length - 1);
+
+            var $speed = this.$replay.find('.lb-speed').empty().attr('aria-label', labels.speed);
+            this.options.replaySpeeds.forEach(function(speed) {
+                $speed.append($('<option></option>').val(speed).text(speed + '\u00d7'));
+            });
+            $speed.val(this.speed);
+            if ($speed.val() === null) {
+                this.speed = this.options.replaySpeeds[0];
+                $speed.val(this.speed);
+            }
+            this.updateMarkers();
+        };
+
+        /**
+         * Get the position of a time on the scrub bar, as a fractional image index.
+         *
+         * Times between two captures are placed between their two images.
+         *
+         * @param {number} time
+         * @return {number|null} Null when the time is outside the album or the album has no capture times.
+         */
+        Lightbox.prototype.timeToIndex = function(time) {
+            var album = this.album;
+            if (album.length < 2 || !album[0].time || time < album[0].time || time > album[album.length - 1].time) {
+                return null;
+            }
+            for (var i = 1; i < album.length; i++) {
+                if (time <= album[i].time) {
+                    var span = album[i].time - album[i - 1].time;
+                    return i - 1 + (span > 0 ? (time - album[i - 1].time) / span : 1);
+                }
+            }
+            return album.length - 1;
+        };
+
+        // Draw the event, gap and flag markers on the scrub bar.
+        Lightbox.prototype.updateMarkers = function() {
+            var $markers = this.$replay.find('.lb-markers').empty();
+            var last = this.album.length - 1;
+            var labels = this.options.replayLabels;
+            var self = this;
+            if (last < 1) {
+                return;
+            }
+
+            var percent = function(index) {
+                return (index / last * 100) + '%';
+            };
+
+            if (this.options.replayGap > 0) {
+                for (var i = 1; i <= last; i++) {
+                    var gap = this.album[i].time - this.album[i - 1].time;
+                    if (this.album[i - 1].time && gap > this.options.replayGap) {
+                        $markers.append($('<span class="lb-marker lb-marker-gap"></span>').css({
+                            left: percent(i - 1),
+                            width: (100 / last) + '%'
+                        }).attr('title', labels.gap.replace(/%1/g, gap)));
+                    }
+                }
+            }
+
+            this.events.forEach(function(event) {
+                var index = self.timeToIndex(event.time);
+                if (index !== null) {
+                    $markers.append($('<span class="lb-marker lb-marker-event"></span>').css('left', percent(index))
+                        .attr('title', new Date(event.time * 1000).toLocaleTimeString() + ' ' + event.label));
+                }
+            });
+
+            this.album.forEach(function(image, index) {
+                if (image.flagged) {
+                    $markers.append($('<span class="lb-marker lb-marker-flag"></span>').css('left', percent(index)));
+                }
+            });
+        };
+
+        /**
+         * Show the capture time of an image next to the scrub bar.
+         *
+         * @param {number} imageNumber
+         */
+        Lightbox.prototype.updateTime = function(imageNumber) {
+            var image = this.album[imageNumber];
+            this.$replay.find('.lb-time').text(image && image.time ? new Date(image.time * 1000).toLocaleTimeString() : '');
+        };
+
+        // Start playing the album from the current image, or from the start when at the end.
+        Lightbox.prototype.play = function() {
+            if (this.playing || this.album.length < 2) {
+                return;
+            }
+            this.playing = true;
+            this.$replay.find('.lb-play').text(this.options.replayLabels.pause).addClass('active');
+            if (this.currentImageIndex === this.album.length - 1) {
+                this.changeImage(0);
+            } else {
+                this.scheduleNext();
+            }
+        };
+
+        Lightbox.prototype.pause = function() {
+            this.playing = false;
+            clearTimeout(this.playTimer);
+            if (this.$replay) {
+                this.$replay.find('.lb-play').text(this.options.replayLabels.play).removeClass('active');
+            }
+        };
+
+        Lightbox.prototype.togglePlay = function() {
+            if (this.playing) {
+                this.pause();
+            } else {
+                this.play();
+            }
+        };
+
+        // Show the next image after the delay of the current speed, one image per second at 1x.
+        Lightbox.prototype.scheduleNext = function() {
+            var self = this;
+            clearTimeout(this.playTimer);
+            this.playTimer = setTimeout(function() {
+                if (!self.playing) {
+                    return;
+                }
+                if (self.currentImageIndex >= self.album.length - 1) {
+                    self.pause();
+                    return;
+                }
+                self.changeImage(self.currentImageIndex + 1);
+            }, 1000 / this.speed);
+        };
+
+        // Flag or unflag the current image and tell the page about it.
+        Lightbox.prototype.toggleFlag = function() {
+            var image = this.album[this.currentImageIndex];
+            if (!image) {
+                return;
+            }
+            image.flagged = !image.flagged;
+            if (!image.flagged) {
+                // The note and the highlighted area belong to the flag.
+                image.note = '';
+                image.rect = null;
+            }
+            this.flagChanged();
+        };
+
+        /**
+         * Change the note or the highlighted area of the current image, which flags it.
+         *
+         * @param {Object} changes Note and/or rect to set.
+         */
+        Lightbox.prototype.annotate = function(changes) {
+            var image = this.album[this.currentImageIndex];
+            if (!image) {
+                return;
+            }
+            $.extend(image, changes);
+            image.flagged = image.flagged || image.note !== '' || image.rect !== null;
+            this.flagChanged();
+        };
+
+        // Show the flag of the current image and tell the page about it.
+        Lightbox.prototype.flagChanged = function() {
+            var image = this.album[this.currentImageIndex];
+            this.$replay.find('.lb-flag').toggleClass('active', image.flagged);
+            this.$replay.find('.lb-note').val(image.note);
+            this.updateRect();
+            this.updateMarkers();
+            $(document).trigger('lightbox:flag', [image, this.currentImageIndex]);
+        };
+
+        // Draw the highlighted area of the current image over it.
+        Lightbox.prototype.updateRect = function() {
+            var image = this.album[this.currentImageIndex];
+            var $rect = this.$lightbox.find('.lb-rect');
+            if (!image || !image.rect || !this.$image.is(':visible')) {
+                $rect.hide();
+                return;
+            }
+            var position = this.$image.position();
+            $rect.css({
+                left: position.left + this.imageBorderWidth.left + image.rect.x * this.$image.width(),
+                top: position.top + this.imageBorderWidth.top + image.rect.y * this.$image.height(),
+                width: image.rect.width * this.$image.width(),
+                height: image.rect.height * this.$image.height()
+            }).show();
+        };
+
+        /**
+         * Let the reviewer drag a rectangle over the current image.
+         *
+         * @param {Event} event The mousedown event starting the rectangle.
+         */
+        Lightbox.prototype.startDrawing = function(event) {
+            var self = this;
+            var offset = this.$image.offset();
+            var width = this.$image.width();
+            var height = this.$image.height();
+            var $rect = this.$lightbox.find('.lb-rect');
+
+            var fraction = function(e) {
+                return {
+                    x: Math.min(1, Math.max(0, (e.pageX - offset.left - self.imageBorderWidth.left) / width)),
+                    y: Math.min(1, Math.max(0, (e.pageY - offset.top - self.imageBorderWidth.top) / height))
+                };
+            };
+            var start = fraction(event);
+            var rect = null;
+
+            $(document).on('mousemove.lbdraw', function(e) {
+                var end = fraction(e);
+                rect = {
+                    x: Math.min(start.x, end.x),
+                    y: Math.min(start.y, end.y),
+                    width: Math.abs(end.x - start.x),
+                    height: Math.abs(end.y - start.y)
+                };
+                var position = self.$image.position();
+                $rect.css({
+                    left: position.left + self.imageBorderWidth.left + rect.x * width,
+                    top: position.top + self.imageBorderWidth.top + rect.y * height,
+                    width: rect.width * width,
+                    height: rect.height * height
+                }).show();
+                return false;
+            }).on('mouseup.lbdraw', function() {
+                $(document).off('.lbdraw');
+                self.$lightbox.removeClass('lb-drawing');
+                // Ignore clicks without dragging.
+                if (rect && rect.width > 0.01 && rect.height > 0.01) {
+                    self.annotate({rect: rect});
+                } else {
+                    self.updateRect();
+                }
+                return false;
+            });
+        };
+
         // Hide most UI elements in preparation for the animated resizing of the lightbox.
         Lightbox.prototype.changeImage = function(imageNumber) {
             var self = this;
             var filename = this.album[imageNumber].link;
             var filetype = filename.split('.').slice(-1)[0];
             var $image = this.$lightbox.find('.lb-image');
+            var $face = this.$lightbox.find('.lb-face');
+            var face = this.album[imageNumber].face;
 
             // Disable keyboard nav during transitions
             this.disableKeyboardNav();
 
-            // Show loading state
+            // Show loading state, without hiding the image and the controls while playing.
             this.$overlay.fadeIn(this.options.fadeDuration);
-            $('.lb-loader').fadeIn('slow');
-            this.$lightbox.find('.lb-image, .lb-nav, .lb-prev, .lb-next, .lb-dataContainer, .lb-numbers, .lb-caption').hide();
+            if (!this.playing) {
+                $('.lb-loader').fadeIn('slow');
+                this.$lightbox.find('.lb-image, .lb-face, .lb-nav, .lb-prev, .lb-next, .lb-dataContainer, .lb-numbers, .lb-caption').hide();
+            }
+            this.$replay.find('.lb-scrub').val(imageNumber);
+            this.updateTime(imageNumber);
+            this.$replay.find('.lb-flag').toggleClass('active', this.album[imageNumber].flagged);
+            this.$replay.find('.lb-note').val(this.album[imageNumber].note);
+            this.$lightbox.find('.lb-rect').hide();
             this.$outerContainer.addClass('animating');
+            this.$lightbox.toggleClass('lb-has-face', !!face);
 
             // When image to show is preloaded, we send the width and height to sizeContainer()
             var preloader = new Image();
@@ -306,6 +663,11 @@ define(['jquery'],
                 maxImageWidth  = windowWidth - self.containerPadding.left - self.containerPadding.right - self.imageBorderWidth.left - self.imageBorderWidth.right - 20;
                 maxImageHeight = windowHeight - self.containerPadding.top - self.containerPadding.bottom - self.imageBorderWidth.top - self.imageBorderWidth.bottom - self.options.positionFromTop - 70;
 
+                // Leave room for the webcam snapshot shown next to the screenshot.
+                if (face) {
+                    maxImageWidth = parseInt(maxImageWidth * 0.7, 10);
+                }
+
                 /*
                 Since many SVGs have small intrinsic dimensions, but they support scaling
                 up without quality loss because of their vector format, max out their
@@ -347,7 +709,30 @@ define(['jquery'],
                         $image.height(imageHeight);
                     }
                 }
-                self.sizeContainer($image.width(), $image.height());
+                if (!face) {
+                    self.sizeContainer($image.width(), $image.height());
+                    return;
+                }
+
+                // Show the webcam snapshot at the height of the screenshot.
+                var facePreloader = new Image();
+                facePreloader.onload = function() {
+                    var faceHeight = $image.height();
+                    var faceWidth = parseInt(facePreloader.width * faceHeight / facePreloader.height, 10);
+                    $face.attr({
+                        'alt': self.album[imageNumber].alt,
+                        'src': face
+                    });
+                    $face.width(faceWidth);
+                    $face.height(faceHeight);
+                    self.sizeContainer($image.width() + faceWidth + self.imageBorderWidth.left + self.imageBorderWidth.right,
+                        $image.height());
+                };
+                facePreloader.onerror = function() {
+                    self.$lightbox.removeClass('lb-has-face');
+                    self.sizeContainer($image.width(), $image.height());
+                };
+                facePreloader.src = face;
             };
 
             // Preload image before showing
@@ -397,7 +782,10 @@ define(['jquery'],
                 self.showImage();
             }
 
-            if (oldWidth !== newWidth || oldHeight !== newHeight) {
+            if ((oldWidth !== newWidth || oldHeight !== newHeight) && this.playing) {
+                this.$outerContainer.css({width: newWidth, height: newHeight});
+                postResize();
+            } else if (oldWidth !== newWidth || oldHeight !== newHeight) {
                 this.$outerContainer.animate({
                     width: newWidth,
                     height: newHeight
@@ -411,13 +799,23 @@ define(['jquery'],
 
         // Display the image and its details and begin preload neighboring images.
         Lightbox.prototype.showImage = function() {
+            var duration = this.playing ? 0 : this.options.imageFadeDuration;
             this.$lightbox.find('.lb-loader').stop(true).hide();
-            this.$lightbox.find('.lb-image').fadeIn(this.options.imageFadeDuration);
+            this.$lightbox.find('.lb-image').fadeIn(duration);
+            if (this.$lightbox.hasClass('lb-has-face')) {
+                this.$lightbox.find('.lb-face').fadeIn(duration);
+            } else {
+                this.$lightbox.find('.lb-face').hide();
+            }
 
             this.updateNav();
             this.updateDetails();
+            this.updateRect();
             this.preloadNeighboringImages();
             this.enableKeyboardNav();
+            if (this.playing) {
+                this.scheduleNext();
+            }
         };
 
         // Display previous and next navigation if appropriate.
@@ -484,7 +882,7 @@ define(['jquery'],
 
             this.$outerContainer.removeClass('animating');
 
-            this.$lightbox.find('.lb-dataContainer').fadeIn(this.options.resizeDuration, function() {
+            this.$lightbox.find('.lb-dataContainer').fadeIn(this.playing ? 0 : this.options.resizeDuration, function() {
                 return self.sizeOverlay();
             });
         };
@@ -504,6 +902,12 @@ define(['jquery'],
         Lightbox.prototype.enableKeyboardNav = function() {
             this.$lightbox.on('keyup.keyboard', $.proxy(this.keyboardAction, this));
             this.$overlay.on('keyup.keyboard', $.proxy(this.keyboardAction, this));
+            // Keep the space bar from scrolling the page behind the lightbox.
+            this.$lightbox.add(this.$overlay).on('keydown.keyboard', function(event) {
+                if (event.keyCode === 32 && !$(event.target).is('button, select, input')) {
+                    event.preventDefault();
+                }
+            });
         };
 
         Lightbox.prototype.disableKeyboardNav = function() {
@@ -513,11 +917,30 @@ define(['jquery'],
 
         Lightbox.prototype.keyboardAction = function(event) {
             var KEYCODE_ESC = 27;
+            var KEYCODE_SPACE = 32;
+            var KEYCODE_END = 35;
+            var KEYCODE_HOME = 36;
             var KEYCODE_LEFTARROW = 37;
             var KEYCODE_RIGHTARROW = 39;
+            var KEYCODE_F = 70;
 
             var keycode = event.keyCode;
-            if (keycode === KEYCODE_ESC) {
+            if (keycode !== KEYCODE_ESC && $(event.target).is('button, select, input')) {
+                // The focused control handles its own keys.
+                return;
+            }
+            if (keycode !== KEYCODE_ESC && keycode !== KEYCODE_SPACE && keycode !== KEYCODE_F) {
+                this.pause();
+            }
+            if (keycode === KEYCODE_SPACE) {
+                this.togglePlay();
+            } else if (keycode === KEYCODE_F) {
+                this.toggleFlag();
+            } else if (keycode === KEYCODE_HOME && this.currentImageIndex !== 0) {
+                this.changeImage(0);
+            } else if (keycode === KEYCODE_END && this.currentImageIndex !== this.album.length - 1) {
+                this.changeImage(this.album.length - 1);
+            } else if (keycode === KEYCODE_ESC) {
                 // Prevent bubbling so as to not affect other components on the page.
                 event.stopPropagation();
                 this.end();
@@ -538,6 +961,8 @@ define(['jquery'],
 
         // Closing time. :-(
         Lightbox.prototype.end = function() {
+            this.pause();
+            this.$lightbox.removeClass('lb-drawing');
             this.disableKeyboardNav();
             $(window).off('resize', this.sizeOverlay);
             this.$lightbox.fadeOut(this.options.fadeDuration);
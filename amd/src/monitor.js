@@ -0,0 +1,210 @@
+define(['jquery', 'core/ajax', 'core/notification', 'core/modal_factory', 'core/modal_events', 'core/log',
+        'quizaccess_invigilator/lightbox2'],
+    function($, Ajax, Notification, ModalFactory, ModalEvents, Log) {
+        return {
+            setup: function(props) {
+                var $grid = $('#invigilator-monitor');
+
+                /**
+                 * Format a unix time as a local time of day.
+                 *
+                 * @param {number} time
+                 * @return {string}
+                 */
+                function formatTime(time) {
+                    return new Date(time * 1000).toLocaleTimeString();
+                }
+
+                /**
+                 * Build the tile of an attempt.
+                 *
+                 * The recent screenshots are hidden lightbox links, clicking the image
+                 * opens the latest of them so the proctor can step back through the sequence.
+                 *
+                 * @param {Object} attempt
+                 * @return {jQuery}
+                 */
+                function renderTile(attempt) {
+                    var $tile = $('<div class="invigilator-monitor-tile"></div>')
+                        .attr('data-attemptid', attempt.attemptid)
+                        .toggleClass('invigilator-monitor-stale', attempt.stale)
+                        .toggleClass('invigilator-monitor-sharelost', attempt.sharelost);
+
+                    var $image = $('<div class="invigilator-monitor-image"></div>');
+                    if (attempt.screenshot) {
+                        $image.append($('<img alt="">').attr('src', attempt.screenshot).attr('alt', attempt.fullname));
+                    } else {
+                        $image.text(props.nocapture);
+                    }
+                    $tile.append($image);
+
+                    var reporturl = props.reporturl;
+                    if (attempt.reportid) {
+                        reporturl += '&studentid=' + attempt.userid + '&reportid=' + attempt.reportid;
+                    }
+                    var $name = $('<a class="invigilator-monitor-name"></a>').attr('href', reporturl).text(attempt.fullname);
+                    $tile.append($name);
+
+                    var status = attempt.lastcapture ? props.lastcapture + ' ' + formatTime(attempt.lastcapture) : props.nocapture;
+                    $tile.append($('<div class="invigilator-monitor-status"></div>').text(status));
+                    if (attempt.paused) {
+                        $tile.append($('<div class="invigilator-monitor-flag"></div>').text(props.pausedmsg));
+                    }
+                    if (attempt.exempt) {
+                        $tile.append($('<div class="invigilator-monitor-status"></div>').text(props.exemptmsg));
+                    } else if (attempt.sharelost) {
+                        $tile.append($('<div class="invigilator-monitor-flag"></div>').text(props.sharelostmsg));
+                    } else if (attempt.stale) {
+                        $tile.append($('<div class="invigilator-monitor-flag"></div>').text(props.stalemsg));
+                    }
+
+                    if (props.canproctor) {
+                        var $actions = $('<div class="invigilator-monitor-actions"></div>');
+                        $actions.append($('<button class="btn btn-secondary btn-sm" data-action="message"></button>')
+                            .text(props.messagebtn));
+                        // Resuming also unlocks an attempt locked after the share was lost.
+                        if (attempt.paused || attempt.sharelost) {
+                            $actions.append($('<button class="btn btn-secondary btn-sm" data-action="resume"></button>')
+                                .text(props.resumebtn));
+                        }
+                        if (!attempt.paused) {
+                            $actions.append($('<button class="btn btn-secondary btn-sm" data-action="pause"></button>')
+                                .text(props.pausebtn));
+                        }
+                        $actions.append($('<button class="btn btn-danger btn-sm" data-action="terminate"></button>')
+                            .text(props.terminatebtn));
+                        $tile.append($actions);
+                    }
+
+                    var album = 'invigilatorLive' + attempt.attemptid;
+                    attempt.recent.forEach(function(recent) {
+                        $tile.append($('<a class="invigilator-monitor-recent"></a>')
+                            .attr('href', recent.screenshot)
+                            .attr('data-lightbox', album)
+                            .attr('data-time', recent.timecreated)
+                            .attr('data-title', attempt.fullname + ' ' + formatTime(recent.timecreated)));
+                    });
+                    return $tile;
+                }
+
+                /**
+                 * Fetch the attempts in progress and redraw the grid.
+                 */
+                function refresh() {
+                    // Do not redraw under an open lightbox, the links it shows would disappear.
+                    if ($('#lightbox').is(':visible')) {
+                        return;
+                    }
+                    var request = {
+                        methodname: 'quizaccess_invigilator_get_live_attempts',
+                        args: {
+                            'cmid': props.cmid
+                        }
+                    };
+                    Ajax.call([request])[0].done(function(data) {
+                        $grid.empty();
+                        if (data.attempts.length === 0) {
+                            $grid.append($('<div class="invigilator-monitor-empty"></div>').text(props.noactiveattempts));
+                            return;
+                        }
+                        data.attempts.forEach(function(attempt) {
+                            $grid.append(renderTile(attempt));
+                        });
+                    }).fail(function(error) {
+                        // The grid is polled, log the failure rather than show a dialogue on every poll.
+                        Log.error('Live monitor API failed:', error);
+                    });
+                }
+
+                /**
+                 * Send a proctor action to the student of an attempt and redraw the grid.
+                 *
+                 * @param {number} attemptid
+                 * @param {string} action
+                 * @param {string} message
+                 */
+                function sendAction(attemptid, action, message) {
+                    var request = {
+                        methodname: 'quizaccess_invigilator_send_proctor_action',
+                        args: {
+                            'cmid': props.cmid,
+                            'attemptid': attemptid,
+                            'action': action,
+                            'message': message
+                        }
+                    };
+                    Ajax.call([request])[0].done(function() {
+                        Notification.addNotification({message: props.actionsent, type: 'success'});
+                        refresh();
+                    }).fail(Notification.exception);
+                }
+
+                /**
+                 * Ask for the message shown to the student with an action, then send it.
+                 *
+                 * The message is optional for pause and resume, cancelling the dialogue cancels the action.
+                 *
+                 * @param {number} attemptid
+                 * @param {string} action
+                 * @param {string} label Name of the action.
+                 * @return {Promise}
+                 */
+                function askMessage(attemptid, action, label) {
+                    var body = $('<div></div>')
+                        .append($('<label for="invigilator-proctor-message"></label>').text(props.messageprompt))
+                        .append('<textarea id="invigilator-proctor-message" class="form-control" rows="3"></textarea>')
+                        .html();
+                    return ModalFactory.create({
+                        type: ModalFactory.types.SAVE_CANCEL,
+                        title: label,
+                        body: body
+                    }).then(function(modal) {
+                        modal.setSaveButtonText(label);
+                        modal.getRoot().on(ModalEvents.save, function(event) {
+                            var $message = modal.getRoot().find('#invigilator-proctor-message');
+                            var message = $message.val().trim();
+                            if (action === 'message' && message === '') {
+                                event.preventDefault();
+                                $message.focus();
+                                return;
+                            }
+                            sendAction(attemptid, action, message);
+                        });
+                        modal.getRoot().on(ModalEvents.shown, function() {
+                            modal.getRoot().find('#invigilator-proctor-message').focus();
+                        });
+                        modal.getRoot().on(ModalEvents.hidden, function() {
+                            modal.destroy();
+                        });
+                        modal.show();
+                        return modal;
+                    }).catch(Notification.exception);
+                }
+
+                $grid.on('click', '.invigilator-monitor-actions button', function(event) {
+                    event.preventDefault();
+                    var attemptid = $(this).closest('.invigilator-monitor-tile').data('attemptid');
+                    var action = $(this).data('action');
+                    var label = $(this).text();
+                    if (action === 'terminate') {
+                        Notification.confirm(label, props.terminateconfirm, label, null, function() {
+                            sendAction(attemptid, action, '');
+                        });
+                        return;
+                    }
+                    askMessage(attemptid, action, label);
+                });
+
+                $grid.on('click', '.invigilator-monitor-image', function() {
+                    var $recent = $(this).closest('.invigilator-monitor-tile').find('.invigilator-monitor-recent');
+                    if ($recent.length > 0) {
+                        $recent.last().trigger('click');
+                    }
+                });
+
+                refresh();
+                setInterval(refresh, props.refreshinterval * 1000);
+                return true;
+            }
+        };
+    });
@@ -0,0 +1,54 @@
+define(['jquery', 'core/ajax', 'core/notification'],
+    function($, Ajax, Notification) {
+        return {
+            setup: function(props) {
+                /**
+                 * Copy the flag of a screenshot to its links, so it is shown again when the lightbox is reopened.
+                 *
+                 * @param {Object} image Album entry of the lightbox.
+                 */
+                function updateLinks(image) {
+                    var $links = $('a[data-lightbox][data-id="' + image.id + '"]');
+                    $links.attr('data-flagged', image.flagged ? '1' : '0');
+                    $links.attr('data-note', image.note);
+                    $links.attr('data-rect', image.rect ?
+                        [image.rect.x, image.rect.y, image.rect.width, image.rect.height].join(',') : '');
+                    $links.toggleClass('invigilator-flagged', image.flagged);
+                }
+
+                // Store the flag, note and highlighted area whenever the reviewer changes them in the lightbox.
+                $(document).on('lightbox:flag', function(event, image) {
+                    if (!image.id) {
+                        return;
+                    }
+                    var request;
+                    if (image.flagged) {
+                        request = {
+                            methodname: 'quizaccess_invigilator_flag_screenshot',
+                            args: {
+                                'cmid': props.cmid,
+                                'logid': image.id,
+                                'note': image.note,
+                                'rectx': image.rect ? image.rect.x : -1,
+                                'recty': image.rect ? image.rect.y : 0,
+                                'rectwidth': image.rect ? image.rect.width : 0,
+                                'rectheight': image.rect ? image.rect.height : 0
+                            }
+                        };
+                    } else {
+                        request = {
+                            methodname: 'quizaccess_invigilator_unflag_screenshot',
+                            args: {
+                                'cmid': props.cmid,
+                                'logid': image.id
+                            }
+                        };
+                    }
+                    Ajax.call([request])[0].done(function() {
+                        updateLinks(image);
+                    }).fail(Notification.exception);
+                });
+                return true;
+            }
+        };
+    });
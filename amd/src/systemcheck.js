@@ -0,0 +1,235 @@
+define(['jquery', 'core/ajax', 'core/notification', 'core/str'],
+    function($, Ajax, Notification, Str) {
+        return {
+            setup: function(props) {
+                var $page = $('#invigilator-systemcheck');
+                var $shareBtn = $page.find('[data-action="share"]');
+                var $uploadBtn = $page.find('[data-action="upload"]');
+                var screenElem = document.getElementById('invigilator-systemcheck-screen');
+                var webcamElem = document.getElementById('invigilator-systemcheck-webcam');
+
+                // Same options as the preflight check of the quiz.
+                var displayMediaOptions = {
+                    video: {
+                        mediaSource: "screen",
+                        displaySurface: "monitor",
+                        logicalSurface: true,
+                        cursor: "always"
+                    },
+                    audio: false
+                };
+
+                var BADGES = {
+                    pending: 'badge-secondary',
+                    pass: 'badge-success',
+                    warn: 'badge-warning',
+                    fail: 'badge-danger'
+                };
+
+                /**
+                 * Show the result of a check with its remediation hint.
+                 *
+                 * The hint of a check is the string systemcheck:<check>_<status>.
+                 *
+                 * @param {string} check
+                 * @param {string} status pending, pass, warn or fail.
+                 * @param {Object} a Placeholders of the hint.
+                 */
+                function setStatus(check, status, a) {
+                    var $item = $page.find('[data-check="' + check + '"]');
+                    if ($item.length === 0) {
+                        return;
+                    }
+                    // The surface is checked every second, only redraw it when it changes.
+                    var shown = status + JSON.stringify(a || null);
+                    if ($item.data('shown') === shown) {
+                        return;
+                    }
+                    $item.data('shown', shown).attr('data-status', status);
+                    var requests = [{key: 'systemcheck:' + status, component: 'quizaccess_invigilator'}];
+                    if (status !== 'pending') {
+                        requests.push({key: 'systemcheck:' + check + '_' + status, component: 'quizaccess_invigilator',
+                            param: a});
+                    }
+                    Str.get_strings(requests).done(function(strings) {
+                        $item.find('.invigilator-systemcheck-status')
+                            .removeClass(Object.values(BADGES).join(' '))
+                            .addClass(BADGES[status])
+                            .text(strings[0]);
+                        $item.find('.invigilator-systemcheck-hint').text(strings[1] || '');
+                        refreshSummary();
+                    }).fail(Notification.exception);
+                }
+
+                /**
+                 * Show whether the setup is ready once every check ran.
+                 */
+                function refreshSummary() {
+                    var statuses = $page.find('[data-check]').map(function() {
+                        return $(this).attr('data-status');
+                    }).get();
+                    var $summary = $('#invigilator-systemcheck-summary');
+                    if (statuses.indexOf('pending') !== -1 && statuses.indexOf('fail') === -1) {
+                        $summary.hide();
+                        return;
+                    }
+                    var failed = statuses.indexOf('fail') !== -1;
+                    var key = failed ? 'systemcheck:summary_fail' : 'systemcheck:summary_pass';
+                    Str.get_string(key, 'quizaccess_invigilator').done(function(text) {
+                        $summary.text(text)
+                            .toggleClass('alert-danger', failed)
+                            .toggleClass('alert-success', !failed)
+                            .show();
+                    });
+                }
+
+                /**
+                 * Check the browser can share the screen and, when the quiz needs it, the camera.
+                 *
+                 * @return {boolean} Whether the practice share can start.
+                 */
+                function checkBrowser() {
+                    var media = navigator.mediaDevices;
+                    var supported = !!(media && media.getDisplayMedia && window.HTMLCanvasElement &&
+                        HTMLCanvasElement.prototype.toBlob && window.FileReader);
+                    if (props.webcam) {
+                        supported = supported && !!(media && media.getUserMedia);
+                    }
+                    setStatus('browser', supported ? 'pass' : 'fail');
+                    setStatus('secure', window.isSecureContext ? 'pass' : 'fail');
+                    return supported && window.isSecureContext;
+                }
+
+                /**
+                 * Check the shared surface is an entire monitor.
+                 */
+                function checkSurface() {
+                    var stream = screenElem.srcObject;
+                    if (!stream) {
+                        return;
+                    }
+                    var track = stream.getVideoTracks()[0];
+                    if (!stream.active || track.readyState !== 'live') {
+                        stopShare();
+                        return;
+                    }
+                    var surface = track.getSettings().displaySurface;
+                    if (!surface) {
+                        setStatus('surface', 'warn');
+                    } else {
+                        setStatus('surface', surface === 'monitor' ? 'pass' : 'fail', surface);
+                    }
+                }
+
+                /**
+                 * Start the practice share and, when the quiz needs it, the camera.
+                 */
+                async function startShare() {
+                    try {
+                        screenElem.srcObject = await navigator.mediaDevices.getDisplayMedia(displayMediaOptions);
+                    } catch (err) {
+                        screenElem.srcObject = null;
+                        setStatus('share', 'fail', err.name);
+                        return;
+                    }
+                    setStatus('share', 'pass');
+                    var track = screenElem.srcObject.getVideoTracks()[0];
+                    track.addEventListener('ended', stopShare);
+                    checkSurface();
+                    $shareBtn.text(props.stopshare).data('sharing', true);
+                    $uploadBtn.prop('disabled', false);
+
+                    if (props.webcam) {
+                        try {
+                            webcamElem.srcObject = await navigator.mediaDevices.getUserMedia({video: true, audio: false});
+                            setStatus('webcam', 'pass');
+                        } catch (err) {
+                            webcamElem.srcObject = null;
+                            setStatus('webcam', 'fail', err.name);
+                        }
+                    }
+                }
+
+                /**
+                 * Stop the practice share and the camera.
+                 */
+                function stopShare() {
+                    [screenElem, webcamElem].forEach(function(elem) {
+                        if (elem && elem.srcObject) {
+                            elem.srcObject.getTracks().forEach(function(track) {
+                                track.stop();
+                            });
+                            elem.srcObject = null;
+                        }
+                    });
+                    $shareBtn.text(props.startshare).data('sharing', false);
+                    $uploadBtn.prop('disabled', true);
+                }
+
+                /**
+                 * Capture the shared screen like the quiz does and send it to the practice upload.
+                 */
+                function testUpload() {
+                    var track = screenElem.srcObject.getVideoTracks()[0];
+                    var settings = track.getSettings();
+                    var sourcewidth = settings.width || screenElem.videoWidth;
+                    var sourceheight = settings.height || screenElem.videoHeight;
+                    var canvas = document.createElement('canvas');
+                    canvas.width = props.screenshotwidth;
+                    canvas.height = Math.round(props.screenshotwidth * sourceheight / Math.max(1, sourcewidth));
+                    canvas.getContext('2d').drawImage(screenElem, 0, 0, canvas.width, canvas.height);
+
+                    $uploadBtn.prop('disabled', true);
+                    canvas.toBlob(function(blob) {
+                        var reader = new FileReader();
+                        reader.onload = function() {
+                            var request = {
+                                methodname: 'quizaccess_invigilator_test_screenshot',
+                                args: {
+                                    'cmid': props.cmid,
+                                    'screenshot': reader.result
+                                }
+                            };
+                            Ajax.call([request])[0].done(function(data) {
+                                if (!data.status) {
+                                    setStatus('upload', 'fail');
+                                    return;
+                                }
+                                setStatus('upload', 'pass', {
+                                    width: data.width,
+                                    height: data.height,
+                                    size: Math.round(data.filesize / 1024) + ' KB'
+                                });
+                                $('#invigilator-systemcheck-upload').attr('src', data.fileurl).show();
+                            }).fail(function() {
+                                setStatus('upload', 'fail');
+                            }).always(function() {
+                                $uploadBtn.prop('disabled', !screenElem.srcObject);
+                            });
+                        };
+                        reader.readAsDataURL(blob);
+                    }, props.imageformat, props.imagequality);
+                }
+
+                $shareBtn.on('click', function(event) {
+                    event.preventDefault();
+                    if ($shareBtn.data('sharing')) {
+                        stopShare();
+                    } else {
+                        startShare();
+                    }
+                });
+
+                $uploadBtn.on('click', function(event) {
+                    event.preventDefault();
+                    testUpload();
+                });
+
+                if (!checkBrowser()) {
+                    $shareBtn.prop('disabled', true);
+                }
+                setInterval(checkSurface, 1000);
+                return true;
+            }
+        };
+    });
@@ -0,0 +1,248 @@
+define(['core/log'],
+    function(Log) {
+        // IndexedDB database and object store holding the captures waiting to be uploaded.
+        var DB_NAME = 'quizaccess_invigilator';
+        var STORE_NAME = 'uploads';
+        // Delay before the first retry and the longest delay between retries, in milliseconds.
+        var MIN_DELAY = 2000;
+        var MAX_DELAY = 120000;
+        // Errors of the server that would happen again for the same capture, other errors are retried.
+        var PERMANENT_ERRORS = ['invalidparameter', 'invalidrecord', 'invalidrecordunknown', 'nopermissions',
+            'invalidattemptid', 'codingerror'];
+
+        /**
+         * Open the database, or resolve with null when IndexedDB is not available.
+         *
+         * @return {Promise}
+         */
+        function openDatabase() {
+            return new Promise(function(resolve) {
+                if (!window.indexedDB) {
+                    resolve(null);
+                    return;
+                }
+                var request;
+                try {
+                    request = window.indexedDB.open(DB_NAME, 1);
+                } catch (err) {
+                    resolve(null);
+                    return;
+                }
+                request.onupgradeneeded = function() {
+                    var store = request.result.createObjectStore(STORE_NAME, {keyPath: 'id', autoIncrement: true});
+                    store.createIndex('userid', 'userid', {unique: false});
+                };
+                request.onsuccess = function() {
+                    resolve(request.result);
+                };
+                request.onerror = function() {
+                    resolve(null);
+                };
+            });
+        }
+
+        /**
+         * Wrap an IndexedDB request in a promise.
+         *
+         * @param {IDBRequest} request
+         * @return {Promise}
+         */
+        function promisify(request) {
+            return new Promise(function(resolve, reject) {
+                request.onsuccess = function() {
+                    resolve(request.result);
+                };
+                request.onerror = function() {
+                    reject(request.error);
+                };
+            });
+        }
+
+        /**
+         * Queue of captures kept in the browser until the server has accepted them.
+         *
+         * Captures are uploaded oldest first. Failed uploads are retried with an
+         * exponential backoff, and straight away when the browser comes back online.
+         * When the queue is full the oldest captures are dropped.
+         *
+         * @param {number} userid Only captures of this user are stored and sent.
+         * @param {number} limit Maximum number of captures kept.
+         * @param {Function} send Uploads the given arguments and returns a promise.
+         */
+        function UploadQueue(userid, limit, send) {
+            this.userid = userid;
+            this.limit = Math.max(1, limit);
+            this.send = send;
+            this.memory = [];
+            this.draining = false;
+            this.requested = false;
+            this.failures = 0;
+            this.timer = null;
+            this.database = openDatabase();
+
+            var self = this;
+            window.addEventListener('online', function() {
+                self.failures = 0;
+                self.drain();
+            });
+            this.drain();
+        }
+
+        /**
+         * Add a capture to the queue and start uploading.
+         *
+         * @param {Object} args Arguments passed to the send function, may hold blobs.
+         * @return {Promise}
+         */
+        UploadQueue.prototype.add = function(args) {
+            var self = this;
+            var entry = {userid: this.userid, args: args};
+            return this.database.then(function(db) {
+                if (db === null) {
+                    self.memory.push(entry);
+                    if (self.memory.length > self.limit) {
+                        self.memory.splice(0, self.memory.length - self.limit);
+                    }
+                    return null;
+                }
+                return promisify(db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME).add(entry))
+                    .then(function() {
+                        return self.trim(db);
+                    });
+            }).catch(function(error) {
+                // Keep the capture in memory when it could not be stored, for example because the disk is full.
+                self.memory.push(entry);
+                Log.error('Upload queue failed:', error);
+            }).then(function() {
+                self.drain();
+            });
+        };
+
+        /**
+         * Drop the oldest captures of the user over the limit.
+         *
+         * @param {IDBDatabase} db
+         * @return {Promise}
+         */
+        UploadQueue.prototype.trim = function(db) {
+            var index = db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME).index('userid');
+            var self = this;
+            return promisify(index.getAllKeys(IDBKeyRange.only(this.userid))).then(function(keys) {
+                if (keys.length <= self.limit) {
+                    return null;
+                }
+                var store = db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME);
+                keys.slice(0, keys.length - self.limit).forEach(function(key) {
+                    store.delete(key);
+                });
+                return null;
+            });
+        };
+
+        /**
+         * Get the oldest capture of the user.
+         *
+         * @param {IDBDatabase} db
+         * @return {Promise} Resolved with the entry or undefined when the queue is empty.
+         */
+        UploadQueue.prototype.peek = function(db) {
+            if (db === null || this.memory.length > 0) {
+                return Promise.resolve(this.memory[0]);
+            }
+            var index = db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME).index('userid');
+            return promisify(index.get(IDBKeyRange.only(this.userid)));
+        };
+
+        /**
+         * Remove an uploaded capture from the queue.
+         *
+         * @param {IDBDatabase} db
+         * @param {Object} entry
+         * @return {Promise}
+         */
+        UploadQueue.prototype.remove = function(db, entry) {
+            if (entry.id === undefined) {
+                this.memory.splice(this.memory.indexOf(entry), 1);
+                return Promise.resolve();
+            }
+            return promisify(db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME).delete(entry.id));
+        };
+
+        /**
+         * Upload the queued captures in order until the queue is empty or an upload fails.
+         *
+         * Captures refused by the server for good are dropped, the others wait for a retry.
+         */
+        UploadQueue.prototype.drain = function() {
+            if (this.draining) {
+                // Look at the queue again once the running drain is over, the new capture may have come too late for it.
+                this.requested = true;
+                return;
+            }
+            this.draining = true;
+            this.requested = false;
+            clearTimeout(this.timer);
+
+            var self = this;
+            var next = function(db) {
+                return self.peek(db).then(function(entry) {
+                    if (entry === undefined) {
+                        return null;
+                    }
+                    return self.send(entry.args).then(function() {
+                        self.failures = 0;
+                        return self.remove(db, entry).then(function() {
+                            return next(db);
+                        });
+                    }, function(error) {
+                        // The server refused the capture, sending it again would fail the same way.
+                        if (error && PERMANENT_ERRORS.indexOf(error.errorcode) !== -1) {
+                            return self.remove(db, entry).then(function() {
+                                return next(db);
+                            });
+                        }
+                        self.retry();
+                        return true;
+                    });
+                });
+            };
+
+            this.database.then(next).catch(function(error) {
+                Log.error('Upload queue failed:', error);
+                self.retry();
+                return true;
+            }).then(function(retrying) {
+                self.draining = false;
+                if (self.requested && !retrying) {
+                    self.drain();
+                }
+            });
+        };
+
+        /**
+         * Try to drain the queue again after a delay that doubles with every failure.
+         */
+        UploadQueue.prototype.retry = function() {
+            var delay = Math.min(MIN_DELAY * Math.pow(2, this.failures), MAX_DELAY);
+            var self = this;
+            this.failures++;
+            clearTimeout(this.timer);
+            this.timer = setTimeout(function() {
+                self.drain();
+            }, delay);
+        };
+
+        return {
+            /**
+             * Create an upload queue.
+             *
+             * @param {number} userid
+             * @param {number} limit
+             * @param {Function} send
+             * @return {UploadQueue}
+             */
+            create: function(userid, limit, send) {
+                return new UploadQueue(userid, limit, send);
+            }
+        };
+    });
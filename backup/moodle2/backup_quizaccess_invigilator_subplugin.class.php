@@ -0,0 +1,100 @@
+<?php
+// This file is part of Moodle invigilator for Moodle - http://moodle.org/
+//
+// Moodle invigilator is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle invigilator is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with MailTest.  If not, see <http://www.gnu.org/licenses/>.
+/**
+ * Backup code for the quizaccess_invigilator plugin.
+ *
+ * @package    quizaccess_invigilator
+ * @copyright  2021 Brain Station 23
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+defined('MOODLE_INTERNAL') || die();
+
+require_once($CFG->dirroot . '/mod/quiz/backup/moodle2/backup_mod_quiz_access_subplugin.class.php');
+
+/**
+ * Backs up the invigilator settings of a quiz and, with user data, its captures, chains, accommodations and consents.
+ *
+ * @copyright  2021 Brain Station 23
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class backup_quizaccess_invigilator_subplugin extends backup_mod_quiz_access_subplugin {
+
+    /**
+     * Define the structure added to the quiz.
+     *
+     * @return backup_subplugin_element
+     */
+    protected function define_quiz_subplugin_structure() {
+        $subplugin = $this->get_subplugin_element();
+        $subpluginwrapper = new backup_nested_element($this->get_recommended_name());
+        $subplugin->add_child($subpluginwrapper);
+
+        $settings = new backup_nested_element('quizaccess_invigilator', null, array(
+            'invigilatorrequired', 'invigilatorenforcement', 'invigilatorwebcam', 'invigilatorscreenshotdelay',
+            'invigilatorscreenshotwidth', 'invigilatorscreenshotjitter', 'invigilatordetectors', 'invigilatorkeywords',
+            'invigilatoridleminutes'));
+        $subpluginwrapper->add_child($settings);
+        $settings->set_source_table('quizaccess_invigilator', array('quizid' => backup::VAR_ACTIVITYID));
+        $settings->annotate_files('quizaccess_invigilator', \quizaccess_invigilator\detector\window::FILEAREA, null);
+
+        if ($this->get_setting_value('userinfo')) {
+            $logs = new backup_nested_element('quizaccess_invigilator_logs');
+            $log = new backup_nested_element('quizaccess_invigilator_log', array('id'), array(
+                'userid', 'screenshot', 'timecreated', 'capturetype', 'surfacewidth', 'surfaceheight', 'multidisplay',
+                'attemptid', 'contenthash', 'chainseq', 'chainhash', 'page', 'slot'));
+            $subpluginwrapper->add_child($logs);
+            $logs->add_child($log);
+            $log->set_source_table('quizaccess_invigilator_logs', array('quizid' => backup::VAR_ACTIVITYID), 'id ASC');
+            $log->annotate_ids('user', 'userid');
+            $log->annotate_files('quizaccess_invigilator', 'picture', 'id');
+
+            // The signed ends of the chains, with the key they were signed with, to verify the chains on restore.
+            $chains = new backup_nested_element('quizaccess_invigilator_chains');
+            $chain = new backup_nested_element('quizaccess_invigilator_chain', array('id'), array(
+                'userid', 'attemptid', 'chainseq', 'chainhash', 'headmac', 'unverified', 'keyid'));
+            $subpluginwrapper->add_child($chains);
+            $chains->add_child($chain);
+            $chain->set_source_sql('
+                SELECT h.*, ? AS keyid
+                  FROM {quizaccess_invigilator_chains} h
+                 WHERE h.cmid = ?
+              ORDER BY h.id',
+                array(backup_helper::is_sqlparam(\quizaccess_invigilator\integrity::get_key_id()), backup::VAR_MODID));
+            $chain->annotate_ids('user', 'userid');
+
+            $accommodations = new backup_nested_element('quizaccess_invigilator_accommodations');
+            $accommodation = new backup_nested_element('quizaccess_invigilator_accommodation', array('id'), array(
+                'userid', 'groupid', 'exempt', 'screenshotdelay', 'allowwindow', 'timecreated', 'timemodified'));
+            $subpluginwrapper->add_child($accommodations);
+            $accommodations->add_child($accommodation);
+            $accommodation->set_source_table('quizaccess_invigilator_accommodations',
+                array('cmid' => backup::VAR_MODID), 'id ASC');
+            $accommodation->annotate_ids('user', 'userid');
+            $accommodation->annotate_ids('group', 'groupid');
+
+            $consents = new backup_nested_element('quizaccess_invigilator_consents');
+            $consent = new backup_nested_element('quizaccess_invigilator_consent', array('id'), array(
+                'userid', 'noticeversion', 'noticehash', 'timecreated'));
+            $subpluginwrapper->add_child($consents);
+            $consents->add_child($consent);
+            $consent->set_source_table('quizaccess_invigilator_consents', array('cmid' => backup::VAR_MODID), 'id ASC');
+            $consent->annotate_ids('user', 'userid');
+        }
+
+        return $subplugin;
+    }
+}
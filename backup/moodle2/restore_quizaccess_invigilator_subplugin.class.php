@@ -0,0 +1,192 @@
+<?php
+// This file is part of Moodle invigilator for Moodle - http://moodle.org/
+//
+// Moodle invigilator is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle invigilator is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with MailTest.  If not, see <http://www.gnu.org/licenses/>.
+/**
+ * Restore code for the quizaccess_invigilator plugin.
+ *
+ * @package    quizaccess_invigilator
+ * @copyright  2021 Brain Station 23
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+defined('MOODLE_INTERNAL') || die();
+
+require_once($CFG->dirroot . '/mod/quiz/backup/moodle2/restore_mod_quiz_access_subplugin.class.php');
+
+/**
+ * Restores the invigilator settings of a quiz and, with user data, its captures, accommodations and consents.
+ *
+ * The quiz subplugin data is restored before the attempts of the quiz, so the
+ * captures are moved to their restored attempts and chained again at the end,
+ * once their chains are verified as they were backed up.
+ *
+ * @copyright  2021 Brain Station 23
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class restore_quizaccess_invigilator_subplugin extends restore_mod_quiz_access_subplugin {
+
+    /** @var stdClass[] Capture as backed up keyed by the ID of the restored capture. */
+    protected $backuplogs = array();
+
+    /** @var stdClass[] Ends of the chains as backed up. */
+    protected $backupheads = array();
+
+    /**
+     * Define the paths restored inside the quiz.
+     *
+     * @return restore_path_element[]
+     */
+    protected function define_quiz_subplugin_structure() {
+        $paths = array();
+        $paths[] = new restore_path_element($this->get_namefor(''), $this->get_pathfor('/quizaccess_invigilator'));
+        if ($this->get_setting_value('userinfo')) {
+            $paths[] = new restore_path_element($this->get_namefor('log'),
+                $this->get_pathfor('/quizaccess_invigilator_logs/quizaccess_invigilator_log'));
+            $paths[] = new restore_path_element($this->get_namefor('chain'),
+                $this->get_pathfor('/quizaccess_invigilator_chains/quizaccess_invigilator_chain'));
+            $paths[] = new restore_path_element($this->get_namefor('accommodation'),
+                $this->get_pathfor('/quizaccess_invigilator_accommodations/quizaccess_invigilator_accommodation'));
+            $paths[] = new restore_path_element($this->get_namefor('consent'),
+                $this->get_pathfor('/quizaccess_invigilator_consents/quizaccess_invigilator_consent'));
+        }
+        return $paths;
+    }
+
+    /**
+     * Restore the settings of the quiz.
+     *
+     * @param array $data
+     * @throws dml_exception
+     */
+    public function process_quizaccess_invigilator($data) {
+        global $DB;
+
+        $data = (object)$data;
+        $data->quizid = $this->get_new_parentid('quiz');
+        $DB->insert_record('quizaccess_invigilator', $data);
+    }
+
+    /**
+     * Restore a capture of a restored student.
+     *
+     * @param array $data
+     * @throws dml_exception
+     */
+    public function process_quizaccess_invigilator_log($data) {
+        global $DB;
+
+        $data = (object)$data;
+        $oldid = $data->id;
+        $userid = $this->get_mappingid('user', $data->userid);
+        if (!$userid) {
+            return;
+        }
+        $backup = clone $data;
+        $backup->cmid = $this->task->get_old_moduleid();
+
+        $data->courseid = $this->get_courseid();
+        $data->cmid = $this->task->get_moduleid();
+        $data->quizid = $this->get_new_parentid('quiz');
+        $data->userid = $userid;
+        $data->attemptid = 0;
+        $newid = $DB->insert_record('quizaccess_invigilator_logs', $data);
+
+        // The link to the image holds the context and the ID of the capture.
+        $path = explode('/', (string)parse_url($data->screenshot, PHP_URL_PATH));
+        $url = moodle_url::make_pluginfile_url($this->task->get_contextid(), 'quizaccess_invigilator', 'picture', $newid,
+            '/', end($path), false);
+        $DB->set_field('quizaccess_invigilator_logs', 'screenshot', $url->out(false), array('id' => $newid));
+
+        $this->backuplogs[$newid] = $backup;
+        $this->set_mapping('quizaccess_invigilator_log', $oldid, $newid, true);
+    }
+
+    /**
+     * Keep the end of a chain to verify it once the captures are restored.
+     *
+     * @param array $data
+     */
+    public function process_quizaccess_invigilator_chain($data) {
+        $data = (object)$data;
+        $data->cmid = $this->task->get_old_moduleid();
+        $this->backupheads[] = $data;
+    }
+
+    /**
+     * Restore an accommodation of a restored student or group.
+     *
+     * @param array $data
+     * @throws dml_exception
+     */
+    public function process_quizaccess_invigilator_accommodation($data) {
+        global $DB, $USER;
+
+        $data = (object)$data;
+        $data->userid = $data->userid ? $this->get_mappingid('user', $data->userid) : 0;
+        $data->groupid = $data->groupid ? $this->get_mappingid('group', $data->groupid) : 0;
+        if (!$data->userid && !$data->groupid) {
+            return;
+        }
+
+        $data->cmid = $this->task->get_moduleid();
+        $data->usermodified = $USER->id;
+        $DB->insert_record('quizaccess_invigilator_accommodations', $data);
+    }
+
+    /**
+     * Restore a privacy notice accepted by a restored student.
+     *
+     * @param array $data
+     * @throws dml_exception
+     */
+    public function process_quizaccess_invigilator_consent($data) {
+        global $DB;
+
+        $data = (object)$data;
+        $data->userid = $this->get_mappingid('user', $data->userid);
+        if (!$data->userid) {
+            return;
+        }
+
+        $data->cmid = $this->task->get_moduleid();
+        $data->quizid = $this->get_new_parentid('quiz');
+        $DB->insert_record('quizaccess_invigilator_consents', $data);
+    }
+
+    /**
+     * Restore the files, move the captures to their restored attempts and chain them again.
+     *
+     * @throws dml_exception
+     */
+    protected function after_execute_quiz() {
+        global $DB;
+
+        $this->add_related_files('quizaccess_invigilator', \quizaccess_invigilator\detector\window::FILEAREA, null);
+        if (!$this->backuplogs) {
+            return;
+        }
+        $this->add_related_files('quizaccess_invigilator', 'picture', 'quizaccess_invigilator_log');
+
+        foreach ($this->backuplogs as $logid => $backup) {
+            $attemptid = $backup->attemptid ? $this->get_mappingid('quiz_attempt', $backup->attemptid) : 0;
+            if ($attemptid) {
+                $DB->set_field('quizaccess_invigilator_logs', 'attemptid', $attemptid, array('id' => $logid));
+            }
+        }
+        \quizaccess_invigilator\integrity::rechain($this->task->get_moduleid(), $this->backuplogs, $this->backupheads);
+        $this->backuplogs = array();
+        $this->backupheads = array();
+    }
+}
@@ -0,0 +1,237 @@
+<?php
+// This file is part of Moodle invigilator for Moodle - http://moodle.org/
+//
+// Moodle invigilator is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle invigilator is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with MailTest.  If not, see <http://www.gnu.org/licenses/>.
+/**
+ * Per-student and per-group accommodations of the quizaccess_invigilator plugin.
+ *
+ * @package    quizaccess_invigilator
+ * @copyright  2021 Brain Station 23
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace quizaccess_invigilator;
+
+use stdClass;
+
+defined('MOODLE_INTERNAL') || die();
+
+/**
+ * accommodation class.
+ *
+ * Overrides the invigilation of a quiz for a student or a group: exempt them,
+ * capture their screen less often or accept a shared window instead of the
+ * entire screen. Like the quiz overrides, the accommodation of the student wins
+ * over the ones of their groups, and the most lenient of the groups applies.
+ *
+ * @copyright  2021 Brain Station 23
+ * @license   http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class accommodation {
+
+    /**
+     * Get the accommodation of a student on a quiz.
+     *
+     * @param int $cmid Course module of the quiz.
+     * @param int $userid
+     * @return stdClass|null With exempt, screenshotdelay (null to keep the quiz one), allowwindow and fromgroup,
+     *     null if none.
+     * @throws \dml_exception
+     */
+    public static function get_for_user(int $cmid, int $userid) : ?stdClass {
+        return self::get_for_users($cmid, [$userid])[$userid] ?? null;
+    }
+
+    /**
+     * Get the accommodations of some students on a quiz.
+     *
+     * @param int $cmid Course module of the quiz.
+     * @param int[] $userids
+     * @return stdClass[] Accommodations keyed by the ID of the students who have one.
+     * @throws \dml_exception
+     */
+    public static function get_for_users(int $cmid, array $userids) : array {
+        global $DB;
+
+        $rows = $DB->get_records('quizaccess_invigilator_accommodations', ['cmid' => $cmid]);
+        if (!$rows || !$userids) {
+            return [];
+        }
+
+        $users = [];
+        $groups = [];
+        foreach ($rows as $row) {
+            if ($row->userid) {
+                $users[$row->userid] = $row;
+            } else {
+                $groups[$row->groupid] = $row;
+            }
+        }
+
+        $members = [];
+        if ($groups) {
+            list($groupsql, $params) = $DB->get_in_or_equal(array_keys($groups), SQL_PARAMS_NAMED, 'group');
+            list($usersql, $userparams) = $DB->get_in_or_equal($userids, SQL_PARAMS_NAMED, 'user');
+            $memberships = $DB->get_recordset_select('groups_members', "groupid $groupsql AND userid $usersql",
+                $params + $userparams, '', 'id, groupid, userid');
+            foreach ($memberships as $membership) {
+                $members[$membership->userid][] = $groups[$membership->groupid];
+            }
+            $memberships->close();
+        }
+
+        $accommodations = [];
+        foreach ($userids as $userid) {
+            if (isset($users[$userid])) {
+                $accommodations[$userid] = self::merge([$users[$userid]]);
+            } else if (isset($members[$userid])) {
+                $accommodations[$userid] = self::merge($members[$userid]);
+            }
+        }
+        return $accommodations;
+    }
+
+    /**
+     * Get the seconds between two screenshots of a student.
+     *
+     * @param int $delay Seconds between two screenshots set for the quiz.
+     * @param stdClass|null $accommodation See get_for_user().
+     * @return int
+     */
+    public static function get_screenshot_delay(int $delay, ?stdClass $accommodation) : int {
+        if ($accommodation && $accommodation->screenshotdelay) {
+            return max(1, (int)$accommodation->screenshotdelay);
+        }
+        return max(1, $delay);
+    }
+
+    /**
+     * Combine accommodations into the most lenient one.
+     *
+     * @param stdClass[] $rows Rows of the accommodations table.
+     * @return stdClass
+     */
+    private static function merge(array $rows) : stdClass {
+        $accommodation = (object)['exempt' => false, 'screenshotdelay' => null, 'allowwindow' => false, 'fromgroup' => false];
+        foreach ($rows as $row) {
+            $accommodation->exempt = $accommodation->exempt || !empty($row->exempt);
+            $accommodation->allowwindow = $accommodation->allowwindow || !empty($row->allowwindow);
+            if ($row->screenshotdelay !== null) {
+                $accommodation->screenshotdelay = max((int)$accommodation->screenshotdelay, (int)$row->screenshotdelay);
+            }
+            $accommodation->fromgroup = empty($row->userid);
+        }
+        return $accommodation;
+    }
+
+    /**
+     * Get the badge marking a student with an accommodation in the reports.
+     *
+     * @param stdClass $accommodation See get_for_user().
+     * @return string HTML of the badge, its title lists what was relaxed.
+     * @throws \coding_exception
+     */
+    public static function get_badge(stdClass $accommodation) : string {
+        $details = [];
+        if ($accommodation->allowwindow) {
+            $details[] = get_string('accommodation:allowwindow', 'quizaccess_invigilator');
+        }
+        if ($accommodation->screenshotdelay) {
+            $details[] = get_string('accommodation:screenshotdelay', 'quizaccess_invigilator') . ': ' .
+                get_string('numseconds', '', $accommodation->screenshotdelay);
+        }
+        if ($accommodation->fromgroup) {
+            $details[] = get_string('accommodation:fromgroup', 'quizaccess_invigilator');
+        }
+        if ($accommodation->exempt) {
+            $label = get_string('accommodation:exemptbadge', 'quizaccess_invigilator');
+            $class = 'badge badge-warning';
+        } else {
+            $label = get_string('accommodation:badge', 'quizaccess_invigilator');
+            $class = 'badge badge-info';
+        }
+        return \html_writer::span($label, $class, ['title' => implode(', ', $details)]);
+    }
+
+    /**
+     * Get the accommodations of a quiz with the name of the student or group.
+     *
+     * @param int $cmid Course module of the quiz.
+     * @return stdClass[] Rows of the accommodations table, the students first.
+     * @throws \dml_exception
+     */
+    public static function get_all(int $cmid) : array {
+        global $DB;
+
+        $userfields = user_fields::get_name_sql('u');
+        $sql = "SELECT a.*, g.name AS groupname, $userfields
+                  FROM {quizaccess_invigilator_accommodations} a
+             LEFT JOIN {user} u ON u.id = a.userid
+             LEFT JOIN {groups} g ON g.id = a.groupid
+                 WHERE a.cmid = :cmid
+              ORDER BY a.groupid, u.lastname, u.firstname, g.name, a.id";
+        return array_values($DB->get_records_sql($sql, ['cmid' => $cmid]));
+    }
+
+    /**
+     * Set the accommodation of a student or a group, replacing the one they had.
+     *
+     * @param int $cmid Course module of the quiz.
+     * @param int $userid Student, 0 for a group.
+     * @param int $groupid Group, 0 for a student.
+     * @param bool $exempt Whether the screen is not captured at all.
+     * @param int|null $screenshotdelay Seconds between two screenshots, null to keep the quiz setting.
+     * @param bool $allowwindow Whether a shared window is accepted instead of the entire screen.
+     * @return stdClass Row of the accommodations table.
+     * @throws \coding_exception
+     * @throws \dml_exception
+     */
+    public static function save(int $cmid, int $userid, int $groupid, bool $exempt, ?int $screenshotdelay,
+            bool $allowwindow) : stdClass {
+        global $DB, $USER;
+
+        if (!$userid === !$groupid) {
+            throw new \coding_exception('An accommodation is either for a student or for a group');
+        }
+        $record = $DB->get_record('quizaccess_invigilator_accommodations',
+            ['cmid' => $cmid, 'userid' => $userid, 'groupid' => $groupid]);
+        if (!$record) {
+            $record = (object)['cmid' => $cmid, 'userid' => $userid, 'groupid' => $groupid, 'timecreated' => time()];
+        }
+        $record->exempt = $exempt ? 1 : 0;
+        $record->screenshotdelay = $screenshotdelay ? max(1, $screenshotdelay) : null;
+        $record->allowwindow = $allowwindow ? 1 : 0;
+        $record->usermodified = $USER->id;
+        $record->timemodified = time();
+        if (empty($record->id)) {
+            $record->id = $DB->insert_record('quizaccess_invigilator_accommodations', $record);
+        } else {
+            $DB->update_record('quizaccess_invigilator_accommodations', $record);
+        }
+        return $record;
+    }
+
+    /**
+     * Remove an accommodation of a quiz.
+     *
+     * @param int $cmid Course module of the quiz.
+     * @param int $id ID of the accommodation.
+     * @throws \dml_exception
+     */
+    public static function delete(int $cmid, int $id) {
+        global $DB;
+
+        $DB->delete_records('quizaccess_invigilator_accommodations', ['id' => $id, 'cmid' => $cmid]);
+    }
+}
@@ -0,0 +1,208 @@
+<?php
+// This file is part of Moodle invigilator for Moodle - http://moodle.org/
+//
+// Moodle invigilator is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle invigilator is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with MailTest.  If not, see <http://www.gnu.org/licenses/>.
+/**
+ * Automatic analysis of the captures for the quizaccess_invigilator plugin.
+ *
+ * @package    quizaccess_invigilator
+ * @copyright  2021 Brain Station 23
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace quizaccess_invigilator;
+
+use stdClass;
+
+defined('MOODLE_INTERNAL') || die();
+
+/**
+ * analysis class.
+ *
+ * Every stored screenshot of a quiz with detectors is analysed by an adhoc task.
+ * The detectors chosen in the quiz settings look at it and their findings are
+ * stored as scored detections for the reviewers.
+ *
+ * @copyright  2021 Brain Station 23
+ * @license   http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class analysis {
+
+    /**
+     * Get the detectors of the plugin and of the plugins adding detectors.
+     *
+     * @return string[] Class name keyed by detector name.
+     */
+    public static function get_detector_classes() : array {
+        $classes = [
+            detector\keywords::class,
+            detector\window::class,
+            detector\idle::class,
+        ];
+        foreach (get_plugins_with_function('invigilator_detectors') as $plugins) {
+            foreach ($plugins as $function) {
+                $classes = array_merge($classes, $function());
+            }
+        }
+
+        $detectors = [];
+        foreach ($classes as $class) {
+            if (is_subclass_of($class, detector\base::class)) {
+                $detectors[$class::get_name()] = $class;
+            }
+        }
+        return $detectors;
+    }
+
+    /**
+     * Get the detectors as options of a select element.
+     *
+     * @return string[] Detector name => human readable name.
+     */
+    public static function get_detector_options() : array {
+        $options = [];
+        foreach (self::get_detector_classes() as $name => $class) {
+            $options[$name] = $class::get_display_name();
+            if (!$class::is_available()) {
+                $options[$name] = get_string('detector:unavailable', 'quizaccess_invigilator', $options[$name]);
+            }
+        }
+        return $options;
+    }
+
+    /**
+     * Get the detectors a quiz uses that can run on this site.
+     *
+     * @param stdClass $settings Settings of the quiz, a row of the quizaccess_invigilator table.
+     * @return detector\base[]
+     */
+    public static function get_quiz_detectors(stdClass $settings) : array {
+        $classes = self::get_detector_classes();
+        $detectors = [];
+        foreach (explode(',', (string)($settings->invigilatordetectors ?? '')) as $name) {
+            if (isset($classes[$name]) && $classes[$name]::is_available()) {
+                $detectors[$name] = new $classes[$name]($settings);
+            }
+        }
+        return $detectors;
+    }
+
+    /**
+     * Queue the analysis of a stored capture when its quiz uses detectors.
+     *
+     * @param stdClass $log Row of the logs table.
+     * @return bool Whether the analysis was queued.
+     * @throws \dml_exception
+     */
+    public static function queue(stdClass $log) : bool {
+        global $DB;
+
+        if ($log->capturetype !== capture::TYPE_SCREEN) {
+            return false;
+        }
+        $detectors = $DB->get_field('quizaccess_invigilator', 'invigilatordetectors', ['quizid' => $log->quizid]);
+        if (empty($detectors)) {
+            return false;
+        }
+
+        $task = new task\analyse_capture();
+        $task->set_custom_data(['logid' => $log->id]);
+        $task->set_component('quizaccess_invigilator');
+        \core\task\manager::queue_adhoc_task($task);
+        return true;
+    }
+
+    /**
+     * Run the detectors of the quiz on a capture, replacing its earlier detections.
+     *
+     * @param int $logid Capture ID.
+     * @return stdClass[] The stored detections.
+     * @throws \dml_exception
+     */
+    public static function analyse(int $logid) : array {
+        global $DB;
+
+        $log = $DB->get_record('quizaccess_invigilator_logs', ['id' => $logid]);
+        if (!$log) {
+            return [];
+        }
+        $settings = $DB->get_record('quizaccess_invigilator', ['quizid' => $log->quizid]);
+        $context = \context_module::instance($log->cmid, IGNORE_MISSING);
+        if (!$settings || !$context) {
+            return [];
+        }
+        $files = get_file_storage()->get_area_files($context->id, 'quizaccess_invigilator', 'picture', $log->id, 'id', false);
+        $file = reset($files);
+        if (!$file) {
+            return [];
+        }
+
+        $DB->delete_records('quizaccess_invigilator_detections', ['logid' => $log->id]);
+        $detections = [];
+        foreach (self::get_quiz_detectors($settings) as $name => $detector) {
+            foreach ($detector->analyse($log, $file) as $finding) {
+                $detection = new stdClass();
+                $detection->courseid = $log->courseid;
+                $detection->cmid = $log->cmid;
+                $detection->logid = $log->id;
+                $detection->userid = $log->userid;
+                $detection->attemptid = $log->attemptid;
+                $detection->detector = $name;
+                $detection->score = $finding->score;
+                $detection->details = $finding->details;
+                $detection->timecreated = time();
+                $detection->id = $DB->insert_record('quizaccess_invigilator_detections', $detection);
+                $detections[] = $detection;
+            }
+        }
+        notifier::detections($log, $detections);
+        return $detections;
+    }
+
+    /**
+     * Get the detections on the captures of a student in a quiz, highest score first.
+     *
+     * @param int $cmid Course module ID.
+     * @param int $userid Student ID.
+     * @return stdClass[][] Detections keyed by capture ID.
+     * @throws \dml_exception
+     */
+    public static function get_detections(int $cmid, int $userid) : array {
+        global $DB;
+
+        $detections = [];
+        $rows = $DB->get_records('quizaccess_invigilator_detections', ['cmid' => $cmid, 'userid' => $userid],
+            'score DESC, id ASC');
+        foreach ($rows as $row) {
+            $detections[$row->logid][] = $row;
+        }
+        return $detections;
+    }
+
+    /**
+     * Describe a detection.
+     *
+     * @param stdClass $detection
+     * @return string
+     */
+    public static function describe(stdClass $detection) : string {
+        $classes = self::get_detector_classes();
+        return get_string('detection', 'quizaccess_invigilator', (object)[
+            'detector' => isset($classes[$detection->detector]) ? $classes[$detection->detector]::get_display_name() :
+                $detection->detector,
+            'score' => round($detection->score * 100),
+            'details' => $detection->details,
+        ]);
+    }
+}
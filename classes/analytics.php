@@ -0,0 +1,247 @@
+<?php
+// This file is part of Moodle invigilator for Moodle - http://moodle.org/
+//
+// Moodle invigilator is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle invigilator is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with MailTest.  If not, see <http://www.gnu.org/licenses/>.
+/**
+ * Proctoring analytics for the quizaccess_invigilator plugin.
+ *
+ * @package    quizaccess_invigilator
+ * @copyright  2021 Brain Station 23
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace quizaccess_invigilator;
+
+use stdClass;
+
+defined('MOODLE_INTERNAL') || die();
+
+/**
+ * analytics class.
+ *
+ * Measures how well every attempt of a quiz was proctored. The screen is expected
+ * once per screenshot delay of the student, the one of their accommodation if they
+ * have one, from the start to the end of the attempt; a screenshot and a no change
+ * event of the screen both count as received. Nothing is expected from exempt
+ * students. Captures taken before they recorded their attempt are matched to it by time.
+ *
+ * @copyright  2021 Brain Station 23
+ * @license   http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class analytics {
+
+    /** @var string[] Events reporting that the screen is no longer shared. */
+    const SHARE_LOSS_TYPES = [
+        event_log::TYPE_SHARE_ENDED,
+        event_log::TYPE_SHARE_LOST,
+        event_log::TYPE_SURFACE_CHANGED,
+    ];
+
+    /** @var int Attempts with a lower coverage, in percent, are at risk. */
+    const COVERAGE_THRESHOLD = 80;
+
+    /** @var int Attempts with a gap longer than this many screenshot delays are at risk. */
+    const GAP_FACTOR = 3;
+
+    /** @var string[] Columns the attempts can be sorted by. */
+    const COLUMNS = ['student', 'attempt', 'timestart', 'duration', 'expected', 'received', 'coverage', 'largestgap',
+        'shareloss', 'flags', 'risk'];
+
+    /**
+     * Get the analytics of every attempt of a quiz, riskiest first.
+     *
+     * The risk of an attempt counts its warning signs: a low coverage, a long gap,
+     * a lost share and a flagged capture. The coverage and the gap of exempt students are no warning signs.
+     *
+     * @param stdClass $cm Course module of the quiz.
+     * @param int $now Time attempts in progress are measured to, 0 for now.
+     * @return stdClass[] One object per attempt, with the last capture as reportid, the screenshot delay
+     *     of the student as delay and whether they are exempt.
+     * @throws \dml_exception
+     */
+    public static function get_quiz_attempts(stdClass $cm, int $now = 0) : array {
+        global $DB;
+
+        $now = $now ?: time();
+        $quizid = (int)$cm->instance;
+        $delay = live_monitor::get_screenshot_delay($quizid);
+        $userfields = user_fields::get_name_sql('u');
+        $rows = $DB->get_records_sql(
+            "SELECT qa.id, qa.userid, qa.attempt, qa.state, qa.timestart, qa.timefinish, qa.timemodified, $userfields
+               FROM {quiz_attempts} qa
+               JOIN {user} u ON u.id = qa.userid
+              WHERE qa.quiz = :quizid AND qa.preview = 0
+           ORDER BY u.lastname, u.firstname, qa.attempt",
+            ['quizid' => $quizid]);
+
+        $attempts = [];
+        foreach ($rows as $row) {
+            if ($row->timefinish) {
+                $end = (int)$row->timefinish;
+            } else if (in_array($row->state, ['inprogress', 'overdue'])) {
+                $end = $now;
+            } else {
+                $end = (int)$row->timemodified;
+            }
+            $attempts[$row->id] = (object)[
+                'attemptid' => (int)$row->id,
+                'userid' => (int)$row->userid,
+                'student' => fullname($row),
+                'attempt' => (int)$row->attempt,
+                'timestart' => (int)$row->timestart,
+                'timeend' => max($end, (int)$row->timestart),
+                'times' => [],
+                'shareloss' => 0,
+                'flags' => 0,
+                'reportid' => 0,
+            ];
+        }
+        if (!$attempts) {
+            return [];
+        }
+
+        // Screenshots received and captures of the attempts.
+        $logattempts = [];
+        $logs = $DB->get_records('quizaccess_invigilator_logs', ['cmid' => $cm->id], '',
+            'id, userid, attemptid, capturetype, timecreated');
+        foreach ($logs as $log) {
+            $attempt = self::find_attempt($attempts, $log);
+            if ($attempt) {
+                $logattempts[$log->id] = $attempt;
+                $attempt->reportid = max($attempt->reportid, (int)$log->id);
+                if ($log->capturetype === capture::TYPE_SCREEN) {
+                    $attempt->times[] = (int)$log->timecreated;
+                }
+            }
+        }
+
+        // Unchanged screens and lost shares.
+        list($insql, $inparams) = $DB->get_in_or_equal(array_merge([event_log::TYPE_NO_CHANGE], self::SHARE_LOSS_TYPES),
+            SQL_PARAMS_NAMED);
+        $events = $DB->get_records_select('quizaccess_invigilator_events', "cmid = :cmid AND eventtype $insql",
+            ['cmid' => $cm->id] + $inparams, '', 'id, userid, attemptid, eventtype, details, timecreated');
+        foreach ($events as $event) {
+            $attempt = self::find_attempt($attempts, $event);
+            if (!$attempt) {
+                continue;
+            }
+            if ($event->eventtype !== event_log::TYPE_NO_CHANGE) {
+                $attempt->shareloss++;
+            } else if ($event->details === capture::TYPE_SCREEN) {
+                $attempt->times[] = (int)$event->timecreated;
+            }
+        }
+
+        foreach ($DB->get_records('quizaccess_invigilator_flags', ['cmid' => $cm->id], '', 'id, logid') as $flag) {
+            if (isset($logattempts[$flag->logid])) {
+                $logattempts[$flag->logid]->flags++;
+            }
+        }
+
+        $accommodations = accommodation::get_for_users($cm->id, array_unique(array_column($attempts, 'userid')));
+        foreach ($attempts as $attempt) {
+            $accommodation = $accommodations[$attempt->userid] ?? null;
+            $attempt->exempt = $accommodation && $accommodation->exempt;
+            $attempt->delay = accommodation::get_screenshot_delay($delay, $accommodation);
+            $attempt->duration = $attempt->timeend - $attempt->timestart;
+            $attempt->expected = $attempt->exempt ? 0 : intdiv($attempt->duration, $attempt->delay) + 1;
+            $attempt->received = count($attempt->times);
+            $attempt->coverage = $attempt->exempt ? 100 :
+                (int)min(100, round(100 * $attempt->received / $attempt->expected));
+
+            $times = $attempt->times;
+            $times[] = $attempt->timestart;
+            $times[] = $attempt->timeend;
+            sort($times);
+            $attempt->largestgap = 0;
+            for ($i = 1; $i < count($times); $i++) {
+                $attempt->largestgap = max($attempt->largestgap, $times[$i] - $times[$i - 1]);
+            }
+            unset($attempt->times);
+
+            $attempt->risk = (int)($attempt->coverage < self::COVERAGE_THRESHOLD) +
+                (int)(!$attempt->exempt && $attempt->largestgap > self::GAP_FACTOR * $attempt->delay) +
+                (int)($attempt->shareloss > 0) +
+                (int)($attempt->flags > 0);
+        }
+
+        return self::sort_attempts(array_values($attempts), ['risk' => SORT_DESC, 'coverage' => SORT_ASC]);
+    }
+
+    /**
+     * Summarise the analytics of the attempts of a quiz.
+     *
+     * @param stdClass[] $attempts As returned by get_quiz_attempts().
+     * @return stdClass With attempts, students, coverage (average percent), shareloss, flags and atrisk.
+     */
+    public static function summarise(array $attempts) : stdClass {
+        $summary = (object)[
+            'attempts' => count($attempts),
+            'students' => count(array_unique(array_column($attempts, 'userid'))),
+            'coverage' => 0,
+            'shareloss' => array_sum(array_column($attempts, 'shareloss')),
+            'flags' => array_sum(array_column($attempts, 'flags')),
+            'atrisk' => count(array_filter(array_column($attempts, 'risk'))),
+        ];
+        if ($attempts) {
+            $summary->coverage = (int)round(array_sum(array_column($attempts, 'coverage')) / count($attempts));
+        }
+        return $summary;
+    }
+
+    /**
+     * Sort the attempts by the given columns.
+     *
+     * @param stdClass[] $attempts As returned by get_quiz_attempts().
+     * @param int[] $columns SORT_ASC or SORT_DESC keyed by column, the first column sorting first.
+     * @return stdClass[]
+     */
+    public static function sort_attempts(array $attempts, array $columns) : array {
+        $columns = array_intersect_key($columns, array_flip(self::COLUMNS));
+        usort($attempts, function($a, $b) use ($columns) {
+            foreach ($columns as $column => $direction) {
+                if ($column === 'student') {
+                    $result = \core_text::strtolower($a->student) <=> \core_text::strtolower($b->student);
+                } else {
+                    $result = $a->$column <=> $b->$column;
+                }
+                if ($result !== 0) {
+                    return $direction == SORT_DESC ? -$result : $result;
+                }
+            }
+            return $a->attemptid <=> $b->attemptid;
+        });
+        return $attempts;
+    }
+
+    /**
+     * Find the attempt a capture or an event belongs to.
+     *
+     * @param stdClass[] $attempts Attempts keyed by ID.
+     * @param stdClass $row Row with userid, attemptid and timecreated.
+     * @return stdClass|null
+     */
+    private static function find_attempt(array $attempts, stdClass $row) : ?stdClass {
+        if ($row->attemptid) {
+            return $attempts[$row->attemptid] ?? null;
+        }
+        foreach ($attempts as $attempt) {
+            if ($attempt->userid == $row->userid && $row->timecreated >= $attempt->timestart &&
+                    $row->timecreated <= $attempt->timeend) {
+                return $attempt;
+            }
+        }
+        return null;
+    }
+}
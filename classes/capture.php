@@ -0,0 +1,247 @@
+<?php
+// This file is part of Moodle invigilator for Moodle - http://moodle.org/
+//
+// Moodle invigilator is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle invigilator is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with MailTest.  If not, see <http://www.gnu.org/licenses/>.
+/**
+ * Capture types for the quizaccess_invigilator plugin.
+ *
+ * @package    quizaccess_invigilator
+ * @copyright  2021 Brain Station 23
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace quizaccess_invigilator;
+
+defined('MOODLE_INTERNAL') || die();
+
+/**
+ * capture class.
+ *
+ * @copyright  2021 Brain Station 23
+ * @license   http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class capture {
+
+    /** @var string A screenshot of the shared screen. */
+    const TYPE_SCREEN = 'screen';
+
+    /** @var string A snapshot of the webcam. */
+    const TYPE_WEBCAM = 'webcam';
+
+    /** @var string Lossless PNG images. */
+    const FORMAT_PNG = 'png';
+
+    /** @var string JPEG images. */
+    const FORMAT_JPEG = 'jpeg';
+
+    /** @var string WebP images. */
+    const FORMAT_WEBP = 'webp';
+
+    /** @var int Largest practice screenshot of the system check, in bytes. */
+    const MAX_PRACTICE_BYTES = 10485760;
+
+    /**
+     * Get all the capture types.
+     *
+     * @return string[]
+     */
+    public static function get_types() : array {
+        return [self::TYPE_SCREEN, self::TYPE_WEBCAM];
+    }
+
+    /**
+     * Get the image formats the browser may upload, keyed by mime type.
+     *
+     * @return string[]
+     */
+    public static function get_formats() : array {
+        return [
+            'image/png' => self::FORMAT_PNG,
+            'image/jpeg' => self::FORMAT_JPEG,
+            'image/webp' => self::FORMAT_WEBP,
+        ];
+    }
+
+    /**
+     * Get the image format configured for the site.
+     *
+     * WebP falls back to JPEG when the server cannot write WebP images.
+     *
+     * @return string One of the FORMAT_* constants.
+     */
+    public static function get_configured_format() : string {
+        $format = get_config('quizaccess_invigilator', 'imageformat');
+        if (!in_array($format, self::get_formats())) {
+            return self::FORMAT_PNG;
+        }
+        if ($format === self::FORMAT_WEBP && !function_exists('imagewebp')) {
+            return self::FORMAT_JPEG;
+        }
+        return $format;
+    }
+
+    /**
+     * Get the configured image quality between 0 and 100, ignored for PNG.
+     *
+     * @return int
+     */
+    public static function get_configured_quality() : int {
+        $quality = (int)get_config('quizaccess_invigilator', 'imagequality');
+        return $quality > 0 ? min($quality, 100) : 70;
+    }
+
+    /**
+     * Get the file extension of an image format.
+     *
+     * @param string $format One of the FORMAT_* constants.
+     * @return string
+     */
+    public static function get_extension(string $format) : string {
+        return $format === self::FORMAT_JPEG ? 'jpg' : $format;
+    }
+
+    /**
+     * Encode a GD image in the given format.
+     *
+     * @param resource|\GdImage $image
+     * @param string $format One of the FORMAT_* constants.
+     * @param int $quality Quality between 0 and 100, ignored for PNG.
+     * @return string The encoded image.
+     */
+    public static function encode_image($image, string $format, int $quality) : string {
+        ob_start();
+        if ($format === self::FORMAT_JPEG) {
+            imagejpeg($image, null, $quality);
+        } else if ($format === self::FORMAT_WEBP) {
+            imagewebp($image, null, $quality);
+        } else {
+            imagepng($image);
+        }
+        return ob_get_clean();
+    }
+
+    /**
+     * Read an image uploaded by the browser.
+     *
+     * The type is checked from the content first, so only PNG, JPEG and, when the
+     * server supports it, WebP images are handed to GD.
+     *
+     * @param string $data Content of the image.
+     * @return resource|\GdImage|null Null when the server cannot read the image.
+     */
+    public static function read_image(string $data) {
+        if ($data === '') {
+            return null;
+        }
+        $mimetype = (new \finfo(FILEINFO_MIME_TYPE))->buffer($data);
+        $format = self::get_formats()[$mimetype] ?? null;
+        if ($format === null || ($format === self::FORMAT_WEBP && !function_exists('imagecreatefromwebp'))) {
+            return null;
+        }
+        $image = imagecreatefromstring($data);
+        return $image === false ? null : $image;
+    }
+
+    /**
+     * Describe the captured surface of a log row: its resolution and whether multiple displays were detected.
+     *
+     * @param \stdClass $row Log row.
+     * @return string Empty if nothing is known about the surface.
+     */
+    public static function describe_surface(\stdClass $row) : string {
+        $parts = [];
+        if (!empty($row->surfacewidth) && !empty($row->surfaceheight)) {
+            $parts[] = get_string('surfaceresolution', 'quizaccess_invigilator',
+                (object)['width' => $row->surfacewidth, 'height' => $row->surfaceheight]);
+        }
+        if (!empty($row->multidisplay)) {
+            $parts[] = get_string('multidisplay', 'quizaccess_invigilator');
+        }
+        return implode(', ', $parts);
+    }
+
+    /**
+     * Pair every screen capture with the closest webcam capture taken around the same time.
+     *
+     * Each webcam capture is used at most once. Captures without a partner within the
+     * tolerance are returned on their own.
+     *
+     * @param array $rows Log rows with timecreated and capturetype, oldest first.
+     * @param int $tolerance Maximum number of seconds between paired captures.
+     * @return \stdClass[] Objects with screen and webcam properties, either of which may be null.
+     */
+    public static function pair_captures(array $rows, int $tolerance) : array {
+        $screens = [];
+        $webcams = [];
+        foreach ($rows as $row) {
+            if (isset($row->capturetype) && $row->capturetype === self::TYPE_WEBCAM) {
+                $webcams[] = $row;
+            } else {
+                $screens[] = $row;
+            }
+        }
+
+        $pairs = [];
+        $used = [];
+        foreach ($screens as $screen) {
+            $best = null;
+            foreach ($webcams as $index => $webcam) {
+                $distance = abs($webcam->timecreated - $screen->timecreated);
+                if (isset($used[$index]) || $distance > $tolerance) {
+                    continue;
+                }
+                if ($best === null || $distance < abs($webcams[$best]->timecreated - $screen->timecreated)) {
+                    $best = $index;
+                }
+            }
+            if ($best !== null) {
+                $used[$best] = true;
+            }
+            $pairs[] = (object)['timecreated' => $screen->timecreated, 'screen' => $screen,
+                'webcam' => $best !== null ? $webcams[$best] : null];
+        }
+        foreach ($webcams as $index => $webcam) {
+            if (!isset($used[$index])) {
+                $pairs[] = (object)['timecreated' => $webcam->timecreated, 'screen' => null, 'webcam' => $webcam];
+            }
+        }
+
+        usort($pairs, function($a, $b) {
+            return $a->timecreated - $b->timecreated;
+        });
+        return $pairs;
+    }
+
+    /**
+     * Get the options of the screenshot replay in the lightbox.
+     *
+     * Captures further apart than twice the screenshot delay are marked as a gap.
+     *
+     * @param int $screenshotdelay Seconds between two screenshots.
+     * @return \stdClass Options for the setReplay function of the lightbox2 module.
+     * @throws \coding_exception
+     */
+    public static function get_replay_options(int $screenshotdelay) : \stdClass {
+        $labels = [];
+        foreach (['play', 'pause', 'speed', 'flag', 'draw', 'note', 'gap', 'shortcuts'] as $label) {
+            $labels[$label] = get_string('replay:' . $label, 'quizaccess_invigilator');
+        }
+        return (object)[
+            'replayGap' => 2 * $screenshotdelay,
+            'replayLabels' => $labels,
+            'annotate' => false,
+            'events' => [],
+        ];
+    }
+}
@@ -0,0 +1,177 @@
+<?php
+// This file is part of Moodle invigilator for Moodle - http://moodle.org/
+//
+// Moodle invigilator is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle invigilator is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with MailTest.  If not, see <http://www.gnu.org/licenses/>.
+/**
+ * Privacy notice and consent records of the quizaccess_invigilator plugin.
+ *
+ * @package    quizaccess_invigilator
+ * @copyright  2021 Brain Station 23
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace quizaccess_invigilator;
+
+use stdClass;
+
+defined('MOODLE_INTERNAL') || die();
+
+/**
+ * consent class.
+ *
+ * Students accept the privacy notice of the site before they share their screen.
+ * Every change of the notice gets a new version, kept with its text, and students
+ * are asked again until they accepted the current version on the quiz. The consent
+ * is recorded once the preflight check form passed.
+ *
+ * @copyright  2021 Brain Station 23
+ * @license   http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class consent {
+
+    /**
+     * Get the current privacy notice.
+     *
+     * @return stdClass With the version and the HTML text of the notice.
+     * @throws \coding_exception
+     * @throws \dml_exception
+     */
+    public static function get_notice() : stdClass {
+        $text = (string)get_config('quizaccess_invigilator', 'privacynotice');
+        if (trim(strip_tags($text)) === '') {
+            $text = get_string('privacynotice:default', 'quizaccess_invigilator');
+        }
+        return (object)[
+            'version' => max(1, (int)get_config('quizaccess_invigilator', 'privacynoticeversion')),
+            'text' => $text,
+        ];
+    }
+
+    /**
+     * Give a new version to the privacy notice once it is changed in the site settings.
+     *
+     * @throws \dml_exception
+     */
+    public static function notice_updated() {
+        $version = max(1, (int)get_config('quizaccess_invigilator', 'privacynoticeversion'));
+        set_config('privacynoticeversion', $version + 1, 'quizaccess_invigilator');
+        self::save_notice();
+    }
+
+    /**
+     * Keep the text of the current version of the privacy notice.
+     *
+     * @return stdClass Row of the notices table.
+     * @throws \coding_exception
+     * @throws \dml_exception
+     */
+    public static function save_notice() : stdClass {
+        global $DB;
+
+        $notice = self::get_notice();
+        $record = $DB->get_record('quizaccess_invigilator_notices', ['noticeversion' => $notice->version]);
+        if ($record) {
+            return $record;
+        }
+
+        $record = (object)[
+            'noticeversion' => $notice->version,
+            'noticetext' => $notice->text,
+            'noticehash' => sha1($notice->text),
+            'timecreated' => time(),
+        ];
+        $record->id = $DB->insert_record('quizaccess_invigilator_notices', $record);
+        return $record;
+    }
+
+    /**
+     * Get the text of a version of the privacy notice.
+     *
+     * @param int $version
+     * @return stdClass|null Row of the notices table, null if the version was not kept.
+     * @throws \dml_exception
+     */
+    public static function get_notice_version(int $version) : ?stdClass {
+        global $DB;
+
+        return $DB->get_record('quizaccess_invigilator_notices', ['noticeversion' => $version]) ?: null;
+    }
+
+    /**
+     * Whether a student accepted the current version of the privacy notice on a quiz.
+     *
+     * @param int $cmid Course module of the quiz.
+     * @param int $userid
+     * @return bool
+     * @throws \coding_exception
+     * @throws \dml_exception
+     */
+    public static function has_consented(int $cmid, int $userid) : bool {
+        global $DB;
+
+        return $DB->record_exists('quizaccess_invigilator_consents',
+            ['cmid' => $cmid, 'userid' => $userid, 'noticeversion' => self::get_notice()->version]);
+    }
+
+    /**
+     * Record that a student accepted the current version of the privacy notice on a quiz.
+     *
+     * @param int $cmid Course module of the quiz.
+     * @param int $quizid
+     * @param int $userid
+     * @return stdClass Row of the consents table.
+     * @throws \coding_exception
+     * @throws \dml_exception
+     */
+    public static function record(int $cmid, int $quizid, int $userid) : stdClass {
+        global $DB;
+
+        $notice = self::save_notice();
+        $consent = $DB->get_record('quizaccess_invigilator_consents',
+            ['cmid' => $cmid, 'userid' => $userid, 'noticeversion' => $notice->noticeversion]);
+        if ($consent) {
+            return $consent;
+        }
+
+        $consent = (object)[
+            'cmid' => $cmid,
+            'quizid' => $quizid,
+            'userid' => $userid,
+            'noticeversion' => $notice->noticeversion,
+            'noticehash' => $notice->noticehash,
+            'timecreated' => time(),
+        ];
+        $consent->id = $DB->insert_record('quizaccess_invigilator_consents', $consent);
+        return $consent;
+    }
+
+    /**
+     * Get the latest consent of every student of a quiz.
+     *
+     * @param int $cmid Course module of the quiz.
+     * @return stdClass[] Rows of the consents table keyed by the ID of the student.
+     * @throws \dml_exception
+     */
+    public static function get_latest(int $cmid) : array {
+        global $DB;
+
+        $latest = [];
+        $consents = $DB->get_recordset('quizaccess_invigilator_consents', ['cmid' => $cmid], 'timecreated ASC, id ASC');
+        foreach ($consents as $consent) {
+            $latest[$consent->userid] = $consent;
+        }
+        $consents->close();
+        return $latest;
+    }
+}
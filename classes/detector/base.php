@@ -0,0 +1,133 @@
+<?php
+// This file is part of Moodle invigilator for Moodle - http://moodle.org/
+//
+// Moodle invigilator is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle invigilator is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with MailTest.  If not, see <http://www.gnu.org/licenses/>.
+/**
+ * Base class of the capture detectors for the quizaccess_invigilator plugin.
+ *
+ * @package    quizaccess_invigilator
+ * @copyright  2021 Brain Station 23
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace quizaccess_invigilator\detector;
+
+use quizaccess_invigilator\capture;
+use stdClass;
+
+defined('MOODLE_INTERNAL') || die();
+
+/**
+ * base class.
+ *
+ * A detector looks at a stored screen capture and reports what it finds, each
+ * finding with a score from 0 to 1. Detectors run offline on the server, from the
+ * adhoc task queued after the capture is stored. Other plugins add detectors by
+ * returning the names of their subclasses from a invigilator_detectors callback.
+ *
+ * @copyright  2021 Brain Station 23
+ * @license   http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+abstract class base {
+
+    /** @var stdClass Settings of the quiz, a row of the quizaccess_invigilator table. */
+    protected $settings;
+
+    /**
+     * Constructor.
+     *
+     * @param stdClass $settings Settings of the quiz, a row of the quizaccess_invigilator table.
+     */
+    public function __construct(stdClass $settings) {
+        $this->settings = $settings;
+    }
+
+    /**
+     * Get the name the detector is stored and configured with.
+     *
+     * @return string At most 32 characters.
+     */
+    abstract public static function get_name() : string;
+
+    /**
+     * Get the human readable name of the detector.
+     *
+     * @return string
+     */
+    public static function get_display_name() : string {
+        return get_string('detector:' . static::get_name(), 'quizaccess_invigilator');
+    }
+
+    /**
+     * Whether the detector can run on this site.
+     *
+     * @return bool
+     */
+    public static function is_available() : bool {
+        return true;
+    }
+
+    /**
+     * Analyse a capture.
+     *
+     * @param stdClass $log Row of the logs table.
+     * @param \stored_file $file Image of the capture.
+     * @return stdClass[] Findings with score and details, empty when nothing was found.
+     */
+    abstract public function analyse(stdClass $log, \stored_file $file) : array;
+
+    /**
+     * Build a finding.
+     *
+     * @param float $score How sure the detector is, from 0 to 1.
+     * @param string $details What was found.
+     * @return stdClass
+     */
+    protected static function finding(float $score, string $details) : stdClass {
+        return (object)['score' => round(min(1, max(0, $score)), 5), 'details' => $details];
+    }
+
+    /**
+     * Open a stored image.
+     *
+     * @param \stored_file $file
+     * @return resource|\GdImage|null Null when the image cannot be read.
+     */
+    protected static function open_image(\stored_file $file) {
+        return capture::read_image($file->get_content());
+    }
+
+    /**
+     * Scale an image and get the brightness of its pixels.
+     *
+     * @param resource|\GdImage $image
+     * @param int $width Width to scale to.
+     * @param int $height Height to scale to.
+     * @return int[][] Brightness from 0 to 255, by row and column.
+     */
+    public static function get_brightness($image, int $width, int $height) : array {
+        $scaled = imagecreatetruecolor($width, $height);
+        imagecopyresampled($scaled, $image, 0, 0, 0, 0, $width, $height, imagesx($image), imagesy($image));
+
+        $pixels = [];
+        for ($y = 0; $y < $height; $y++) {
+            for ($x = 0; $x < $width; $x++) {
+                $rgb = imagecolorat($scaled, $x, $y);
+                $pixels[$y][$x] = (int)round(0.299 * (($rgb >> 16) & 0xFF) + 0.587 * (($rgb >> 8) & 0xFF) + 0.114 * ($rgb & 0xFF));
+            }
+        }
+        imagedestroy($scaled);
+        return $pixels;
+    }
+}
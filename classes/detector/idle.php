@@ -0,0 +1,201 @@
+<?php
+// This file is part of Moodle invigilator for Moodle - http://moodle.org/
+//
+// Moodle invigilator is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle invigilator is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with MailTest.  If not, see <http://www.gnu.org/licenses/>.
+/**
+ * Idle screen detector for the quizaccess_invigilator plugin.
+ *
+ * @package    quizaccess_invigilator
+ * @copyright  2021 Brain Station 23
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace quizaccess_invigilator\detector;
+
+use quizaccess_invigilator\capture;
+use quizaccess_invigilator\event_log;
+use stdClass;
+
+defined('MOODLE_INTERNAL') || die();
+
+/**
+ * idle class.
+ *
+ * Reports a screen that stayed largely unchanged for longer than the quiz allows.
+ * Browsers do not upload a screenshot that did not change, they log a no change
+ * event instead, so the screen is also known to be unchanged until the last of
+ * those events before a new screenshot.
+ *
+ * @copyright  2021 Brain Station 23
+ * @license   http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class idle extends base {
+
+    /** @var int Minutes the screen may stay unchanged when the quiz does not set it. */
+    const DEFAULT_MINUTES = 10;
+
+    /** @var float Largest average brightness difference of screens that are largely unchanged, from 0 to 1. */
+    const TOLERANCE = 0.05;
+
+    /** @var int Width of the thumbnails compared. */
+    const THUMBNAIL_WIDTH = 32;
+
+    /** @var int Height of the thumbnails compared. */
+    const THUMBNAIL_HEIGHT = 18;
+
+    /**
+     * Get the name the detector is stored and configured with.
+     *
+     * @return string
+     */
+    public static function get_name() : string {
+        return 'idle';
+    }
+
+    /**
+     * Get the minutes the screen may stay unchanged in a quiz.
+     *
+     * @param stdClass $settings Settings of the quiz.
+     * @return int
+     */
+    public static function get_minutes(stdClass $settings) : int {
+        return !empty($settings->invigilatoridleminutes) ? (int)$settings->invigilatoridleminutes : self::DEFAULT_MINUTES;
+    }
+
+    /**
+     * Measure how long the screen stayed unchanged up to this capture.
+     *
+     * The score reaches 0.5 at the allowed minutes and 1 at twice as many.
+     *
+     * @param stdClass $log Row of the logs table.
+     * @param \stored_file $file Image of the capture.
+     * @return stdClass[]
+     */
+    public function analyse(stdClass $log, \stored_file $file) : array {
+        global $DB;
+
+        $allowed = self::get_minutes($this->settings) * MINSECS;
+        $since = $log->timecreated - 2 * $allowed;
+
+        // The earlier screenshots of the attempt, newest first.
+        $previous = $DB->get_records_select('quizaccess_invigilator_logs',
+            'cmid = :cmid AND userid = :userid AND attemptid = :attemptid AND capturetype = :capturetype
+                AND id < :id AND timecreated >= :since',
+            ['cmid' => $log->cmid, 'userid' => $log->userid, 'attemptid' => $log->attemptid,
+                'capturetype' => capture::TYPE_SCREEN, 'id' => $log->id, 'since' => $since],
+            'timecreated DESC, id DESC', 'id, cmid, timecreated');
+        if (!$previous) {
+            return [];
+        }
+
+        $current = $this->get_thumbnail($file);
+        if ($current === null) {
+            return [];
+        }
+        // The next screenshot of the attempt compares itself with this one.
+        \cache::make('quizaccess_invigilator', 'thumbnails')->set($log->id, $current);
+
+        // Walk back while the earlier screenshots look like the newest of them.
+        $last = reset($previous);
+        $lastthumbnail = $this->get_log_thumbnail($last);
+        if ($lastthumbnail === null) {
+            return [];
+        }
+        $start = $last->timecreated;
+        foreach (array_slice($previous, 1) as $earlier) {
+            $thumbnail = $this->get_log_thumbnail($earlier);
+            if ($thumbnail === null || !self::is_unchanged($thumbnail, $lastthumbnail)) {
+                break;
+            }
+            $start = $earlier->timecreated;
+        }
+
+        if (self::is_unchanged($current, $lastthumbnail)) {
+            $end = $log->timecreated;
+        } else {
+            $end = $DB->get_field_select('quizaccess_invigilator_events', 'MAX(timecreated)',
+                'cmid = :cmid AND userid = :userid AND eventtype = :eventtype AND ' . $DB->sql_compare_text('details') .
+                    ' = :details AND timecreated >= :start AND timecreated <= :end',
+                ['cmid' => $log->cmid, 'userid' => $log->userid, 'eventtype' => event_log::TYPE_NO_CHANGE,
+                    'details' => capture::TYPE_SCREEN, 'start' => $last->timecreated, 'end' => $log->timecreated]);
+            $end = $end ? (int)$end : $last->timecreated;
+        }
+
+        $duration = $end - $start;
+        if ($duration < $allowed) {
+            return [];
+        }
+        return [self::finding($duration / (2 * $allowed),
+            get_string('detector:idle_found', 'quizaccess_invigilator', round($duration / MINSECS)))];
+    }
+
+    /**
+     * Whether two thumbnails show a largely unchanged screen.
+     *
+     * @param int[][] $a
+     * @param int[][] $b
+     * @return bool
+     */
+    public static function is_unchanged(array $a, array $b) : bool {
+        $difference = 0;
+        foreach ($a as $y => $row) {
+            foreach ($row as $x => $brightness) {
+                $difference += abs($brightness - $b[$y][$x]);
+            }
+        }
+        return $difference / (self::THUMBNAIL_WIDTH * self::THUMBNAIL_HEIGHT * 255) <= self::TOLERANCE;
+    }
+
+    /**
+     * Get the thumbnail of a stored screenshot, from the cache when an earlier analysis made it.
+     *
+     * @param stdClass $log Row of the logs table.
+     * @return int[][]|null Null when the image is missing or cannot be read.
+     */
+    private function get_log_thumbnail(stdClass $log) : ?array {
+        $cache = \cache::make('quizaccess_invigilator', 'thumbnails');
+        $thumbnail = $cache->get($log->id);
+        if ($thumbnail !== false) {
+            return $thumbnail;
+        }
+
+        $context = \context_module::instance($log->cmid, IGNORE_MISSING);
+        if (!$context) {
+            return null;
+        }
+        $files = get_file_storage()->get_area_files($context->id, 'quizaccess_invigilator', 'picture', $log->id, 'id', false);
+        $file = reset($files);
+        $thumbnail = $file ? $this->get_thumbnail($file) : null;
+        if ($thumbnail !== null) {
+            $cache->set($log->id, $thumbnail);
+        }
+        return $thumbnail;
+    }
+
+    /**
+     * Get the thumbnail of an image.
+     *
+     * @param \stored_file $file
+     * @return int[][]|null Null when the image cannot be read.
+     */
+    private function get_thumbnail(\stored_file $file) : ?array {
+        $image = self::open_image($file);
+        if (!$image) {
+            return null;
+        }
+        $thumbnail = self::get_brightness($image, self::THUMBNAIL_WIDTH, self::THUMBNAIL_HEIGHT);
+        imagedestroy($image);
+        return $thumbnail;
+    }
+}
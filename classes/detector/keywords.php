@@ -0,0 +1,145 @@
+<?php
+// This file is part of Moodle invigilator for Moodle - http://moodle.org/
+//
+// Moodle invigilator is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle invigilator is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with MailTest.  If not, see <http://www.gnu.org/licenses/>.
+/**
+ * Forbidden keyword detector for the quizaccess_invigilator plugin.
+ *
+ * @package    quizaccess_invigilator
+ * @copyright  2021 Brain Station 23
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace quizaccess_invigilator\detector;
+
+use stdClass;
+
+defined('MOODLE_INTERNAL') || die();
+
+/**
+ * keywords class.
+ *
+ * Reads the text on the screen with the Tesseract OCR engine installed on the
+ * server and looks for the forbidden keywords and URLs of the quiz.
+ *
+ * @copyright  2021 Brain Station 23
+ * @license   http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class keywords extends base {
+
+    /**
+     * Get the name the detector is stored and configured with.
+     *
+     * @return string
+     */
+    public static function get_name() : string {
+        return 'keywords';
+    }
+
+    /**
+     * Available when the path to Tesseract is set.
+     *
+     * @return bool
+     */
+    public static function is_available() : bool {
+        $path = get_config('quizaccess_invigilator', 'pathtotesseract');
+        return !empty($path) && is_executable($path);
+    }
+
+    /**
+     * Look for the forbidden keywords on the screen.
+     *
+     * @param stdClass $log Row of the logs table.
+     * @param \stored_file $file Image of the capture.
+     * @return stdClass[]
+     */
+    public function analyse(stdClass $log, \stored_file $file) : array {
+        $keywords = self::parse_keywords((string)($this->settings->invigilatorkeywords ?? ''));
+        if (!$keywords) {
+            return [];
+        }
+
+        $found = self::find_keywords(self::read_text($file), $keywords);
+        if (!$found) {
+            return [];
+        }
+        return [self::finding(0.6 + 0.2 * (count($found) - 1),
+            get_string('detector:keywords_found', 'quizaccess_invigilator', implode(', ', $found)))];
+    }
+
+    /**
+     * Split the keywords setting of a quiz.
+     *
+     * @param string $keywords Keywords and URLs, one per line.
+     * @return string[]
+     */
+    public static function parse_keywords(string $keywords) : array {
+        $parsed = [];
+        foreach (preg_split('/\R/', $keywords) as $keyword) {
+            $keyword = trim($keyword);
+            if ($keyword !== '') {
+                $parsed[] = $keyword;
+            }
+        }
+        return array_values(array_unique($parsed));
+    }
+
+    /**
+     * Find keywords in a text, ignoring case. URLs are also found when OCR split them with spaces.
+     *
+     * @param string $text
+     * @param string[] $keywords
+     * @return string[] The keywords found.
+     */
+    public static function find_keywords(string $text, array $keywords) : array {
+        $text = \core_text::strtolower($text);
+        $compact = preg_replace('/\s+/u', '', $text);
+        $text = preg_replace('/\s+/u', ' ', $text);
+
+        $found = [];
+        foreach ($keywords as $keyword) {
+            $needle = \core_text::strtolower($keyword);
+            if (\core_text::strpos($text, $needle) !== false ||
+                    (strpos($needle, ' ') === false && \core_text::strpos($compact, $needle) !== false)) {
+                $found[] = $keyword;
+            }
+        }
+        return $found;
+    }
+
+    /**
+     * Read the text of an image with Tesseract.
+     *
+     * @param \stored_file $file
+     * @return string Empty when nothing could be read.
+     * @throws \moodle_exception When the image cannot be copied or Tesseract fails, so the analysis is run again later.
+     */
+    protected static function read_text(\stored_file $file) : string {
+        // The request directory is removed with everything in it when the task ends.
+        $path = make_request_directory() . '/' . $file->get_contenthash();
+        if (!$file->copy_content_to($path)) {
+            throw new \moodle_exception('detector:keywords_nocopy', 'quizaccess_invigilator', '', $file->get_filename());
+        }
+
+        $command = escapeshellarg(get_config('quizaccess_invigilator', 'pathtotesseract')) . ' ' . escapeshellarg($path)
+            . ' stdout 2> /dev/null';
+        $output = [];
+        $status = 0;
+        exec($command, $output, $status);
+        if ($status !== 0) {
+            throw new \moodle_exception('detector:keywords_failed', 'quizaccess_invigilator', '', $status);
+        }
+        return implode("\n", $output);
+    }
+}
@@ -0,0 +1,137 @@
+<?php
+// This file is part of Moodle invigilator for Moodle - http://moodle.org/
+//
+// Moodle invigilator is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle invigilator is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with MailTest.  If not, see <http://www.gnu.org/licenses/>.
+/**
+ * Disallowed application window detector for the quizaccess_invigilator plugin.
+ *
+ * @package    quizaccess_invigilator
+ * @copyright  2021 Brain Station 23
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace quizaccess_invigilator\detector;
+
+use stdClass;
+
+defined('MOODLE_INTERNAL') || die();
+
+/**
+ * window class.
+ *
+ * Looks for the template images of the quiz on the screen, for example the title
+ * bar or the icon of a disallowed application cropped from an earlier capture.
+ * Templates are matched at the size of the capture, both scaled down for speed.
+ *
+ * @copyright  2021 Brain Station 23
+ * @license   http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class window extends base {
+
+    /** @var string File area of the template images of a quiz. */
+    const FILEAREA = 'detectortemplate';
+
+    /** @var int Captures and templates are scaled down by this factor before matching. */
+    const SCALE = 4;
+
+    /** @var float Lowest similarity reported as a match. */
+    const THRESHOLD = 0.9;
+
+    /**
+     * Get the name the detector is stored and configured with.
+     *
+     * @return string
+     */
+    public static function get_name() : string {
+        return 'window';
+    }
+
+    /**
+     * Look for the template images on the screen.
+     *
+     * @param stdClass $log Row of the logs table.
+     * @param \stored_file $file Image of the capture.
+     * @return stdClass[]
+     */
+    public function analyse(stdClass $log, \stored_file $file) : array {
+        $context = \context_module::instance($log->cmid, IGNORE_MISSING);
+        if (!$context) {
+            return [];
+        }
+        $templates = get_file_storage()->get_area_files($context->id, 'quizaccess_invigilator', self::FILEAREA, 0,
+            'filename', false);
+        if (!$templates) {
+            return [];
+        }
+        $image = self::open_image($file);
+        if (!$image) {
+            return [];
+        }
+        $screen = self::get_brightness($image, max(1, intdiv(imagesx($image), self::SCALE)),
+            max(1, intdiv(imagesy($image), self::SCALE)));
+        imagedestroy($image);
+
+        $findings = [];
+        foreach ($templates as $template) {
+            $image = self::open_image($template);
+            if (!$image) {
+                continue;
+            }
+            $pattern = self::get_brightness($image, max(1, intdiv(imagesx($image), self::SCALE)),
+                max(1, intdiv(imagesy($image), self::SCALE)));
+            imagedestroy($image);
+
+            $similarity = self::match($screen, $pattern);
+            if ($similarity >= self::THRESHOLD) {
+                $findings[] = self::finding($similarity,
+                    get_string('detector:window_found', 'quizaccess_invigilator', $template->get_filename()));
+            }
+        }
+        return $findings;
+    }
+
+    /**
+     * Find the place where a template looks most like the screen.
+     *
+     * @param int[][] $screen Brightness of the screen, by row and column.
+     * @param int[][] $template Brightness of the template, by row and column.
+     * @return float Similarity at the best place, from 0 to 1; 0 when the template is larger than the screen.
+     */
+    public static function match(array $screen, array $template) : float {
+        $height = count($template);
+        $width = count($template[0]);
+        $maxy = count($screen) - $height;
+        $maxx = count($screen[0]) - $width;
+        if ($maxy < 0 || $maxx < 0) {
+            return 0;
+        }
+
+        $best = PHP_INT_MAX;
+        for ($top = 0; $top <= $maxy; $top++) {
+            for ($left = 0; $left <= $maxx; $left++) {
+                $difference = 0;
+                for ($y = 0; $y < $height && $difference < $best; $y++) {
+                    $row = $screen[$top + $y];
+                    foreach ($template[$y] as $x => $brightness) {
+                        $difference += abs($row[$left + $x] - $brightness);
+                    }
+                }
+                if ($difference < $best) {
+                    $best = $difference;
+                }
+            }
+        }
+        return 1 - $best / ($width * $height * 255);
+    }
+}
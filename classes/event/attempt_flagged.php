@@ -0,0 +1,137 @@
+<?php
+// This file is part of Moodle invigilator for Moodle - http://moodle.org/
+//
+// Moodle invigilator is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle invigilator is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with MailTest.  If not, see <http://www.gnu.org/licenses/>.
+/**
+ * Attempt flagged event for the quizaccess_invigilator plugin.
+ *
+ * @package    quizaccess_invigilator
+ * @copyright  2021 Brain Station 23
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace quizaccess_invigilator\event;
+
+use stdClass;
+
+defined('MOODLE_INTERNAL') || die();
+
+/**
+ * attempt_flagged class.
+ *
+ * A reviewer flagged a capture of an attempt as suspicious.
+ *
+ * @property-read array $other {
+ *      - int logid: The flagged capture.
+ *      - int attemptid: Attempt of the capture, 0 if unknown.
+ * }
+ *
+ * @copyright  2021 Brain Station 23
+ * @license   http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class attempt_flagged extends \core\event\base {
+
+    /**
+     * Create the event of a new flag.
+     *
+     * @param stdClass $flag Row of the flags table.
+     * @param stdClass $log Row of the logs table of the flagged capture.
+     * @return attempt_flagged
+     */
+    public static function create_from_flag(stdClass $flag, stdClass $log) : attempt_flagged {
+        $event = self::create([
+            'objectid' => $flag->id,
+            'context' => \context_module::instance($flag->cmid),
+            'relateduserid' => $flag->userid,
+            'other' => ['logid' => (int)$log->id, 'attemptid' => (int)($log->attemptid ?? 0)],
+        ]);
+        $event->add_record_snapshot('quizaccess_invigilator_flags', $flag);
+        return $event;
+    }
+
+    /**
+     * Init method.
+     */
+    protected function init() {
+        $this->data['objecttable'] = 'quizaccess_invigilator_flags';
+        $this->data['crud'] = 'c';
+        $this->data['edulevel'] = self::LEVEL_TEACHING;
+    }
+
+    /**
+     * Get the name of the event.
+     *
+     * @return string
+     */
+    public static function get_name() {
+        return get_string('event:attemptflagged', 'quizaccess_invigilator');
+    }
+
+    /**
+     * Get the description of the event.
+     *
+     * @return string
+     */
+    public function get_description() {
+        return "The user with id '$this->userid' flagged the capture with id '{$this->other['logid']}' of the attempt " .
+            "with id '{$this->other['attemptid']}' of the user with id '$this->relateduserid' in the quiz with course " .
+            "module id '$this->contextinstanceid'.";
+    }
+
+    /**
+     * Get the URL of the report of the student.
+     *
+     * @return \moodle_url
+     */
+    public function get_url() {
+        return new \moodle_url('/mod/quiz/accessrule/invigilator/report.php', ['courseid' => $this->courseid,
+            'cmid' => $this->contextinstanceid, 'studentid' => $this->relateduserid, 'reportid' => $this->other['logid']]);
+    }
+
+    /**
+     * Validate the data of the event.
+     *
+     * @throws \coding_exception
+     */
+    protected function validate_data() {
+        parent::validate_data();
+        if (!isset($this->relateduserid)) {
+            throw new \coding_exception('The \'relateduserid\' must be set.');
+        }
+        if (!isset($this->other['logid']) || !isset($this->other['attemptid'])) {
+            throw new \coding_exception('The \'logid\' and \'attemptid\' values must be set in other.');
+        }
+    }
+
+    /**
+     * Get the mapping of the object ID on restore.
+     *
+     * @return array
+     */
+    public static function get_objectid_mapping() {
+        return \core\event\base::NOT_MAPPED;
+    }
+
+    /**
+     * Get the mapping of the other values on restore.
+     *
+     * @return array
+     */
+    public static function get_other_mapping() {
+        return [
+            'logid' => ['db' => 'quizaccess_invigilator_logs', 'restore' => 'quizaccess_invigilator_log'],
+            'attemptid' => ['db' => 'quiz_attempts', 'restore' => 'quiz_attempt'],
+        ];
+    }
+}
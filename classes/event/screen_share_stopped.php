@@ -0,0 +1,132 @@
+<?php
+// This file is part of Moodle invigilator for Moodle - http://moodle.org/
+//
+// Moodle invigilator is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle invigilator is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with MailTest.  If not, see <http://www.gnu.org/licenses/>.
+/**
+ * Screen share stopped event for the quizaccess_invigilator plugin.
+ *
+ * @package    quizaccess_invigilator
+ * @copyright  2021 Brain Station 23
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace quizaccess_invigilator\event;
+
+use stdClass;
+
+defined('MOODLE_INTERNAL') || die();
+
+/**
+ * screen_share_stopped class.
+ *
+ * The screen of a student is no longer shared, because the student ended the share or it was lost.
+ *
+ * @property-read array $other {
+ *      - int attemptid: Attempt the event was reported in, 0 if unknown.
+ *      - string eventtype: Type of the proctoring event.
+ * }
+ *
+ * @copyright  2021 Brain Station 23
+ * @license   http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class screen_share_stopped extends \core\event\base {
+
+    /**
+     * Create the event of a reported proctoring event.
+     *
+     * @param stdClass $record Row of the events table.
+     * @return screen_share_stopped
+     */
+    public static function create_from_record(stdClass $record) : screen_share_stopped {
+        $event = self::create([
+            'objectid' => $record->id,
+            'context' => \context_module::instance($record->cmid),
+            'relateduserid' => $record->userid,
+            'other' => ['attemptid' => (int)$record->attemptid, 'eventtype' => $record->eventtype],
+        ]);
+        $event->add_record_snapshot('quizaccess_invigilator_events', $record);
+        return $event;
+    }
+
+    /**
+     * Init method.
+     */
+    protected function init() {
+        $this->data['objecttable'] = 'quizaccess_invigilator_events';
+        $this->data['crud'] = 'c';
+        $this->data['edulevel'] = self::LEVEL_PARTICIPATING;
+    }
+
+    /**
+     * Get the name of the event.
+     *
+     * @return string
+     */
+    public static function get_name() {
+        return get_string('event:screensharestopped', 'quizaccess_invigilator');
+    }
+
+    /**
+     * Get the description of the event.
+     *
+     * @return string
+     */
+    public function get_description() {
+        return "The user with id '$this->userid' stopped sharing the screen in the quiz with course module id " .
+            "'$this->contextinstanceid' ({$this->other['eventtype']}).";
+    }
+
+    /**
+     * Get the URL of the timeline of the student.
+     *
+     * @return \moodle_url
+     */
+    public function get_url() {
+        return new \moodle_url('/mod/quiz/accessrule/invigilator/report.php', ['courseid' => $this->courseid,
+            'cmid' => $this->contextinstanceid, 'studentid' => $this->relateduserid]);
+    }
+
+    /**
+     * Validate the data of the event.
+     *
+     * @throws \coding_exception
+     */
+    protected function validate_data() {
+        parent::validate_data();
+        if (!isset($this->relateduserid)) {
+            throw new \coding_exception('The \'relateduserid\' must be set.');
+        }
+        if (!isset($this->other['attemptid']) || !isset($this->other['eventtype'])) {
+            throw new \coding_exception('The \'attemptid\' and \'eventtype\' values must be set in other.');
+        }
+    }
+
+    /**
+     * Get the mapping of the object ID on restore.
+     *
+     * @return array
+     */
+    public static function get_objectid_mapping() {
+        return \core\event\base::NOT_MAPPED;
+    }
+
+    /**
+     * Get the mapping of the other values on restore.
+     *
+     * @return array
+     */
+    public static function get_other_mapping() {
+        return ['attemptid' => ['db' => 'quiz_attempts', 'restore' => 'quiz_attempt']];
+    }
+}
@@ -0,0 +1,133 @@
+<?php
+// This file is part of Moodle invigilator for Moodle - http://moodle.org/
+//
+// Moodle invigilator is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle invigilator is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with MailTest.  If not, see <http://www.gnu.org/licenses/>.
+/**
+ * Screenshot deleted event for the quizaccess_invigilator plugin.
+ *
+ * @package    quizaccess_invigilator
+ * @copyright  2021 Brain Station 23
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace quizaccess_invigilator\event;
+
+use stdClass;
+
+defined('MOODLE_INTERNAL') || die();
+
+/**
+ * screenshot_deleted class.
+ *
+ * A teacher deleted a capture of a student.
+ *
+ * @property-read array $other {
+ *      - int attemptid: Attempt the capture was taken in, 0 if unknown.
+ *      - string capturetype: Screen or webcam.
+ * }
+ *
+ * @copyright  2021 Brain Station 23
+ * @license   http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class screenshot_deleted extends \core\event\base {
+
+    /**
+     * Create the event of a capture about to be deleted.
+     *
+     * @param stdClass $log Row of the logs table.
+     * @return screenshot_deleted
+     */
+    public static function create_from_log(stdClass $log) : screenshot_deleted {
+        $event = self::create([
+            'objectid' => $log->id,
+            'context' => \context_module::instance($log->cmid),
+            'relateduserid' => $log->userid,
+            'other' => ['attemptid' => (int)$log->attemptid, 'capturetype' => $log->capturetype],
+        ]);
+        $event->add_record_snapshot('quizaccess_invigilator_logs', $log);
+        return $event;
+    }
+
+    /**
+     * Init method.
+     */
+    protected function init() {
+        $this->data['objecttable'] = 'quizaccess_invigilator_logs';
+        $this->data['crud'] = 'd';
+        $this->data['edulevel'] = self::LEVEL_TEACHING;
+    }
+
+    /**
+     * Get the name of the event.
+     *
+     * @return string
+     */
+    public static function get_name() {
+        return get_string('event:screenshotdeleted', 'quizaccess_invigilator');
+    }
+
+    /**
+     * Get the description of the event.
+     *
+     * @return string
+     */
+    public function get_description() {
+        return "The user with id '$this->userid' deleted the {$this->other['capturetype']} capture with id " .
+            "'$this->objectid' of the user with id '$this->relateduserid' in the quiz with course module id " .
+            "'$this->contextinstanceid'.";
+    }
+
+    /**
+     * Get the URL of the report of the quiz.
+     *
+     * @return \moodle_url
+     */
+    public function get_url() {
+        return new \moodle_url('/mod/quiz/accessrule/invigilator/report.php', ['courseid' => $this->courseid,
+            'cmid' => $this->contextinstanceid]);
+    }
+
+    /**
+     * Validate the data of the event.
+     *
+     * @throws \coding_exception
+     */
+    protected function validate_data() {
+        parent::validate_data();
+        if (!isset($this->relateduserid)) {
+            throw new \coding_exception('The \'relateduserid\' must be set.');
+        }
+        if (!isset($this->other['attemptid']) || !isset($this->other['capturetype'])) {
+            throw new \coding_exception('The \'attemptid\' and \'capturetype\' values must be set in other.');
+        }
+    }
+
+    /**
+     * Get the mapping of the object ID on restore.
+     *
+     * @return array
+     */
+    public static function get_objectid_mapping() {
+        return ['db' => 'quizaccess_invigilator_logs', 'restore' => 'quizaccess_invigilator_log'];
+    }
+
+    /**
+     * Get the mapping of the other values on restore.
+     *
+     * @return array
+     */
+    public static function get_other_mapping() {
+        return ['attemptid' => ['db' => 'quiz_attempts', 'restore' => 'quiz_attempt']];
+    }
+}
@@ -0,0 +1,242 @@
+<?php
+// This file is part of Moodle invigilator for Moodle - http://moodle.org/
+//
+// Moodle invigilator is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle invigilator is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with MailTest.  If not, see <http://www.gnu.org/licenses/>.
+/**
+ * Proctoring event log for the quizaccess_invigilator plugin.
+ *
+ * @package    quizaccess_invigilator
+ * @copyright  2021 Brain Station 23
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace quizaccess_invigilator;
+
+use stdClass;
+
+defined('MOODLE_INTERNAL') || die();
+
+/**
+ * event_log class.
+ *
+ * Stores the proctoring events reported by the browser during an attempt.
+ *
+ * @copyright  2021 Brain Station 23
+ * @license   http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class event_log {
+
+    /** @var string The screen share was started from the quiz start page. */
+    const TYPE_SHARE_STARTED = 'sharestarted';
+
+    /** @var string The screen share was stopped from the browser. */
+    const TYPE_SHARE_ENDED = 'shareended';
+
+    /** @var string The screen share stopped or the quiz start page was closed. */
+    const TYPE_SHARE_LOST = 'sharelost';
+
+    /** @var string The screen share was resumed after being lost. */
+    const TYPE_SHARE_RESUMED = 'shareresumed';
+
+    /** @var string The shared surface changed away from the entire monitor. */
+    const TYPE_SURFACE_CHANGED = 'surfacechanged';
+
+    /** @var string The attempt was locked after the grace period expired. */
+    const TYPE_ATTEMPT_LOCKED = 'attemptlocked';
+
+    /** @var string The attempt was submitted after the grace period expired. */
+    const TYPE_ATTEMPT_SUBMITTED = 'attemptsubmitted';
+
+    /** @var string The quiz page was hidden, for example by switching browser tab. */
+    const TYPE_TAB_HIDDEN = 'tabhidden';
+
+    /** @var string The quiz window lost focus. */
+    const TYPE_WINDOW_BLUR = 'windowblur';
+
+    /** @var string The quiz page left fullscreen mode. */
+    const TYPE_FULLSCREEN_EXIT = 'fullscreenexit';
+
+    /** @var string Content was copied from the quiz page. */
+    const TYPE_COPY = 'copy';
+
+    /** @var string Content was pasted into the quiz page. */
+    const TYPE_PASTE = 'paste';
+
+    /** @var string The window was resized in a way that suggests the developer tools were opened. */
+    const TYPE_DEVTOOLS_RESIZE = 'devtoolsresize';
+
+    /** @var string A capture was not uploaded because nothing changed since the previous one. */
+    const TYPE_NO_CHANGE = 'nochange';
+
+    /** @var string[] Events that change whether the screen is shared as required during an attempt. */
+    const SHARE_STATE_TYPES = [
+        self::TYPE_SHARE_STARTED,
+        self::TYPE_SHARE_LOST,
+        self::TYPE_SHARE_RESUMED,
+        self::TYPE_SURFACE_CHANGED,
+    ];
+
+    /**
+     * Get all the event types the browser may report.
+     *
+     * @return string[]
+     */
+    public static function get_types() : array {
+        return [
+            self::TYPE_SHARE_STARTED,
+            self::TYPE_SHARE_ENDED,
+            self::TYPE_SHARE_LOST,
+            self::TYPE_SHARE_RESUMED,
+            self::TYPE_SURFACE_CHANGED,
+            self::TYPE_ATTEMPT_LOCKED,
+            self::TYPE_ATTEMPT_SUBMITTED,
+            self::TYPE_TAB_HIDDEN,
+            self::TYPE_WINDOW_BLUR,
+            self::TYPE_FULLSCREEN_EXIT,
+            self::TYPE_COPY,
+            self::TYPE_PASTE,
+            self::TYPE_DEVTOOLS_RESIZE,
+            self::TYPE_NO_CHANGE,
+        ];
+    }
+
+    /**
+     * Get the human readable name of an event type.
+     *
+     * @param string $eventtype
+     * @return string
+     */
+    public static function get_type_name(string $eventtype) : string {
+        return get_string('eventtype:' . $eventtype, 'quizaccess_invigilator');
+    }
+
+    /**
+     * Record an event.
+     *
+     * @param int $courseid Course ID.
+     * @param int $cmid Course module ID.
+     * @param int $quizid Quiz ID.
+     * @param int $userid User who caused the event.
+     * @param int $attemptid Quiz attempt ID or 0 if unknown.
+     * @param string $eventtype One of the TYPE_* constants.
+     * @param string $details Extra information about the event.
+     * @return int The id of the new event row.
+     * @throws \dml_exception
+     */
+    public static function record(int $courseid, int $cmid, int $quizid, int $userid, int $attemptid,
+            string $eventtype, string $details = '') : int {
+        global $DB;
+
+        $record = new stdClass();
+        $record->courseid = $courseid;
+        $record->cmid = $cmid;
+        $record->quizid = $quizid;
+        $record->userid = $userid;
+        $record->attemptid = $attemptid;
+        $record->eventtype = $eventtype;
+        $record->details = $details;
+        $record->timecreated = time();
+        return $DB->insert_record('quizaccess_invigilator_events', $record);
+    }
+
+    /**
+     * Get the events of a user in a quiz, oldest first.
+     *
+     * @param int $cmid Course module ID.
+     * @param int $userid User ID.
+     * @return array
+     * @throws \dml_exception
+     */
+    public static function get_user_events(int $cmid, int $userid) : array {
+        global $DB;
+        return $DB->get_records('quizaccess_invigilator_events', ['cmid' => $cmid, 'userid' => $userid], 'timecreated ASC, id ASC');
+    }
+
+    /**
+     * Get the events, screenshots and proctor actions of a user in a quiz as one chronological list.
+     *
+     * Every entry has a timecreated and one of the event, screenshot or action properties
+     * holding the original row.
+     *
+     * @param int $cmid Course module ID.
+     * @param int $userid User ID.
+     * @return stdClass[]
+     * @throws \dml_exception
+     */
+    public static function get_user_timeline(int $cmid, int $userid) : array {
+        global $DB;
+
+        $timeline = [];
+        foreach (self::get_user_events($cmid, $userid) as $event) {
+            $timeline[] = (object)['timecreated' => $event->timecreated, 'event' => $event, 'screenshot' => null,
+                'action' => null];
+        }
+        $screenshots = $DB->get_records('quizaccess_invigilator_logs', ['cmid' => $cmid, 'userid' => $userid],
+            'timecreated ASC, id ASC');
+        foreach ($screenshots as $screenshot) {
+            $timeline[] = (object)['timecreated' => $screenshot->timecreated, 'event' => null, 'screenshot' => $screenshot,
+                'action' => null];
+        }
+        foreach (proctor_action::get_user_actions($cmid, $userid) as $action) {
+            $timeline[] = (object)['timecreated' => $action->timecreated, 'event' => null, 'screenshot' => null,
+                'action' => $action];
+        }
+
+        // Keep the original order of rows stored in the same second: events, screenshots, then actions.
+        $position = array_keys($timeline);
+        array_multisort(array_column($timeline, 'timecreated'), SORT_ASC, $position, SORT_ASC, $timeline);
+        return $timeline;
+    }
+
+    /**
+     * Check whether an attempt has been locked because the screen share was lost.
+     *
+     * The browser reports the lock once the grace period expires. With a grace period
+     * the lock is also worked out from the events, so a browser that never reports it
+     * is locked all the same: the share was lost or left the monitor and was not
+     * resumed in time.
+     *
+     * A proctor unlocks the attempt by resuming it: locks reported until then no
+     * longer count and the student gets a new grace period to share the screen again.
+     *
+     * @param int $attemptid Quiz attempt ID.
+     * @param int|null $graceperiod Seconds the share may stay lost, null to only check the reported lock.
+     * @param int|null $now Current time, null for now.
+     * @return bool
+     * @throws \dml_exception
+     */
+    public static function is_attempt_locked(int $attemptid, ?int $graceperiod = null, ?int $now = null) : bool {
+        global $DB;
+
+        $resumed = proctor_action::get_last_resume($attemptid);
+        if ($DB->record_exists_select('quizaccess_invigilator_events',
+                'attemptid = :attemptid AND eventtype = :eventtype AND timecreated > :resumed',
+                ['attemptid' => $attemptid, 'eventtype' => self::TYPE_ATTEMPT_LOCKED, 'resumed' => $resumed])) {
+            return true;
+        }
+        if ($graceperiod === null) {
+            return false;
+        }
+
+        list($insql, $params) = $DB->get_in_or_equal(self::SHARE_STATE_TYPES, SQL_PARAMS_NAMED);
+        $params['attemptid'] = $attemptid;
+        $events = $DB->get_records_select('quizaccess_invigilator_events', "attemptid = :attemptid AND eventtype $insql",
+            $params, 'timecreated DESC, id DESC', 'id, eventtype, timecreated', 0, 1);
+        $last = reset($events);
+        if (!$last || !in_array($last->eventtype, [self::TYPE_SHARE_LOST, self::TYPE_SURFACE_CHANGED])) {
+            return false;
+        }
+        return max($last->timecreated, $resumed) + max(0, $graceperiod) < ($now ?? time());
+    }
+}
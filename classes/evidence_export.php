@@ -0,0 +1,494 @@
+<?php
+// This file is part of Moodle invigilator for Moodle - http://moodle.org/
+//
+// Moodle invigilator is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle invigilator is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with MailTest.  If not, see <http://www.gnu.org/licenses/>.
+/**
+ * Evidence bundles of the quizaccess_invigilator plugin.
+ *
+ * @package    quizaccess_invigilator
+ * @copyright  2021 Brain Station 23
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace quizaccess_invigilator;
+
+use stdClass;
+
+defined('MOODLE_INTERNAL') || die();
+
+/**
+ * evidence_export class.
+ *
+ * Bundles the captures, log rows and events of a quiz, a student or a single attempt
+ * into a ZIP archive with a contact sheet and the SHA-256 hash of every file, and
+ * records who exported it.
+ *
+ * @copyright  2021 Brain Station 23
+ * @license   http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class evidence_export {
+
+    /** @var int Larger bundles list the captures in the PDF contact sheet without thumbnails. */
+    const MAX_PDF_IMAGES = 500;
+
+    /** @var string Folder of the captures in the archive. */
+    const CAPTURE_FOLDER = 'captures';
+
+    /** @var string File area of the archives built by the export task, by export ID. */
+    const FILEAREA = 'export';
+
+    /**
+     * Build the evidence bundle and record the export.
+     *
+     * @param stdClass $cm Course module of the quiz.
+     * @param int $exporterid User exporting the evidence.
+     * @param string $dir Directory the archive is written to.
+     * @param int $userid Student to export, 0 for all students of the quiz.
+     * @param stdClass|null $attempt Row of the quiz_attempts table to export, null for all attempts.
+     * @return stdClass The export record, with the path and file name of the archive.
+     * @throws \dml_exception
+     * @throws \coding_exception
+     */
+    public static function create(stdClass $cm, int $exporterid, string $dir, int $userid = 0,
+            ?stdClass $attempt = null) : stdClass {
+        global $DB;
+
+        if ($attempt) {
+            $userid = (int)$attempt->userid;
+        }
+        $context = \context_module::instance($cm->id);
+        $fs = get_file_storage();
+
+        $logs = self::get_logs($cm, $userid, $attempt);
+        $events = self::get_events($cm, $userid, $attempt);
+        $flags = $DB->get_records_list('quizaccess_invigilator_flags', 'logid', array_keys($logs), '', 'logid, note');
+
+        // Find the stored image of every capture and hash it.
+        $files = [];
+        $captures = [];
+        foreach ($logs as $log) {
+            $stored = $fs->get_area_files($context->id, 'quizaccess_invigilator', 'picture', $log->id, 'id', false);
+            $file = reset($stored);
+            $log->filename = $file ? self::CAPTURE_FOLDER . '/' . $file->get_filename() : '';
+            $log->sha256 = $file ? integrity::hash_file($file) : '';
+            $log->flagged = isset($flags[$log->id]);
+            $log->flagnote = $log->flagged ? (string)$flags[$log->id]->note : '';
+            if ($file) {
+                $files[$log->filename] = $file;
+                $captures[$log->id] = $file;
+            }
+        }
+
+        $quizname = format_string($DB->get_field('quiz', 'name', ['id' => $cm->instance]), true, ['context' => $context]);
+        $title = get_string('evidence:title', 'quizaccess_invigilator', $quizname);
+        if ($userid) {
+            $title .= ' - ' . fullname(\core_user::get_user($userid));
+        }
+        if ($attempt) {
+            $title .= ' - ' . get_string('attemptnumber', 'quizaccess_invigilator', $attempt->attempt);
+        }
+
+        $generated = [
+            'logs.csv' => self::get_logs_csv($logs),
+            'events.csv' => self::get_events_csv($events),
+            'contactsheet.html' => self::get_contact_sheet_html($title, $logs, $events),
+            'contactsheet.pdf' => self::get_contact_sheet_pdf($title, $logs, $events, $captures),
+            'integrity.csv' => self::get_integrity_csv(integrity::verify($cm->id, $userid, $attempt ? $attempt->id : 0)),
+        ];
+
+        // A checksum list in the format of sha256sum, so the bundle can be verified with "sha256sum -c SHA256SUMS".
+        $checksums = '';
+        foreach ($logs as $log) {
+            if ($log->filename) {
+                $checksums .= $log->sha256 . '  ' . $log->filename . "\n";
+            }
+        }
+        foreach ($generated as $path => $content) {
+            $checksums .= hash('sha256', $content) . '  ' . $path . "\n";
+            $files[$path] = [$content];
+        }
+        $files['SHA256SUMS'] = [$checksums];
+
+        $filename = clean_filename(implode('-', array_filter([
+            'evidence',
+            $quizname,
+            $userid ? \core_user::get_user($userid)->username : '',
+            $attempt ? 'attempt' . $attempt->attempt : '',
+            gmdate('Ymd-His'),
+        ])) . '.zip');
+        $path = $dir . '/' . $filename;
+        $packer = get_file_packer('application/zip');
+        if (!$packer->archive_to_pathname($files, $path)) {
+            throw new \moodle_exception('evidence:failed', 'quizaccess_invigilator');
+        }
+
+        $record = new stdClass();
+        $record->courseid = $cm->course;
+        $record->cmid = $cm->id;
+        $record->userid = $userid;
+        $record->attemptid = $attempt ? $attempt->id : 0;
+        $record->exporterid = $exporterid;
+        $record->filecount = count($captures);
+        $record->contenthash = hash_file('sha256', $path);
+        $record->timecreated = time();
+        $record->id = $DB->insert_record('quizaccess_invigilator_exports', $record);
+
+        $record->path = $path;
+        $record->filename = $filename;
+        return $record;
+    }
+
+    /**
+     * Queue the export of the evidence of a whole quiz, which is too large to build while the exporter waits.
+     *
+     * @param int $cmid Course module ID of the quiz.
+     * @return void
+     */
+    public static function queue(int $cmid) {
+        global $USER;
+
+        $task = new task\export_evidence();
+        $task->set_custom_data(['cmid' => $cmid]);
+        $task->set_userid($USER->id);
+        \core\task\manager::queue_adhoc_task($task);
+    }
+
+    /**
+     * Keep the archive of an export in the file area of the quiz, for the exporter to download later.
+     *
+     * @param stdClass $export The export record returned by create().
+     * @return \stored_file
+     * @throws \file_exception
+     * @throws \stored_file_creation_exception
+     */
+    public static function store(stdClass $export) : \stored_file {
+        $context = \context_module::instance($export->cmid);
+        return get_file_storage()->create_file_from_pathname([
+            'contextid' => $context->id,
+            'component' => 'quizaccess_invigilator',
+            'filearea' => self::FILEAREA,
+            'itemid' => $export->id,
+            'filepath' => '/',
+            'filename' => $export->filename,
+        ], $export->path);
+    }
+
+    /**
+     * Get the download URL of the stored archive of an export.
+     *
+     * @param stdClass $export Row of the exports table.
+     * @return \moodle_url|null Null when the archive was downloaded directly instead of stored.
+     */
+    public static function get_archive_url(stdClass $export) : ?\moodle_url {
+        $context = \context_module::instance($export->cmid);
+        $files = get_file_storage()->get_area_files($context->id, 'quizaccess_invigilator', self::FILEAREA, $export->id,
+            'id', false);
+        $file = reset($files);
+        if (!$file) {
+            return null;
+        }
+        return \moodle_url::make_pluginfile_url($context->id, 'quizaccess_invigilator', self::FILEAREA, $export->id,
+            '/', $file->get_filename(), true);
+    }
+
+    /**
+     * Get the capture log rows to export, oldest first.
+     *
+     * Captures stored before they were linked to attempts are part of an attempt when they
+     * were taken during it.
+     *
+     * @param stdClass $cm Course module of the quiz.
+     * @param int $userid Student ID, 0 for all students.
+     * @param stdClass|null $attempt Row of the quiz_attempts table, null for all attempts.
+     * @return stdClass[] Log rows with the name fields of the student, keyed by ID.
+     * @throws \dml_exception
+     */
+    public static function get_logs(stdClass $cm, int $userid = 0, ?stdClass $attempt = null) : array {
+        global $DB;
+
+        $userfields = user_fields::get_name_sql('u');
+        $where = 'l.cmid = :cmid';
+        $params = ['cmid' => $cm->id];
+        if ($userid) {
+            $where .= ' AND l.userid = :userid';
+            $params['userid'] = $userid;
+        }
+        if ($attempt) {
+            $where .= ' AND (l.attemptid = :attemptid OR (l.attemptid = 0 AND l.timecreated >= :timestart' .
+                ' AND l.timecreated <= :timefinish))';
+            $params['attemptid'] = $attempt->id;
+            $params['timestart'] = $attempt->timestart;
+            $params['timefinish'] = $attempt->timefinish ?: time();
+        }
+        return $DB->get_records_sql(
+            "SELECT l.id, l.userid, l.attemptid, l.page, l.slot, l.capturetype, l.timecreated, l.surfacewidth, l.surfaceheight,
+                    l.multidisplay, l.contenthash, l.chainseq, l.chainhash, u.username, $userfields
+               FROM {quizaccess_invigilator_logs} l
+          LEFT JOIN {user} u ON u.id = l.userid
+              WHERE $where
+           ORDER BY l.timecreated ASC, l.id ASC", $params);
+    }
+
+    /**
+     * Get the proctoring events to export, oldest first.
+     *
+     * Events reported before an attempt was created are part of it when they happened during it.
+     *
+     * @param stdClass $cm Course module of the quiz.
+     * @param int $userid Student ID, 0 for all students.
+     * @param stdClass|null $attempt Row of the quiz_attempts table, null for all attempts.
+     * @return stdClass[] Event rows with the name fields of the student, keyed by ID.
+     * @throws \dml_exception
+     */
+    public static function get_events(stdClass $cm, int $userid = 0, ?stdClass $attempt = null) : array {
+        global $DB;
+
+        $userfields = user_fields::get_name_sql('u');
+        $where = 'e.cmid = :cmid';
+        $params = ['cmid' => $cm->id];
+        if ($userid) {
+            $where .= ' AND e.userid = :userid';
+            $params['userid'] = $userid;
+        }
+        if ($attempt) {
+            $where .= ' AND (e.attemptid = :attemptid OR (e.attemptid = 0 AND e.timecreated >= :timestart' .
+                ' AND e.timecreated <= :timefinish))';
+            $params['attemptid'] = $attempt->id;
+            $params['timestart'] = $attempt->timestart;
+            $params['timefinish'] = $attempt->timefinish ?: time();
+        }
+        return $DB->get_records_sql(
+            "SELECT e.id, e.userid, e.attemptid, e.eventtype, e.details, e.timecreated,
+                    u.username, $userfields
+               FROM {quizaccess_invigilator_events} e
+          LEFT JOIN {user} u ON u.id = e.userid
+              WHERE $where
+           ORDER BY e.timecreated ASC, e.id ASC", $params);
+    }
+
+    /**
+     * Get the exports of a quiz, newest first.
+     *
+     * @param int $cmid Course module ID.
+     * @return stdClass[]
+     * @throws \dml_exception
+     */
+    public static function get_exports(int $cmid) : array {
+        global $DB;
+        return $DB->get_records('quizaccess_invigilator_exports', ['cmid' => $cmid], 'timecreated DESC, id DESC');
+    }
+
+    /**
+     * Format a time for the bundle, in UTC so it does not depend on who exported it.
+     *
+     * @param int $time
+     * @return string ISO 8601 time.
+     */
+    public static function format_time(int $time) : string {
+        return gmdate('Y-m-d\TH:i:s\Z', $time);
+    }
+
+    /**
+     * Build the CSV file of the capture log rows.
+     *
+     * @param stdClass[] $logs
+     * @return string
+     */
+    private static function get_logs_csv(array $logs) : string {
+        $rows = [['id', 'userid', 'username', 'fullname', 'attemptid', 'page', 'slot', 'capturetype', 'timecreated', 'time',
+            'surfacewidth', 'surfaceheight', 'multidisplay', 'flagged', 'flagnote', 'file', 'sha256', 'recordedsha256', 'chainseq',
+            'chainhash']];
+        foreach ($logs as $log) {
+            $rows[] = [$log->id, $log->userid, $log->username, fullname($log), $log->attemptid, $log->page, $log->slot,
+                $log->capturetype, $log->timecreated, self::format_time($log->timecreated), $log->surfacewidth, $log->surfaceheight,
+                $log->multidisplay, (int)$log->flagged, $log->flagnote, $log->filename, $log->sha256, $log->contenthash,
+                $log->chainseq, $log->chainhash];
+        }
+        return self::to_csv($rows);
+    }
+
+    /**
+     * Build the CSV file of the events.
+     *
+     * @param stdClass[] $events
+     * @return string
+     */
+    private static function get_events_csv(array $events) : string {
+        $rows = [['id', 'userid', 'username', 'fullname', 'attemptid', 'eventtype', 'details', 'timecreated', 'time']];
+        foreach ($events as $event) {
+            $rows[] = [$event->id, $event->userid, $event->username, fullname($event), $event->attemptid,
+                $event->eventtype, $event->details, $event->timecreated, self::format_time($event->timecreated)];
+        }
+        return self::to_csv($rows);
+    }
+
+    /**
+     * Build the CSV file of the hash chain verification, one row per problem or per intact chain.
+     *
+     * @param stdClass[] $results Results of integrity::verify().
+     * @return string
+     */
+    private static function get_integrity_csv(array $results) : string {
+        $rows = [['userid', 'attemptid', 'captures', 'result', 'logid', 'chainseq', 'problem']];
+        foreach ($results as $result) {
+            if (!$result->problems) {
+                $rows[] = [$result->userid, $result->attemptid, $result->count, 'intact', '', '', ''];
+            }
+            foreach ($result->problems as $problem) {
+                $rows[] = [$result->userid, $result->attemptid, $result->count, 'broken', $problem->logid, $problem->seq,
+                    integrity::describe_problem($problem)];
+            }
+        }
+        return self::to_csv($rows);
+    }
+
+    /**
+     * Write rows as CSV.
+     *
+     * @param array[] $rows
+     * @return string
+     */
+    private static function to_csv(array $rows) : string {
+        $handle = fopen('php://temp', 'r+');
+        foreach ($rows as $row) {
+            fputcsv($handle, $row);
+        }
+        rewind($handle);
+        $csv = stream_get_contents($handle);
+        fclose($handle);
+        return $csv;
+    }
+
+    /**
+     * Build the table of events shown on both contact sheets.
+     *
+     * @param stdClass[] $events
+     * @return string HTML
+     */
+    private static function get_events_table(array $events) : string {
+        if (!$events) {
+            return '';
+        }
+        $html = '<h2>' . get_string('evidence:events', 'quizaccess_invigilator') . '</h2>'
+            . '<table border="1" cellpadding="3"><tr><th>' . get_string('evidence:time', 'quizaccess_invigilator') . '</th><th>'
+            . get_string('user') . '</th><th>' . get_string('eventtype', 'quizaccess_invigilator') . '</th><th>'
+            . get_string('eventdetails', 'quizaccess_invigilator') . '</th></tr>';
+        foreach ($events as $event) {
+            $html .= '<tr><td>' . self::format_time($event->timecreated) . '</td><td>' . s(fullname($event)) . '</td><td>'
+                . s(event_log::get_type_name($event->eventtype)) . '</td><td>' . s($event->details) . '</td></tr>';
+        }
+        return $html . '</table>';
+    }
+
+    /**
+     * Get the lines describing a capture on the contact sheets.
+     *
+     * @param stdClass $log
+     * @return string[]
+     */
+    private static function describe_capture(stdClass $log) : array {
+        $type = $log->capturetype === capture::TYPE_WEBCAM ?
+            get_string('webcam', 'quizaccess_invigilator') : get_string('screenshot', 'quizaccess_invigilator');
+        $lines = [
+            self::format_time($log->timecreated) . ' - ' . $type,
+            fullname($log),
+            $log->filename ?: get_string('evidence:missing', 'quizaccess_invigilator'),
+            'SHA-256: ' . ($log->sha256 ?: '-'),
+        ];
+        if ($log->chainhash) {
+            $lines[] = get_string('evidence:chain', 'quizaccess_invigilator', $log);
+        }
+        if ($log->flagged) {
+            $lines[] = get_string('evidence:flagged', 'quizaccess_invigilator', $log->flagnote);
+        }
+        return $lines;
+    }
+
+    /**
+     * Build the HTML contact sheet, which shows the captures from the archive.
+     *
+     * @param string $title
+     * @param stdClass[] $logs
+     * @param stdClass[] $events
+     * @return string
+     */
+    private static function get_contact_sheet_html(string $title, array $logs, array $events) : string {
+        $html = '<!DOCTYPE html><html><head><meta charset="utf-8"><title>' . s($title) . '</title>'
+            . '<style>body{font-family:sans-serif}.capture{display:inline-block;vertical-align:top;width:320px;'
+            . 'margin:0 8px 16px 0;font-size:12px;word-break:break-all}.capture img{width:320px}'
+            . '.flagged img{outline:3px solid #ca3120}</style></head><body>'
+            . '<h1>' . s($title) . '</h1>'
+            . '<p>' . get_string('evidence:generated', 'quizaccess_invigilator', self::format_time(time())) . '</p>'
+            . '<h2>' . get_string('evidence:captures', 'quizaccess_invigilator') . '</h2>';
+        foreach ($logs as $log) {
+            $html .= '<div class="capture' . ($log->flagged ? ' flagged' : '') . '">';
+            if ($log->filename) {
+                $html .= '<a href="' . s($log->filename) . '"><img src="' . s($log->filename) . '" alt=""></a>';
+            }
+            $html .= '<div>' . implode('<br>', array_map('s', self::describe_capture($log))) . '</div></div>';
+        }
+        return $html . self::get_events_table($events) . '</body></html>';
+    }
+
+    /**
+     * Build the PDF contact sheet.
+     *
+     * PDF readers cannot show WebP images, those captures are listed without a thumbnail.
+     *
+     * @param string $title
+     * @param stdClass[] $logs
+     * @param stdClass[] $events
+     * @param \stored_file[] $captures Stored images keyed by log ID.
+     * @return string
+     */
+    private static function get_contact_sheet_pdf(string $title, array $logs, array $events, array $captures) : string {
+        global $CFG;
+        require_once($CFG->libdir . '/pdflib.php');
+
+        $thumbnails = count($captures) <= self::MAX_PDF_IMAGES;
+        $imagetypes = ['image/png' => 'PNG', 'image/jpeg' => 'JPG'];
+
+        $pdf = new \pdf();
+        $pdf->setPrintHeader(false);
+        $pdf->setPrintFooter(false);
+        $pdf->SetTitle($title);
+        $pdf->SetFont('helvetica', '', 9);
+        $pdf->AddPage();
+        $pdf->writeHTML('<h1>' . s($title) . '</h1><p>'
+            . get_string('evidence:generated', 'quizaccess_invigilator', self::format_time(time())) . '</p>');
+
+        foreach ($logs as $log) {
+            if ($pdf->GetY() > 230) {
+                $pdf->AddPage();
+            }
+            $top = $pdf->GetY();
+            $bottom = $top;
+            $file = $captures[$log->id] ?? null;
+            if ($thumbnails && $file && isset($imagetypes[$file->get_mimetype()])) {
+                $pdf->Image('@' . $file->get_content(), 15, $top, 60, 0, $imagetypes[$file->get_mimetype()]);
+                $bottom = $pdf->getImageRBY();
+            }
+            $pdf->SetXY(80, $top);
+            $pdf->MultiCell(115, 0, implode("\n", self::describe_capture($log)), 0, 'L');
+            $pdf->SetY(max($bottom, $pdf->GetY()) + 4);
+        }
+
+        $events = self::get_events_table($events);
+        if ($events) {
+            $pdf->AddPage();
+            $pdf->writeHTML($events);
+        }
+        return $pdf->Output('', 'S');
+    }
+}
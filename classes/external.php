@@ -48,7 +48,17 @@ class quizaccess_invigilator_external extends external_api
                 'courseid' => new external_value(PARAM_INT, 'course id'),
                 'cmid' => new external_value(PARAM_INT, 'screenshot id'),
                 'quizid' => new external_value(PARAM_INT, 'screenshot quiz id'),
-                'screenshot' => new external_value(PARAM_RAW, 'webcam photo')
+                'screenshot' => new external_value(PARAM_RAW, 'webcam photo'),
+                'capturetype' => new external_value(PARAM_ALPHA, 'screen or webcam', VALUE_DEFAULT,
+                    \quizaccess_invigilator\capture::TYPE_SCREEN),
+                'timecaptured' => new external_value(PARAM_INT, 'time the image was captured in the browser', VALUE_DEFAULT, 0),
+                'surfacewidth' => new external_value(PARAM_INT, 'width of the captured surface, 0 if unknown', VALUE_DEFAULT, 0),
+                'surfaceheight' => new external_value(PARAM_INT, 'height of the captured surface, 0 if unknown', VALUE_DEFAULT, 0),
+                'multidisplay' => new external_value(PARAM_INT, '1 if multiple displays were detected, 0 if not, -1 if unknown',
+                    VALUE_DEFAULT, -1),
+                'attemptid' => new external_value(PARAM_INT, 'quiz attempt shown when captured, 0 if unknown', VALUE_DEFAULT, 0),
+                'page' => new external_value(PARAM_INT, 'quiz page shown when captured, -1 if none', VALUE_DEFAULT, -1),
+                'slot' => new external_value(PARAM_INT, 'first question slot of the page, 0 if none', VALUE_DEFAULT, 0)
             )
         );
     }
@@ -60,26 +70,68 @@ class quizaccess_invigilator_external extends external_api
      * @param mixed $cmid
      * @param mixed $quizid Quizid OR cmid
      * @param mixed $screenshot
+     * @param string $capturetype screen or webcam
+     * @param int $timecaptured time the image was captured, 0 for now
+     * @param int $surfacewidth width of the captured surface, 0 if unknown
+     * @param int $surfaceheight height of the captured surface, 0 if unknown
+     * @param int $multidisplay 1 if multiple displays were detected, 0 if not, -1 if unknown
+     * @param int $attemptid quiz attempt shown when captured, 0 if unknown
+     * @param int $page quiz page shown when captured, -1 if none
+     * @param int $slot first question slot of the page, 0 if none
      *
      * @return array
      * @throws dml_exception
      * @throws file_exception
      * @throws invalid_parameter_exception
+     * @throws required_capability_exception
      * @throws stored_file_creation_exception
      */
-    public static function send_screenshot($courseid, $cmid, $quizid, $screenshot) {
+    public static function send_screenshot($courseid, $cmid, $quizid, $screenshot,
+            $capturetype = \quizaccess_invigilator\capture::TYPE_SCREEN, $timecaptured = 0, $surfacewidth = 0,
+            $surfaceheight = 0, $multidisplay = -1, $attemptid = 0, $page = -1, $slot = 0) {
         global $DB, $USER;
 
         // Validate the params.
-        self::validate_parameters(
+        $params = self::validate_parameters(
             self::send_screenshot_parameters(),
             array(
                 'courseid' => $courseid,
                 'cmid' => $cmid,
                 'quizid' => $quizid,
-                'screenshot' => $screenshot
+                'screenshot' => $screenshot,
+                'capturetype' => $capturetype,
+                'timecaptured' => $timecaptured,
+                'surfacewidth' => $surfacewidth,
+                'surfaceheight' => $surfaceheight,
+                'multidisplay' => $multidisplay,
+                'attemptid' => $attemptid,
+                'page' => $page,
+                'slot' => $slot
             )
         );
+        if (!in_array($params['capturetype'], \quizaccess_invigilator\capture::get_types())) {
+            throw new invalid_parameter_exception('Unknown capture type ' . $params['capturetype']);
+        }
+        $capturetype = $params['capturetype'];
+
+        $cm = get_coursemodule_from_id('quiz', $params['cmid'], 0, false, MUST_EXIST);
+        if ($cm->course != $params['courseid'] || $cm->instance != $params['quizid']) {
+            throw new invalid_parameter_exception('Course or quiz does not match course module ' . $params['cmid']);
+        }
+        $context = context_module::instance($cm->id);
+        self::validate_context($context);
+        require_capability('quizaccess/invigilator:sendscreenshot', $context);
+
+        // Exempted students are not invigilated, whatever their browser sends, and the others
+        // only once they accepted the current privacy notice.
+        $accommodation = \quizaccess_invigilator\accommodation::get_for_user($cm->id, $USER->id);
+        if ($accommodation && $accommodation->exempt) {
+            throw new invalid_parameter_exception('The student is exempted from the invigilation of the quiz');
+        }
+        if (!\quizaccess_invigilator\consent::has_consented($cm->id, $USER->id)) {
+            throw new invalid_parameter_exception('The student has not accepted the current privacy notice');
+        }
+
         $filepath = "/";
 
         // Save file.
@@ -87,13 +139,41 @@ class quizaccess_invigilator_external extends external_api
 
         // Insert log with blank path.
         $record = new stdClass();
-        $record->courseid = $courseid;
-        $record->cmid = $cmid;
-        $record->quizid = $quizid;
+        $record->courseid = $cm->course;
+        $record->cmid = $cm->id;
+        $record->quizid = $cm->instance;
         $record->userid = $USER->id;
         $record->screenshot = $filepath;
-        $record->timecreated = time();
+        $record->capturetype = $capturetype;
+        $record->surfacewidth = $params['surfacewidth'] > 0 ? $params['surfacewidth'] : null;
+        $record->surfaceheight = $params['surfaceheight'] > 0 ? $params['surfaceheight'] : null;
+        $record->multidisplay = $params['multidisplay'] == 0 || $params['multidisplay'] == 1 ? $params['multidisplay'] : null;
+        // Captures uploaded from the queue belong to the attempt shown when they were taken, even when it is finished now.
+        if ($params['attemptid'] > 0 && $DB->record_exists('quiz_attempts',
+                array('id' => $params['attemptid'], 'quiz' => $cm->instance, 'userid' => $USER->id))) {
+            $record->attemptid = $params['attemptid'];
+        } else {
+            $record->attemptid = \quizaccess_invigilator\integrity::get_current_attempt($cm->instance, $USER->id);
+        }
+        // Queued captures may be uploaded long after they were taken, but never in the future nor before their attempt.
+        $earliest = $record->attemptid ? (int)$DB->get_field('quiz_attempts', 'timestart', array('id' => $record->attemptid)) : 0;
+        $timecaptured = $params['timecaptured'] > 0 ? max($earliest, min($params['timecaptured'], time())) : time();
+        $record->timecreated = $timecaptured;
+        $record->page = $record->attemptid && $params['page'] >= 0 ? $params['page'] : null;
+        $record->slot = $record->attemptid && $params['slot'] > 0 ? $params['slot'] : null;
+
+        // Refuse images the server cannot read rather than storing them without the time code.
+        list($data, $format) = self::decode_image($params['screenshot']);
+        $data = self::add_timecode_to_image($data, $timecaptured, $format);
+        if ($data === null) {
+            throw new invalid_parameter_exception('The capture is not an image the server can read');
+        }
+        // Stored with the hash of its image, the capture waits to be chained even when the chain is locked.
+        $record->contenthash = hash('sha256', $data);
+
         $screenshotid = $DB->insert_record('quizaccess_invigilator_logs', $record, true);
+        $record->id = $screenshotid;
+        $log = $record;
 
         $record = new stdClass();
         $record->filearea = 'picture';
@@ -103,20 +183,14 @@ class quizaccess_invigilator_external extends external_api
         $record->license = '';
         $record->author = '';
 
-        $context = context_module::instance($cmid);
         $fs = get_file_storage();
         $record->filepath = file_correct_filepath($record->filepath);
 
-        // For base64 to file.
-        $data = $screenshot;
-        list($type, $data) = explode(';', $data);
-        list(, $data) = explode(',', $data);
-        $data = base64_decode($data);
-        $filename = 'screenshot-' . $screenshotid . '-' . $USER->id . '-' . $courseid . '-' . time() . rand(1, 1000) . '.png';
-
-        $data = self::add_timecode_to_image($data);
+        $prefix = $capturetype == \quizaccess_invigilator\capture::TYPE_WEBCAM ? 'webcam-' : 'screenshot-';
+        $filename = $prefix . $screenshotid . '-' . $USER->id . '-' . $cm->course . '-' . time() . rand(1, 1000) . '.'
+            . \quizaccess_invigilator\capture::get_extension($format);
 
-        $record->courseid = $courseid;
+        $record->courseid = $cm->course;
         $record->filename = $filename;
         $record->contextid = $context->id;
         $record->userid = $USER->id;
@@ -136,14 +210,23 @@ class quizaccess_invigilator_external extends external_api
         // Update filepath in log.
         $updateddata = new stdClass();
         $updateddata->id = $screenshotid;
-        $updateddata->courseid = $courseid;
-        $updateddata->cmid = $cmid;
-        $updateddata->quizid = $quizid;
+        $updateddata->courseid = $cm->course;
+        $updateddata->cmid = $cm->id;
+        $updateddata->quizid = $cm->instance;
         $updateddata->userid = $USER->id;
         $updateddata->screenshot = "{$url}";
-        $updateddata->timecreated = time();
+        $updateddata->timecreated = $timecaptured;
         $DB->update_record('quizaccess_invigilator_logs', $updateddata);
 
+        // Chain the stored image to the previous capture of the attempt.
+        \quizaccess_invigilator\integrity::chain($log);
+
+        // Let the detectors of the quiz look at the screenshot.
+        \quizaccess_invigilator\analysis::queue($log);
+
+        \quizaccess_invigilator\event\screenshot_uploaded::create_from_log(
+            $DB->get_record('quizaccess_invigilator_logs', array('id' => $screenshotid)))->trigger();
+
         $result = array();
         $result['screenshotid'] = $screenshotid;
         $result['warnings'] = $warnings;
@@ -166,44 +249,1449 @@ class quizaccess_invigilator_external extends external_api
         );
     }
 
+    /**
+     * Test screenshot parameters.
+     *
+     * @return external_function_parameters
+     */
+    public static function test_screenshot_parameters() {
+        return new external_function_parameters(
+            array(
+                'cmid' => new external_value(PARAM_INT, 'course module id'),
+                'screenshot' => new external_value(PARAM_RAW, 'data URL of the practice screenshot')
+            )
+        );
+    }
+
+    /**
+     * Run a practice screenshot through the upload pipeline and keep it in a draft area of the user.
+     *
+     * Nothing is logged: the image is stamped and encoded like a real capture, then
+     * left in the draft files that Moodle deletes after a few days. The previous
+     * practice screenshot of the user is replaced, so at most one is kept.
+     *
+     * @param int $cmid
+     * @param string $screenshot
+     *
+     * @return array
+     * @throws dml_exception
+     * @throws file_exception
+     * @throws invalid_parameter_exception
+     * @throws required_capability_exception
+     * @throws stored_file_creation_exception
+     */
+    public static function test_screenshot($cmid, $screenshot) {
+        global $USER;
+
+        // Validate the params.
+        $params = self::validate_parameters(
+            self::test_screenshot_parameters(),
+            array(
+                'cmid' => $cmid,
+                'screenshot' => $screenshot
+            )
+        );
+
+        $context = context_module::instance($params['cmid']);
+        self::validate_context($context);
+        require_capability('quizaccess/invigilator:sendscreenshot', $context);
+
+        $result = array(
+            'status' => false,
+            'width' => 0,
+            'height' => 0,
+            'filesize' => 0,
+            'format' => '',
+            'fileurl' => '',
+            'warnings' => array()
+        );
+
+        list($data, $format) = self::decode_image($params['screenshot']);
+        if (strlen($data) > \quizaccess_invigilator\capture::MAX_PRACTICE_BYTES) {
+            $result['warnings'][] = array(
+                'item' => 'screenshot',
+                'warningcode' => 'imagetoolarge',
+                'message' => get_string('systemcheck:imagetoolarge', 'quizaccess_invigilator',
+                    display_size(\quizaccess_invigilator\capture::MAX_PRACTICE_BYTES))
+            );
+            return $result;
+        }
+        $data = self::add_timecode_to_image($data, time(), $format);
+        if ($data === null) {
+            $result['warnings'][] = array(
+                'item' => 'screenshot',
+                'warningcode' => 'unreadableimage',
+                'message' => get_string('systemcheck:unreadableimage', 'quizaccess_invigilator')
+            );
+            return $result;
+        }
+        // The stamped image keeps the size of the one sent, and was encoded by GD itself.
+        $size = getimagesizefromstring($data);
+
+        $filename = 'systemcheck.' . \quizaccess_invigilator\capture::get_extension($format);
+        $usercontext = context_user::instance($USER->id);
+        $draftitemid = self::get_practice_draft_itemid($usercontext);
+        $file = get_file_storage()->create_file_from_string(array(
+            'contextid' => $usercontext->id,
+            'component' => 'user',
+            'filearea' => 'draft',
+            'itemid' => $draftitemid,
+            'filepath' => '/',
+            'filename' => $filename
+        ), $data);
+
+        $result['status'] = true;
+        $result['width'] = $size[0];
+        $result['height'] = $size[1];
+        $result['filesize'] = $file->get_filesize();
+        $result['format'] = $format;
+        $result['fileurl'] = moodle_url::make_draftfile_url($draftitemid, '/', $filename)->out(false);
 
+        return $result;
+    }
 
     /**
-     * Check user capability
-     * @param array $params
-     * @param context $context
-     * @param int $USER
-     * @return void
+     * Test screenshot return parameters.
+     *
+     * @return external_single_structure
+     */
+    public static function test_screenshot_returns() {
+        return new external_single_structure(
+            array(
+                'status' => new external_value(PARAM_BOOL, 'whether the screenshot was stored'),
+                'width' => new external_value(PARAM_INT, 'width of the image sent'),
+                'height' => new external_value(PARAM_INT, 'height of the image sent'),
+                'filesize' => new external_value(PARAM_INT, 'size of the stored image in bytes'),
+                'format' => new external_value(PARAM_ALPHA, 'format the image is stored in'),
+                'fileurl' => new external_value(PARAM_URL, 'link to the stored image, empty if not stored'),
+                'warnings' => new external_warnings()
+            )
+        );
+    }
+
+    /**
+     * Log event parameters.
+     *
+     * @return external_function_parameters
+     */
+    public static function log_event_parameters() {
+        return new external_function_parameters(
+            array(
+                'courseid' => new external_value(PARAM_INT, 'course id'),
+                'cmid' => new external_value(PARAM_INT, 'course module id'),
+                'quizid' => new external_value(PARAM_INT, 'quiz id'),
+                'attemptid' => new external_value(PARAM_INT, 'quiz attempt id', VALUE_DEFAULT, 0),
+                'eventtype' => new external_value(PARAM_ALPHA, 'event type'),
+                'details' => new external_value(PARAM_TEXT, 'extra information about the event', VALUE_DEFAULT, '')
+            )
+        );
+    }
+
+    /**
+     * Record a proctoring event of the current user.
+     *
+     * @param int $courseid
+     * @param int $cmid
+     * @param int $quizid
+     * @param int $attemptid
+     * @param string $eventtype
+     * @param string $details
+     *
+     * @return array
      * @throws dml_exception
-     * @throws moodle_exception
+     * @throws invalid_parameter_exception
      * @throws required_capability_exception
      */
-    protected static function request_user_require_capability(array $params, context $context, $USER) {
-        $user = core_user::get_user($params['userid'], '*', MUST_EXIST);
-        core_user::require_active_user($user);
+    public static function log_event($courseid, $cmid, $quizid, $attemptid, $eventtype, $details) {
+        global $DB, $USER;
 
-        // Extra checks so only users with permissions can view other users reports.
-        if ($USER->id != $user->id) {
-            require_capability('quizaccess/invigilator:viewreport', $context);
+        // Validate the params.
+        $params = self::validate_parameters(
+            self::log_event_parameters(),
+            array(
+                'courseid' => $courseid,
+                'cmid' => $cmid,
+                'quizid' => $quizid,
+                'attemptid' => $attemptid,
+                'eventtype' => $eventtype,
+                'details' => $details
+            )
+        );
+
+        if (!in_array($params['eventtype'], \quizaccess_invigilator\event_log::get_types())) {
+            throw new invalid_parameter_exception('Unknown event type ' . $params['eventtype']);
+        }
+
+        $cm = get_coursemodule_from_id('quiz', $params['cmid'], 0, false, MUST_EXIST);
+        if ($cm->course != $params['courseid'] || $cm->instance != $params['quizid']) {
+            throw new invalid_parameter_exception('Course or quiz does not match course module ' . $params['cmid']);
+        }
+        $context = context_module::instance($cm->id);
+        self::validate_context($context);
+        require_capability('quizaccess/invigilator:sendscreenshot', $context);
+
+        // Students may only report events for their own attempts.
+        if ($params['attemptid'] && !$DB->record_exists('quiz_attempts',
+                ['id' => $params['attemptid'], 'quiz' => $params['quizid'], 'userid' => $USER->id])) {
+            throw new invalid_parameter_exception('Invalid attempt id ' . $params['attemptid']);
+        }
+
+        $eventid = \quizaccess_invigilator\event_log::record($params['courseid'], $params['cmid'], $params['quizid'],
+            $USER->id, $params['attemptid'], $params['eventtype'], $params['details']);
+
+        // Share changes go to the Moodle log too, and a share dropping during an attempt alerts the teachers.
+        $record = $DB->get_record('quizaccess_invigilator_events', array('id' => $eventid));
+        if (in_array($record->eventtype, [\quizaccess_invigilator\event_log::TYPE_SHARE_STARTED,
+                \quizaccess_invigilator\event_log::TYPE_SHARE_RESUMED])) {
+            \quizaccess_invigilator\event\screen_share_started::create_from_record($record)->trigger();
+        } else if (in_array($record->eventtype, \quizaccess_invigilator\notifier::SHARE_LOST_TYPES)) {
+            \quizaccess_invigilator\event\screen_share_stopped::create_from_record($record)->trigger();
+            \quizaccess_invigilator\notifier::share_lost($record);
         }
+
+        $result = array();
+        $result['eventid'] = $eventid;
+        $result['warnings'] = array();
+
+        return $result;
     }
 
     /**
-     * Adds timestamp information to captured image.
-     * @param string $data
-     * @return string
+     * Log event return parameters.
+     *
+     * @return external_single_structure
      */
-    private static function add_timecode_to_image ($data) {
-        global $CFG;
+    public static function log_event_returns() {
+        return new external_single_structure(
+            array(
+                'eventid' => new external_value(PARAM_INT, 'event id'),
+                'warnings' => new external_warnings()
+            )
+        );
+    }
+
+    /**
+     * Live attempts parameters.
+     *
+     * @return external_function_parameters
+     */
+    public static function get_live_attempts_parameters() {
+        return new external_function_parameters(
+            array(
+                'cmid' => new external_value(PARAM_INT, 'course module id')
+            )
+        );
+    }
+
+    /**
+     * Get the latest screenshots and share state of every attempt in progress of a quiz.
+     *
+     * @param int $cmid
+     *
+     * @return array
+     * @throws dml_exception
+     * @throws invalid_parameter_exception
+     * @throws required_capability_exception
+     */
+    public static function get_live_attempts($cmid) {
+        // Validate the params.
+        $params = self::validate_parameters(
+            self::get_live_attempts_parameters(),
+            array(
+                'cmid' => $cmid
+            )
+        );
+
+        $cm = get_coursemodule_from_id('quiz', $params['cmid'], 0, false, MUST_EXIST);
+        $context = context_module::instance($cm->id);
+        self::validate_context($context);
+        require_capability('quizaccess/invigilator:viewreport', $context);
+
+        $now = time();
+        $attempts = array();
+        foreach (\quizaccess_invigilator\live_monitor::get_active_attempts($cm, $now) as $attempt) {
+            $attempts[] = (array)$attempt;
+        }
+
+        $result = array();
+        $result['attempts'] = $attempts;
+        $result['servertime'] = $now;
+        $result['warnings'] = array();
+
+        return $result;
+    }
+
+    /**
+     * Live attempts return parameters.
+     *
+     * @return external_single_structure
+     */
+    public static function get_live_attempts_returns() {
+        return new external_single_structure(
+            array(
+                'attempts' => new external_multiple_structure(
+                    new external_single_structure(
+                        array(
+                            'attemptid' => new external_value(PARAM_INT, 'quiz attempt id'),
+                            'userid' => new external_value(PARAM_INT, 'student id'),
+                            'fullname' => new external_value(PARAM_TEXT, 'student name'),
+                            'timestart' => new external_value(PARAM_INT, 'time the attempt started'),
+                            'reportid' => new external_value(PARAM_INT, 'id of the latest screenshot, 0 if none'),
+                            'screenshot' => new external_value(PARAM_URL, 'latest screenshot, empty if none'),
+                            'lastcapture' => new external_value(PARAM_INT, 'time of the latest screenshot, 0 if none'),
+                            'stale' => new external_value(PARAM_BOOL, 'whether the latest screenshot is overdue'),
+                            'sharelost' => new external_value(PARAM_BOOL, 'whether the screen share was lost'),
+                            'exempt' => new external_value(PARAM_BOOL, 'whether the student is exempt from invigilation'),
+                            'paused' => new external_value(PARAM_BOOL, 'whether a proctor paused the attempt'),
+                            'recent' => new external_multiple_structure(
+                                new external_single_structure(
+                                    array(
+                                        'screenshot' => new external_value(PARAM_URL, 'screenshot'),
+                                        'timecreated' => new external_value(PARAM_INT, 'time the screenshot was captured')
+                                    )
+                                ), 'recent screenshots, oldest first'
+                            )
+                        )
+                    )
+                ),
+                'servertime' => new external_value(PARAM_INT, 'current server time'),
+                'warnings' => new external_warnings()
+            )
+        );
+    }
+
+    /**
+     * Proctor action parameters.
+     *
+     * @return external_function_parameters
+     */
+    public static function send_proctor_action_parameters() {
+        return new external_function_parameters(
+            array(
+                'cmid' => new external_value(PARAM_INT, 'course module id'),
+                'attemptid' => new external_value(PARAM_INT, 'quiz attempt id'),
+                'action' => new external_value(PARAM_ALPHA, 'message, pause, resume or terminate'),
+                'message' => new external_value(PARAM_TEXT, 'message shown to the student', VALUE_DEFAULT, '')
+            )
+        );
+    }
+
+    /**
+     * Send a message, pause, resume or terminate an attempt in progress.
+     *
+     * @param int $cmid
+     * @param int $attemptid
+     * @param string $action
+     * @param string $message
+     *
+     * @return array
+     * @throws dml_exception
+     * @throws invalid_parameter_exception
+     * @throws required_capability_exception
+     */
+    public static function send_proctor_action($cmid, $attemptid, $action, $message) {
+        global $DB, $USER;
+
+        // Validate the params.
+        $params = self::validate_parameters(
+            self::send_proctor_action_parameters(),
+            array(
+                'cmid' => $cmid,
+                'attemptid' => $attemptid,
+                'action' => $action,
+                'message' => $message
+            )
+        );
+
+        if (!in_array($params['action'], \quizaccess_invigilator\proctor_action::get_actions())) {
+            throw new invalid_parameter_exception('Unknown action ' . $params['action']);
+        }
+
+        $cm = get_coursemodule_from_id('quiz', $params['cmid'], 0, false, MUST_EXIST);
+        $context = context_module::instance($cm->id);
+        self::validate_context($context);
+        require_capability('quizaccess/invigilator:proctor', $context);
+
+        $attempt = $DB->get_record('quiz_attempts', ['id' => $params['attemptid'], 'quiz' => $cm->instance]);
+        if (!$attempt || $attempt->state !== 'inprogress') {
+            throw new invalid_parameter_exception('Invalid attempt id ' . $params['attemptid']);
+        }
+
+        $actionid = \quizaccess_invigilator\proctor_action::send($attempt, $cm, $USER->id, $params['action'],
+            $params['message']);
+
+        $result = array();
+        $result['actionid'] = $actionid;
+        $result['warnings'] = array();
+
+        return $result;
+    }
+
+    /**
+     * Proctor action return parameters.
+     *
+     * @return external_single_structure
+     */
+    public static function send_proctor_action_returns() {
+        return new external_single_structure(
+            array(
+                'actionid' => new external_value(PARAM_INT, 'action id'),
+                'warnings' => new external_warnings()
+            )
+        );
+    }
+
+    /**
+     * Pending proctor actions parameters.
+     *
+     * @return external_function_parameters
+     */
+    public static function get_proctor_actions_parameters() {
+        return new external_function_parameters(
+            array(
+                'cmid' => new external_value(PARAM_INT, 'course module id'),
+                'attemptid' => new external_value(PARAM_INT, 'quiz attempt id')
+            )
+        );
+    }
+
+    /**
+     * Get the proctor actions the current user has not acknowledged yet for an attempt.
+     *
+     * @param int $cmid
+     * @param int $attemptid
+     *
+     * @return array
+     * @throws dml_exception
+     * @throws invalid_parameter_exception
+     * @throws required_capability_exception
+     */
+    public static function get_proctor_actions($cmid, $attemptid) {
+        global $DB, $USER;
+
+        // Validate the params.
+        $params = self::validate_parameters(
+            self::get_proctor_actions_parameters(),
+            array(
+                'cmid' => $cmid,
+                'attemptid' => $attemptid
+            )
+        );
+
+        $cm = get_coursemodule_from_id('quiz', $params['cmid'], 0, false, MUST_EXIST);
+        $context = context_module::instance($cm->id);
+        self::validate_context($context);
+        require_capability('quizaccess/invigilator:sendscreenshot', $context);
+
+        // Students may only read the actions sent for their own attempts.
+        if (!$DB->record_exists('quiz_attempts',
+                ['id' => $params['attemptid'], 'quiz' => $cm->instance, 'userid' => $USER->id])) {
+            throw new invalid_parameter_exception('Invalid attempt id ' . $params['attemptid']);
+        }
+
+        $actions = array();
+        foreach (\quizaccess_invigilator\proctor_action::get_pending($params['attemptid']) as $action) {
+            $actions[] = array(
+                'id' => $action->id,
+                'action' => $action->action,
+                'message' => (string)$action->message,
+                'timecreated' => $action->timecreated
+            );
+        }
 
-        $image = imagecreatefromstring($data);
+        $result = array();
+        $result['actions'] = $actions;
+        $result['paused'] = \quizaccess_invigilator\proctor_action::is_paused($params['attemptid']);
+        $result['warnings'] = array();
+
+        return $result;
+    }
+
+    /**
+     * Pending proctor actions return parameters.
+     *
+     * @return external_single_structure
+     */
+    public static function get_proctor_actions_returns() {
+        return new external_single_structure(
+            array(
+                'actions' => new external_multiple_structure(
+                    new external_single_structure(
+                        array(
+                            'id' => new external_value(PARAM_INT, 'action id'),
+                            'action' => new external_value(PARAM_ALPHA, 'message, pause, resume or terminate'),
+                            'message' => new external_value(PARAM_TEXT, 'message shown to the student'),
+                            'timecreated' => new external_value(PARAM_INT, 'time the action was sent')
+                        )
+                    ), 'actions not yet acknowledged, oldest first'
+                ),
+                'paused' => new external_value(PARAM_BOOL, 'whether the attempt is paused'),
+                'warnings' => new external_warnings()
+            )
+        );
+    }
+
+    /**
+     * Acknowledge proctor action parameters.
+     *
+     * @return external_function_parameters
+     */
+    public static function acknowledge_proctor_action_parameters() {
+        return new external_function_parameters(
+            array(
+                'cmid' => new external_value(PARAM_INT, 'course module id'),
+                'actionid' => new external_value(PARAM_INT, 'action id')
+            )
+        );
+    }
+
+    /**
+     * Record that the current user has seen a proctor action.
+     *
+     * @param int $cmid
+     * @param int $actionid
+     *
+     * @return array
+     * @throws dml_exception
+     * @throws invalid_parameter_exception
+     * @throws required_capability_exception
+     */
+    public static function acknowledge_proctor_action($cmid, $actionid) {
+        global $USER;
+
+        // Validate the params.
+        $params = self::validate_parameters(
+            self::acknowledge_proctor_action_parameters(),
+            array(
+                'cmid' => $cmid,
+                'actionid' => $actionid
+            )
+        );
+
+        $context = context_module::instance($params['cmid']);
+        self::validate_context($context);
+        require_capability('quizaccess/invigilator:sendscreenshot', $context);
+
+        if (!\quizaccess_invigilator\proctor_action::acknowledge($params['actionid'], $USER->id)) {
+            throw new invalid_parameter_exception('Invalid action id ' . $params['actionid']);
+        }
+
+        $result = array();
+        $result['status'] = true;
+        $result['warnings'] = array();
+
+        return $result;
+    }
+
+    /**
+     * Acknowledge proctor action return parameters.
+     *
+     * @return external_single_structure
+     */
+    public static function acknowledge_proctor_action_returns() {
+        return new external_single_structure(
+            array(
+                'status' => new external_value(PARAM_BOOL, 'whether the action was acknowledged'),
+                'warnings' => new external_warnings()
+            )
+        );
+    }
+
+    /**
+     * Flag screenshot parameters.
+     *
+     * @return external_function_parameters
+     */
+    public static function flag_screenshot_parameters() {
+        return new external_function_parameters(
+            array(
+                'cmid' => new external_value(PARAM_INT, 'course module id'),
+                'logid' => new external_value(PARAM_INT, 'screenshot id'),
+                'note' => new external_value(PARAM_TEXT, 'note of the reviewer', VALUE_DEFAULT, ''),
+                'rectx' => new external_value(PARAM_FLOAT, 'left of the highlight, fraction of the width, -1 for none',
+                    VALUE_DEFAULT, -1),
+                'recty' => new external_value(PARAM_FLOAT, 'top of the highlight, fraction of the height', VALUE_DEFAULT, 0),
+                'rectwidth' => new external_value(PARAM_FLOAT, 'width of the highlight, fraction of the width',
+                    VALUE_DEFAULT, 0),
+                'rectheight' => new external_value(PARAM_FLOAT, 'height of the highlight, fraction of the height',
+                    VALUE_DEFAULT, 0)
+            )
+        );
+    }
+
+    /**
+     * Flag a screenshot as suspicious, with an optional note and highlighted area.
+     *
+     * @param int $cmid
+     * @param int $logid
+     * @param string $note
+     * @param float $rectx
+     * @param float $recty
+     * @param float $rectwidth
+     * @param float $rectheight
+     *
+     * @return array
+     * @throws dml_exception
+     * @throws invalid_parameter_exception
+     * @throws required_capability_exception
+     */
+    public static function flag_screenshot($cmid, $logid, $note, $rectx, $recty, $rectwidth, $rectheight) {
+        global $DB, $USER;
+
+        // Validate the params.
+        $params = self::validate_parameters(
+            self::flag_screenshot_parameters(),
+            array(
+                'cmid' => $cmid,
+                'logid' => $logid,
+                'note' => $note,
+                'rectx' => $rectx,
+                'recty' => $recty,
+                'rectwidth' => $rectwidth,
+                'rectheight' => $rectheight
+            )
+        );
+
+        $context = context_module::instance($params['cmid']);
+        self::validate_context($context);
+        require_capability('quizaccess/invigilator:review', $context);
+
+        $log = $DB->get_record('quizaccess_invigilator_logs', ['id' => $params['logid'], 'cmid' => $params['cmid']]);
+        if (!$log) {
+            throw new invalid_parameter_exception('Invalid screenshot id ' . $params['logid']);
+        }
+
+        $rect = null;
+        if ($params['rectx'] >= 0 && $params['rectwidth'] > 0 && $params['rectheight'] > 0) {
+            $rect = (object)[
+                'x' => $params['rectx'],
+                'y' => $params['recty'],
+                'width' => $params['rectwidth'],
+                'height' => $params['rectheight']
+            ];
+        }
+        $flagid = \quizaccess_invigilator\review::flag($log, $USER->id, $params['note'], $rect);
+
+        $result = array();
+        $result['flagid'] = $flagid;
+        $result['warnings'] = array();
+
+        return $result;
+    }
+
+    /**
+     * Flag screenshot return parameters.
+     *
+     * @return external_single_structure
+     */
+    public static function flag_screenshot_returns() {
+        return new external_single_structure(
+            array(
+                'flagid' => new external_value(PARAM_INT, 'flag id'),
+                'warnings' => new external_warnings()
+            )
+        );
+    }
+
+    /**
+     * Unflag screenshot parameters.
+     *
+     * @return external_function_parameters
+     */
+    public static function unflag_screenshot_parameters() {
+        return new external_function_parameters(
+            array(
+                'cmid' => new external_value(PARAM_INT, 'course module id'),
+                'logid' => new external_value(PARAM_INT, 'screenshot id')
+            )
+        );
+    }
+
+    /**
+     * Remove the flag of a screenshot.
+     *
+     * @param int $cmid
+     * @param int $logid
+     *
+     * @return array
+     * @throws dml_exception
+     * @throws invalid_parameter_exception
+     * @throws required_capability_exception
+     */
+    public static function unflag_screenshot($cmid, $logid) {
+        global $DB;
+
+        // Validate the params.
+        $params = self::validate_parameters(
+            self::unflag_screenshot_parameters(),
+            array(
+                'cmid' => $cmid,
+                'logid' => $logid
+            )
+        );
+
+        $context = context_module::instance($params['cmid']);
+        self::validate_context($context);
+        require_capability('quizaccess/invigilator:review', $context);
+
+        if (!$DB->record_exists('quizaccess_invigilator_logs', ['id' => $params['logid'], 'cmid' => $params['cmid']])) {
+            throw new invalid_parameter_exception('Invalid screenshot id ' . $params['logid']);
+        }
+        \quizaccess_invigilator\review::unflag($params['logid']);
+
+        $result = array();
+        $result['status'] = true;
+        $result['warnings'] = array();
+
+        return $result;
+    }
+
+    /**
+     * Unflag screenshot return parameters.
+     *
+     * @return external_single_structure
+     */
+    public static function unflag_screenshot_returns() {
+        return new external_single_structure(
+            array(
+                'status' => new external_value(PARAM_BOOL, 'whether the flag was removed'),
+                'warnings' => new external_warnings()
+            )
+        );
+    }
+
+    /**
+     * Filters of a capture search.
+     *
+     * @return external_value[]
+     */
+    protected static function capture_filter_parameters() {
+        return array(
+            'username' => new external_value(PARAM_TEXT, 'part of the name or username of the student', VALUE_DEFAULT, ''),
+            'email' => new external_value(PARAM_TEXT, 'part of the email of the student', VALUE_DEFAULT, ''),
+            'coursename' => new external_value(PARAM_TEXT, 'part of the course name', VALUE_DEFAULT, ''),
+            'quizname' => new external_value(PARAM_TEXT, 'part of the quiz name', VALUE_DEFAULT, ''),
+            'timefrom' => new external_value(PARAM_INT, 'earliest capture time, 0 for any', VALUE_DEFAULT, 0),
+            'timeto' => new external_value(PARAM_INT, 'latest capture time, 0 for any', VALUE_DEFAULT, 0)
+        );
+    }
+
+    /**
+     * Search captures parameters.
+     *
+     * @return external_function_parameters
+     */
+    public static function search_captures_parameters() {
+        return new external_function_parameters(
+            array(
+                'cmid' => new external_value(PARAM_INT, 'course module id'),
+                'filters' => new external_single_structure(self::capture_filter_parameters(), 'search filters'),
+                'sort' => new external_value(PARAM_ALPHA, 'column to sort by', VALUE_DEFAULT, 'id'),
+                'dir' => new external_value(PARAM_ALPHA, 'ASC or DESC', VALUE_DEFAULT, 'ASC'),
+                'page' => new external_value(PARAM_INT, 'page number from 0', VALUE_DEFAULT, 0),
+                'perpage' => new external_value(PARAM_INT, 'captures per page', VALUE_DEFAULT, 50)
+            )
+        );
+    }
+
+    /**
+     * Get one page of the captures of the courses the user may delete captures in matching a search.
+     *
+     * @param int $cmid
+     * @param array $filters
+     * @param string $sort
+     * @param string $dir
+     * @param int $page
+     * @param int $perpage
+     *
+     * @return array
+     * @throws dml_exception
+     * @throws invalid_parameter_exception
+     * @throws required_capability_exception
+     */
+    public static function search_captures($cmid, $filters, $sort = 'id', $dir = 'ASC', $page = 0, $perpage = 50) {
+        // Validate the params.
+        $params = self::validate_parameters(
+            self::search_captures_parameters(),
+            array(
+                'cmid' => $cmid,
+                'filters' => $filters,
+                'sort' => $sort,
+                'dir' => $dir,
+                'page' => $page,
+                'perpage' => $perpage
+            )
+        );
+
+        $context = context_module::instance($params['cmid']);
+        self::validate_context($context);
+        require_capability('quizaccess/invigilator:deletescreenshot', $context);
+
+        if (!array_key_exists($params['sort'], \quizaccess_invigilator\log_search::SORTS)) {
+            throw new invalid_parameter_exception('Invalid sort column ' . $params['sort']);
+        }
+        $perpage = max(1, min(100, $params['perpage']));
+        // Only the captures of the courses the user may delete captures in are searched.
+        $courseids = \quizaccess_invigilator\log_search::get_course_ids();
+
+        $captures = array();
+        $rows = \quizaccess_invigilator\log_search::get_page($params['filters'], $params['sort'], $params['dir'],
+            $params['page'], $perpage, $courseids);
+        foreach ($rows as $row) {
+            $captures[] = array(
+                'reportid' => $row->reportid,
+                'studentid' => $row->studentid,
+                'courseid' => $row->courseid,
+                'quizid' => $row->quizid,
+                'fullname' => $row->firstname . ' ' . $row->lastname,
+                'email' => $row->email,
+                'coursename' => format_string($row->coursename),
+                'quizname' => format_string($row->quizname),
+                'timecreated' => $row->timecreated
+            );
+        }
+
+        $result = array();
+        $result['total'] = \quizaccess_invigilator\log_search::count($params['filters'], $courseids);
+        $result['captures'] = $captures;
+        $result['warnings'] = array();
+
+        return $result;
+    }
+
+    /**
+     * Search captures return parameters.
+     *
+     * @return external_single_structure
+     */
+    public static function search_captures_returns() {
+        return new external_single_structure(
+            array(
+                'total' => new external_value(PARAM_INT, 'number of captures matching the search'),
+                'captures' => new external_multiple_structure(
+                    new external_single_structure(
+                        array(
+                            'reportid' => new external_value(PARAM_INT, 'screenshot id'),
+                            'studentid' => new external_value(PARAM_INT, 'student id'),
+                            'courseid' => new external_value(PARAM_INT, 'course id'),
+                            'quizid' => new external_value(PARAM_INT, 'quiz id'),
+                            'fullname' => new external_value(PARAM_TEXT, 'student name'),
+                            'email' => new external_value(PARAM_TEXT, 'student email'),
+                            'coursename' => new external_value(PARAM_TEXT, 'course name'),
+                            'quizname' => new external_value(PARAM_TEXT, 'quiz name'),
+                            'timecreated' => new external_value(PARAM_INT, 'time the screenshot was captured')
+                        )
+                    )
+                ),
+                'warnings' => new external_warnings()
+            )
+        );
+    }
+
+    /**
+     * Delete captures parameters.
+     *
+     * @return external_function_parameters
+     */
+    public static function delete_captures_parameters() {
+        return new external_function_parameters(
+            array(
+                'cmid' => new external_value(PARAM_INT, 'course module id'),
+                'ids' => new external_multiple_structure(
+                    new external_value(PARAM_INT, 'screenshot id'), 'screenshots to delete', VALUE_DEFAULT, array()
+                ),
+                'filters' => new external_single_structure(self::capture_filter_parameters(),
+                    'search whose every capture is deleted when no id is given', VALUE_DEFAULT, array())
+            )
+        );
+    }
+
+    /**
+     * Delete the given captures at once, or queue the deletion of every capture matching a search.
+     *
+     * @param int $cmid
+     * @param int[] $ids
+     * @param array $filters
+     *
+     * @return array
+     * @throws dml_exception
+     * @throws invalid_parameter_exception
+     * @throws required_capability_exception
+     */
+    public static function delete_captures($cmid, $ids = array(), $filters = array()) {
+        global $CFG;
+        require_once($CFG->dirroot . '/mod/quiz/accessrule/invigilator/classes/addtional_settings_helper.php');
+
+        // Validate the params.
+        $params = self::validate_parameters(
+            self::delete_captures_parameters(),
+            array(
+                'cmid' => $cmid,
+                'ids' => $ids,
+                'filters' => $filters
+            )
+        );
+
+        $context = context_module::instance($params['cmid']);
+        self::validate_context($context);
+        require_capability('quizaccess/invigilator:deletescreenshot', $context);
+
+        // Only the captures of the courses the user may delete captures in are deleted.
+        $courseids = \quizaccess_invigilator\log_search::get_course_ids();
+        $result = array();
+        if ($params['ids']) {
+            if (count($params['ids']) > \quizaccess_invigilator\log_search::BATCH_SIZE) {
+                throw new invalid_parameter_exception('Too many screenshot ids, delete by search instead');
+            }
+            if (!\quizaccess_invigilator\log_search::in_courses($params['ids'], $courseids)) {
+                throw new invalid_parameter_exception('Invalid screenshot ids outside the courses of the user');
+            }
+            $helper = new addtional_settings_helper();
+            $helper->deletesslogs(implode(',', $params['ids']));
+            $result['deletionid'] = 0;
+            $result['total'] = count($params['ids']);
+        } else if (!\quizaccess_invigilator\log_search::clean_filters($params['filters'])) {
+            throw new invalid_parameter_exception('Give the screenshot ids or a search to delete');
+        } else {
+            $deletion = \quizaccess_invigilator\log_search::queue_deletion($params['cmid'], $params['filters'], $courseids);
+            $result['deletionid'] = $deletion->id;
+            $result['total'] = $deletion->total;
+        }
+        $result['warnings'] = array();
+
+        return $result;
+    }
+
+    /**
+     * Delete captures return parameters.
+     *
+     * @return external_single_structure
+     */
+    public static function delete_captures_returns() {
+        return new external_single_structure(
+            array(
+                'deletionid' => new external_value(PARAM_INT, 'id of the queued deletion, 0 if deleted at once'),
+                'total' => new external_value(PARAM_INT, 'number of captures to delete'),
+                'warnings' => new external_warnings()
+            )
+        );
+    }
+
+    /**
+     * Deletion progress parameters.
+     *
+     * @return external_function_parameters
+     */
+    public static function get_deletion_progress_parameters() {
+        return new external_function_parameters(
+            array(
+                'cmid' => new external_value(PARAM_INT, 'course module id'),
+                'deletionid' => new external_value(PARAM_INT, 'id of the queued deletion')
+            )
+        );
+    }
+
+    /**
+     * Get the progress of a queued deletion.
+     *
+     * @param int $cmid
+     * @param int $deletionid
+     *
+     * @return array
+     * @throws dml_exception
+     * @throws invalid_parameter_exception
+     * @throws required_capability_exception
+     */
+    public static function get_deletion_progress($cmid, $deletionid) {
+        // Validate the params.
+        $params = self::validate_parameters(
+            self::get_deletion_progress_parameters(),
+            array(
+                'cmid' => $cmid,
+                'deletionid' => $deletionid
+            )
+        );
+
+        $context = context_module::instance($params['cmid']);
+        self::validate_context($context);
+        require_capability('quizaccess/invigilator:deletescreenshot', $context);
+
+        $deletion = \quizaccess_invigilator\log_search::get_deletion($params['deletionid']);
+        if ($deletion->cmid != $params['cmid']) {
+            throw new invalid_parameter_exception('Invalid deletion id ' . $params['deletionid']);
+        }
+
+        $result = array();
+        $result['status'] = $deletion->status;
+        $result['total'] = $deletion->total;
+        $result['deleted'] = $deletion->deleted;
+        $result['warnings'] = array();
+
+        return $result;
+    }
+
+    /**
+     * Deletion progress return parameters.
+     *
+     * @return external_single_structure
+     */
+    public static function get_deletion_progress_returns() {
+        return new external_single_structure(
+            array(
+                'status' => new external_value(PARAM_ALPHA, 'queued, running or done'),
+                'total' => new external_value(PARAM_INT, 'number of captures to delete'),
+                'deleted' => new external_value(PARAM_INT, 'number of captures deleted so far'),
+                'warnings' => new external_warnings()
+            )
+        );
+    }
+
+    /**
+     * Proctored quizzes parameters.
+     *
+     * @return external_function_parameters
+     */
+    public static function get_proctored_quizzes_parameters() {
+        return new external_function_parameters(
+            array(
+                'courseid' => new external_value(PARAM_INT, 'course id')
+            )
+        );
+    }
+
+    /**
+     * Get the proctored quizzes of a course the user may review.
+     *
+     * @param int $courseid
+     *
+     * @return array
+     * @throws dml_exception
+     * @throws invalid_parameter_exception
+     * @throws moodle_exception
+     */
+    public static function get_proctored_quizzes($courseid) {
+        // Validate the params.
+        $params = self::validate_parameters(
+            self::get_proctored_quizzes_parameters(),
+            array(
+                'courseid' => $courseid
+            )
+        );
+
+        $course = get_course($params['courseid']);
+        self::validate_context(context_course::instance($course->id));
+
+        $quizzes = array();
+        foreach (\quizaccess_invigilator\review_feed::get_proctored_quizzes($course) as $quiz) {
+            $quizzes[] = (array)$quiz;
+        }
+
+        $result = array();
+        $result['quizzes'] = $quizzes;
+        $result['warnings'] = array();
+
+        return $result;
+    }
+
+    /**
+     * Proctored quizzes return parameters.
+     *
+     * @return external_single_structure
+     */
+    public static function get_proctored_quizzes_returns() {
+        return new external_single_structure(
+            array(
+                'quizzes' => new external_multiple_structure(
+                    new external_single_structure(
+                        array(
+                            'cmid' => new external_value(PARAM_INT, 'course module id'),
+                            'quizid' => new external_value(PARAM_INT, 'quiz id'),
+                            'name' => new external_value(PARAM_TEXT, 'quiz name'),
+                            'enforcement' => new external_value(PARAM_INT, 'screen share enforcement, 0 off, 1 warn, 2 block'),
+                            'webcam' => new external_value(PARAM_BOOL, 'whether webcam snapshots are captured'),
+                            'screenshotdelay' => new external_value(PARAM_INT, 'seconds between screenshots'),
+                            'captures' => new external_value(PARAM_INT, 'number of captures stored')
+                        )
+                    )
+                ),
+                'warnings' => new external_warnings()
+            )
+        );
+    }
+
+    /**
+     * Quiz attempts parameters.
+     *
+     * @return external_function_parameters
+     */
+    public static function get_quiz_attempts_parameters() {
+        return new external_function_parameters(
+            array(
+                'cmid' => new external_value(PARAM_INT, 'course module id')
+            )
+        );
+    }
+
+    /**
+     * Get the attempts of a quiz with the number of captures, events and flags of each.
+     *
+     * @param int $cmid
+     *
+     * @return array
+     * @throws dml_exception
+     * @throws invalid_parameter_exception
+     * @throws required_capability_exception
+     */
+    public static function get_quiz_attempts($cmid) {
+        // Validate the params.
+        $params = self::validate_parameters(
+            self::get_quiz_attempts_parameters(),
+            array(
+                'cmid' => $cmid
+            )
+        );
+
+        $cm = get_coursemodule_from_id('quiz', $params['cmid'], 0, false, MUST_EXIST);
+        $context = context_module::instance($cm->id);
+        self::validate_context($context);
+        require_capability('quizaccess/invigilator:viewreport', $context);
+
+        $attempts = array();
+        foreach (\quizaccess_invigilator\review_feed::get_attempts($cm) as $attempt) {
+            $attempts[] = (array)$attempt;
+        }
+
+        $result = array();
+        $result['attempts'] = $attempts;
+        $result['warnings'] = array();
+
+        return $result;
+    }
+
+    /**
+     * Quiz attempts return parameters.
+     *
+     * @return external_single_structure
+     */
+    public static function get_quiz_attempts_returns() {
+        return new external_single_structure(
+            array(
+                'attempts' => new external_multiple_structure(
+                    new external_single_structure(
+                        array(
+                            'attemptid' => new external_value(PARAM_INT, 'quiz attempt id, 0 for captures outside an attempt'),
+                            'userid' => new external_value(PARAM_INT, 'student id'),
+                            'fullname' => new external_value(PARAM_TEXT, 'student name'),
+                            'attempt' => new external_value(PARAM_INT, 'attempt number'),
+                            'state' => new external_value(PARAM_ALPHA, 'attempt state'),
+                            'timestart' => new external_value(PARAM_INT, 'time the attempt started'),
+                            'timefinish' => new external_value(PARAM_INT, 'time the attempt was submitted, 0 if not'),
+                            'screenshots' => new external_value(PARAM_INT, 'number of screenshots'),
+                            'webcam' => new external_value(PARAM_INT, 'number of webcam snapshots'),
+                            'events' => new external_value(PARAM_INT, 'number of proctoring events'),
+                            'flags' => new external_value(PARAM_INT, 'number of flagged captures'),
+                            'verdict' => new external_value(PARAM_ALPHA, 'verdict of the reviewers, none if not given')
+                        )
+                    )
+                ),
+                'warnings' => new external_warnings()
+            )
+        );
+    }
+
+    /**
+     * Student captures parameters.
+     *
+     * @return external_function_parameters
+     */
+    public static function get_student_captures_parameters() {
+        return new external_function_parameters(
+            array(
+                'cmid' => new external_value(PARAM_INT, 'course module id'),
+                'userid' => new external_value(PARAM_INT, 'student id'),
+                'attemptid' => new external_value(PARAM_INT, 'quiz attempt id, 0 for every attempt', VALUE_DEFAULT, 0)
+            )
+        );
+    }
+
+    /**
+     * Get the captures of a student in a quiz with the links to their images.
+     *
+     * @param int $cmid
+     * @param int $userid
+     * @param int $attemptid
+     *
+     * @return array
+     * @throws dml_exception
+     * @throws invalid_parameter_exception
+     * @throws moodle_exception
+     * @throws required_capability_exception
+     */
+    public static function get_student_captures($cmid, $userid, $attemptid = 0) {
+        // Validate the params.
+        $params = self::validate_parameters(
+            self::get_student_captures_parameters(),
+            array(
+                'cmid' => $cmid,
+                'userid' => $userid,
+                'attemptid' => $attemptid
+            )
+        );
+
+        $cm = get_coursemodule_from_id('quiz', $params['cmid'], 0, false, MUST_EXIST);
+        $context = context_module::instance($cm->id);
+        self::validate_context($context);
+        // The feed carries the flags and notes of the reviewers, students may not read it even for themselves.
+        require_capability('quizaccess/invigilator:viewreport', $context);
+
+        $captures = array();
+        foreach (\quizaccess_invigilator\review_feed::get_captures($cm, $params['userid'], $params['attemptid']) as $capture) {
+            $captures[] = (array)$capture;
+        }
+
+        $result = array();
+        $result['captures'] = $captures;
+        $result['warnings'] = array();
+
+        return $result;
+    }
+
+    /**
+     * Student captures return parameters.
+     *
+     * @return external_single_structure
+     */
+    public static function get_student_captures_returns() {
+        return new external_single_structure(
+            array(
+                'captures' => new external_multiple_structure(
+                    new external_single_structure(
+                        array(
+                            'id' => new external_value(PARAM_INT, 'screenshot id'),
+                            'attemptid' => new external_value(PARAM_INT, 'quiz attempt id, 0 if unknown'),
+                            'capturetype' => new external_value(PARAM_ALPHA, 'screen or webcam'),
+                            'timecreated' => new external_value(PARAM_INT, 'time the capture was taken'),
+                            'surfacewidth' => new external_value(PARAM_INT, 'width of the captured surface, 0 if unknown'),
+                            'surfaceheight' => new external_value(PARAM_INT, 'height of the captured surface, 0 if unknown'),
+                            'multidisplay' => new external_value(PARAM_BOOL, 'whether multiple displays were connected'),
+                            'page' => new external_value(PARAM_INT, 'quiz page shown'),
+                            'slot' => new external_value(PARAM_INT, 'first question slot of the page'),
+                            'contenthash' => new external_value(PARAM_ALPHANUM, 'SHA-256 hash of the image'),
+                            'chainseq' => new external_value(PARAM_INT, 'place of the capture in its chain'),
+                            'flagged' => new external_value(PARAM_BOOL, 'whether a reviewer flagged the capture'),
+                            'fileurl' => new external_value(PARAM_URL, 'webservice link to the image, add the token to fetch it'),
+                            'mimetype' => new external_value(PARAM_RAW, 'type of the image'),
+                            'filesize' => new external_value(PARAM_INT, 'size of the image in bytes')
+                        )
+                    )
+                ),
+                'warnings' => new external_warnings()
+            )
+        );
+    }
+
+    /**
+     * Student events parameters.
+     *
+     * @return external_function_parameters
+     */
+    public static function get_student_events_parameters() {
+        return new external_function_parameters(
+            array(
+                'cmid' => new external_value(PARAM_INT, 'course module id'),
+                'userid' => new external_value(PARAM_INT, 'student id'),
+                'attemptid' => new external_value(PARAM_INT, 'quiz attempt id, 0 for every attempt', VALUE_DEFAULT, 0)
+            )
+        );
+    }
+
+    /**
+     * Get the proctoring events of a student in a quiz and the flags on the captures.
+     *
+     * @param int $cmid
+     * @param int $userid
+     * @param int $attemptid
+     *
+     * @return array
+     * @throws dml_exception
+     * @throws invalid_parameter_exception
+     * @throws moodle_exception
+     * @throws required_capability_exception
+     */
+    public static function get_student_events($cmid, $userid, $attemptid = 0) {
+        // Validate the params.
+        $params = self::validate_parameters(
+            self::get_student_events_parameters(),
+            array(
+                'cmid' => $cmid,
+                'userid' => $userid,
+                'attemptid' => $attemptid
+            )
+        );
+
+        $cm = get_coursemodule_from_id('quiz', $params['cmid'], 0, false, MUST_EXIST);
+        $context = context_module::instance($cm->id);
+        self::validate_context($context);
+        require_capability('quizaccess/invigilator:viewreport', $context);
+
+        $events = array();
+        foreach (\quizaccess_invigilator\review_feed::get_events($cm, $params['userid'], $params['attemptid']) as $event) {
+            $events[] = (array)$event;
+        }
+        $flags = array();
+        foreach (\quizaccess_invigilator\review_feed::get_flags($cm, $params['userid'], $params['attemptid']) as $flag) {
+            $flags[] = (array)$flag;
+        }
+
+        $result = array();
+        $result['events'] = $events;
+        $result['flags'] = $flags;
+        $result['warnings'] = array();
+
+        return $result;
+    }
+
+    /**
+     * Student events return parameters.
+     *
+     * @return external_single_structure
+     */
+    public static function get_student_events_returns() {
+        return new external_single_structure(
+            array(
+                'events' => new external_multiple_structure(
+                    new external_single_structure(
+                        array(
+                            'id' => new external_value(PARAM_INT, 'event id'),
+                            'attemptid' => new external_value(PARAM_INT, 'quiz attempt id, 0 if unknown'),
+                            'eventtype' => new external_value(PARAM_ALPHA, 'type of the event'),
+                            'name' => new external_value(PARAM_TEXT, 'name of the type of the event'),
+                            'details' => new external_value(PARAM_TEXT, 'extra information about the event'),
+                            'timecreated' => new external_value(PARAM_INT, 'time of the event')
+                        )
+                    )
+                ),
+                'flags' => new external_multiple_structure(
+                    new external_single_structure(
+                        array(
+                            'logid' => new external_value(PARAM_INT, 'flagged screenshot id'),
+                            'attemptid' => new external_value(PARAM_INT, 'quiz attempt id, 0 if unknown'),
+                            'reviewerid' => new external_value(PARAM_INT, 'reviewer who flagged it'),
+                            'note' => new external_value(PARAM_TEXT, 'note of the reviewer'),
+                            'rectx' => new external_value(PARAM_FLOAT, 'left of the highlighted area as a fraction, null if none'),
+                            'recty' => new external_value(PARAM_FLOAT, 'top of the highlighted area as a fraction, null if none'),
+                            'rectwidth' => new external_value(PARAM_FLOAT, 'width of the highlighted area, null if none'),
+                            'rectheight' => new external_value(PARAM_FLOAT, 'height of the highlighted area, null if none'),
+                            'timecreated' => new external_value(PARAM_INT, 'time it was flagged'),
+                            'timemodified' => new external_value(PARAM_INT, 'time the flag was last changed')
+                        )
+                    )
+                ),
+                'warnings' => new external_warnings()
+            )
+        );
+    }
+
+    /**
+     * Check user capability
+     * @param array $params
+     * @param context $context
+     * @param int $USER
+     * @return void
+     * @throws dml_exception
+     * @throws moodle_exception
+     * @throws required_capability_exception
+     */
+    protected static function request_user_require_capability(array $params, context $context, $USER) {
+        $user = core_user::get_user($params['userid'], '*', MUST_EXIST);
+        core_user::require_active_user($user);
+
+        // Extra checks so only users with permissions can view other users reports.
+        if ($USER->id != $user->id) {
+            require_capability('quizaccess/invigilator:viewreport', $context);
+        }
+    }
+
+    /**
+     * Delete the previous practice screenshots of a user and get the draft area to store the next one in.
+     *
+     * The draft area of the previous screenshot is reused when it holds nothing else.
+     *
+     * @param context_user $usercontext
+     * @return int Draft item ID.
+     * @throws dml_exception
+     */
+    private static function get_practice_draft_itemid(context_user $usercontext) : int {
+        global $DB;
+
+        $filenames = array();
+        foreach (\quizaccess_invigilator\capture::get_formats() as $format) {
+            $filenames[] = 'systemcheck.' . \quizaccess_invigilator\capture::get_extension($format);
+        }
+        list($insql, $params) = $DB->get_in_or_equal(array_unique($filenames), SQL_PARAMS_NAMED);
+        $params += array('contextid' => $usercontext->id, 'component' => 'user', 'filearea' => 'draft');
+        $earlier = $DB->get_records_select('files',
+            "contextid = :contextid AND component = :component AND filearea = :filearea AND filename $insql", $params,
+            'id', 'id');
+
+        $fs = get_file_storage();
+        $draftitemid = 0;
+        foreach ($earlier as $record) {
+            $file = $fs->get_file_by_id($record->id);
+            $draftitemid = (int)$file->get_itemid();
+            $file->delete();
+        }
+        if (!$draftitemid || !$fs->is_area_empty($usercontext->id, 'user', 'draft', $draftitemid)) {
+            $draftitemid = file_get_unused_draft_itemid();
+        }
+        return $draftitemid;
+    }
+
+    /**
+     * Decode a captured image sent as a data URL.
+     *
+     * @param string $screenshot Data URL of the image.
+     * @return array The image data and the format it is stored in, the one chosen by the browser when supported.
+     */
+    private static function decode_image($screenshot) : array {
+        // For base64 to file.
+        $data = $screenshot;
+        if (strpos($data, ';') === false || strpos($data, ',') === false) {
+            return array('', \quizaccess_invigilator\capture::FORMAT_PNG);
+        }
+        list($type, $data) = explode(';', $data, 2);
+        list(, $data) = explode(',', $data, 2);
+        $data = base64_decode($data);
+
+        // Keep the format chosen by the browser.
+        $formats = \quizaccess_invigilator\capture::get_formats();
+        $mimetype = substr($type, strlen('data:'));
+        $format = isset($formats[$mimetype]) ? $formats[$mimetype] : \quizaccess_invigilator\capture::FORMAT_PNG;
+        if ($format === \quizaccess_invigilator\capture::FORMAT_WEBP && !function_exists('imagewebp')) {
+            $format = \quizaccess_invigilator\capture::FORMAT_JPEG;
+        }
+        return array($data, $format);
+    }
+
+    /**
+     * Adds timestamp information to captured image.
+     * @param string $data
+     * @param int $timestamp
+     * @param string $format image format to store
+     * @return string|null The stamped image, null when the server cannot read the image.
+     */
+    private static function add_timecode_to_image ($data, $timestamp, $format) {
+        global $CFG;
+
+        $image = \quizaccess_invigilator\capture::read_image($data);
+        if ($image === null) {
+            return null;
+        }
         imagefilledrectangle($image, 0, 0, 120, 22, imagecolorallocatealpha($image, 255, 255, 255, 60));
         imagefttext($image, 9, 0, 4, 16, imagecolorallocate($image, 0, 0, 0),
-            $CFG->dirroot . '/mod/quiz/accessrule/invigilator/assets/Roboto-Light.ttf', date('d-m-Y H:i:s') );
-        ob_start();
-        imagepng($image);
-        $data = ob_get_clean();
-        ob_end_clean();
+            $CFG->dirroot . '/mod/quiz/accessrule/invigilator/assets/Roboto-Light.ttf', date('d-m-Y H:i:s', $timestamp) );
+        $data = \quizaccess_invigilator\capture::encode_image($image, $format,
+            \quizaccess_invigilator\capture::get_configured_quality());
         imagedestroy($image);
         return $data;
     }
@@ -0,0 +1,630 @@
+<?php
+// This file is part of Moodle invigilator for Moodle - http://moodle.org/
+//
+// Moodle invigilator is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle invigilator is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with MailTest.  If not, see <http://www.gnu.org/licenses/>.
+/**
+ * Tamper-evident hash chain of the captures for the quizaccess_invigilator plugin.
+ *
+ * @package    quizaccess_invigilator
+ * @copyright  2021 Brain Station 23
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace quizaccess_invigilator;
+
+use stdClass;
+
+defined('MOODLE_INTERNAL') || die();
+
+/**
+ * integrity class.
+ *
+ * Every stored capture gets the SHA-256 hash of its file and a chain hash over its
+ * log row, its file hash and the chain hash of the previous capture of the same
+ * attempt. Replacing a file, editing a row, deleting a capture or moving it to
+ * another place in the chain breaks the chain from that capture on.
+ *
+ * Chain hashes are HMACs keyed with a secret kept in the data directory, so that
+ * someone who can only write to the database cannot compute a valid chain. The
+ * last place of every chain is kept, signed with the same key, to tell a chain
+ * whose latest captures were deleted from a shorter one.
+ *
+ * A restored quiz is chained again for its new IDs once its backed up chains are
+ * verified, keeping the breaks they had. Chains backed up on a site with another
+ * key cannot be verified, they are marked as such up to their last capture.
+ *
+ * @copyright  2021 Brain Station 23
+ * @license   http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class integrity {
+
+    /** @var string Chain hash of the first capture of an attempt is computed from this. */
+    const GENESIS = '0000000000000000000000000000000000000000000000000000000000000000';
+
+    /** @var string Captures are missing from the chain. */
+    const PROBLEM_MISSING = 'missing';
+
+    /** @var string A capture is not at its place in the chain. */
+    const PROBLEM_REORDERED = 'reordered';
+
+    /** @var string The log row of a capture was changed. */
+    const PROBLEM_ROW_ALTERED = 'rowaltered';
+
+    /** @var string The image of a capture was deleted. */
+    const PROBLEM_FILE_MISSING = 'filemissing';
+
+    /** @var string The image of a capture was replaced. */
+    const PROBLEM_FILE_ALTERED = 'filealtered';
+
+    /** @var string The capture was stored before the chain existed, or is waiting to be chained. */
+    const PROBLEM_UNCHAINED = 'unchained';
+
+    /** @var string Captures are missing from the end of the chain. */
+    const PROBLEM_TRUNCATED = 'truncated';
+
+    /** @var string The record of the end of the chain was changed or deleted. */
+    const PROBLEM_HEAD_ALTERED = 'headaltered';
+
+    /** @var string Captures were restored from a backup signed with another key. */
+    const PROBLEM_UNVERIFIED = 'unverified';
+
+    /** @var int Seconds to wait for a concurrent upload of the same attempt to finish. */
+    const LOCK_TIMEOUT = 10;
+
+    /** @var string File of the chain key in the plugin directory of the data directory. */
+    const KEY_FILE = 'chain.key';
+
+    /** @var string|null Chain key, once read. */
+    private static $key = null;
+
+    /**
+     * Get the attempt a capture belongs to: the attempt of the student in progress.
+     *
+     * @param int $quizid Quiz ID.
+     * @param int $userid Student ID.
+     * @return int Attempt ID, 0 when no attempt is in progress.
+     * @throws \dml_exception
+     */
+    public static function get_current_attempt(int $quizid, int $userid) : int {
+        global $DB;
+
+        $attempts = $DB->get_records('quiz_attempts',
+            ['quiz' => $quizid, 'userid' => $userid, 'state' => 'inprogress', 'preview' => 0], 'attempt DESC', 'id', 0, 1);
+        $attempt = reset($attempts);
+        return $attempt ? (int)$attempt->id : 0;
+    }
+
+    /**
+     * Add a stored capture to the chain of its attempt.
+     *
+     * The capture must be stored with the hash of its image. Uploads of the same attempt
+     * are chained one at a time, in the order they were stored: every capture waiting
+     * to be chained is added before this one. When the chain stays locked, a task
+     * chains the waiting captures later.
+     *
+     * @param stdClass $log Row of the logs table, with its attempt ID and file hash.
+     * @return bool False when the capture was left for the task.
+     * @throws \dml_exception
+     */
+    public static function chain(stdClass $log) : bool {
+        if (self::chain_pending((int)$log->cmid, (int)$log->userid, (int)$log->attemptid)) {
+            return true;
+        }
+
+        $task = new task\chain_captures();
+        $task->set_custom_data(['cmid' => $log->cmid, 'userid' => $log->userid, 'attemptid' => $log->attemptid]);
+        \core\task\manager::queue_adhoc_task($task, true);
+        return false;
+    }
+
+    /**
+     * Chain the captures of an attempt waiting to be chained, in the order they were stored.
+     *
+     * Captures stored before the chain existed have no file hash and are left alone.
+     *
+     * @param int $cmid Course module ID.
+     * @param int $userid Student ID.
+     * @param int $attemptid Attempt ID, 0 for captures stored outside attempts.
+     * @return bool False when the chain stayed locked.
+     * @throws \dml_exception
+     */
+    public static function chain_pending(int $cmid, int $userid, int $attemptid) : bool {
+        global $DB;
+
+        $factory = \core\lock\lock_config::get_lock_factory('quizaccess_invigilator_integrity');
+        $lock = $factory->get_lock($cmid . '-' . $userid . '-' . $attemptid, self::LOCK_TIMEOUT);
+        if (!$lock) {
+            return false;
+        }
+
+        try {
+            $conditions = ['cmid' => $cmid, 'userid' => $userid, 'attemptid' => $attemptid];
+            $last = $DB->get_records_select('quizaccess_invigilator_logs',
+                'cmid = :cmid AND userid = :userid AND attemptid = :attemptid AND chainseq IS NOT NULL',
+                $conditions, 'chainseq DESC', 'id, chainseq, chainhash', 0, 1);
+            $last = reset($last);
+            $pending = $DB->get_records_select('quizaccess_invigilator_logs',
+                'cmid = :cmid AND userid = :userid AND attemptid = :attemptid AND chainseq IS NULL AND contenthash IS NOT NULL',
+                $conditions, 'id', 'id, cmid, userid, attemptid, capturetype, timecreated, contenthash');
+
+            $seq = $last ? (int)$last->chainseq : 0;
+            $previous = $last ? $last->chainhash : self::GENESIS;
+            foreach ($pending as $log) {
+                $log->chainseq = ++$seq;
+                $log->chainhash = self::get_chain_hash($previous, $log);
+                $DB->update_record('quizaccess_invigilator_logs',
+                    (object)['id' => $log->id, 'chainseq' => $log->chainseq, 'chainhash' => $log->chainhash]);
+                $previous = $log->chainhash;
+            }
+            if ($pending) {
+                self::set_head($cmid, $userid, $attemptid, $seq, $previous);
+            }
+        } finally {
+            $lock->release();
+        }
+        return true;
+    }
+
+    /**
+     * Record the last place of a chain.
+     *
+     * @param int $cmid Course module ID.
+     * @param int $userid Student ID.
+     * @param int $attemptid Attempt ID.
+     * @param int $chainseq Place of the last capture.
+     * @param string $chainhash Chain hash of the last capture.
+     * @param int|null $unverified Place of the last capture restored without verification, null to keep it.
+     * @throws \dml_exception
+     */
+    private static function set_head(int $cmid, int $userid, int $attemptid, int $chainseq, string $chainhash,
+            ?int $unverified = null) {
+        global $DB;
+
+        $current = $DB->get_record('quizaccess_invigilator_chains',
+            ['cmid' => $cmid, 'userid' => $userid, 'attemptid' => $attemptid], 'id, unverified');
+        $head = (object)[
+            'cmid' => $cmid,
+            'userid' => $userid,
+            'attemptid' => $attemptid,
+            'chainseq' => $chainseq,
+            'chainhash' => $chainhash,
+            'unverified' => $unverified ?? ($current ? (int)$current->unverified : 0),
+            'timemodified' => time(),
+        ];
+        $head->headmac = self::get_head_mac($head);
+        if ($current) {
+            $head->id = $current->id;
+            $DB->update_record('quizaccess_invigilator_chains', $head);
+        } else {
+            $DB->insert_record('quizaccess_invigilator_chains', $head);
+        }
+    }
+
+    /**
+     * Forget the ends of the chains of a quiz whose captures were all deleted.
+     *
+     * @param int $cmid Course module ID.
+     * @throws \dml_exception
+     */
+    public static function delete_empty_heads(int $cmid) {
+        global $DB;
+
+        $ids = $DB->get_fieldset_sql(
+            "SELECT h.id
+               FROM {quizaccess_invigilator_chains} h
+              WHERE h.cmid = :cmid
+                AND NOT EXISTS (SELECT 1 FROM {quizaccess_invigilator_logs} l
+                                 WHERE l.cmid = h.cmid AND l.userid = h.userid AND l.attemptid = h.attemptid)",
+            ['cmid' => $cmid]);
+        $DB->delete_records_list('quizaccess_invigilator_chains', 'id', $ids);
+    }
+
+    /**
+     * Get an identifier of the chain key, to tell backups of this site from backups of other sites.
+     *
+     * @return string
+     */
+    public static function get_key_id() : string {
+        return hash_hmac('sha256', 'keyid', self::get_key());
+    }
+
+    /**
+     * Rebuild the chains of a restored quiz for the current IDs of its captures.
+     *
+     * Restored captures get new IDs and attempts, which are part of the chain hash.
+     * Their place in the chain and their file hashes are kept, so a missing or
+     * replaced image is still reported after the restore. The chains are verified as
+     * they were backed up first: a capture whose chain hash did not match keeps it,
+     * and the end of a chain is only kept, truncation included, when its signature
+     * matched, so verification still reports the breaks after the restore.
+     *
+     * @param int $cmid Course module ID.
+     * @param stdClass[] $backuplogs Rows of the logs table as backed up, keyed by the ID of the restored capture.
+     * @param stdClass[] $backupheads Rows of the chains table as backed up, with the keyid of the backup.
+     * @return int Number of captures chained again.
+     * @throws \dml_exception
+     */
+    public static function rechain(int $cmid, array $backuplogs, array $backupheads) : int {
+        global $DB;
+
+        $keyid = self::get_key_id();
+        $verifiable = (bool)$backupheads;
+        $oldheads = [];
+        foreach ($backupheads as $head) {
+            $verifiable = $verifiable && hash_equals($keyid, (string)$head->keyid);
+            $oldheads[$head->userid . '-' . $head->attemptid] = $head;
+        }
+
+        // Verify the chains as they were backed up, the way verify_chain() walks them.
+        $oldchains = [];
+        foreach ($backuplogs as $id => $log) {
+            if ($log->chainseq !== null) {
+                $oldchains[$log->userid . '-' . $log->attemptid][$id] = $log;
+            }
+        }
+        $intact = [];
+        foreach ($oldchains as $oldchain) {
+            uasort($oldchain, function($a, $b) {
+                return $a->chainseq <=> $b->chainseq ?: $a->id <=> $b->id;
+            });
+            $previous = self::GENESIS;
+            $expected = 1;
+            foreach ($oldchain as $id => $log) {
+                $intact[$id] = !$verifiable || (int)$log->chainseq > $expected ||
+                    hash_equals(self::get_chain_hash($previous, $log), (string)$log->chainhash);
+                $previous = $log->chainhash;
+                $expected = (int)$log->chainseq + 1;
+            }
+        }
+
+        $logs = $DB->get_records_select('quizaccess_invigilator_logs', 'cmid = :cmid AND chainseq IS NOT NULL',
+            ['cmid' => $cmid], 'userid, attemptid, chainseq, id');
+        $previous = [];
+        $last = [];
+        foreach ($logs as $log) {
+            $key = $log->userid . '-' . $log->attemptid;
+            if ($intact[$log->id] ?? true) {
+                $log->chainhash = self::get_chain_hash($previous[$key] ?? self::GENESIS, $log);
+                $DB->set_field('quizaccess_invigilator_logs', 'chainhash', $log->chainhash, ['id' => $log->id]);
+            }
+            $previous[$key] = $log->chainhash;
+            $last[$key] = $log;
+        }
+
+        foreach ($last as $log) {
+            if (!$verifiable) {
+                self::set_head($cmid, $log->userid, $log->attemptid, $log->chainseq, $log->chainhash, $log->chainseq);
+                continue;
+            }
+            $backup = $backuplogs[$log->id] ?? null;
+            $head = $backup ? ($oldheads[$backup->userid . '-' . $backup->attemptid] ?? null) : null;
+            if (!$head || !hash_equals(self::get_head_mac($head), (string)$head->headmac)) {
+                // Without a valid end the restored chain has none either, and reports it.
+                continue;
+            }
+            if ((int)$head->chainseq > (int)$log->chainseq) {
+                self::set_head($cmid, $log->userid, $log->attemptid, $head->chainseq, $head->chainhash,
+                    (int)$head->unverified);
+            } else {
+                self::set_head($cmid, $log->userid, $log->attemptid, $log->chainseq, $log->chainhash,
+                    (int)$head->unverified);
+            }
+        }
+        return count($logs);
+    }
+
+    /**
+     * Sign the chains stored before they were keyed, keeping the breaks they already had.
+     *
+     * A capture whose chain hash no longer matches the unkeyed hash keeps its stored hash,
+     * so verification still reports it, and the next capture is chained to that hash.
+     *
+     * @return int Number of captures signed.
+     * @throws \dml_exception
+     */
+    public static function upgrade_to_hmac() : int {
+        global $DB;
+
+        $logs = $DB->get_recordset_select('quizaccess_invigilator_logs', 'chainseq IS NOT NULL', [],
+            'cmid, userid, attemptid, chainseq, id',
+            'id, cmid, userid, attemptid, capturetype, timecreated, contenthash, chainseq, chainhash');
+        $signed = 0;
+        $key = null;
+        $stored = $previous = self::GENESIS;
+        $head = null;
+        foreach ($logs as $log) {
+            if ($key !== $log->cmid . '-' . $log->userid . '-' . $log->attemptid) {
+                if ($head) {
+                    self::set_head($head->cmid, $head->userid, $head->attemptid, $head->chainseq, $head->chainhash);
+                }
+                $key = $log->cmid . '-' . $log->userid . '-' . $log->attemptid;
+                $stored = $previous = self::GENESIS;
+            }
+            $intact = hash('sha256', self::get_chain_data($stored, $log)) === $log->chainhash;
+            $stored = $log->chainhash;
+            if ($intact) {
+                $log->chainhash = self::get_chain_hash($previous, $log);
+                $DB->set_field('quizaccess_invigilator_logs', 'chainhash', $log->chainhash, ['id' => $log->id]);
+                $signed++;
+            }
+            $previous = $log->chainhash;
+            $head = $log;
+        }
+        $logs->close();
+        if ($head) {
+            self::set_head($head->cmid, $head->userid, $head->attemptid, $head->chainseq, $head->chainhash);
+        }
+        return $signed;
+    }
+
+    /**
+     * Compute the chain hash of a capture.
+     *
+     * @param string $previous Chain hash of the previous capture, GENESIS for the first one.
+     * @param stdClass $log Row of the logs table with its file hash and place in the chain.
+     * @return string
+     */
+    public static function get_chain_hash(string $previous, stdClass $log) : string {
+        return hash_hmac('sha256', self::get_chain_data($previous, $log), self::get_key());
+    }
+
+    /**
+     * Get the data a chain hash is computed from.
+     *
+     * @param string $previous Chain hash of the previous capture, GENESIS for the first one.
+     * @param stdClass $log Row of the logs table with its file hash and place in the chain.
+     * @return string
+     */
+    private static function get_chain_data(string $previous, stdClass $log) : string {
+        return implode('|', [
+            $previous,
+            $log->chainseq,
+            $log->id,
+            $log->cmid,
+            $log->userid,
+            $log->attemptid,
+            $log->capturetype,
+            $log->timecreated,
+            $log->contenthash,
+        ]);
+    }
+
+    /**
+     * Compute the signature of the end of a chain.
+     *
+     * @param stdClass $head Row of the chains table.
+     * @return string
+     */
+    private static function get_head_mac(stdClass $head) : string {
+        $data = [
+            'head',
+            $head->cmid,
+            $head->userid,
+            $head->attemptid,
+            $head->chainseq,
+            $head->chainhash,
+        ];
+        // Ends signed before restores were marked have no such part, and keep their signature.
+        if (!empty($head->unverified)) {
+            $data[] = 'unverified';
+            $data[] = $head->unverified;
+        }
+        return hash_hmac('sha256', implode('|', $data), self::get_key());
+    }
+
+    /**
+     * Get the key of the chain hashes, creating it the first time.
+     *
+     * The key is kept in the data directory rather than the database, and must be
+     * backed up with it: chains cannot be verified without it.
+     *
+     * @return string
+     * @throws \moodle_exception When the key cannot be read or written.
+     */
+    private static function get_key() : string {
+        global $CFG;
+
+        if (self::$key !== null) {
+            return self::$key;
+        }
+        $path = make_writable_directory($CFG->dataroot . '/quizaccess_invigilator') . '/' . self::KEY_FILE;
+        $handle = fopen($path, 'c+');
+        if ($handle === false) {
+            throw new \moodle_exception('integrity:nokey', 'quizaccess_invigilator', '', $path);
+        }
+        // Requests creating the key at the same time must all end up with the one that is written.
+        flock($handle, LOCK_EX);
+        $key = trim(stream_get_contents($handle));
+        if ($key === '') {
+            $key = bin2hex(random_bytes(32));
+            fwrite($handle, $key);
+            fflush($handle);
+        }
+        flock($handle, LOCK_UN);
+        fclose($handle);
+
+        self::$key = $key;
+        return $key;
+    }
+
+    /**
+     * Walk the chain of every attempt of a quiz, or of one attempt.
+     *
+     * @param int $cmid Course module ID.
+     * @param int $userid Student ID, 0 for all students.
+     * @param int $attemptid Attempt ID, 0 for all attempts.
+     * @return stdClass[] One result per chain with cmid, userid, attemptid, count and problems.
+     * @throws \dml_exception
+     */
+    public static function verify(int $cmid, int $userid = 0, int $attemptid = 0) : array {
+        global $DB;
+
+        $conditions = ['cmid' => $cmid];
+        if ($userid) {
+            $conditions['userid'] = $userid;
+        }
+        if ($attemptid) {
+            $conditions['attemptid'] = $attemptid;
+        }
+        $chains = [];
+        $rows = $DB->get_records('quizaccess_invigilator_logs', $conditions, 'id ASC',
+            'id, cmid, userid, attemptid, capturetype, timecreated, contenthash, chainseq, chainhash');
+        foreach ($rows as $row) {
+            $chains[$row->userid . '-' . $row->attemptid][] = $row;
+        }
+
+        $heads = [];
+        foreach ($DB->get_records('quizaccess_invigilator_chains', $conditions) as $head) {
+            $heads[$head->userid . '-' . $head->attemptid] = $head;
+        }
+
+        $results = [];
+        foreach ($chains as $key => $logs) {
+            $first = reset($logs);
+            $results[] = (object)[
+                'cmid' => $cmid,
+                'userid' => (int)$first->userid,
+                'attemptid' => (int)$first->attemptid,
+                'count' => count($logs),
+                'problems' => self::verify_chain($logs, $heads[$key] ?? null),
+            ];
+        }
+        return $results;
+    }
+
+    /**
+     * Walk the chain of one attempt.
+     *
+     * @param stdClass[] $logs Rows of the logs table of the attempt, in the order they were stored.
+     * @param stdClass|null $head Row of the chains table of the attempt.
+     * @return stdClass[] Problems with logid, problem and time, in chain order.
+     */
+    public static function verify_chain(array $logs, ?stdClass $head = null) : array {
+        $context = null;
+        $fs = get_file_storage();
+        $problems = [];
+
+        $chained = [];
+        foreach ($logs as $log) {
+            if ($log->chainseq === null) {
+                $problems[] = self::problem($log, self::PROBLEM_UNCHAINED);
+            } else {
+                $chained[] = $log;
+            }
+        }
+
+        // Rows are stored in chain order, so sorting by place in the chain must not change the order.
+        $bystore = array_column($chained, 'id');
+        usort($chained, function($a, $b) {
+            return $a->chainseq <=> $b->chainseq ?: $a->id <=> $b->id;
+        });
+        $reordered = array_diff_assoc(array_column($chained, 'id'), $bystore);
+
+        $previous = self::GENESIS;
+        $expected = 1;
+        foreach ($chained as $index => $log) {
+            if ((int)$log->chainseq > $expected) {
+                $problems[] = self::problem($log, self::PROBLEM_MISSING, $log->chainseq - $expected);
+            }
+            if (isset($reordered[$index])) {
+                $problems[] = self::problem($log, self::PROBLEM_REORDERED);
+            }
+            // After a gap the previous hash is unknown, the row after it can only be checked by the next one.
+            if ((int)$log->chainseq <= $expected && self::get_chain_hash($previous, $log) !== $log->chainhash) {
+                $problems[] = self::problem($log, self::PROBLEM_ROW_ALTERED);
+            }
+
+            if ($context === null) {
+                $context = \context_module::instance($log->cmid, IGNORE_MISSING);
+            }
+            $files = $context ? $fs->get_area_files($context->id, 'quizaccess_invigilator', 'picture', $log->id, 'id', false) :
+                [];
+            $file = reset($files);
+            if (!$file) {
+                $problems[] = self::problem($log, self::PROBLEM_FILE_MISSING);
+            } else if (self::hash_file($file) !== $log->contenthash) {
+                $problems[] = self::problem($log, self::PROBLEM_FILE_ALTERED);
+            }
+
+            // Carry on from the stored hash, so one break is reported once and not for every later capture.
+            $previous = $log->chainhash;
+            $expected = (int)$log->chainseq + 1;
+        }
+
+        // Captures deleted from the end of the chain leave no gap, only the recorded end tells.
+        $last = end($chained);
+        if ($last) {
+            if (!$head || !hash_equals(self::get_head_mac($head), (string)$head->headmac)) {
+                $problems[] = self::problem($last, self::PROBLEM_HEAD_ALTERED);
+            } else {
+                if ((int)$head->chainseq > (int)$last->chainseq) {
+                    $problems[] = self::problem($last, self::PROBLEM_TRUNCATED, $head->chainseq - $last->chainseq);
+                }
+                $restored = array_filter($chained, function($log) use ($head) {
+                    return (int)$log->chainseq <= (int)$head->unverified;
+                });
+                if ($restored) {
+                    $problems[] = self::problem(end($restored), self::PROBLEM_UNVERIFIED, $head->unverified);
+                }
+            }
+        }
+
+        usort($problems, function($a, $b) {
+            return $a->seq <=> $b->seq ?: $a->logid <=> $b->logid;
+        });
+        return $problems;
+    }
+
+    /**
+     * Get the human readable description of a problem.
+     *
+     * @param stdClass $problem
+     * @return string
+     */
+    public static function describe_problem(stdClass $problem) : string {
+        return get_string('integrity:' . $problem->problem, 'quizaccess_invigilator', $problem);
+    }
+
+    /**
+     * Build a problem.
+     *
+     * @param stdClass $log
+     * @param string $problem One of the PROBLEM_* constants.
+     * @param int $count Number of missing captures.
+     * @return stdClass
+     */
+    private static function problem(stdClass $log, string $problem, int $count = 0) : stdClass {
+        return (object)[
+            'logid' => (int)$log->id,
+            'seq' => (int)$log->chainseq,
+            'time' => userdate($log->timecreated),
+            'problem' => $problem,
+            'count' => $count,
+        ];
+    }
+
+    /**
+     * Get the SHA-256 hash of a stored file without loading it into memory.
+     *
+     * @param \stored_file $file
+     * @return string
+     */
+    public static function hash_file(\stored_file $file) : string {
+        $handle = $file->get_content_file_handle();
+        $context = hash_init('sha256');
+        hash_update_stream($context, $handle);
+        fclose($handle);
+        return hash_final($context);
+    }
+}
@@ -0,0 +1,184 @@
+<?php
+// This file is part of Moodle invigilator for Moodle - http://moodle.org/
+//
+// Moodle invigilator is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle invigilator is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with MailTest.  If not, see <http://www.gnu.org/licenses/>.
+/**
+ * Live monitoring of the attempts in progress for the quizaccess_invigilator plugin.
+ *
+ * @package    quizaccess_invigilator
+ * @copyright  2021 Brain Station 23
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace quizaccess_invigilator;
+
+defined('MOODLE_INTERNAL') || die();
+
+/**
+ * live_monitor class.
+ *
+ * Collects the latest screenshots and share state of every attempt in progress of a quiz.
+ *
+ * @copyright  2021 Brain Station 23
+ * @license   http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class live_monitor {
+
+    /** @var int Number of recent screenshots returned for each attempt. */
+    const RECENT_COUNT = 10;
+
+    /** @var int Only screenshots of the last this many seconds are returned as the recent sequence. */
+    const RECENT_PERIOD = 900;
+
+    /** @var string[] Events after which the screen is no longer shared as required. */
+    const SHARE_LOST_TYPES = [
+        event_log::TYPE_SHARE_ENDED,
+        event_log::TYPE_SHARE_LOST,
+        event_log::TYPE_SURFACE_CHANGED,
+        event_log::TYPE_ATTEMPT_LOCKED,
+    ];
+
+    /** @var string[] Events after which the screen is shared again. */
+    const SHARE_OK_TYPES = [
+        event_log::TYPE_SHARE_STARTED,
+        event_log::TYPE_SHARE_RESUMED,
+    ];
+
+    /**
+     * Get the seconds between two screenshots of a quiz.
+     *
+     * @param int $quizid Quiz ID.
+     * @return int
+     * @throws \dml_exception
+     */
+    public static function get_screenshot_delay(int $quizid) : int {
+        global $DB;
+        $delay = $DB->get_field('quizaccess_invigilator', 'invigilatorscreenshotdelay', ['quizid' => $quizid]);
+        if (empty($delay)) {
+            $delay = get_config('quizaccess_invigilator', 'screenshotdelay');
+        }
+        return max(1, (int)$delay);
+    }
+
+    /**
+     * Get the state of every attempt in progress of a quiz.
+     *
+     * An attempt is stale when no screenshot was received for more than twice the
+     * screenshot delay of the student, the one of their accommodation if they have
+     * one, and flagged when the last share event reports a lost share. Attempts of
+     * exempt students are neither. Paused attempts are waiting for a proctor to resume them.
+     *
+     * @param \stdClass $cm Course module of the quiz.
+     * @param int $now Current time.
+     * @return \stdClass[] One object per attempt, ordered by student name.
+     * @throws \dml_exception
+     */
+    public static function get_active_attempts(\stdClass $cm, int $now) : array {
+        global $DB;
+
+        $quizid = (int)$cm->instance;
+        $userfields = user_fields::get_name_sql('u');
+        $attempts = $DB->get_records_sql(
+            "SELECT qa.id, qa.userid, qa.timestart, $userfields
+               FROM {quiz_attempts} qa
+               JOIN {user} u ON u.id = qa.userid
+              WHERE qa.quiz = :quizid AND qa.state = :state AND qa.preview = 0
+           ORDER BY u.lastname, u.firstname, qa.id",
+            ['quizid' => $quizid, 'state' => 'inprogress']);
+        if (!$attempts) {
+            return [];
+        }
+
+        $since = min(array_column($attempts, 'timestart'));
+        $delay = self::get_screenshot_delay($quizid);
+        $accommodations = accommodation::get_for_users($cm->id, array_unique(array_column($attempts, 'userid')));
+
+        // Screenshots of the last minutes, newest first.
+        $screenshots = [];
+        $rows = $DB->get_records_select('quizaccess_invigilator_logs',
+            'cmid = :cmid AND capturetype = :capturetype AND timecreated >= :since',
+            ['cmid' => $cm->id, 'capturetype' => capture::TYPE_SCREEN, 'since' => max($since, $now - self::RECENT_PERIOD)],
+            'timecreated DESC, id DESC', 'id, userid, screenshot, timecreated');
+        foreach ($rows as $row) {
+            $screenshots[$row->userid][] = $row;
+        }
+
+        // Latest screenshot of each student, even when older than the recent period. Queued screenshots
+        // may be uploaded late, so the latest is the one captured last rather than the one stored last.
+        $latest = [];
+        $rows = $DB->get_recordset_sql(
+            "SELECT l.id, l.userid, l.screenshot, l.timecreated
+               FROM {quizaccess_invigilator_logs} l
+               JOIN (SELECT userid, MAX(timecreated) AS timecreated
+                       FROM {quizaccess_invigilator_logs}
+                      WHERE cmid = :cmid AND capturetype = :capturetype AND timecreated >= :since
+                   GROUP BY userid) m ON m.userid = l.userid AND m.timecreated = l.timecreated
+              WHERE l.cmid = :cmid2 AND l.capturetype = :capturetype2
+           ORDER BY l.id ASC",
+            ['cmid' => $cm->id, 'capturetype' => capture::TYPE_SCREEN, 'since' => $since,
+                'cmid2' => $cm->id, 'capturetype2' => capture::TYPE_SCREEN]);
+        foreach ($rows as $row) {
+            $latest[$row->userid] = $row;
+        }
+        $rows->close();
+
+        // Last share event of each student.
+        $shareevents = [];
+        list($insql, $inparams) = $DB->get_in_or_equal(array_merge(self::SHARE_LOST_TYPES, self::SHARE_OK_TYPES),
+            SQL_PARAMS_NAMED);
+        $events = $DB->get_records_select('quizaccess_invigilator_events',
+            "cmid = :cmid AND timecreated >= :since AND eventtype $insql",
+            array_merge(['cmid' => $cm->id, 'since' => $since], $inparams),
+            'timecreated ASC, id ASC', 'id, userid, eventtype, timecreated');
+        foreach ($events as $event) {
+            $shareevents[$event->userid] = $event;
+        }
+
+        $result = [];
+        foreach ($attempts as $attempt) {
+            $recent = [];
+            foreach (array_slice($screenshots[$attempt->userid] ?? [], 0, self::RECENT_COUNT) as $row) {
+                if ($row->timecreated >= $attempt->timestart) {
+                    $recent[] = (object)['screenshot' => $row->screenshot, 'timecreated' => (int)$row->timecreated];
+                }
+            }
+            $last = $latest[$attempt->userid] ?? null;
+            if ($last && $last->timecreated < $attempt->timestart) {
+                $last = null;
+            }
+            $lastcapture = $last ? (int)$last->timecreated : 0;
+            $shareevent = $shareevents[$attempt->userid] ?? null;
+            $accommodation = $accommodations[$attempt->userid] ?? null;
+            $exempt = $accommodation && $accommodation->exempt;
+            $stalelimit = 2 * accommodation::get_screenshot_delay($delay, $accommodation);
+
+            $result[] = (object)[
+                'attemptid' => (int)$attempt->id,
+                'userid' => (int)$attempt->userid,
+                'fullname' => fullname($attempt),
+                'timestart' => (int)$attempt->timestart,
+                'reportid' => $last ? (int)$last->id : 0,
+                'screenshot' => $last ? $last->screenshot : '',
+                'lastcapture' => $lastcapture,
+                'stale' => !$exempt && max($lastcapture, (int)$attempt->timestart) < $now - $stalelimit,
+                'sharelost' => !$exempt && $shareevent !== null && $shareevent->timecreated >= $attempt->timestart &&
+                    in_array($shareevent->eventtype, self::SHARE_LOST_TYPES),
+                'exempt' => $exempt,
+                'paused' => proctor_action::is_paused($attempt->id),
+                'recent' => array_reverse($recent),
+            ];
+        }
+        return $result;
+    }
+}
@@ -0,0 +1,311 @@
+<?php
+// This file is part of Moodle invigilator for Moodle - http://moodle.org/
+//
+// Moodle invigilator is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle invigilator is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with MailTest.  If not, see <http://www.gnu.org/licenses/>.
+/**
+ * Search and bulk deletion of the captures for the quizaccess_invigilator plugin.
+ *
+ * @package    quizaccess_invigilator
+ * @copyright  2021 Brain Station 23
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace quizaccess_invigilator;
+
+use stdClass;
+
+defined('MOODLE_INTERNAL') || die();
+
+/**
+ * log_search class.
+ *
+ * Searches the captures of every course the user may delete captures in by student,
+ * email, course, quiz and date one page at a time, and deletes every capture matching
+ * a search in batches from an adhoc task whose progress is kept in the deletions table.
+ *
+ * @copyright  2021 Brain Station 23
+ * @license   http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class log_search {
+
+    /** @var string[] Filters of a search, the text ones match any part of the value. */
+    const FILTERS = ['username', 'email', 'coursename', 'quizname', 'timefrom', 'timeto'];
+
+    /** @var string[] SQL sort of every sortable column. */
+    const SORTS = [
+        'id' => 'e.id',
+        'fullname' => 'u.lastname {dir}, u.firstname',
+        'email' => 'u.email',
+        'coursename' => 'c.fullname',
+        'quizname' => 'q.name',
+        'timecreated' => 'e.timecreated',
+    ];
+
+    /** @var int Captures deleted at once by the task. */
+    const BATCH_SIZE = 200;
+
+    /** @var string Deletion waiting for the task. */
+    const STATUS_QUEUED = 'queued';
+
+    /** @var string Deletion being run by the task. */
+    const STATUS_RUNNING = 'running';
+
+    /** @var string Finished deletion. */
+    const STATUS_DONE = 'done';
+
+    /**
+     * Keep the known filters of a search, dropping the empty ones.
+     *
+     * @param array $filters
+     * @return array
+     */
+    public static function clean_filters(array $filters) : array {
+        $clean = [];
+        foreach (self::FILTERS as $name) {
+            $value = isset($filters[$name]) ? trim((string)$filters[$name]) : '';
+            if ($value === '' || ($value === '0' && in_array($name, ['timefrom', 'timeto']))) {
+                continue;
+            }
+            $clean[$name] = in_array($name, ['timefrom', 'timeto']) ? (int)$value : $value;
+        }
+        return $clean;
+    }
+
+    /**
+     * Get the courses the current user may delete captures in.
+     *
+     * @return int[]|null Course IDs, null for every course.
+     * @throws \coding_exception
+     */
+    public static function get_course_ids() : ?array {
+        if (has_capability('quizaccess/invigilator:deletescreenshot', \context_system::instance())) {
+            return null;
+        }
+        $courses = get_user_capability_course('quizaccess/invigilator:deletescreenshot', null, true, '', 'id');
+        return $courses ? array_map('intval', array_column($courses, 'id')) : [];
+    }
+
+    /**
+     * Tell whether every given capture belongs to one of the courses.
+     *
+     * @param int[] $ids Capture IDs.
+     * @param int[]|null $courseids See get_course_ids().
+     * @return bool
+     * @throws \dml_exception
+     */
+    public static function in_courses(array $ids, ?array $courseids) : bool {
+        global $DB;
+
+        if ($courseids === null || !$ids) {
+            return true;
+        }
+        list($insql, $params) = $DB->get_in_or_equal($ids);
+        $courses = $DB->get_fieldset_select('quizaccess_invigilator_logs', 'DISTINCT courseid', "id $insql", $params);
+        return !array_diff(array_map('intval', $courses), $courseids);
+    }
+
+    /**
+     * Get the SQL of the captures matching a search.
+     *
+     * @param array $filters
+     * @param int|null $maxid Highest capture ID to match, null for any.
+     * @param int[]|null $courseids Courses to search, null for every course.
+     * @return array The FROM and WHERE SQL and its parameters.
+     */
+    protected static function get_sql(array $filters, ?int $maxid = null, ?array $courseids = null) : array {
+        global $DB;
+
+        $from = "{quizaccess_invigilator_logs} e
+                 JOIN {user} u ON u.id = e.userid
+                 JOIN {course} c ON c.id = e.courseid
+                 JOIN {quiz} q ON q.id = e.quizid";
+        $where = ['1 = 1'];
+        $params = [];
+
+        $filters = self::clean_filters($filters);
+        if (isset($filters['username'])) {
+            $where[] = '(' . $DB->sql_like($DB->sql_fullname('u.firstname', 'u.lastname'), ':fullname', false) .
+                ' OR ' . $DB->sql_like('u.username', ':username', false) . ')';
+            $params['fullname'] = '%' . $DB->sql_like_escape($filters['username']) . '%';
+            $params['username'] = '%' . $DB->sql_like_escape($filters['username']) . '%';
+        }
+        $columns = ['email' => 'u.email', 'coursename' => 'c.fullname', 'quizname' => 'q.name'];
+        foreach ($columns as $name => $column) {
+            if (isset($filters[$name])) {
+                $where[] = $DB->sql_like($column, ':' . $name, false);
+                $params[$name] = '%' . $DB->sql_like_escape($filters[$name]) . '%';
+            }
+        }
+        if (isset($filters['timefrom'])) {
+            $where[] = 'e.timecreated >= :timefrom';
+            $params['timefrom'] = $filters['timefrom'];
+        }
+        if (isset($filters['timeto'])) {
+            $where[] = 'e.timecreated <= :timeto';
+            $params['timeto'] = $filters['timeto'];
+        }
+        if ($maxid !== null) {
+            $where[] = 'e.id <= :maxid';
+            $params['maxid'] = $maxid;
+        }
+        if ($courseids !== null) {
+            if (!$courseids) {
+                $where[] = '1 = 0';
+            } else {
+                list($insql, $inparams) = $DB->get_in_or_equal($courseids, SQL_PARAMS_NAMED, 'course');
+                $where[] = "e.courseid $insql";
+                $params += $inparams;
+            }
+        }
+
+        return [$from, implode(' AND ', $where), $params];
+    }
+
+    /**
+     * Count the captures matching a search.
+     *
+     * @param array $filters
+     * @param int[]|null $courseids Courses to search, null for every course.
+     * @return int
+     * @throws \dml_exception
+     */
+    public static function count(array $filters, ?array $courseids = null) : int {
+        global $DB;
+
+        list($from, $where, $params) = self::get_sql($filters, null, $courseids);
+        return $DB->count_records_sql("SELECT COUNT(1) FROM $from WHERE $where", $params);
+    }
+
+    /**
+     * Get one page of the captures matching a search.
+     *
+     * @param array $filters
+     * @param string $sort One of the keys of SORTS, the capture ID otherwise.
+     * @param string $dir ASC or DESC.
+     * @param int $page Page number from 0.
+     * @param int $perpage Captures per page.
+     * @param int[]|null $courseids Courses to search, null for every course.
+     * @return stdClass[] Rows with the capture, student, course and quiz.
+     * @throws \dml_exception
+     */
+    public static function get_page(array $filters, string $sort, string $dir, int $page, int $perpage,
+            ?array $courseids = null) : array {
+        global $DB;
+
+        list($from, $where, $params) = self::get_sql($filters, null, $courseids);
+        $dir = strtoupper($dir) === 'DESC' ? 'DESC' : 'ASC';
+        $order = str_replace('{dir}', $dir, self::SORTS[$sort] ?? self::SORTS['id']) . " $dir, e.id $dir";
+
+        $sql = "SELECT e.id AS reportid, e.userid AS studentid, e.courseid, e.cmid, e.quizid, e.screenshot, e.timecreated,
+                       u.firstname, u.lastname, u.email, c.fullname AS coursename, q.name AS quizname
+                  FROM $from
+                 WHERE $where
+              ORDER BY $order";
+        return array_values($DB->get_records_sql($sql, $params, max(0, $page) * $perpage, $perpage));
+    }
+
+    /**
+     * Queue the deletion of every capture matching a search.
+     *
+     * Captures stored after the deletion was queued are left alone even when they match.
+     * The courses are kept with the filters, so the task deletes in the same courses.
+     *
+     * @param int $cmid Course module the deletion was started from.
+     * @param array $filters At least one filter, a search without any would match every capture.
+     * @param int[]|null $courseids Courses to delete in, null for every course.
+     * @return stdClass Row of the deletions table.
+     * @throws \dml_exception
+     */
+    public static function queue_deletion(int $cmid, array $filters, ?array $courseids = null) : stdClass {
+        global $DB, $USER;
+
+        $filters = self::clean_filters($filters);
+        if (!$filters) {
+            throw new \coding_exception('A deletion needs at least one filter');
+        }
+        $now = time();
+        $deletion = (object)[
+            'cmid' => $cmid,
+            'filters' => json_encode($filters + ['courseids' => $courseids]),
+            'maxid' => (int)$DB->get_field_sql('SELECT MAX(id) FROM {quizaccess_invigilator_logs}'),
+            'total' => self::count($filters, $courseids),
+            'deleted' => 0,
+            'status' => self::STATUS_QUEUED,
+            'timecreated' => $now,
+            'timemodified' => $now,
+        ];
+        $deletion->id = $DB->insert_record('quizaccess_invigilator_deletions', $deletion);
+
+        $task = new task\delete_captures();
+        $task->set_custom_data(['deletionid' => $deletion->id]);
+        $task->set_userid($USER->id);
+        \core\task\manager::queue_adhoc_task($task);
+
+        return $deletion;
+    }
+
+    /**
+     * Delete the captures of a queued deletion in batches, recording the progress after each batch.
+     *
+     * @param int $deletionid
+     * @return int Number of captures deleted.
+     * @throws \dml_exception
+     */
+    public static function run_deletion(int $deletionid) : int {
+        global $CFG, $DB;
+        require_once($CFG->dirroot . '/mod/quiz/accessrule/invigilator/classes/addtional_settings_helper.php');
+
+        $deletion = $DB->get_record('quizaccess_invigilator_deletions', ['id' => $deletionid]);
+        if (!$deletion || $deletion->status === self::STATUS_DONE) {
+            return 0;
+        }
+        $DB->set_field('quizaccess_invigilator_deletions', 'status', self::STATUS_RUNNING, ['id' => $deletionid]);
+
+        $filters = json_decode($deletion->filters, true) ?: [];
+        list($from, $where, $params) = self::get_sql($filters, (int)$deletion->maxid, $filters['courseids'] ?? null);
+        $helper = new \addtional_settings_helper();
+        $deleted = 0;
+        while ($ids = $DB->get_fieldset_sql("SELECT e.id FROM $from WHERE $where ORDER BY e.id", $params, 0,
+                self::BATCH_SIZE)) {
+            $helper->deletesslogs(implode(',', $ids));
+            $deleted += count($ids);
+            $DB->update_record('quizaccess_invigilator_deletions', (object)[
+                'id' => $deletionid,
+                'deleted' => $deletion->deleted + $deleted,
+                'timemodified' => time(),
+            ]);
+        }
+
+        $DB->update_record('quizaccess_invigilator_deletions', (object)[
+            'id' => $deletionid,
+            'total' => max($deletion->total, $deletion->deleted + $deleted),
+            'status' => self::STATUS_DONE,
+            'timemodified' => time(),
+        ]);
+        return $deleted;
+    }
+
+    /**
+     * Get the progress of a deletion.
+     *
+     * @param int $deletionid
+     * @return stdClass Row of the deletions table.
+     * @throws \dml_exception
+     */
+    public static function get_deletion(int $deletionid) : stdClass {
+        global $DB;
+
+        return $DB->get_record('quizaccess_invigilator_deletions', ['id' => $deletionid], '*', MUST_EXIST);
+    }
+}
@@ -0,0 +1,185 @@
+<?php
+// This file is part of Moodle invigilator for Moodle - http://moodle.org/
+//
+// Moodle invigilator is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle invigilator is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with MailTest.  If not, see <http://www.gnu.org/licenses/>.
+/**
+ * Proctoring alerts for the quizaccess_invigilator plugin.
+ *
+ * @package    quizaccess_invigilator
+ * @copyright  2021 Brain Station 23
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace quizaccess_invigilator;
+
+use stdClass;
+
+defined('MOODLE_INTERNAL') || die();
+
+/**
+ * notifier class.
+ *
+ * Alerts the teachers of a quiz about incidents of attempts in progress: the first
+ * lost screen share of an attempt, and the first detection of each detector in an
+ * attempt, so a flapping share or a still screen does not send an alert every time.
+ *
+ * @copyright  2021 Brain Station 23
+ * @license   http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class notifier {
+
+    /** @var string Message provider of lost shares. */
+    const PROVIDER_SHARE_LOST = 'sharelost';
+
+    /** @var string[] Events alerting that the share dropped. */
+    const SHARE_LOST_TYPES = [
+        event_log::TYPE_SHARE_ENDED,
+        event_log::TYPE_SHARE_LOST,
+    ];
+
+    /** @var string Message provider of detections. */
+    const PROVIDER_DETECTION = 'detection';
+
+    /**
+     * Alert the teachers that the share of a student dropped for the first time during an attempt.
+     *
+     * @param stdClass $record Row of the events table.
+     * @return int Number of teachers alerted.
+     * @throws \dml_exception
+     */
+    public static function share_lost(stdClass $record) : int {
+        global $DB;
+
+        $attempt = self::get_live_attempt($record->attemptid);
+        if (!$attempt) {
+            return 0;
+        }
+        list($insql, $params) = $DB->get_in_or_equal(self::SHARE_LOST_TYPES, SQL_PARAMS_NAMED);
+        $earlier = $DB->record_exists_select('quizaccess_invigilator_events',
+            "attemptid = :attemptid AND eventtype $insql AND id <> :id",
+            ['attemptid' => $attempt->id, 'id' => $record->id] + $params);
+        if ($earlier) {
+            return 0;
+        }
+        $a = self::get_placeholders($record->cmid, $attempt);
+        $a->event = event_log::get_type_name($record->eventtype);
+        return self::send(self::PROVIDER_SHARE_LOST, $record->cmid,
+            get_string('notification:sharelost_subject', 'quizaccess_invigilator', $a),
+            get_string('notification:sharelost', 'quizaccess_invigilator', $a));
+    }
+
+    /**
+     * Alert the teachers about the new detections of a capture taken during an attempt.
+     *
+     * @param stdClass $log Row of the logs table.
+     * @param stdClass[] $detections The stored detections of the capture.
+     * @return int Number of alerts sent.
+     * @throws \dml_exception
+     */
+    public static function detections(stdClass $log, array $detections) : int {
+        global $DB;
+
+        $attempt = $detections ? self::get_live_attempt($log->attemptid) : null;
+        if (!$attempt) {
+            return 0;
+        }
+
+        $sent = 0;
+        foreach ($detections as $detection) {
+            $earlier = $DB->record_exists_select('quizaccess_invigilator_detections',
+                'attemptid = :attemptid AND detector = :detector AND logid <> :logid',
+                ['attemptid' => $attempt->id, 'detector' => $detection->detector, 'logid' => $log->id]);
+            if ($earlier) {
+                continue;
+            }
+            $a = self::get_placeholders($log->cmid, $attempt);
+            $a->detection = analysis::describe($detection);
+            $sent += self::send(self::PROVIDER_DETECTION, $log->cmid,
+                get_string('notification:detection_subject', 'quizaccess_invigilator', $a),
+                get_string('notification:detection', 'quizaccess_invigilator', $a));
+        }
+        return $sent;
+    }
+
+    /**
+     * Get an attempt when it is in progress.
+     *
+     * @param int $attemptid Attempt ID, 0 if unknown.
+     * @return stdClass|null
+     * @throws \dml_exception
+     */
+    private static function get_live_attempt(int $attemptid) : ?stdClass {
+        global $DB;
+
+        if (!$attemptid) {
+            return null;
+        }
+        $attempt = $DB->get_record('quiz_attempts', ['id' => $attemptid, 'preview' => 0]);
+        return $attempt && in_array($attempt->state, ['inprogress', 'overdue']) ? $attempt : null;
+    }
+
+    /**
+     * Get the placeholders of the alert strings.
+     *
+     * @param int $cmid Course module ID.
+     * @param stdClass $attempt
+     * @return stdClass With student and quiz.
+     * @throws \dml_exception
+     */
+    private static function get_placeholders(int $cmid, stdClass $attempt) : stdClass {
+        $cm = get_coursemodule_from_id('quiz', $cmid, 0, false, MUST_EXIST);
+        return (object)[
+            'student' => fullname(\core_user::get_user($attempt->userid)),
+            'quiz' => format_string($cm->name),
+        ];
+    }
+
+    /**
+     * Send an alert to every teacher of the quiz who receives them.
+     *
+     * @param string $provider One of the PROVIDER_* constants.
+     * @param int $cmid Course module ID.
+     * @param string $subject
+     * @param string $text
+     * @return int Number of teachers alerted.
+     * @throws \dml_exception
+     */
+    private static function send(string $provider, int $cmid, string $subject, string $text) : int {
+        $context = \context_module::instance($cmid);
+        $url = new \moodle_url('/mod/quiz/accessrule/invigilator/monitor.php', ['cmid' => $cmid]);
+        $teachers = get_enrolled_users($context, 'quizaccess/invigilator:receivealerts', 0, 'u.*', null, 0, 0, true);
+
+        $sent = 0;
+        foreach ($teachers as $teacher) {
+            $message = new \core\message\message();
+            $message->component = 'quizaccess_invigilator';
+            $message->name = $provider;
+            $message->userfrom = \core_user::get_noreply_user();
+            $message->userto = $teacher;
+            $message->subject = $subject;
+            $message->fullmessage = $text;
+            $message->fullmessageformat = FORMAT_PLAIN;
+            $message->fullmessagehtml = '<p>' . s($text) . '</p>';
+            $message->smallmessage = $subject;
+            $message->notification = 1;
+            $message->contexturl = $url->out(false);
+            $message->contexturlname = get_string('livemonitor', 'quizaccess_invigilator');
+            $message->courseid = $context->get_course_context()->instanceid;
+            if (message_send($message)) {
+                $sent++;
+            }
+        }
+        return $sent;
+    }
+}
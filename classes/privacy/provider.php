@@ -34,6 +34,8 @@ use core_privacy\local\request\userlist;
 use core_privacy\local\request\writer;
 use core_privacy\local\request\transform;
 use dml_exception;
+use quizaccess_invigilator\consent;
+use quizaccess_invigilator\evidence_export;
 
 defined('MOODLE_INTERNAL') || die();
 
@@ -41,6 +43,24 @@ class provider implements
     \core_privacy\local\metadata\provider,
     core_userlist_provider,
     \core_privacy\local\request\plugin\provider {
+
+    /** @var string[] Tables about students written by the plugin for them, with a cmid field. */
+    const STUDENT_TABLES = [
+        'quizaccess_invigilator_events',
+        'quizaccess_invigilator_detections',
+        'quizaccess_invigilator_consents',
+        'quizaccess_invigilator_chains',
+    ];
+
+    /** @var string[] Tables about students that also store the teacher who wrote the row, with that field. */
+    const STAFF_TABLES = [
+        'quizaccess_invigilator_actions' => 'senderid',
+        'quizaccess_invigilator_flags' => 'reviewerid',
+        'quizaccess_invigilator_verdicts' => 'reviewerid',
+        'quizaccess_invigilator_exports' => 'exporterid',
+        'quizaccess_invigilator_accommodations' => 'usermodified',
+    ];
+
     public static function get_metadata(collection $collection): collection {
 
         $collection->add_subsystem_link(
@@ -54,11 +74,137 @@ class provider implements
             'quizaccess_invigilator_logs',
             [
                 'userid' => 'privacy:metadata:quizaccess_invigilator_logs:userid',
-                'screenshot' => 'privacy:metadata:quizaccess_invigilator_logs:screenshot'
+                'screenshot' => 'privacy:metadata:quizaccess_invigilator_logs:screenshot',
+                'capturetype' => 'privacy:metadata:quizaccess_invigilator_logs:capturetype',
+                'surfacewidth' => 'privacy:metadata:quizaccess_invigilator_logs:surfacewidth',
+                'surfaceheight' => 'privacy:metadata:quizaccess_invigilator_logs:surfaceheight',
+                'multidisplay' => 'privacy:metadata:quizaccess_invigilator_logs:multidisplay',
+                'attemptid' => 'privacy:metadata:quizaccess_invigilator_logs:attemptid',
+                'page' => 'privacy:metadata:quizaccess_invigilator_logs:page',
+                'slot' => 'privacy:metadata:quizaccess_invigilator_logs:slot'
             ],
             'privacy:metadata:quizaccess_invigilator_logs'
         );
 
+        // Stores the proctoring events reported during attempts.
+        $collection->add_database_table(
+            'quizaccess_invigilator_events',
+            [
+                'userid' => 'privacy:metadata:quizaccess_invigilator_events:userid',
+                'attemptid' => 'privacy:metadata:quizaccess_invigilator_events:attemptid',
+                'eventtype' => 'privacy:metadata:quizaccess_invigilator_events:eventtype',
+                'details' => 'privacy:metadata:quizaccess_invigilator_events:details',
+                'timecreated' => 'privacy:metadata:quizaccess_invigilator_events:timecreated'
+            ],
+            'privacy:metadata:quizaccess_invigilator_events'
+        );
+
+        // Stores the actions proctors sent to students during attempts.
+        $collection->add_database_table(
+            'quizaccess_invigilator_actions',
+            [
+                'userid' => 'privacy:metadata:quizaccess_invigilator_actions:userid',
+                'senderid' => 'privacy:metadata:quizaccess_invigilator_actions:senderid',
+                'attemptid' => 'privacy:metadata:quizaccess_invigilator_actions:attemptid',
+                'action' => 'privacy:metadata:quizaccess_invigilator_actions:action',
+                'message' => 'privacy:metadata:quizaccess_invigilator_actions:message',
+                'timecreated' => 'privacy:metadata:quizaccess_invigilator_actions:timecreated',
+                'timedelivered' => 'privacy:metadata:quizaccess_invigilator_actions:timedelivered',
+                'timeacknowledged' => 'privacy:metadata:quizaccess_invigilator_actions:timeacknowledged'
+            ],
+            'privacy:metadata:quizaccess_invigilator_actions'
+        );
+
+        // Stores the screenshots flagged by reviewers.
+        $collection->add_database_table(
+            'quizaccess_invigilator_flags',
+            [
+                'userid' => 'privacy:metadata:quizaccess_invigilator_flags:userid',
+                'reviewerid' => 'privacy:metadata:quizaccess_invigilator_flags:reviewerid',
+                'note' => 'privacy:metadata:quizaccess_invigilator_flags:note',
+                'timemodified' => 'privacy:metadata:quizaccess_invigilator_flags:timemodified'
+            ],
+            'privacy:metadata:quizaccess_invigilator_flags'
+        );
+
+        // Stores the verdicts of reviewers on attempts.
+        $collection->add_database_table(
+            'quizaccess_invigilator_verdicts',
+            [
+                'userid' => 'privacy:metadata:quizaccess_invigilator_verdicts:userid',
+                'reviewerid' => 'privacy:metadata:quizaccess_invigilator_verdicts:reviewerid',
+                'attemptid' => 'privacy:metadata:quizaccess_invigilator_verdicts:attemptid',
+                'verdict' => 'privacy:metadata:quizaccess_invigilator_verdicts:verdict',
+                'note' => 'privacy:metadata:quizaccess_invigilator_verdicts:note',
+                'timemodified' => 'privacy:metadata:quizaccess_invigilator_verdicts:timemodified'
+            ],
+            'privacy:metadata:quizaccess_invigilator_verdicts'
+        );
+
+        // Stores who exported the evidence of students.
+        $collection->add_database_table(
+            'quizaccess_invigilator_exports',
+            [
+                'userid' => 'privacy:metadata:quizaccess_invigilator_exports:userid',
+                'exporterid' => 'privacy:metadata:quizaccess_invigilator_exports:exporterid',
+                'attemptid' => 'privacy:metadata:quizaccess_invigilator_exports:attemptid',
+                'timecreated' => 'privacy:metadata:quizaccess_invigilator_exports:timecreated'
+            ],
+            'privacy:metadata:quizaccess_invigilator_exports'
+        );
+
+        // Stores the findings of the detectors on the captures.
+        $collection->add_database_table(
+            'quizaccess_invigilator_detections',
+            [
+                'userid' => 'privacy:metadata:quizaccess_invigilator_detections:userid',
+                'detector' => 'privacy:metadata:quizaccess_invigilator_detections:detector',
+                'score' => 'privacy:metadata:quizaccess_invigilator_detections:score',
+                'details' => 'privacy:metadata:quizaccess_invigilator_detections:details',
+                'timecreated' => 'privacy:metadata:quizaccess_invigilator_detections:timecreated'
+            ],
+            'privacy:metadata:quizaccess_invigilator_detections'
+        );
+
+        // Stores the students exempted from the invigilation or for whom it was relaxed.
+        $collection->add_database_table(
+            'quizaccess_invigilator_accommodations',
+            [
+                'userid' => 'privacy:metadata:quizaccess_invigilator_accommodations:userid',
+                'exempt' => 'privacy:metadata:quizaccess_invigilator_accommodations:exempt',
+                'screenshotdelay' => 'privacy:metadata:quizaccess_invigilator_accommodations:screenshotdelay',
+                'allowwindow' => 'privacy:metadata:quizaccess_invigilator_accommodations:allowwindow',
+                'usermodified' => 'privacy:metadata:quizaccess_invigilator_accommodations:usermodified',
+                'timemodified' => 'privacy:metadata:quizaccess_invigilator_accommodations:timemodified'
+            ],
+            'privacy:metadata:quizaccess_invigilator_accommodations'
+        );
+
+        // Stores the privacy notices accepted by students.
+        $collection->add_database_table(
+            'quizaccess_invigilator_consents',
+            [
+                'userid' => 'privacy:metadata:quizaccess_invigilator_consents:userid',
+                'quizid' => 'privacy:metadata:quizaccess_invigilator_consents:quizid',
+                'noticeversion' => 'privacy:metadata:quizaccess_invigilator_consents:noticeversion',
+                'noticehash' => 'privacy:metadata:quizaccess_invigilator_consents:noticehash',
+                'timecreated' => 'privacy:metadata:quizaccess_invigilator_consents:timecreated'
+            ],
+            'privacy:metadata:quizaccess_invigilator_consents'
+        );
+
+        // Stores the end of the hash chain of the captures of every attempt.
+        $collection->add_database_table(
+            'quizaccess_invigilator_chains',
+            [
+                'userid' => 'privacy:metadata:quizaccess_invigilator_chains:userid',
+                'attemptid' => 'privacy:metadata:quizaccess_invigilator_chains:attemptid',
+                'chainseq' => 'privacy:metadata:quizaccess_invigilator_chains:chainseq',
+                'timemodified' => 'privacy:metadata:quizaccess_invigilator_chains:timemodified'
+            ],
+            'privacy:metadata:quizaccess_invigilator_chains'
+        );
+
         return $collection;
     }
 
@@ -80,6 +226,23 @@ class provider implements
         $contextlist = new contextlist();
         $contextlist->add_from_sql($sql, $params);
 
+        foreach (self::STUDENT_TABLES as $table) {
+            $sql = "SELECT DISTINCT c.id
+                      FROM {{$table}} t
+                      JOIN {context} c ON c.instanceid = t.cmid AND c.contextlevel = :context
+                     WHERE t.userid = :userid";
+            $contextlist->add_from_sql($sql, $params);
+        }
+
+        $params['staffid'] = $userid;
+        foreach (self::STAFF_TABLES as $table => $stafffield) {
+            $sql = "SELECT DISTINCT c.id
+                      FROM {{$table}} t
+                      JOIN {context} c ON c.instanceid = t.cmid AND c.contextlevel = :context
+                     WHERE t.userid = :userid OR t.{$stafffield} = :staffid";
+            $contextlist->add_from_sql($sql, $params);
+        }
+
         $fileparams = ['component' => 'quizaccess_invigilator', 'userid' => $userid];
         $sqlfile = "SELECT DISTINCT contextid as id
                     FROM {files}
@@ -105,6 +268,25 @@ class provider implements
         $params = [$context->instanceid];
         $userlist->add_from_sql('userid', $sql, $params);
 
+        foreach (self::STUDENT_TABLES as $table) {
+            $sql = "SELECT DISTINCT t.userid AS userid
+                      FROM {{$table}} t
+                     WHERE t.cmid = ?";
+            $userlist->add_from_sql('userid', $sql, $params);
+        }
+
+        foreach (self::STAFF_TABLES as $table => $stafffield) {
+            // Rows about a group or whose teacher was deleted have no user.
+            $sql = "SELECT DISTINCT t.userid AS userid
+                      FROM {{$table}} t
+                     WHERE t.cmid = ? AND t.userid <> 0";
+            $userlist->add_from_sql('userid', $sql, $params);
+            $sql = "SELECT DISTINCT t.{$stafffield} AS userid
+                      FROM {{$table}} t
+                     WHERE t.cmid = ? AND t.{$stafffield} <> 0";
+            $userlist->add_from_sql('userid', $sql, $params);
+        }
+
         $fileparams = ['component' => 'quizaccess_invigilator', 'contextid' => $context->id];
         $sqlfile = "SELECT DISTINCT userid
                     FROM {files}
@@ -174,6 +356,167 @@ class provider implements
                             writer::with_context($context)->export_data($subcontext, $data);
                         }
                     }
+
+                    $events = $DB->get_records('quizaccess_invigilator_events',
+                        ['cmid' => $context->instanceid, 'userid' => $contextlist->get_user()->id], 'timecreated ASC, id ASC');
+                    if ($events) {
+                        $eventdata = [];
+                        foreach ($events as $event) {
+                            $eventdata[] = (object)[
+                                'attemptid' => $event->attemptid,
+                                'eventtype' => $event->eventtype,
+                                'details' => $event->details,
+                                'timecreated' => transform::datetime($event->timecreated)
+                            ];
+                        }
+                        writer::with_context($context)->export_data(
+                            [get_string('quizaccess_invigilator', 'quizaccess_invigilator'), 'invigilator_events'],
+                            (object)['events' => $eventdata]
+                        );
+                    }
+
+                    $detections = $DB->get_records('quizaccess_invigilator_detections',
+                        ['cmid' => $context->instanceid, 'userid' => $contextlist->get_user()->id], 'timecreated ASC, id ASC');
+                    if ($detections) {
+                        $detectiondata = [];
+                        foreach ($detections as $detection) {
+                            $detectiondata[] = (object)[
+                                'logid' => $detection->logid,
+                                'attemptid' => $detection->attemptid,
+                                'detector' => $detection->detector,
+                                'score' => $detection->score,
+                                'details' => $detection->details,
+                                'timecreated' => transform::datetime($detection->timecreated)
+                            ];
+                        }
+                        writer::with_context($context)->export_data(
+                            [get_string('quizaccess_invigilator', 'quizaccess_invigilator'), 'invigilator_detections'],
+                            (object)['detections' => $detectiondata]
+                        );
+                    }
+
+                    $consents = $DB->get_records('quizaccess_invigilator_consents',
+                        ['cmid' => $context->instanceid, 'userid' => $contextlist->get_user()->id], 'timecreated ASC, id ASC');
+                    if ($consents) {
+                        $consentdata = [];
+                        foreach ($consents as $consent) {
+                            $notice = consent::get_notice_version($consent->noticeversion);
+                            $consentdata[] = (object)[
+                                'quizid' => $consent->quizid,
+                                'noticeversion' => $consent->noticeversion,
+                                'noticehash' => $consent->noticehash,
+                                'notice' => $notice ? $notice->noticetext : null,
+                                'timecreated' => transform::datetime($consent->timecreated)
+                            ];
+                        }
+                        writer::with_context($context)->export_data(
+                            [get_string('quizaccess_invigilator', 'quizaccess_invigilator'), 'invigilator_consents'],
+                            (object)['consents' => $consentdata]
+                        );
+                    }
+
+                    $userid = $contextlist->get_user()->id;
+                    $actions = $DB->get_records_select('quizaccess_invigilator_actions',
+                        'cmid = :cmid AND (userid = :userid OR senderid = :senderid)',
+                        ['cmid' => $context->instanceid, 'userid' => $userid, 'senderid' => $userid], 'timecreated ASC, id ASC');
+                    if ($actions) {
+                        $actiondata = [];
+                        foreach ($actions as $action) {
+                            $actiondata[] = (object)[
+                                'attemptid' => $action->attemptid,
+                                'sentbyyou' => transform::yesno($action->senderid == $userid),
+                                'action' => $action->action,
+                                'message' => $action->message,
+                                'timecreated' => transform::datetime($action->timecreated),
+                                'timedelivered' => $action->timedelivered ? transform::datetime($action->timedelivered) : '-',
+                                'timeacknowledged' => $action->timeacknowledged ?
+                                    transform::datetime($action->timeacknowledged) : '-'
+                            ];
+                        }
+                        writer::with_context($context)->export_data(
+                            [get_string('quizaccess_invigilator', 'quizaccess_invigilator'), 'invigilator_actions'],
+                            (object)['actions' => $actiondata]
+                        );
+                    }
+
+                    $flags = $DB->get_records_select('quizaccess_invigilator_flags',
+                        'cmid = :cmid AND (userid = :userid OR reviewerid = :reviewerid)',
+                        ['cmid' => $context->instanceid, 'userid' => $userid, 'reviewerid' => $userid], 'timecreated ASC, id ASC');
+                    if ($flags) {
+                        $flagdata = [];
+                        foreach ($flags as $flag) {
+                            $flagdata[] = (object)[
+                                'logid' => $flag->logid,
+                                'flaggedbyyou' => transform::yesno($flag->reviewerid == $userid),
+                                'note' => $flag->note,
+                                'timemodified' => transform::datetime($flag->timemodified)
+                            ];
+                        }
+                        writer::with_context($context)->export_data(
+                            [get_string('quizaccess_invigilator', 'quizaccess_invigilator'), 'invigilator_flags'],
+                            (object)['flags' => $flagdata]
+                        );
+                    }
+
+                    $verdicts = $DB->get_records_select('quizaccess_invigilator_verdicts',
+                        'cmid = :cmid AND (userid = :userid OR reviewerid = :reviewerid)',
+                        ['cmid' => $context->instanceid, 'userid' => $userid, 'reviewerid' => $userid], 'timecreated ASC, id ASC');
+                    if ($verdicts) {
+                        $verdictdata = [];
+                        foreach ($verdicts as $verdict) {
+                            $verdictdata[] = (object)[
+                                'attemptid' => $verdict->attemptid,
+                                'givenbyyou' => transform::yesno($verdict->reviewerid == $userid),
+                                'verdict' => $verdict->verdict,
+                                'note' => $verdict->note,
+                                'timemodified' => transform::datetime($verdict->timemodified)
+                            ];
+                        }
+                        writer::with_context($context)->export_data(
+                            [get_string('quizaccess_invigilator', 'quizaccess_invigilator'), 'invigilator_verdicts'],
+                            (object)['verdicts' => $verdictdata]
+                        );
+                    }
+
+                    $exports = $DB->get_records_select('quizaccess_invigilator_exports',
+                        'cmid = :cmid AND (userid = :userid OR exporterid = :exporterid)',
+                        ['cmid' => $context->instanceid, 'userid' => $userid, 'exporterid' => $userid], 'timecreated ASC, id ASC');
+                    if ($exports) {
+                        $exportdata = [];
+                        foreach ($exports as $export) {
+                            $exportdata[] = (object)[
+                                'attemptid' => $export->attemptid,
+                                'exportedbyyou' => transform::yesno($export->exporterid == $userid),
+                                'filecount' => $export->filecount,
+                                'timecreated' => transform::datetime($export->timecreated)
+                            ];
+                        }
+                        writer::with_context($context)->export_data(
+                            [get_string('quizaccess_invigilator', 'quizaccess_invigilator'), 'invigilator_exports'],
+                            (object)['exports' => $exportdata]
+                        );
+                    }
+
+                    $accommodations = $DB->get_records_select('quizaccess_invigilator_accommodations',
+                        'cmid = :cmid AND (userid = :userid OR usermodified = :usermodified)',
+                        ['cmid' => $context->instanceid, 'userid' => $userid, 'usermodified' => $userid], 'id ASC');
+                    if ($accommodations) {
+                        $accommodationdata = [];
+                        foreach ($accommodations as $accommodation) {
+                            $accommodationdata[] = (object)[
+                                'foryou' => transform::yesno($accommodation->userid == $userid),
+                                'setbyyou' => transform::yesno($accommodation->usermodified == $userid),
+                                'exempt' => transform::yesno($accommodation->exempt),
+                                'screenshotdelay' => $accommodation->screenshotdelay,
+                                'allowwindow' => transform::yesno($accommodation->allowwindow),
+                                'timemodified' => transform::datetime($accommodation->timemodified)
+                            ];
+                        }
+                        writer::with_context($context)->export_data(
+                            [get_string('quizaccess_invigilator', 'quizaccess_invigilator'), 'invigilator_accommodations'],
+                            (object)['accommodations' => $accommodationdata]
+                        );
+                    }
                 }
             }
         }
@@ -195,10 +538,17 @@ class provider implements
 
             $params['quizid'] = $quizid;
             $DB->set_field_select('quizaccess_invigilator_logs', 'userid', 0, "quizid = :quizid", $params);
+            foreach (self::STUDENT_TABLES as $table) {
+                $DB->delete_records($table, ['cmid' => $cmid]);
+            }
+            foreach (array_keys(self::STAFF_TABLES) as $table) {
+                $DB->delete_records($table, ['cmid' => $cmid]);
+            }
         }
         // Delete all of the webcam images for this user.
         $fs = get_file_storage();
         $fs->delete_area_files($context->id, 'quizaccess_invigilator', 'picture');
+        $fs->delete_area_files($context->id, 'quizaccess_invigilator', evidence_export::FILEAREA);
     }
 
     /**
@@ -212,6 +562,21 @@ class provider implements
         global $DB;
         $context = $userlist->get_context();
 
+        if ($context->contextlevel === CONTEXT_MODULE && $userlist->get_userids()) {
+            list($insql, $inparams) = $DB->get_in_or_equal($userlist->get_userids(), SQL_PARAMS_NAMED);
+            $inparams['cmid'] = $context->instanceid;
+            foreach (self::STUDENT_TABLES as $table) {
+                $DB->delete_records_select($table, "cmid = :cmid AND userid {$insql}", $inparams);
+            }
+            foreach (self::STAFF_TABLES as $table => $stafffield) {
+                $DB->delete_records_select($table, "cmid = :cmid AND userid {$insql}", $inparams);
+                // Rows written by a teacher remain part of the record of the student.
+                $DB->set_field_select($table, $stafffield, 0, "cmid = :cmid AND {$stafffield} {$insql}", $inparams);
+            }
+            // The stored archives of the quiz hold the captures of every student.
+            get_file_storage()->delete_area_files($context->id, 'quizaccess_invigilator', evidence_export::FILEAREA);
+        }
+
         // Sanity check that context is at the Module context level.
         if ($context->contextlevel !== CONTEXT_MODULE) {
             $userids = $userlist->get_userids();
@@ -248,6 +613,17 @@ class provider implements
         $DB->set_field_select('quizaccess_invigilator', 'userid', 0, "userid = :userid", $params);
 
         foreach ($contextlist as $context) {
+            if ($context->contextlevel === CONTEXT_MODULE) {
+                foreach (self::STUDENT_TABLES as $table) {
+                    $DB->delete_records($table, ['cmid' => $context->instanceid, 'userid' => $params['userid']]);
+                }
+                foreach (self::STAFF_TABLES as $table => $stafffield) {
+                    $DB->delete_records($table, ['cmid' => $context->instanceid, 'userid' => $params['userid']]);
+                    $DB->set_field($table, $stafffield, 0, ['cmid' => $context->instanceid, $stafffield => $params['userid']]);
+                }
+                get_file_storage()->delete_area_files($context->id, 'quizaccess_invigilator', evidence_export::FILEAREA);
+            }
+
             // Delete user file (webcam images).
             $userfiles = $DB->get_records('files', $params);
             $fs = get_file_storage();
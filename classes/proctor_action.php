@@ -0,0 +1,204 @@
+<?php
+// This file is part of Moodle invigilator for Moodle - http://moodle.org/
+//
+// Moodle invigilator is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle invigilator is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with MailTest.  If not, see <http://www.gnu.org/licenses/>.
+/**
+ * Proctor actions on attempts for the quizaccess_invigilator plugin.
+ *
+ * @package    quizaccess_invigilator
+ * @copyright  2021 Brain Station 23
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace quizaccess_invigilator;
+
+use stdClass;
+
+defined('MOODLE_INTERNAL') || die();
+
+/**
+ * proctor_action class.
+ *
+ * Messages, pauses and terminations sent by a proctor to a student during an attempt.
+ * Every action records when it was delivered to and acknowledged by the browser of the student.
+ *
+ * @copyright  2021 Brain Station 23
+ * @license   http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class proctor_action {
+
+    /** @var string Show a warning message to the student. */
+    const ACTION_MESSAGE = 'message';
+
+    /** @var string Block the attempt until it is resumed. */
+    const ACTION_PAUSE = 'pause';
+
+    /** @var string Let a paused or locked attempt continue. */
+    const ACTION_RESUME = 'resume';
+
+    /** @var string Submit the attempt straight away. */
+    const ACTION_TERMINATE = 'terminate';
+
+    /**
+     * Get all the actions a proctor may send.
+     *
+     * @return string[]
+     */
+    public static function get_actions() : array {
+        return [self::ACTION_MESSAGE, self::ACTION_PAUSE, self::ACTION_RESUME, self::ACTION_TERMINATE];
+    }
+
+    /**
+     * Get the human readable name of an action.
+     *
+     * @param string $action
+     * @return string
+     */
+    public static function get_action_name(string $action) : string {
+        return get_string('proctoraction:' . $action, 'quizaccess_invigilator');
+    }
+
+    /**
+     * Send an action to the student of an attempt.
+     *
+     * Terminating submits the attempt on the server at once, the browser of the
+     * student is only told about it.
+     *
+     * @param \stdClass $attempt Row of the quiz_attempts table.
+     * @param \stdClass $cm Course module of the quiz.
+     * @param int $senderid Proctor sending the action.
+     * @param string $action One of the ACTION_* constants.
+     * @param string $message Message shown to the student.
+     * @return int The id of the new action row.
+     * @throws \dml_exception
+     */
+    public static function send(stdClass $attempt, stdClass $cm, int $senderid, string $action, string $message = '') : int {
+        global $CFG, $DB;
+
+        $record = new stdClass();
+        $record->courseid = $cm->course;
+        $record->cmid = $cm->id;
+        $record->quizid = $attempt->quiz;
+        $record->attemptid = $attempt->id;
+        $record->userid = $attempt->userid;
+        $record->senderid = $senderid;
+        $record->action = $action;
+        $record->message = $message;
+        $record->timecreated = time();
+        $record->timedelivered = null;
+        $record->timeacknowledged = null;
+        $record->id = $DB->insert_record('quizaccess_invigilator_actions', $record);
+
+        if ($action === self::ACTION_TERMINATE && $attempt->state === \quiz_attempt::IN_PROGRESS) {
+            require_once($CFG->dirroot . '/mod/quiz/locallib.php');
+            $attemptobj = \quiz_attempt::create($attempt->id);
+            $attemptobj->process_finish(time(), false);
+        }
+
+        return $record->id;
+    }
+
+    /**
+     * Get the actions not yet acknowledged by the student, oldest first, and mark them delivered.
+     *
+     * @param int $attemptid Quiz attempt ID.
+     * @return array
+     * @throws \dml_exception
+     */
+    public static function get_pending(int $attemptid) : array {
+        global $DB;
+
+        $actions = $DB->get_records('quizaccess_invigilator_actions',
+            ['attemptid' => $attemptid, 'timeacknowledged' => null], 'timecreated ASC, id ASC');
+        foreach ($actions as $action) {
+            if ($action->timedelivered === null) {
+                $action->timedelivered = time();
+                $DB->set_field('quizaccess_invigilator_actions', 'timedelivered', $action->timedelivered, ['id' => $action->id]);
+            }
+        }
+        return $actions;
+    }
+
+    /**
+     * Record that the student has seen an action.
+     *
+     * @param int $actionid Action ID.
+     * @param int $userid Student acknowledging the action.
+     * @return bool False when the action does not belong to the student.
+     * @throws \dml_exception
+     */
+    public static function acknowledge(int $actionid, int $userid) : bool {
+        global $DB;
+
+        $action = $DB->get_record('quizaccess_invigilator_actions', ['id' => $actionid, 'userid' => $userid]);
+        if (!$action) {
+            return false;
+        }
+        if ($action->timeacknowledged === null) {
+            $now = time();
+            $DB->update_record('quizaccess_invigilator_actions', (object)[
+                'id' => $action->id,
+                'timedelivered' => $action->timedelivered ?? $now,
+                'timeacknowledged' => $now,
+            ]);
+        }
+        return true;
+    }
+
+    /**
+     * Check whether an attempt is paused by a proctor.
+     *
+     * @param int $attemptid Quiz attempt ID.
+     * @return bool
+     * @throws \dml_exception
+     */
+    public static function is_paused(int $attemptid) : bool {
+        global $DB;
+
+        list($insql, $params) = $DB->get_in_or_equal([self::ACTION_PAUSE, self::ACTION_RESUME], SQL_PARAMS_NAMED);
+        $params['attemptid'] = $attemptid;
+        $last = $DB->get_records_select('quizaccess_invigilator_actions', "attemptid = :attemptid AND action $insql",
+            $params, 'timecreated DESC, id DESC', 'id, action', 0, 1);
+        $last = reset($last);
+        return $last && $last->action === self::ACTION_PAUSE;
+    }
+
+    /**
+     * Get when a proctor last resumed an attempt.
+     *
+     * @param int $attemptid Quiz attempt ID.
+     * @return int Time of the last resume, 0 when the attempt was never resumed.
+     * @throws \dml_exception
+     */
+    public static function get_last_resume(int $attemptid) : int {
+        global $DB;
+        return (int)$DB->get_field_sql(
+            'SELECT MAX(timecreated) FROM {quizaccess_invigilator_actions} WHERE attemptid = :attemptid AND action = :action',
+            ['attemptid' => $attemptid, 'action' => self::ACTION_RESUME]);
+    }
+
+    /**
+     * Get all the actions sent to a student in a quiz, oldest first.
+     *
+     * @param int $cmid Course module ID.
+     * @param int $userid Student ID.
+     * @return array
+     * @throws \dml_exception
+     */
+    public static function get_user_actions(int $cmid, int $userid) : array {
+        global $DB;
+        return $DB->get_records('quizaccess_invigilator_actions', ['cmid' => $cmid, 'userid' => $userid],
+            'timecreated ASC, id ASC');
+    }
+}
@@ -0,0 +1,243 @@
+<?php
+// This file is part of Moodle invigilator for Moodle - http://moodle.org/
+//
+// Moodle invigilator is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle invigilator is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with MailTest.  If not, see <http://www.gnu.org/licenses/>.
+/**
+ * Retention policy of the captures for the quizaccess_invigilator plugin.
+ *
+ * @package    quizaccess_invigilator
+ * @copyright  2021 Brain Station 23
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace quizaccess_invigilator;
+
+use stdClass;
+
+defined('MOODLE_INTERNAL') || die();
+
+/**
+ * retention class.
+ *
+ * Captures and proctoring events expire a number of days after their quiz closes, or after
+ * they were taken when the quiz has no close date or they were taken later. The number of days is
+ * set for the site and can be overridden per course, 0 keeps the captures. Captures
+ * of attempts under review are kept: attempts in progress, attempts with a flagged
+ * capture and attempts with a suspicious or violation verdict.
+ *
+ * @copyright  2021 Brain Station 23
+ * @license   http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class retention {
+
+    /** @var int Number of captures deleted at once. */
+    const BATCH_SIZE = 500;
+
+    /**
+     * Get the number of days the captures of a course are kept after the quiz closes.
+     *
+     * @param int $courseid Course ID.
+     * @return int Days, 0 when the captures are kept.
+     * @throws \dml_exception
+     */
+    public static function get_retention_days(int $courseid) : int {
+        $override = self::get_course_override($courseid);
+        return $override !== null ? $override : self::get_site_retention_days();
+    }
+
+    /**
+     * Get the number of days set for the site.
+     *
+     * @return int Days, 0 when the captures are kept.
+     * @throws \dml_exception
+     */
+    public static function get_site_retention_days() : int {
+        return max(0, (int)get_config('quizaccess_invigilator', 'retentiondays'));
+    }
+
+    /**
+     * Get the number of days set for a course.
+     *
+     * @param int $courseid Course ID.
+     * @return int|null Days, null when the course uses the site default.
+     * @throws \dml_exception
+     */
+    public static function get_course_override(int $courseid) : ?int {
+        global $DB;
+
+        $days = $DB->get_field('quizaccess_invigilator_retention', 'retentiondays', ['courseid' => $courseid]);
+        return $days === false ? null : (int)$days;
+    }
+
+    /**
+     * Override the number of days for a course, or go back to the site default.
+     *
+     * @param int $courseid Course ID.
+     * @param int|null $days Days, 0 to keep the captures, null for the site default.
+     * @throws \dml_exception
+     */
+    public static function set_course_override(int $courseid, ?int $days) {
+        global $DB;
+
+        $record = $DB->get_record('quizaccess_invigilator_retention', ['courseid' => $courseid]);
+        if ($days === null) {
+            if ($record) {
+                $DB->delete_records('quizaccess_invigilator_retention', ['id' => $record->id]);
+            }
+            return;
+        }
+
+        if (!$record) {
+            $record = new stdClass();
+            $record->courseid = $courseid;
+        }
+        $record->retentiondays = max(0, $days);
+        $record->timemodified = time();
+
+        if (empty($record->id)) {
+            $DB->insert_record('quizaccess_invigilator_retention', $record);
+        } else {
+            $DB->update_record('quizaccess_invigilator_retention', $record);
+        }
+    }
+
+    /**
+     * Get the expired captures, oldest first.
+     *
+     * @param int $courseid Course ID, 0 for all courses.
+     * @param int $limit Maximum number of captures, 0 for all.
+     * @param int $now Time to check against, 0 for now.
+     * @return stdClass[] Rows with id, courseid, cmid, userid, attemptid and timecreated.
+     * @throws \dml_exception
+     */
+    public static function get_expired(int $courseid = 0, int $limit = 0, int $now = 0) : array {
+        global $DB;
+
+        list($where, $params) = self::get_expired_where($courseid, $now);
+        return $DB->get_records_sql(
+            "SELECT l.id, l.courseid, l.cmid, l.userid, l.attemptid, l.timecreated
+               FROM {quizaccess_invigilator_logs} l
+          LEFT JOIN {quiz} q ON q.id = l.quizid
+          LEFT JOIN {quizaccess_invigilator_retention} r ON r.courseid = l.courseid
+              WHERE $where
+           ORDER BY l.timecreated, l.id", $params, 0, $limit);
+    }
+
+    /**
+     * Preview the expired captures, one row per attempt.
+     *
+     * @param int $courseid Course ID, 0 for all courses.
+     * @param int $now Time to check against, 0 for now.
+     * @return stdClass[] Rows with courseid, cmid, quizname, userid, attemptid, count, timefirst and timelast.
+     * @throws \dml_exception
+     */
+    public static function preview(int $courseid = 0, int $now = 0) : array {
+        global $DB;
+
+        list($where, $params) = self::get_expired_where($courseid, $now);
+        return array_values($DB->get_records_sql(
+            "SELECT MIN(l.id) AS id, l.courseid, l.cmid, q.name AS quizname, l.userid, l.attemptid,
+                    COUNT(l.id) AS count, MIN(l.timecreated) AS timefirst, MAX(l.timecreated) AS timelast
+               FROM {quizaccess_invigilator_logs} l
+          LEFT JOIN {quiz} q ON q.id = l.quizid
+          LEFT JOIN {quizaccess_invigilator_retention} r ON r.courseid = l.courseid
+              WHERE $where
+           GROUP BY l.courseid, l.cmid, q.name, l.userid, l.attemptid
+           ORDER BY l.courseid, l.cmid, l.userid, l.attemptid", $params));
+    }
+
+    /**
+     * Delete a batch of expired captures, their files and their rows, and a batch of expired events.
+     *
+     * @param int $limit Maximum number of captures, and of events.
+     * @param int $now Time to check against, 0 for now.
+     * @return int Number of deleted captures and events.
+     * @throws \dml_exception
+     */
+    public static function purge(int $limit = self::BATCH_SIZE, int $now = 0) : int {
+        global $DB;
+
+        list($where, $params) = self::get_expired_where(0, $now, 'e');
+        $events = $DB->get_fieldset_sql(
+            "SELECT e.id
+               FROM {quizaccess_invigilator_events} e
+          LEFT JOIN {quiz} q ON q.id = e.quizid
+          LEFT JOIN {quizaccess_invigilator_retention} r ON r.courseid = e.courseid
+              WHERE $where
+           ORDER BY e.timecreated, e.id", $params, 0, $limit);
+        $DB->delete_records_list('quizaccess_invigilator_events', 'id', $events);
+
+        $logs = self::get_expired(0, $limit, $now);
+        if (!$logs) {
+            return count($events);
+        }
+
+        $fs = get_file_storage();
+        $contexts = [];
+        foreach ($logs as $log) {
+            if (!array_key_exists($log->cmid, $contexts)) {
+                $contexts[$log->cmid] = \context_module::instance($log->cmid, IGNORE_MISSING);
+            }
+            // The files of a deleted quiz are already gone with its context.
+            if ($contexts[$log->cmid]) {
+                $fs->delete_area_files($contexts[$log->cmid]->id, 'quizaccess_invigilator', 'picture', $log->id);
+            }
+        }
+        $DB->delete_records_list('quizaccess_invigilator_detections', 'logid', array_keys($logs));
+        $DB->delete_records_list('quizaccess_invigilator_flags', 'logid', array_keys($logs));
+        $DB->delete_records_list('quizaccess_invigilator_logs', 'id', array_keys($logs));
+        foreach (array_keys($contexts) as $cmid) {
+            integrity::delete_empty_heads($cmid);
+        }
+        return count($events) + count($logs);
+    }
+
+    /**
+     * Build the condition matching the expired captures, or the expired events.
+     *
+     * The query joins the quiz as q and the course override as r.
+     *
+     * @param int $courseid Course ID, 0 for all courses.
+     * @param int $now Time to check against, 0 for now.
+     * @param string $alias Alias of the logs table, l, or of the events table, e.
+     * @return array SQL and params.
+     * @throws \dml_exception
+     */
+    private static function get_expired_where(int $courseid, int $now, string $alias = 'l') : array {
+        global $DB;
+
+        $sitedays = self::get_site_retention_days();
+        list($reviewsql, $reviewparams) = $DB->get_in_or_equal([review::VERDICT_SUSPICIOUS, review::VERDICT_VIOLATION],
+            SQL_PARAMS_NAMED, 'verdict');
+        list($statesql, $stateparams) = $DB->get_in_or_equal(['inprogress', 'overdue'], SQL_PARAMS_NAMED, 'state');
+
+        // A flagged capture outside an attempt only keeps itself.
+        $flagged = $alias === 'l' ? 'fl.id = l.id OR ' : '';
+        $where = "COALESCE(r.retentiondays, :sitedays1) > 0
+              AND (CASE WHEN q.timeclose > $alias.timecreated THEN q.timeclose ELSE $alias.timecreated END)
+                  + COALESCE(r.retentiondays, :sitedays2) * :daysecs < :now
+              AND NOT EXISTS (SELECT 1 FROM {quiz_attempts} qa WHERE qa.id = $alias.attemptid AND qa.state $statesql)
+              AND NOT EXISTS (SELECT 1 FROM {quizaccess_invigilator_verdicts} v
+                               WHERE $alias.attemptid <> 0 AND v.attemptid = $alias.attemptid AND v.verdict $reviewsql)
+              AND NOT EXISTS (SELECT 1 FROM {quizaccess_invigilator_flags} f
+                                JOIN {quizaccess_invigilator_logs} fl ON fl.id = f.logid
+                               WHERE $flagged($alias.attemptid <> 0 AND fl.attemptid = $alias.attemptid))";
+        $params = ['sitedays1' => $sitedays, 'sitedays2' => $sitedays, 'daysecs' => DAYSECS, 'now' => $now ?: time()];
+        if ($courseid) {
+            $where .= " AND $alias.courseid = :courseid";
+            $params['courseid'] = $courseid;
+        }
+        return [$where, $params + $reviewparams + $stateparams];
+    }
+}
@@ -0,0 +1,268 @@
+<?php
+// This file is part of Moodle invigilator for Moodle - http://moodle.org/
+//
+// Moodle invigilator is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle invigilator is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with MailTest.  If not, see <http://www.gnu.org/licenses/>.
+/**
+ * Reviewer flags and verdicts for the quizaccess_invigilator plugin.
+ *
+ * @package    quizaccess_invigilator
+ * @copyright  2021 Brain Station 23
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace quizaccess_invigilator;
+
+use stdClass;
+
+defined('MOODLE_INTERNAL') || die();
+
+/**
+ * review class.
+ *
+ * Reviewers flag single screenshots, optionally with a note and a highlighted area,
+ * and give every attempt an overall verdict.
+ *
+ * @copyright  2021 Brain Station 23
+ * @license   http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class review {
+
+    /** @var string Nothing wrong was found. */
+    const VERDICT_CLEAR = 'clear';
+
+    /** @var string The attempt needs a closer look. */
+    const VERDICT_SUSPICIOUS = 'suspicious';
+
+    /** @var string The rules of the exam were broken. */
+    const VERDICT_VIOLATION = 'violation';
+
+    /** @var string Filter value for attempts without a verdict. */
+    const VERDICT_NONE = 'none';
+
+    /**
+     * Get all the verdicts, from the least to the most severe.
+     *
+     * @return string[]
+     */
+    public static function get_verdicts() : array {
+        return [self::VERDICT_CLEAR, self::VERDICT_SUSPICIOUS, self::VERDICT_VIOLATION];
+    }
+
+    /**
+     * Get the human readable name of a verdict.
+     *
+     * @param string $verdict
+     * @return string
+     */
+    public static function get_verdict_name(string $verdict) : string {
+        return get_string('verdict:' . $verdict, 'quizaccess_invigilator');
+    }
+
+    /**
+     * Get the verdicts as options of a select element.
+     *
+     * @return string[] Verdict => name.
+     */
+    public static function get_verdict_options() : array {
+        $options = [];
+        foreach (self::get_verdicts() as $verdict) {
+            $options[$verdict] = self::get_verdict_name($verdict);
+        }
+        return $options;
+    }
+
+    /**
+     * Flag a screenshot, or update its flag.
+     *
+     * The highlighted area is given as fractions of the image size so it does not
+     * depend on the size the image is shown at.
+     *
+     * @param stdClass $log Row of the logs table.
+     * @param int $reviewerid Reviewer flagging the screenshot.
+     * @param string $note Note of the reviewer.
+     * @param stdClass|null $rect Highlighted area with x, y, width and height, or null for none.
+     * @return int The id of the flag.
+     * @throws \dml_exception
+     */
+    public static function flag(stdClass $log, int $reviewerid, string $note = '', ?stdClass $rect = null) : int {
+        global $DB;
+
+        $now = time();
+        $record = $DB->get_record('quizaccess_invigilator_flags', ['logid' => $log->id]);
+        if (!$record) {
+            $record = new stdClass();
+            $record->courseid = $log->courseid;
+            $record->cmid = $log->cmid;
+            $record->logid = $log->id;
+            $record->userid = $log->userid;
+            $record->timecreated = $now;
+        }
+        $record->reviewerid = $reviewerid;
+        $record->note = $note;
+        $record->rectx = $rect ? self::clamp($rect->x) : null;
+        $record->recty = $rect ? self::clamp($rect->y) : null;
+        $record->rectwidth = $rect ? self::clamp($rect->width) : null;
+        $record->rectheight = $rect ? self::clamp($rect->height) : null;
+        $record->timemodified = $now;
+
+        if (empty($record->id)) {
+            $record->id = $DB->insert_record('quizaccess_invigilator_flags', $record);
+            event\attempt_flagged::create_from_flag($record, $log)->trigger();
+        } else {
+            $DB->update_record('quizaccess_invigilator_flags', $record);
+            event\flag_updated::create_from_flag($record, $log)->trigger();
+        }
+        return $record->id;
+    }
+
+    /**
+     * Remove the flag of a screenshot.
+     *
+     * @param int $logid Screenshot ID.
+     * @throws \dml_exception
+     */
+    public static function unflag(int $logid) {
+        global $DB;
+        $DB->delete_records('quizaccess_invigilator_flags', ['logid' => $logid]);
+    }
+
+    /**
+     * Get the flags of the screenshots of a student in a quiz.
+     *
+     * @param int $cmid Course module ID.
+     * @param int $userid Student ID.
+     * @return stdClass[] Flags keyed by screenshot ID.
+     * @throws \dml_exception
+     */
+    public static function get_flags(int $cmid, int $userid) : array {
+        global $DB;
+
+        $flags = [];
+        foreach ($DB->get_records('quizaccess_invigilator_flags', ['cmid' => $cmid, 'userid' => $userid]) as $flag) {
+            $flags[$flag->logid] = $flag;
+        }
+        return $flags;
+    }
+
+    /**
+     * Get the attributes of a lightbox link that show the flag of its screenshot.
+     *
+     * @param int $logid Screenshot ID.
+     * @param stdClass|null $flag Flag of the screenshot, or null when not flagged.
+     * @return string HTML attributes starting with a space.
+     */
+    public static function get_flag_attributes(int $logid, ?stdClass $flag) : string {
+        $attributes = ' data-id="' . $logid . '"';
+        if (!$flag) {
+            return $attributes . ' data-flagged="0"';
+        }
+        $attributes .= ' data-flagged="1" class="invigilator-flagged" data-note="' . s($flag->note) . '"';
+        if ($flag->rectx !== null) {
+            $attributes .= ' data-rect="' . implode(',', [(float)$flag->rectx, (float)$flag->recty,
+                (float)$flag->rectwidth, (float)$flag->rectheight]) . '"';
+        }
+        return $attributes;
+    }
+
+    /**
+     * Give an attempt a verdict, replacing the previous one.
+     *
+     * @param stdClass $attempt Row of the quiz_attempts table.
+     * @param stdClass $cm Course module of the quiz.
+     * @param int $reviewerid Reviewer giving the verdict.
+     * @param string $verdict One of the VERDICT_* constants.
+     * @param string $note Reason for the verdict.
+     * @return int The id of the verdict.
+     * @throws \dml_exception
+     */
+    public static function set_verdict(stdClass $attempt, stdClass $cm, int $reviewerid, string $verdict,
+            string $note = '') : int {
+        global $DB;
+
+        $now = time();
+        $record = $DB->get_record('quizaccess_invigilator_verdicts', ['attemptid' => $attempt->id]);
+        if (!$record) {
+            $record = new stdClass();
+            $record->courseid = $cm->course;
+            $record->cmid = $cm->id;
+            $record->quizid = $attempt->quiz;
+            $record->attemptid = $attempt->id;
+            $record->userid = $attempt->userid;
+            $record->timecreated = $now;
+        }
+        $record->reviewerid = $reviewerid;
+        $record->verdict = $verdict;
+        $record->note = $note;
+        $record->timemodified = $now;
+
+        if (empty($record->id)) {
+            $record->id = $DB->insert_record('quizaccess_invigilator_verdicts', $record);
+        } else {
+            $DB->update_record('quizaccess_invigilator_verdicts', $record);
+        }
+        return $record->id;
+    }
+
+    /**
+     * Get the verdicts on the attempts of a student in a quiz.
+     *
+     * @param int $cmid Course module ID.
+     * @param int $userid Student ID.
+     * @return stdClass[] Verdicts keyed by attempt ID.
+     * @throws \dml_exception
+     */
+    public static function get_attempt_verdicts(int $cmid, int $userid) : array {
+        global $DB;
+
+        $verdicts = [];
+        foreach ($DB->get_records('quizaccess_invigilator_verdicts', ['cmid' => $cmid, 'userid' => $userid]) as $verdict) {
+            $verdicts[$verdict->attemptid] = $verdict;
+        }
+        return $verdicts;
+    }
+
+    /**
+     * Get the most severe verdict of every student with a verdict in a quiz.
+     *
+     * @param int $cmid Course module ID.
+     * @return string[] Verdict keyed by student ID.
+     * @throws \dml_exception
+     */
+    public static function get_user_verdicts(int $cmid) : array {
+        global $DB;
+
+        $severity = array_flip(self::get_verdicts());
+        $verdicts = [];
+        $rows = $DB->get_records('quizaccess_invigilator_verdicts', ['cmid' => $cmid], '', 'id, userid, verdict');
+        foreach ($rows as $row) {
+            if (!isset($severity[$row->verdict])) {
+                continue;
+            }
+            if (!isset($verdicts[$row->userid]) || $severity[$row->verdict] > $severity[$verdicts[$row->userid]]) {
+                $verdicts[$row->userid] = $row->verdict;
+            }
+        }
+        return $verdicts;
+    }
+
+    /**
+     * Keep a fraction of the image size within the image.
+     *
+     * @param float $value
+     * @return float
+     */
+    private static function clamp($value) : float {
+        return round(min(1, max(0, (float)$value)), 5);
+    }
+}
@@ -0,0 +1,313 @@
+<?php
+// This file is part of Moodle invigilator for Moodle - http://moodle.org/
+//
+// Moodle invigilator is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle invigilator is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with MailTest.  If not, see <http://www.gnu.org/licenses/>.
+/**
+ * Proctoring data read by external review tools for the quizaccess_invigilator plugin.
+ *
+ * @package    quizaccess_invigilator
+ * @copyright  2021 Brain Station 23
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace quizaccess_invigilator;
+
+use stdClass;
+
+defined('MOODLE_INTERNAL') || die();
+
+/**
+ * review_feed class.
+ *
+ * Lists the proctored quizzes of a course, the attempts of a quiz with their capture
+ * counts, and the captures, events and flags of a student, as plain rows for the read
+ * web services. Capture images are linked through webservice/pluginfile.php so the
+ * tool fetches them with its own token.
+ *
+ * @copyright  2021 Brain Station 23
+ * @license   http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class review_feed {
+
+    /**
+     * Get the proctored quizzes of a course the current user may review.
+     *
+     * @param stdClass $course
+     * @return stdClass[] One object per quiz, in course order.
+     * @throws \dml_exception
+     * @throws \moodle_exception
+     */
+    public static function get_proctored_quizzes(stdClass $course) : array {
+        global $DB;
+
+        $cms = [];
+        foreach (get_fast_modinfo($course)->get_instances_of('quiz') as $cm) {
+            if ($cm->uservisible && has_capability('quizaccess/invigilator:viewreport', $cm->context)) {
+                $cms[$cm->instance] = $cm;
+            }
+        }
+        if (!$cms) {
+            return [];
+        }
+
+        list($insql, $inparams) = $DB->get_in_or_equal(array_keys($cms), SQL_PARAMS_NAMED);
+        $settings = $DB->get_records_select('quizaccess_invigilator', "quizid $insql AND invigilatorrequired = 1", $inparams,
+            '', 'quizid, invigilatorenforcement, invigilatorwebcam');
+        $captures = $DB->get_records_sql_menu(
+            "SELECT quizid, COUNT(1)
+               FROM {quizaccess_invigilator_logs}
+              WHERE courseid = :courseid
+           GROUP BY quizid",
+            ['courseid' => $course->id]);
+
+        $quizzes = [];
+        foreach ($cms as $quizid => $cm) {
+            if (!isset($settings[$quizid])) {
+                continue;
+            }
+            $quizzes[] = (object)[
+                'cmid' => (int)$cm->id,
+                'quizid' => (int)$quizid,
+                'name' => $cm->get_formatted_name(),
+                // Quizzes saved before the enforcement setting block invalid shares.
+                'enforcement' => (int)($settings[$quizid]->invigilatorenforcement ?? 2),
+                'webcam' => (bool)$settings[$quizid]->invigilatorwebcam,
+                'screenshotdelay' => live_monitor::get_screenshot_delay($quizid),
+                'captures' => (int)($captures[$quizid] ?? 0),
+            ];
+        }
+        return $quizzes;
+    }
+
+    /**
+     * Get the attempts of a quiz with the captures, events and flags of each.
+     *
+     * Captures stored outside a known attempt are counted on an entry with attempt ID 0
+     * for their student.
+     *
+     * @param stdClass $cm Course module of the quiz.
+     * @return stdClass[] One object per attempt, ordered by student name and attempt.
+     * @throws \dml_exception
+     */
+    public static function get_attempts(stdClass $cm) : array {
+        global $DB;
+
+        $userfields = user_fields::get_name_sql('u');
+        $rows = $DB->get_records_sql(
+            "SELECT qa.id, qa.userid, qa.attempt, qa.state, qa.timestart, qa.timefinish, $userfields
+               FROM {quiz_attempts} qa
+               JOIN {user} u ON u.id = qa.userid
+              WHERE qa.quiz = :quizid AND qa.preview = 0
+           ORDER BY u.lastname, u.firstname, qa.attempt",
+            ['quizid' => $cm->instance]);
+
+        $attempts = [];
+        foreach ($rows as $row) {
+            $attempts[$row->userid . '-' . $row->id] = self::new_attempt($row->userid, fullname($row), $row);
+        }
+
+        // Counts of the captures, events and flags by student and attempt.
+        $logcount = "SELECT userid, attemptid, COUNT(1) AS total
+                       FROM {quizaccess_invigilator_logs}
+                      WHERE cmid = :cmid AND capturetype = :capturetype
+                   GROUP BY userid, attemptid";
+        $counts = [
+            'screenshots' => [$logcount, ['cmid' => $cm->id, 'capturetype' => capture::TYPE_SCREEN]],
+            'webcam' => [$logcount, ['cmid' => $cm->id, 'capturetype' => capture::TYPE_WEBCAM]],
+            'events' => ["SELECT userid, attemptid, COUNT(1) AS total
+                            FROM {quizaccess_invigilator_events}
+                           WHERE cmid = :cmid
+                        GROUP BY userid, attemptid", ['cmid' => $cm->id]],
+            'flags' => ["SELECT l.userid, l.attemptid, COUNT(1) AS total
+                           FROM {quizaccess_invigilator_flags} f
+                           JOIN {quizaccess_invigilator_logs} l ON l.id = f.logid
+                          WHERE f.cmid = :cmid
+                       GROUP BY l.userid, l.attemptid", ['cmid' => $cm->id]],
+        ];
+        foreach ($counts as $name => list($sql, $params)) {
+            $recordset = $DB->get_recordset_sql($sql, $params);
+            foreach ($recordset as $count) {
+                $key = $count->userid . '-' . $count->attemptid;
+                if (!isset($attempts[$key])) {
+                    $user = $count->attemptid ? false : \core_user::get_user($count->userid);
+                    if (!$user) {
+                        continue;
+                    }
+                    $attempts[$key] = self::new_attempt($count->userid, fullname($user));
+                }
+                $attempts[$key]->$name = (int)$count->total;
+            }
+            $recordset->close();
+        }
+
+        foreach ($DB->get_records('quizaccess_invigilator_verdicts', ['cmid' => $cm->id]) as $verdict) {
+            if (isset($attempts[$verdict->userid . '-' . $verdict->attemptid])) {
+                $attempts[$verdict->userid . '-' . $verdict->attemptid]->verdict = $verdict->verdict;
+            }
+        }
+
+        $attempts = array_values($attempts);
+        usort($attempts, function($a, $b) {
+            return [$a->fullname, $a->userid, $a->attempt] <=> [$b->fullname, $b->userid, $b->attempt];
+        });
+        return $attempts;
+    }
+
+    /**
+     * Get the captures of a student in a quiz, oldest first.
+     *
+     * @param stdClass $cm Course module of the quiz.
+     * @param int $userid Student ID.
+     * @param int $attemptid Attempt ID, 0 for every attempt.
+     * @return stdClass[] One object per capture with the link to its image.
+     * @throws \dml_exception
+     */
+    public static function get_captures(stdClass $cm, int $userid, int $attemptid = 0) : array {
+        global $DB;
+
+        $conditions = ['cmid' => $cm->id, 'userid' => $userid];
+        if ($attemptid) {
+            $conditions['attemptid'] = $attemptid;
+        }
+        $logs = $DB->get_records('quizaccess_invigilator_logs', $conditions, 'timecreated ASC, id ASC');
+        $flags = review::get_flags($cm->id, $userid);
+        $context = \context_module::instance($cm->id);
+        $fs = get_file_storage();
+
+        $captures = [];
+        foreach ($logs as $log) {
+            $files = $fs->get_area_files($context->id, 'quizaccess_invigilator', 'picture', $log->id, 'id', false);
+            $file = reset($files);
+            $fileurl = '';
+            if ($file) {
+                $fileurl = \moodle_url::make_webservice_pluginfile_url($context->id, 'quizaccess_invigilator', 'picture',
+                    $log->id, $file->get_filepath(), $file->get_filename())->out(false);
+            }
+            $captures[] = (object)[
+                'id' => (int)$log->id,
+                'attemptid' => (int)$log->attemptid,
+                'capturetype' => $log->capturetype,
+                'timecreated' => (int)$log->timecreated,
+                'surfacewidth' => (int)$log->surfacewidth,
+                'surfaceheight' => (int)$log->surfaceheight,
+                'multidisplay' => (bool)$log->multidisplay,
+                'page' => (int)$log->page,
+                'slot' => (int)$log->slot,
+                'contenthash' => (string)$log->contenthash,
+                'chainseq' => (int)$log->chainseq,
+                'flagged' => isset($flags[$log->id]),
+                'fileurl' => $fileurl,
+                'mimetype' => $file ? $file->get_mimetype() : '',
+                'filesize' => $file ? (int)$file->get_filesize() : 0,
+            ];
+        }
+        return $captures;
+    }
+
+    /**
+     * Get the events of a student in a quiz, oldest first.
+     *
+     * @param stdClass $cm Course module of the quiz.
+     * @param int $userid Student ID.
+     * @param int $attemptid Attempt ID, 0 for every attempt.
+     * @return stdClass[]
+     * @throws \dml_exception
+     */
+    public static function get_events(stdClass $cm, int $userid, int $attemptid = 0) : array {
+        $events = [];
+        foreach (event_log::get_user_events($cm->id, $userid) as $event) {
+            if ($attemptid && $event->attemptid != $attemptid) {
+                continue;
+            }
+            $events[] = (object)[
+                'id' => (int)$event->id,
+                'attemptid' => (int)$event->attemptid,
+                'eventtype' => $event->eventtype,
+                'name' => event_log::get_type_name($event->eventtype),
+                'details' => (string)$event->details,
+                'timecreated' => (int)$event->timecreated,
+            ];
+        }
+        return $events;
+    }
+
+    /**
+     * Get the flags on the captures of a student in a quiz, oldest first.
+     *
+     * @param stdClass $cm Course module of the quiz.
+     * @param int $userid Student ID.
+     * @param int $attemptid Attempt ID, 0 for every attempt.
+     * @return stdClass[]
+     * @throws \dml_exception
+     */
+    public static function get_flags(stdClass $cm, int $userid, int $attemptid = 0) : array {
+        global $DB;
+
+        $params = ['cmid' => $cm->id, 'userid' => $userid];
+        $attemptsql = '';
+        if ($attemptid) {
+            $attemptsql = 'AND l.attemptid = :attemptid';
+            $params['attemptid'] = $attemptid;
+        }
+        $rows = $DB->get_records_sql(
+            "SELECT f.*, l.attemptid
+               FROM {quizaccess_invigilator_flags} f
+               JOIN {quizaccess_invigilator_logs} l ON l.id = f.logid
+              WHERE f.cmid = :cmid AND f.userid = :userid $attemptsql
+           ORDER BY f.timecreated ASC, f.id ASC",
+            $params);
+
+        $flags = [];
+        foreach ($rows as $row) {
+            $flags[] = (object)[
+                'logid' => (int)$row->logid,
+                'attemptid' => (int)$row->attemptid,
+                'reviewerid' => (int)$row->reviewerid,
+                'note' => (string)$row->note,
+                'rectx' => $row->rectx === null ? null : (float)$row->rectx,
+                'recty' => $row->recty === null ? null : (float)$row->recty,
+                'rectwidth' => $row->rectwidth === null ? null : (float)$row->rectwidth,
+                'rectheight' => $row->rectheight === null ? null : (float)$row->rectheight,
+                'timecreated' => (int)$row->timecreated,
+                'timemodified' => (int)$row->timemodified,
+            ];
+        }
+        return $flags;
+    }
+
+    /**
+     * Start the counts of an attempt.
+     *
+     * @param int $userid Student ID.
+     * @param string $fullname
+     * @param stdClass|null $attempt Row of the attempts table, null for the captures outside a known attempt.
+     * @return stdClass
+     */
+    private static function new_attempt(int $userid, string $fullname, ?stdClass $attempt = null) : stdClass {
+        return (object)[
+            'attemptid' => $attempt ? (int)$attempt->id : 0,
+            'userid' => $userid,
+            'fullname' => $fullname,
+            'attempt' => $attempt ? (int)$attempt->attempt : 0,
+            'state' => $attempt ? $attempt->state : '',
+            'timestart' => $attempt ? (int)$attempt->timestart : 0,
+            'timefinish' => $attempt ? (int)$attempt->timefinish : 0,
+            'screenshots' => 0,
+            'webcam' => 0,
+            'events' => 0,
+            'flags' => 0,
+            'verdict' => review::VERDICT_NONE,
+        ];
+    }
+}
@@ -0,0 +1,51 @@
+<?php
+// This file is part of Moodle invigilator for Moodle - http://moodle.org/
+//
+// Moodle invigilator is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle invigilator is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with MailTest.  If not, see <http://www.gnu.org/licenses/>.
+/**
+ * Adhoc task analysing a stored capture for the quizaccess_invigilator plugin.
+ *
+ * @package    quizaccess_invigilator
+ * @copyright  2021 Brain Station 23
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace quizaccess_invigilator\task;
+
+use quizaccess_invigilator\analysis;
+
+defined('MOODLE_INTERNAL') || die();
+
+/**
+ * analyse_capture class.
+ *
+ * Runs the detectors of the quiz on one capture, given by the logid of the custom data.
+ *
+ * @copyright  2021 Brain Station 23
+ * @license   http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class analyse_capture extends \core\task\adhoc_task {
+
+    /**
+     * Analyse the capture.
+     *
+     * @throws \dml_exception
+     */
+    public function execute() {
+        $data = $this->get_custom_data();
+        $detections = analysis::analyse((int)$data->logid);
+        mtrace(get_string('detection:analysed', 'quizaccess_invigilator',
+            (object)['logid' => $data->logid, 'count' => count($detections)]));
+    }
+}
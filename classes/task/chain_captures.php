@@ -0,0 +1,53 @@
+<?php
+// This file is part of Moodle invigilator for Moodle - http://moodle.org/
+//
+// Moodle invigilator is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle invigilator is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with MailTest.  If not, see <http://www.gnu.org/licenses/>.
+/**
+ * Adhoc task chaining the captures left unchained by their upload for the quizaccess_invigilator plugin.
+ *
+ * @package    quizaccess_invigilator
+ * @copyright  2021 Brain Station 23
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace quizaccess_invigilator\task;
+
+use quizaccess_invigilator\integrity;
+
+defined('MOODLE_INTERNAL') || die();
+
+/**
+ * chain_captures class.
+ *
+ * Chains the waiting captures of the attempt given by the cmid, userid and attemptid
+ * of the custom data. The task fails, and is run again later, while the chain is locked.
+ *
+ * @copyright  2021 Brain Station 23
+ * @license   http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class chain_captures extends \core\task\adhoc_task {
+
+    /**
+     * Chain the captures.
+     *
+     * @throws \dml_exception
+     * @throws \moodle_exception When the chain is still locked.
+     */
+    public function execute() {
+        $data = $this->get_custom_data();
+        if (!integrity::chain_pending((int)$data->cmid, (int)$data->userid, (int)$data->attemptid)) {
+            throw new \moodle_exception('integrity:locked', 'quizaccess_invigilator');
+        }
+    }
+}
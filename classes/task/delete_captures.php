@@ -0,0 +1,51 @@
+<?php
+// This file is part of Moodle invigilator for Moodle - http://moodle.org/
+//
+// Moodle invigilator is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle invigilator is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with MailTest.  If not, see <http://www.gnu.org/licenses/>.
+/**
+ * Adhoc task deleting the captures matching a search for the quizaccess_invigilator plugin.
+ *
+ * @package    quizaccess_invigilator
+ * @copyright  2021 Brain Station 23
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace quizaccess_invigilator\task;
+
+use quizaccess_invigilator\log_search;
+
+defined('MOODLE_INTERNAL') || die();
+
+/**
+ * delete_captures class.
+ *
+ * Runs the deletion given by the deletionid of the custom data as the user who queued it.
+ *
+ * @copyright  2021 Brain Station 23
+ * @license   http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class delete_captures extends \core\task\adhoc_task {
+
+    /**
+     * Delete the captures.
+     *
+     * @throws \dml_exception
+     */
+    public function execute() {
+        $data = $this->get_custom_data();
+        $deleted = log_search::run_deletion((int)$data->deletionid);
+        mtrace(get_string('deletion:done', 'quizaccess_invigilator',
+            (object)['deletionid' => $data->deletionid, 'count' => $deleted]));
+    }
+}
@@ -0,0 +1,64 @@
+<?php
+// This file is part of Moodle invigilator for Moodle - http://moodle.org/
+//
+// Moodle invigilator is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle invigilator is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with MailTest.  If not, see <http://www.gnu.org/licenses/>.
+/**
+ * Adhoc task exporting the evidence of a whole quiz for the quizaccess_invigilator plugin.
+ *
+ * @package    quizaccess_invigilator
+ * @copyright  2021 Brain Station 23
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace quizaccess_invigilator\task;
+
+use quizaccess_invigilator\evidence_export;
+
+defined('MOODLE_INTERNAL') || die();
+
+/**
+ * export_evidence class.
+ *
+ * Builds the archive of the quiz given by the cmid of the custom data as the user who queued it,
+ * and keeps it for them to download from the report.
+ *
+ * @copyright  2021 Brain Station 23
+ * @license   http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class export_evidence extends \core\task\adhoc_task {
+
+    /**
+     * Export the evidence.
+     *
+     * @throws \dml_exception
+     * @throws \coding_exception
+     */
+    public function execute() {
+        global $DB;
+
+        $data = $this->get_custom_data();
+        $cm = $DB->get_record('course_modules', ['id' => $data->cmid]);
+        if (!$cm) {
+            mtrace(get_string('evidence:gone', 'quizaccess_invigilator', $data->cmid));
+            return;
+        }
+
+        \core_php_time_limit::raise();
+        raise_memory_limit(MEMORY_EXTRA);
+
+        $export = evidence_export::create($cm, (int)$this->get_userid(), make_request_directory());
+        evidence_export::store($export);
+        mtrace(get_string('evidence:done', 'quizaccess_invigilator', $export));
+    }
+}
@@ -0,0 +1,63 @@
+<?php
+// This file is part of Moodle invigilator for Moodle - http://moodle.org/
+//
+// Moodle invigilator is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle invigilator is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with MailTest.  If not, see <http://www.gnu.org/licenses/>.
+/**
+ * Scheduled task deleting the expired captures for the quizaccess_invigilator plugin.
+ *
+ * @package    quizaccess_invigilator
+ * @copyright  2021 Brain Station 23
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace quizaccess_invigilator\task;
+
+use quizaccess_invigilator\retention;
+
+defined('MOODLE_INTERNAL') || die();
+
+/**
+ * purge_expired_captures class.
+ *
+ * Deletes the captures and proctoring events past their retention period in batches.
+ *
+ * @copyright  2021 Brain Station 23
+ * @license   http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class purge_expired_captures extends \core\task\scheduled_task {
+
+    /**
+     * Get the name of the task.
+     *
+     * @return string
+     */
+    public function get_name() {
+        return get_string('task:purgeexpiredcaptures', 'quizaccess_invigilator');
+    }
+
+    /**
+     * Delete the expired captures and events.
+     *
+     * @throws \dml_exception
+     */
+    public function execute() {
+        $total = 0;
+        do {
+            $deleted = retention::purge(retention::BATCH_SIZE);
+            $total += $deleted;
+        } while ($deleted >= retention::BATCH_SIZE);
+
+        mtrace(get_string('retention:purged', 'quizaccess_invigilator', $total));
+    }
+}
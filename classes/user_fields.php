@@ -0,0 +1,51 @@
+<?php
+// This file is part of Moodle invigilator for Moodle - http://moodle.org/
+//
+// Moodle invigilator is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle invigilator is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with MailTest.  If not, see <http://www.gnu.org/licenses/>.
+/**
+ * User name fields for the queries of the quizaccess_invigilator plugin.
+ *
+ * @package    quizaccess_invigilator
+ * @copyright  2021 Brain Station 23
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace quizaccess_invigilator;
+
+defined('MOODLE_INTERNAL') || die();
+
+/**
+ * user_fields class.
+ *
+ * Moodle 3.11 replaced get_all_user_name_fields() with the \core_user\fields API,
+ * and the plugin supports versions on both sides.
+ *
+ * @copyright  2021 Brain Station 23
+ * @license   http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class user_fields {
+
+    /**
+     * Get the fields fullname() needs, to select in a query.
+     *
+     * @param string $alias Alias of the user table.
+     * @return string Comma separated fields, without a leading comma.
+     */
+    public static function get_name_sql(string $alias) : string {
+        if (class_exists('\core_user\fields')) {
+            return \core_user\fields::for_name()->get_sql($alias, false, '', '', false)->selects;
+        }
+        return get_all_user_name_fields(true, $alias);
+    }
+}
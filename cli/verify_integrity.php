@@ -0,0 +1,70 @@
+<?php
+// This file is part of Moodle invigilator for Moodle - http://moodle.org/
+//
+// Moodle invigilator is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle invigilator is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with MailTest.  If not, see <http://www.gnu.org/licenses/>.
+/**
+ * Verify the capture hash chains of a quiz from the command line.
+ *
+ * @package   quizaccess_invigilator
+ * @copyright 2021 Brain Station 23
+ * @license   http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later.
+ */
+
+define('CLI_SCRIPT', true);
+
+require(__DIR__ . '/../../../../../config.php');
+require_once($CFG->libdir . '/clilib.php');
+
+list($options, $unrecognized) = cli_get_params(
+    array('cmid' => 0, 'attemptid' => 0, 'help' => false),
+    array('h' => 'help')
+);
+
+if ($unrecognized) {
+    cli_error(get_string('cliunknowoption', 'admin', implode("\n  ", $unrecognized)));
+}
+
+if ($options['help'] || !$options['cmid']) {
+    echo "Verify the hash chains of the captures of a quiz.
+
+Options:
+--cmid=INT        Course module ID of the quiz (required)
+--attemptid=INT   Only verify the captures of this attempt
+-h, --help        Print out this help
+
+Exits with status 1 when a chain is broken.
+
+Example:
+\$ sudo -u www-data /usr/bin/php mod/quiz/accessrule/invigilator/cli/verify_integrity.php --cmid=42
+";
+    exit(0);
+}
+
+$results = \quizaccess_invigilator\integrity::verify((int)$options['cmid'], 0, (int)$options['attemptid']);
+
+$broken = 0;
+foreach ($results as $result) {
+    $status = $result->problems ? get_string('integrity:broken', 'quizaccess_invigilator') :
+        get_string('integrity:intact', 'quizaccess_invigilator');
+    cli_writeln("user {$result->userid}, attempt {$result->attemptid}, {$result->count} captures: {$status}");
+    foreach ($result->problems as $problem) {
+        cli_writeln('  ' . \quizaccess_invigilator\integrity::describe_problem($problem));
+    }
+    if ($result->problems) {
+        $broken++;
+    }
+}
+cli_writeln(count($results) . ' chains verified, ' . $broken . ' broken.');
+
+exit($broken ? 1 : 0);
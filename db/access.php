@@ -51,6 +51,38 @@ $capabilities = array(
             'manager' => CAP_ALLOW
         )
     ),
+    // Message, pause or terminate the attempts of students.
+    'quizaccess/invigilator:proctor' => array(
+        'riskbitmask' => RISK_DATALOSS,
+        'captype' => 'write',
+        'contextlevel' => CONTEXT_MODULE,
+        'archetypes' => array(
+            'teacher' => CAP_ALLOW,
+            'editingteacher' => CAP_ALLOW,
+            'manager' => CAP_ALLOW
+        )
+    ),
+    // Flag screenshots and give verdicts on attempts.
+    'quizaccess/invigilator:review' => array(
+        'riskbitmask' => RISK_PERSONAL,
+        'captype' => 'write',
+        'contextlevel' => CONTEXT_MODULE,
+        'archetypes' => array(
+            'teacher' => CAP_ALLOW,
+            'editingteacher' => CAP_ALLOW,
+            'manager' => CAP_ALLOW
+        )
+    ),
+    // Export the proctoring evidence of a quiz, a student or an attempt.
+    'quizaccess/invigilator:exportevidence' => array(
+        'riskbitmask' => RISK_PERSONAL,
+        'captype' => 'read',
+        'contextlevel' => CONTEXT_MODULE,
+        'archetypes' => array(
+            'editingteacher' => CAP_ALLOW,
+            'manager' => CAP_ALLOW
+        )
+    ),
     // Delete images from screenshot logs.
     'quizaccess/invigilator:deletescreenshot' => array(
         'riskbitmask' => RISK_DATALOSS,
@@ -61,5 +93,32 @@ $capabilities = array(
             'manager' => CAP_ALLOW
         )
     ),
+    // Receive alerts about lost shares and detections during attempts.
+    'quizaccess/invigilator:receivealerts' => array(
+        'captype' => 'read',
+        'contextlevel' => CONTEXT_MODULE,
+        'archetypes' => array(
+            'teacher' => CAP_ALLOW,
+            'editingteacher' => CAP_ALLOW
+        )
+    ),
+    // Set the retention period of the captures of a course and preview their cleanup.
+    'quizaccess/invigilator:manageretention' => array(
+        'riskbitmask' => RISK_DATALOSS,
+        'captype' => 'write',
+        'contextlevel' => CONTEXT_COURSE,
+        'archetypes' => array(
+            'manager' => CAP_ALLOW
+        )
+    ),
+    // Exempt students or groups from the invigilation of a quiz or relax it for them.
+    'quizaccess/invigilator:manageaccommodations' => array(
+        'captype' => 'write',
+        'contextlevel' => CONTEXT_MODULE,
+        'archetypes' => array(
+            'editingteacher' => CAP_ALLOW,
+            'manager' => CAP_ALLOW
+        )
+    ),
 );
 
@@ -33,6 +33,125 @@ $functions = array(
         'ajax'        => true,
         'capabilities' => 'quizaccess/invigilator:sendscreenshot',
         'services'      => array(MOODLE_OFFICIAL_MOBILE_SERVICE)
+    ),
+    'quizaccess_invigilator_test_screenshot' => array(
+        'classname' => 'quizaccess_invigilator_external',
+        'methodname' => 'test_screenshot',
+        'description' => 'Run a practice screenshot through the upload pipeline without logging it.',
+        'type' => 'write',
+        'ajax'        => true,
+        'capabilities' => 'quizaccess/invigilator:sendscreenshot'
+    ),
+    'quizaccess_invigilator_log_event' => array(
+        'classname' => 'quizaccess_invigilator_external',
+        'methodname' => 'log_event',
+        'description' => 'Record a proctoring event of the current attempt.',
+        'type' => 'write',
+        'ajax'        => true,
+        'capabilities' => 'quizaccess/invigilator:sendscreenshot',
+        'services'      => array(MOODLE_OFFICIAL_MOBILE_SERVICE)
+    ),
+    'quizaccess_invigilator_get_live_attempts' => array(
+        'classname' => 'quizaccess_invigilator_external',
+        'methodname' => 'get_live_attempts',
+        'description' => 'Get the latest screenshots of the attempts in progress of a quiz.',
+        'type' => 'read',
+        'ajax'        => true,
+        'capabilities' => 'quizaccess/invigilator:viewreport'
+    ),
+    'quizaccess_invigilator_send_proctor_action' => array(
+        'classname' => 'quizaccess_invigilator_external',
+        'methodname' => 'send_proctor_action',
+        'description' => 'Send a message, pause, resume or terminate an attempt in progress.',
+        'type' => 'write',
+        'ajax'        => true,
+        'capabilities' => 'quizaccess/invigilator:proctor'
+    ),
+    'quizaccess_invigilator_get_proctor_actions' => array(
+        'classname' => 'quizaccess_invigilator_external',
+        'methodname' => 'get_proctor_actions',
+        'description' => 'Get the proctor actions not yet acknowledged for the current attempt.',
+        'type' => 'write',
+        'ajax'        => true,
+        'capabilities' => 'quizaccess/invigilator:sendscreenshot',
+        'services'      => array(MOODLE_OFFICIAL_MOBILE_SERVICE)
+    ),
+    'quizaccess_invigilator_acknowledge_proctor_action' => array(
+        'classname' => 'quizaccess_invigilator_external',
+        'methodname' => 'acknowledge_proctor_action',
+        'description' => 'Acknowledge a proctor action shown to the student.',
+        'type' => 'write',
+        'ajax'        => true,
+        'capabilities' => 'quizaccess/invigilator:sendscreenshot',
+        'services'      => array(MOODLE_OFFICIAL_MOBILE_SERVICE)
+    ),
+    'quizaccess_invigilator_flag_screenshot' => array(
+        'classname' => 'quizaccess_invigilator_external',
+        'methodname' => 'flag_screenshot',
+        'description' => 'Flag a screenshot as suspicious, with a note and a highlighted area.',
+        'type' => 'write',
+        'ajax'        => true,
+        'capabilities' => 'quizaccess/invigilator:review'
+    ),
+    'quizaccess_invigilator_unflag_screenshot' => array(
+        'classname' => 'quizaccess_invigilator_external',
+        'methodname' => 'unflag_screenshot',
+        'description' => 'Remove the flag of a screenshot.',
+        'type' => 'write',
+        'ajax'        => true,
+        'capabilities' => 'quizaccess/invigilator:review'
+    ),
+    'quizaccess_invigilator_search_captures' => array(
+        'classname' => 'quizaccess_invigilator_external',
+        'methodname' => 'search_captures',
+        'description' => 'Get one page of the screenshots of the courses the user may delete screenshots in matching a search.',
+        'type' => 'read',
+        'ajax'        => true,
+        'capabilities' => 'quizaccess/invigilator:deletescreenshot'
+    ),
+    'quizaccess_invigilator_delete_captures' => array(
+        'classname' => 'quizaccess_invigilator_external',
+        'methodname' => 'delete_captures',
+        'description' => 'Delete screenshots by id, or queue the deletion of every screenshot matching a search.',
+        'type' => 'write',
+        'ajax'        => true,
+        'capabilities' => 'quizaccess/invigilator:deletescreenshot'
+    ),
+    'quizaccess_invigilator_get_deletion_progress' => array(
+        'classname' => 'quizaccess_invigilator_external',
+        'methodname' => 'get_deletion_progress',
+        'description' => 'Get the progress of a queued deletion of screenshots.',
+        'type' => 'read',
+        'ajax'        => true,
+        'capabilities' => 'quizaccess/invigilator:deletescreenshot'
+    ),
+    'quizaccess_invigilator_get_proctored_quizzes' => array(
+        'classname' => 'quizaccess_invigilator_external',
+        'methodname' => 'get_proctored_quizzes',
+        'description' => 'Get the proctored quizzes of a course the user may review.',
+        'type' => 'read',
+        'capabilities' => 'quizaccess/invigilator:viewreport'
+    ),
+    'quizaccess_invigilator_get_quiz_attempts' => array(
+        'classname' => 'quizaccess_invigilator_external',
+        'methodname' => 'get_quiz_attempts',
+        'description' => 'Get the attempts of a quiz with the number of captures, events and flags of each.',
+        'type' => 'read',
+        'capabilities' => 'quizaccess/invigilator:viewreport'
+    ),
+    'quizaccess_invigilator_get_student_captures' => array(
+        'classname' => 'quizaccess_invigilator_external',
+        'methodname' => 'get_student_captures',
+        'description' => 'Get the captures of a student in a quiz with the links to their images.',
+        'type' => 'read',
+        'capabilities' => 'quizaccess/invigilator:viewreport'
+    ),
+    'quizaccess_invigilator_get_student_events' => array(
+        'classname' => 'quizaccess_invigilator_external',
+        'methodname' => 'get_student_events',
+        'description' => 'Get the proctoring events of a student in a quiz and the flags on the captures.',
+        'type' => 'read',
+        'capabilities' => 'quizaccess/invigilator:viewreport'
     )
 );
 
@@ -0,0 +1,502 @@
+<?php
+// This file is part of Moodle invigilator for Moodle - http://moodle.org/
+//
+// Moodle invigilator is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle invigilator is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with MailTest.  If not, see <http://www.gnu.org/licenses/>.
+/**
+ * Upgrade steps for the quizaccess_invigilator plugin.
+ *
+ * @package    quizaccess_invigilator
+ * @copyright  2021 Brain Station 23
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+defined('MOODLE_INTERNAL') || die();
+
+/**
+ * Upgrade the quizaccess_invigilator plugin.
+ *
+ * @param int $oldversion The version we are upgrading from.
+ * @return bool
+ * @throws ddl_exception
+ */
+function xmldb_quizaccess_invigilator_upgrade($oldversion) {
+    global $DB;
+    $dbman = $DB->get_manager();
+
+    if ($oldversion < 2026101900) {
+        // Define field invigilatorenforcement to be added to quizaccess_invigilator.
+        $table = new xmldb_table('quizaccess_invigilator');
+        $field = new xmldb_field('invigilatorenforcement', XMLDB_TYPE_INTEGER, '2', null, XMLDB_NOTNULL, null, '2',
+            'invigilatorrequired');
+
+        if (!$dbman->field_exists($table, $field)) {
+            $dbman->add_field($table, $field);
+        }
+
+        upgrade_plugin_savepoint(true, 2026101900, 'quizaccess', 'invigilator');
+    }
+
+    if ($oldversion < 2026101901) {
+        // Define table quizaccess_invigilator_events to be created.
+        $table = new xmldb_table('quizaccess_invigilator_events');
+
+        $table->add_field('id', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, XMLDB_SEQUENCE, null);
+        $table->add_field('courseid', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('cmid', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('quizid', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('userid', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, '0');
+        $table->add_field('attemptid', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, '0');
+        $table->add_field('eventtype', XMLDB_TYPE_CHAR, '32', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('details', XMLDB_TYPE_TEXT, null, null, null, null, null);
+        $table->add_field('timecreated', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+
+        $table->add_key('primary', XMLDB_KEY_PRIMARY, ['id']);
+        $table->add_key('userid', XMLDB_KEY_FOREIGN, ['userid'], 'user', ['id']);
+        $table->add_key('quizid', XMLDB_KEY_FOREIGN, ['quizid'], 'quiz', ['id']);
+
+        $table->add_index('cmid-userid', XMLDB_INDEX_NOTUNIQUE, ['cmid', 'userid']);
+        $table->add_index('attemptid', XMLDB_INDEX_NOTUNIQUE, ['attemptid']);
+
+        if (!$dbman->table_exists($table)) {
+            $dbman->create_table($table);
+        }
+
+        upgrade_plugin_savepoint(true, 2026101901, 'quizaccess', 'invigilator');
+    }
+
+    if ($oldversion < 2026101902) {
+        // Define field invigilatorwebcam to be added to quizaccess_invigilator.
+        $table = new xmldb_table('quizaccess_invigilator');
+        $field = new xmldb_field('invigilatorwebcam', XMLDB_TYPE_INTEGER, '2', null, XMLDB_NOTNULL, null, '0',
+            'invigilatorenforcement');
+
+        if (!$dbman->field_exists($table, $field)) {
+            $dbman->add_field($table, $field);
+        }
+
+        // Define field capturetype to be added to quizaccess_invigilator_logs.
+        $table = new xmldb_table('quizaccess_invigilator_logs');
+        $field = new xmldb_field('capturetype', XMLDB_TYPE_CHAR, '16', null, XMLDB_NOTNULL, null, 'screen', 'timecreated');
+
+        if (!$dbman->field_exists($table, $field)) {
+            $dbman->add_field($table, $field);
+        }
+
+        upgrade_plugin_savepoint(true, 2026101902, 'quizaccess', 'invigilator');
+    }
+
+    if ($oldversion < 2026101903) {
+        // Define fields for the per quiz capture settings to be added to quizaccess_invigilator.
+        $table = new xmldb_table('quizaccess_invigilator');
+        $fields = [
+            new xmldb_field('invigilatorscreenshotdelay', XMLDB_TYPE_INTEGER, '10', null, null, null, null, 'invigilatorwebcam'),
+            new xmldb_field('invigilatorscreenshotwidth', XMLDB_TYPE_INTEGER, '10', null, null, null, null,
+                'invigilatorscreenshotdelay'),
+            new xmldb_field('invigilatorscreenshotjitter', XMLDB_TYPE_INTEGER, '10', null, null, null, null,
+                'invigilatorscreenshotwidth'),
+        ];
+
+        foreach ($fields as $field) {
+            if (!$dbman->field_exists($table, $field)) {
+                $dbman->add_field($table, $field);
+            }
+        }
+
+        upgrade_plugin_savepoint(true, 2026101903, 'quizaccess', 'invigilator');
+    }
+
+    if ($oldversion < 2026101904) {
+        // Define fields for the captured surface metadata to be added to quizaccess_invigilator_logs.
+        $table = new xmldb_table('quizaccess_invigilator_logs');
+        $fields = [
+            new xmldb_field('surfacewidth', XMLDB_TYPE_INTEGER, '10', null, null, null, null, 'capturetype'),
+            new xmldb_field('surfaceheight', XMLDB_TYPE_INTEGER, '10', null, null, null, null, 'surfacewidth'),
+            new xmldb_field('multidisplay', XMLDB_TYPE_INTEGER, '2', null, null, null, null, 'surfaceheight'),
+        ];
+
+        foreach ($fields as $field) {
+            if (!$dbman->field_exists($table, $field)) {
+                $dbman->add_field($table, $field);
+            }
+        }
+
+        upgrade_plugin_savepoint(true, 2026101904, 'quizaccess', 'invigilator');
+    }
+
+    if ($oldversion < 2026101906) {
+        // Define table quizaccess_invigilator_actions to be created.
+        $table = new xmldb_table('quizaccess_invigilator_actions');
+
+        $table->add_field('id', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, XMLDB_SEQUENCE, null);
+        $table->add_field('courseid', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('cmid', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('quizid', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('attemptid', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('userid', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('senderid', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('action', XMLDB_TYPE_CHAR, '16', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('message', XMLDB_TYPE_TEXT, null, null, null, null, null);
+        $table->add_field('timecreated', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('timedelivered', XMLDB_TYPE_INTEGER, '10', null, null, null, null);
+        $table->add_field('timeacknowledged', XMLDB_TYPE_INTEGER, '10', null, null, null, null);
+
+        $table->add_key('primary', XMLDB_KEY_PRIMARY, ['id']);
+        $table->add_key('userid', XMLDB_KEY_FOREIGN, ['userid'], 'user', ['id']);
+        $table->add_key('senderid', XMLDB_KEY_FOREIGN, ['senderid'], 'user', ['id']);
+        $table->add_key('quizid', XMLDB_KEY_FOREIGN, ['quizid'], 'quiz', ['id']);
+
+        $table->add_index('cmid-userid', XMLDB_INDEX_NOTUNIQUE, ['cmid', 'userid']);
+        $table->add_index('attemptid', XMLDB_INDEX_NOTUNIQUE, ['attemptid']);
+
+        if (!$dbman->table_exists($table)) {
+            $dbman->create_table($table);
+        }
+
+        upgrade_plugin_savepoint(true, 2026101906, 'quizaccess', 'invigilator');
+    }
+
+    if ($oldversion < 2026101907) {
+        // Define table quizaccess_invigilator_flags to be created.
+        $table = new xmldb_table('quizaccess_invigilator_flags');
+
+        $table->add_field('id', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, XMLDB_SEQUENCE, null);
+        $table->add_field('courseid', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('cmid', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('logid', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('userid', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('reviewerid', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('note', XMLDB_TYPE_TEXT, null, null, null, null, null);
+        $table->add_field('rectx', XMLDB_TYPE_NUMBER, '10, 5', null, null, null, null);
+        $table->add_field('recty', XMLDB_TYPE_NUMBER, '10, 5', null, null, null, null);
+        $table->add_field('rectwidth', XMLDB_TYPE_NUMBER, '10, 5', null, null, null, null);
+        $table->add_field('rectheight', XMLDB_TYPE_NUMBER, '10, 5', null, null, null, null);
+        $table->add_field('timecreated', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('timemodified', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+
+        $table->add_key('primary', XMLDB_KEY_PRIMARY, ['id']);
+        $table->add_key('logid', XMLDB_KEY_FOREIGN_UNIQUE, ['logid'], 'quizaccess_invigilator_logs', ['id']);
+        $table->add_key('userid', XMLDB_KEY_FOREIGN, ['userid'], 'user', ['id']);
+        $table->add_key('reviewerid', XMLDB_KEY_FOREIGN, ['reviewerid'], 'user', ['id']);
+
+        $table->add_index('cmid-userid', XMLDB_INDEX_NOTUNIQUE, ['cmid', 'userid']);
+
+        if (!$dbman->table_exists($table)) {
+            $dbman->create_table($table);
+        }
+
+        // Define table quizaccess_invigilator_verdicts to be created.
+        $table = new xmldb_table('quizaccess_invigilator_verdicts');
+
+        $table->add_field('id', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, XMLDB_SEQUENCE, null);
+        $table->add_field('courseid', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('cmid', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('quizid', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('attemptid', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('userid', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('reviewerid', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('verdict', XMLDB_TYPE_CHAR, '16', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('note', XMLDB_TYPE_TEXT, null, null, null, null, null);
+        $table->add_field('timecreated', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('timemodified', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+
+        $table->add_key('primary', XMLDB_KEY_PRIMARY, ['id']);
+        $table->add_key('attemptid', XMLDB_KEY_FOREIGN_UNIQUE, ['attemptid'], 'quiz_attempts', ['id']);
+        $table->add_key('userid', XMLDB_KEY_FOREIGN, ['userid'], 'user', ['id']);
+        $table->add_key('reviewerid', XMLDB_KEY_FOREIGN, ['reviewerid'], 'user', ['id']);
+
+        $table->add_index('cmid-userid', XMLDB_INDEX_NOTUNIQUE, ['cmid', 'userid']);
+
+        if (!$dbman->table_exists($table)) {
+            $dbman->create_table($table);
+        }
+
+        upgrade_plugin_savepoint(true, 2026101907, 'quizaccess', 'invigilator');
+    }
+
+    if ($oldversion < 2026101908) {
+
+        // Define table quizaccess_invigilator_exports to be created.
+        $table = new xmldb_table('quizaccess_invigilator_exports');
+
+        $table->add_field('id', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, XMLDB_SEQUENCE, null);
+        $table->add_field('courseid', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('cmid', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('userid', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, '0');
+        $table->add_field('attemptid', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, '0');
+        $table->add_field('exporterid', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('filecount', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, '0');
+        $table->add_field('contenthash', XMLDB_TYPE_CHAR, '64', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('timecreated', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+
+        $table->add_key('primary', XMLDB_KEY_PRIMARY, ['id']);
+        $table->add_key('exporterid', XMLDB_KEY_FOREIGN, ['exporterid'], 'user', ['id']);
+
+        $table->add_index('cmid-userid', XMLDB_INDEX_NOTUNIQUE, ['cmid', 'userid']);
+
+        if (!$dbman->table_exists($table)) {
+            $dbman->create_table($table);
+        }
+
+        upgrade_plugin_savepoint(true, 2026101908, 'quizaccess', 'invigilator');
+    }
+
+    if ($oldversion < 2026101909) {
+
+        // Define fields of the capture hash chain to be added to quizaccess_invigilator_logs.
+        $table = new xmldb_table('quizaccess_invigilator_logs');
+        $fields = [
+            new xmldb_field('attemptid', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, '0', 'multidisplay'),
+            new xmldb_field('contenthash', XMLDB_TYPE_CHAR, '64', null, null, null, null, 'attemptid'),
+            new xmldb_field('chainseq', XMLDB_TYPE_INTEGER, '10', null, null, null, null, 'contenthash'),
+            new xmldb_field('chainhash', XMLDB_TYPE_CHAR, '64', null, null, null, null, 'chainseq'),
+        ];
+        foreach ($fields as $field) {
+            if (!$dbman->field_exists($table, $field)) {
+                $dbman->add_field($table, $field);
+            }
+        }
+
+        $index = new xmldb_index('cmid-userid-attemptid', XMLDB_INDEX_NOTUNIQUE, ['cmid', 'userid', 'attemptid']);
+        if (!$dbman->index_exists($table, $index)) {
+            $dbman->add_index($table, $index);
+        }
+
+        upgrade_plugin_savepoint(true, 2026101909, 'quizaccess', 'invigilator');
+    }
+
+    if ($oldversion < 2026101910) {
+
+        // Define fields page and slot to be added to quizaccess_invigilator_logs.
+        $table = new xmldb_table('quizaccess_invigilator_logs');
+        $fields = [
+            new xmldb_field('page', XMLDB_TYPE_INTEGER, '10', null, null, null, null, 'chainhash'),
+            new xmldb_field('slot', XMLDB_TYPE_INTEGER, '10', null, null, null, null, 'page'),
+        ];
+        foreach ($fields as $field) {
+            if (!$dbman->field_exists($table, $field)) {
+                $dbman->add_field($table, $field);
+            }
+        }
+
+        upgrade_plugin_savepoint(true, 2026101910, 'quizaccess', 'invigilator');
+    }
+
+    if ($oldversion < 2026101911) {
+
+        // Define table quizaccess_invigilator_retention to be created.
+        $table = new xmldb_table('quizaccess_invigilator_retention');
+
+        $table->add_field('id', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, XMLDB_SEQUENCE, null);
+        $table->add_field('courseid', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('retentiondays', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, '0');
+        $table->add_field('timemodified', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+
+        $table->add_key('primary', XMLDB_KEY_PRIMARY, ['id']);
+        $table->add_key('courseid', XMLDB_KEY_FOREIGN_UNIQUE, ['courseid'], 'course', ['id']);
+
+        if (!$dbman->table_exists($table)) {
+            $dbman->create_table($table);
+        }
+
+        upgrade_plugin_savepoint(true, 2026101911, 'quizaccess', 'invigilator');
+    }
+
+    if ($oldversion < 2026101912) {
+
+        // Define fields of the capture analysis to be added to quizaccess_invigilator.
+        $table = new xmldb_table('quizaccess_invigilator');
+        $fields = [
+            new xmldb_field('invigilatordetectors', XMLDB_TYPE_CHAR, '255', null, null, null, null, 'invigilatorscreenshotjitter'),
+            new xmldb_field('invigilatorkeywords', XMLDB_TYPE_TEXT, null, null, null, null, null, 'invigilatordetectors'),
+            new xmldb_field('invigilatoridleminutes', XMLDB_TYPE_INTEGER, '10', null, null, null, null, 'invigilatorkeywords'),
+        ];
+        foreach ($fields as $field) {
+            if (!$dbman->field_exists($table, $field)) {
+                $dbman->add_field($table, $field);
+            }
+        }
+
+        // Define table quizaccess_invigilator_detections to be created.
+        $table = new xmldb_table('quizaccess_invigilator_detections');
+
+        $table->add_field('id', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, XMLDB_SEQUENCE, null);
+        $table->add_field('courseid', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('cmid', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('logid', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('userid', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('attemptid', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, '0');
+        $table->add_field('detector', XMLDB_TYPE_CHAR, '32', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('score', XMLDB_TYPE_NUMBER, '10, 5', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('details', XMLDB_TYPE_TEXT, null, null, null, null, null);
+        $table->add_field('timecreated', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+
+        $table->add_key('primary', XMLDB_KEY_PRIMARY, ['id']);
+        $table->add_key('logid', XMLDB_KEY_FOREIGN, ['logid'], 'quizaccess_invigilator_logs', ['id']);
+        $table->add_key('userid', XMLDB_KEY_FOREIGN, ['userid'], 'user', ['id']);
+
+        $table->add_index('cmid-userid', XMLDB_INDEX_NOTUNIQUE, ['cmid', 'userid']);
+
+        if (!$dbman->table_exists($table)) {
+            $dbman->create_table($table);
+        }
+
+        upgrade_plugin_savepoint(true, 2026101912, 'quizaccess', 'invigilator');
+    }
+
+    if ($oldversion < 2026101914) {
+
+        // Define table quizaccess_invigilator_deletions to be created.
+        $table = new xmldb_table('quizaccess_invigilator_deletions');
+
+        $table->add_field('id', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, XMLDB_SEQUENCE, null);
+        $table->add_field('cmid', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('filters', XMLDB_TYPE_TEXT, null, null, null, null, null);
+        $table->add_field('maxid', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, '0');
+        $table->add_field('total', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, '0');
+        $table->add_field('deleted', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, '0');
+        $table->add_field('status', XMLDB_TYPE_CHAR, '16', null, XMLDB_NOTNULL, null, 'queued');
+        $table->add_field('timecreated', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('timemodified', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+
+        $table->add_key('primary', XMLDB_KEY_PRIMARY, ['id']);
+
+        if (!$dbman->table_exists($table)) {
+            $dbman->create_table($table);
+        }
+
+        upgrade_plugin_savepoint(true, 2026101914, 'quizaccess', 'invigilator');
+    }
+
+    if ($oldversion < 2026101917) {
+
+        // Define table quizaccess_invigilator_accommodations to be created.
+        $table = new xmldb_table('quizaccess_invigilator_accommodations');
+
+        $table->add_field('id', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, XMLDB_SEQUENCE, null);
+        $table->add_field('cmid', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('userid', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, '0');
+        $table->add_field('groupid', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, '0');
+        $table->add_field('exempt', XMLDB_TYPE_INTEGER, '1', null, XMLDB_NOTNULL, null, '0');
+        $table->add_field('screenshotdelay', XMLDB_TYPE_INTEGER, '10', null, null, null, null);
+        $table->add_field('allowwindow', XMLDB_TYPE_INTEGER, '1', null, XMLDB_NOTNULL, null, '0');
+        $table->add_field('usermodified', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, '0');
+        $table->add_field('timecreated', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('timemodified', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+
+        $table->add_key('primary', XMLDB_KEY_PRIMARY, ['id']);
+
+        $table->add_index('cmid-userid-groupid', XMLDB_INDEX_UNIQUE, ['cmid', 'userid', 'groupid']);
+
+        if (!$dbman->table_exists($table)) {
+            $dbman->create_table($table);
+        }
+
+        upgrade_plugin_savepoint(true, 2026101917, 'quizaccess', 'invigilator');
+    }
+
+    if ($oldversion < 2026101918) {
+
+        // Define table quizaccess_invigilator_consents to be created.
+        $table = new xmldb_table('quizaccess_invigilator_consents');
+
+        $table->add_field('id', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, XMLDB_SEQUENCE, null);
+        $table->add_field('cmid', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('quizid', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('userid', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('noticeversion', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('noticehash', XMLDB_TYPE_CHAR, '40', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('timecreated', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+
+        $table->add_key('primary', XMLDB_KEY_PRIMARY, ['id']);
+        $table->add_key('userid', XMLDB_KEY_FOREIGN, ['userid'], 'user', ['id']);
+
+        $table->add_index('cmid-userid-noticeversion', XMLDB_INDEX_UNIQUE, ['cmid', 'userid', 'noticeversion']);
+
+        if (!$dbman->table_exists($table)) {
+            $dbman->create_table($table);
+        }
+
+        upgrade_plugin_savepoint(true, 2026101918, 'quizaccess', 'invigilator');
+    }
+
+    if ($oldversion < 2026101919) {
+
+        // Define table quizaccess_invigilator_chains to be created.
+        $table = new xmldb_table('quizaccess_invigilator_chains');
+
+        $table->add_field('id', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, XMLDB_SEQUENCE, null);
+        $table->add_field('cmid', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('userid', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('attemptid', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, '0');
+        $table->add_field('chainseq', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('chainhash', XMLDB_TYPE_CHAR, '64', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('headmac', XMLDB_TYPE_CHAR, '64', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('unverified', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, '0');
+        $table->add_field('timemodified', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+
+        $table->add_key('primary', XMLDB_KEY_PRIMARY, ['id']);
+        $table->add_key('userid', XMLDB_KEY_FOREIGN, ['userid'], 'user', ['id']);
+
+        $table->add_index('cmid-userid-attemptid', XMLDB_INDEX_UNIQUE, ['cmid', 'userid', 'attemptid']);
+
+        if (!$dbman->table_exists($table)) {
+            $dbman->create_table($table);
+        }
+
+        // Sign the existing chains with the new key and record their ends.
+        \quizaccess_invigilator\integrity::upgrade_to_hmac();
+
+        upgrade_plugin_savepoint(true, 2026101919, 'quizaccess', 'invigilator');
+    }
+
+    if ($oldversion < 2026101921) {
+
+        // Define field unverified to be added to quizaccess_invigilator_chains.
+        $table = new xmldb_table('quizaccess_invigilator_chains');
+        $field = new xmldb_field('unverified', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, '0', 'headmac');
+
+        if (!$dbman->field_exists($table, $field)) {
+            $dbman->add_field($table, $field);
+        }
+
+        upgrade_plugin_savepoint(true, 2026101921, 'quizaccess', 'invigilator');
+    }
+
+    if ($oldversion < 2026101923) {
+
+        // Define table quizaccess_invigilator_notices to be created.
+        $table = new xmldb_table('quizaccess_invigilator_notices');
+
+        $table->add_field('id', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, XMLDB_SEQUENCE, null);
+        $table->add_field('noticeversion', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('noticetext', XMLDB_TYPE_TEXT, null, null, XMLDB_NOTNULL, null, null);
+        $table->add_field('noticehash', XMLDB_TYPE_CHAR, '40', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('timecreated', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+
+        $table->add_key('primary', XMLDB_KEY_PRIMARY, ['id']);
+
+        $table->add_index('noticeversion', XMLDB_INDEX_UNIQUE, ['noticeversion']);
+
+        if (!$dbman->table_exists($table)) {
+            $dbman->create_table($table);
+        }
+
+        // Only the text of the current notice is left, the older versions were not kept.
+        \quizaccess_invigilator\consent::save_notice();
+
+        upgrade_plugin_savepoint(true, 2026101923, 'quizaccess', 'invigilator');
+    }
+
+    return true;
+}
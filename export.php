@@ -0,0 +1,60 @@
+<?php
+// This file is part of Moodle invigilator for Moodle - http://moodle.org/
+//
+// Moodle invigilator is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle invigilator is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with MailTest.  If not, see <http://www.gnu.org/licenses/>.
+/**
+ * Download the proctoring evidence of a quiz, a student or an attempt for the quizaccess_invigilator plugin.
+ *
+ * @package   quizaccess_invigilator
+ * @copyright 2021 Brain Station 23
+ * @license   http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later.
+ */
+
+require_once(__DIR__ . '/../../../../config.php');
+
+$cmid = required_param('cmid', PARAM_INT);
+$studentid = optional_param('studentid', 0, PARAM_INT);
+$attemptid = optional_param('attemptid', 0, PARAM_INT);
+
+list($course, $cm) = get_course_and_cm_from_cmid($cmid, 'quiz');
+$context = context_module::instance($cmid, MUST_EXIST);
+
+require_login($course, false, $cm);
+require_capability('quizaccess/invigilator:exportevidence', $context);
+// The export is started by the forms of the report, never by a link.
+if (!data_submitted() || !confirm_sesskey()) {
+    throw new moodle_exception('invalidsesskey');
+}
+
+$attempt = null;
+if ($attemptid) {
+    $attempt = $DB->get_record('quiz_attempts', array('id' => $attemptid, 'quiz' => $cm->instance), '*', MUST_EXIST);
+}
+
+$PAGE->set_url(new moodle_url('/mod/quiz/accessrule/invigilator/export.php',
+    array('cmid' => $cmid, 'studentid' => $studentid, 'attemptid' => $attemptid)));
+
+// The evidence of all students is built by a task and listed on the report when it is ready.
+if (!$studentid && !$attempt) {
+    \quizaccess_invigilator\evidence_export::queue($cmid);
+    redirect(new moodle_url('/mod/quiz/accessrule/invigilator/report.php', array('courseid' => $course->id, 'cmid' => $cmid)),
+        get_string('evidence:queued', 'quizaccess_invigilator'), null, \core\output\notification::NOTIFY_SUCCESS);
+}
+
+core_php_time_limit::raise();
+raise_memory_limit(MEMORY_EXTRA);
+
+$export = \quizaccess_invigilator\evidence_export::create($cm->get_course_module_record(), $USER->id,
+    make_request_directory(), $studentid, $attempt);
+send_temp_file($export->path, $export->filename);
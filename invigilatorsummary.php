@@ -45,7 +45,86 @@ $PAGE->set_heading(get_string('invigilator:summery', 'quizaccess_invigilator'));
 
 $PAGE->navbar->add(get_string('invigilator:report', 'quizaccess_invigilator'), $url);
 
-echo $OUTPUT->header();
+// Proctoring analytics of the attempts of this quiz, shown or downloaded.
+$table = new flexible_table('invigilator-analytics-' . $cmid);
+$table->is_downloading(optional_param('download', '', PARAM_ALPHA),
+    clean_filename(format_string($cm->name) . '-' . get_string('analytics', 'quizaccess_invigilator')),
+    get_string('analytics', 'quizaccess_invigilator'));
+$columns = \quizaccess_invigilator\analytics::COLUMNS;
+$headers = [];
+foreach ($columns as $column) {
+    $headers[] = get_string('analytics:' . $column, 'quizaccess_invigilator');
+}
+$table->define_columns($columns);
+$table->define_headers($headers);
+$table->define_baseurl($url);
+$table->sortable(true, 'risk', SORT_DESC);
+$table->is_downloadable(true);
+$table->show_download_buttons_at(array(TABLE_P_BOTTOM));
+$table->set_attribute('class', 'generaltable generalbox reporttable invigilator-analytics');
+
+$attempts = \quizaccess_invigilator\analytics::get_quiz_attempts($cm->get_course_module_record());
+$attempts = \quizaccess_invigilator\analytics::sort_attempts($attempts, $table->get_sort_columns());
+
+if (!$table->is_downloading()) {
+    echo $OUTPUT->header();
+    echo $OUTPUT->heading(get_string('analytics', 'quizaccess_invigilator') . ': ' . format_string($cm->name));
+    $summary = \quizaccess_invigilator\analytics::summarise($attempts);
+    echo '<div class="box generalbox m-b-1 alert alert-info p-y-1">'
+        . get_string('analytics:summary', 'quizaccess_invigilator', $summary) . '</div>';
+}
+$table->setup();
+
+foreach ($attempts as $attempt) {
+    if ($table->is_downloading()) {
+        $table->add_data([
+            $attempt->student,
+            $attempt->attempt,
+            date("Y/M/d H:i:s", $attempt->timestart),
+            $attempt->duration,
+            $attempt->expected,
+            $attempt->received,
+            $attempt->coverage,
+            $attempt->largestgap,
+            $attempt->shareloss,
+            $attempt->flags,
+            $attempt->risk,
+        ]);
+        continue;
+    }
+
+    $reviewurl = new moodle_url('/mod/quiz/review.php', array('attempt' => $attempt->attemptid, 'cmid' => $cmid));
+    $student = s($attempt->student);
+    if ($attempt->reportid) {
+        $reporturl = new moodle_url('/mod/quiz/accessrule/invigilator/report.php', array('courseid' => $course->id,
+            'cmid' => $cmid, 'studentid' => $attempt->userid, 'reportid' => $attempt->reportid));
+        $student = html_writer::link($reporturl, $student);
+    }
+    if ($attempt->risk >= 2) {
+        $class = 'table-danger';
+    } else if ($attempt->risk == 1) {
+        $class = 'table-warning';
+    } else {
+        $class = '';
+    }
+    $table->add_data([
+        $student,
+        html_writer::link($reviewurl, $attempt->attempt),
+        date("Y/M/d H:i:s", $attempt->timestart),
+        format_time($attempt->duration),
+        $attempt->expected,
+        $attempt->received,
+        $attempt->coverage . '%',
+        format_time($attempt->largestgap),
+        $attempt->shareloss,
+        $attempt->flags,
+        $attempt->risk,
+    ], $class);
+}
+$table->finish_output();
+if ($table->is_downloading()) {
+    exit;
+}
 
 $coursewisesummarysql = 'SELECT MC.fullname as coursefullname, MC.shortname as courseshortname, MQL.courseid,' .
     'COUNT(MQL.id) as logcount FROM {quizaccess_invigilator_logs} MQL' .
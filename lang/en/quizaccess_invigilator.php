@@ -29,12 +29,59 @@ $string['setting:screenshotdelay'] = "The delay between screenshots in seconds."
 $string['setting:screenshotdelay_desc'] = "Given value will be the delay in seconds between each screenshot";
 $string['setting:screenshotwidth'] = "The width of the screenshot image in pixel.";
 $string['setting:screenshotwidth_desc'] = "Given value will be the width of the screenshot. The image height will be scaled to that";
+$string['setting:screenshotjitter'] = "Random variation of the delay in seconds.";
+$string['setting:screenshotjitter_desc'] = "Up to this many seconds are randomly added to or removed from each delay so the capture moments cannot be predicted. Quizzes may override the screenshot delay, width and variation";
+$string['setting:imageformat'] = "Image format.";
+$string['setting:imageformat_desc'] = "Format of the captured images. JPEG and WebP are much smaller than PNG. Browsers that cannot produce WebP send PNG instead";
+$string['imageformat:png'] = 'PNG';
+$string['imageformat:jpeg'] = 'JPEG';
+$string['imageformat:webp'] = 'WebP';
+$string['setting:imagequality'] = "Image quality.";
+$string['setting:imagequality_desc'] = "Quality of JPEG and WebP images between 1 and 100";
+$string['setting:changethreshold'] = "Change threshold.";
+$string['setting:changethreshold_desc'] = "Captures that differ from the previous one by less than this percentage are not uploaded, a no change event is recorded instead. Set to 0 to upload every capture";
+$string['setting:webcamdelay'] = "The delay between webcam snapshots in seconds.";
+$string['setting:webcamdelay_desc'] = "Given value will be the delay in seconds between each webcam snapshot on quizzes that capture the webcam";
+$string['setting:uploadqueuelimit'] = "Captures kept while offline.";
+$string['setting:uploadqueuelimit_desc'] = "Captures that could not be uploaded are kept in the browser and sent again when the connection returns. Given value is the maximum number of captures kept, the oldest are dropped first";
+$string['setting:sharelossgraceperiod'] = "Screen share grace period in seconds.";
+$string['setting:sharelossgraceperiod_desc'] = "How long a student has to resume sharing the entire screen during an attempt before the screen share loss action is taken. Only applies to quizzes with the Block enforcement level.";
+$string['setting:sharelossaction'] = "Screen share loss action";
+$string['setting:sharelossaction_desc'] = "What happens to the attempt when the screen share is not resumed within the grace period.";
+$string['sharelossaction:lock'] = 'Lock the attempt';
+$string['sharelossaction:autosubmit'] = 'Submit the attempt';
 $string['invigilatorlabel'] = 'I agree with the validation process.';
 $string['youmustagree'] = 'You must agree to validate your identity before continue.';
 $string['notrequired'] = 'not required';
 $string['invigilatorrequiredoption'] = 'must be acknowledged before starting an attempt';
 $string['invigilatorrequired'] = 'Screenshot capture validation';
 $string['invigilatorrequired_help'] = 'If enabled, students must agree to screenshot capture validation before starting the quiz attempt.';
+$string['invigilatorenforcement'] = 'Screen share enforcement';
+$string['invigilatorenforcement_help'] = 'Controls what happens when a student does not share the entire monitor.
+
+* Off - screen sharing is requested but the attempt can always be started.
+* Warn - the student is warned about an invalid screen share but may still start the attempt.
+* Block - the attempt cannot be started until the entire monitor is being shared.';
+$string['enforcementoff'] = 'Off';
+$string['enforcementwarn'] = 'Warn';
+$string['enforcementblock'] = 'Block';
+$string['invigilatorwebcam'] = 'Capture webcam snapshots';
+$string['invigilatorwebcam_help'] = 'If enabled, students must also allow access to their camera and webcam snapshots are captured alongside the screenshots.';
+$string['invigilatorscreenshotdelay'] = 'Screenshot delay (seconds)';
+$string['invigilatorscreenshotdelay_help'] = 'The delay between screenshots of this quiz in seconds. Defaults to the site setting.';
+$string['invigilatorscreenshotwidth'] = 'Screenshot width (pixels)';
+$string['invigilatorscreenshotwidth_help'] = 'The width of the screenshots of this quiz in pixels. Defaults to the site setting.';
+$string['invigilatorscreenshotjitter'] = 'Random delay variation (seconds)';
+$string['invigilatorscreenshotjitter_help'] = 'Up to this many seconds are randomly added to or removed from each delay so students cannot predict when a screenshot is taken. Must be smaller than the delay.';
+$string['errorpositive'] = 'The value must be at least 1.';
+$string['errorjitter'] = 'The variation must be between 0 and the screenshot delay.';
+$string['youmustsharewebcam'] = 'You must allow access to your camera before starting the attempt.';
+$string['webcammsg'] = '<strong>* Please allow access to your camera.</strong><br/>';
+$string['webcamhtml'] = '<span><video id="invigilator-video-webcam" width="320" height="240" autoplay muted></video></span><canvas id="invigilator-canvas-webcam" style="display:none;"></canvas>';
+$string['webcam'] = 'Webcam';
+$string['surfaceresolution'] = '{$a->width} × {$a->height}';
+$string['multidisplay'] = 'Multiple displays detected';
+$string['youmustshare'] = 'You must share your entire monitor before starting the attempt.';
 $string['warning:allowscreenshare'] = 'Please allow screen share.';
 $string['invigilatorheader'] = '<strong>To continue with this quiz attempt you must share your screen. You must choose entire monitor in screen sharing option.</strong>';
 $string['picturesreport'] = 'View invigilator report';
@@ -59,6 +106,121 @@ $string['quiznameheader'] = "Quiz Name";
 $string['alert:screensharemsg'] = "Please share entire screen.";
 $string['alert:restartattemptcommand'] = "Sorry !! You need to restart the attempt as you have stopped the screenshare.";
 $string['alert:somethingwentwrong'] = "Something went wrong during taking the image.";
+$string['overlay:sharelost'] = 'Screen sharing has stopped. Share your entire screen again to continue the quiz.';
+$string['overlay:surfacechanged'] = 'You are no longer sharing your entire screen. Share your entire screen again to continue the quiz.';
+$string['overlay:countdown'] = 'Time left to resume: {$a} seconds';
+$string['overlay:locked'] = 'Your attempt has been locked because screen sharing was not resumed in time.';
+$string['overlay:submitting'] = 'Your attempt is being submitted because screen sharing was not resumed in time.';
+$string['attemptlocked'] = 'Your attempt has been locked because screen sharing stopped. Please contact your teacher.';
+$string['eventtype:sharelost'] = 'Screen share lost';
+$string['eventtype:shareresumed'] = 'Screen share resumed';
+$string['eventtype:surfacechanged'] = 'Shared surface changed';
+$string['eventtype:attemptlocked'] = 'Attempt locked';
+$string['eventtype:attemptsubmitted'] = 'Attempt submitted';
+$string['eventtype:sharestarted'] = 'Screen share started';
+$string['eventtype:shareended'] = 'Screen share ended';
+$string['eventtype:tabhidden'] = 'Quiz tab hidden';
+$string['eventtype:windowblur'] = 'Quiz window lost focus';
+$string['eventtype:fullscreenexit'] = 'Fullscreen exited';
+$string['eventtype:copy'] = 'Copy';
+$string['eventtype:paste'] = 'Paste';
+$string['eventtype:devtoolsresize'] = 'Window resized as if developer tools were opened';
+$string['eventtype:nochange'] = 'No change since the previous capture';
+$string['livemonitor'] = 'Live monitoring';
+$string['livemonitor_desc'] = 'The latest screenshot of every attempt in progress, refreshed automatically. Students whose screenshots are overdue or whose screen share was lost are highlighted. Click a screenshot to step through the recent screenshots of the student.';
+$string['noactiveattempts'] = 'There are no attempts in progress.';
+$string['nocapture'] = 'No screenshot yet';
+$string['lastcapture'] = 'Last screenshot at';
+$string['monitor:stale'] = 'Screenshots are overdue';
+$string['monitor:sharelost'] = 'Screen share lost';
+$string['monitor:paused'] = 'Paused by a proctor';
+$string['invigilator:proctor'] = 'Message, pause and terminate attempts in progress';
+$string['proctoraction:message'] = 'Proctor message';
+$string['proctoraction:pause'] = 'Attempt paused by a proctor';
+$string['proctoraction:resume'] = 'Attempt resumed by a proctor';
+$string['proctoraction:terminate'] = 'Attempt terminated by a proctor';
+$string['proctor:message'] = 'Message';
+$string['proctor:pause'] = 'Pause';
+$string['proctor:resume'] = 'Resume';
+$string['proctor:terminate'] = 'Terminate';
+$string['proctor:messageprompt'] = 'Message to show to the student:';
+$string['proctor:terminateconfirm'] = 'The attempt will be submitted now and the student cannot continue it. Are you sure?';
+$string['proctor:sent'] = 'The action was sent to the student.';
+$string['proctor:messagetitle'] = 'Message from your proctor';
+$string['proctor:delivered'] = 'delivered {$a}';
+$string['proctor:acknowledged'] = 'acknowledged {$a}';
+$string['overlay:paused'] = 'Your attempt has been paused by a proctor. Please wait until it is resumed.';
+$string['overlay:terminated'] = 'Your attempt has been submitted by a proctor.';
+$string['attemptpaused'] = 'Your attempt has been paused by a proctor. You can continue it once it is resumed.';
+$string['replay:play'] = 'Play';
+$string['replay:pause'] = 'Pause';
+$string['replay:speed'] = 'Replay speed';
+$string['replay:flag'] = 'Flag this screenshot (F)';
+$string['replay:gap'] = 'No screenshots for %1 seconds';
+$string['replay:shortcuts'] = 'Space: play or pause, Left/Right: previous or next screenshot, Home/End: first or last screenshot, F: flag screenshot';
+$string['replay:draw'] = 'Highlight an area of this screenshot';
+$string['replay:note'] = 'Note on this screenshot';
+$string['invigilator:review'] = 'Flag screenshots and give verdicts on attempts';
+$string['verdict'] = 'Verdict';
+$string['verdicts'] = 'Verdicts';
+$string['verdictnote'] = 'Reason';
+$string['verdictsaved'] = 'The verdict was saved.';
+$string['verdict:all'] = 'All verdicts';
+$string['verdict:none'] = 'No verdict';
+$string['verdict:clear'] = 'Clear';
+$string['verdict:suspicious'] = 'Suspicious';
+$string['verdict:violation'] = 'Violation';
+$string['attempt'] = 'Attempt';
+$string['attemptnumber'] = 'Attempt {$a}';
+$string['noattempt'] = 'Outside an attempt';
+$string['reviewattempt'] = 'Review attempt';
+$string['page'] = 'Page {$a}';
+$string['invigilator:exportevidence'] = 'Export the proctoring evidence of quizzes';
+$string['evidence:export'] = 'Export evidence';
+$string['evidence:exportquiz'] = 'Export evidence of all students';
+$string['evidence:exports'] = 'Evidence exports';
+$string['evidence:exportedby'] = 'Exported by';
+$string['evidence:student'] = 'Student';
+$string['evidence:allstudents'] = 'All students';
+$string['evidence:allattempts'] = 'All attempts';
+$string['evidence:filecount'] = 'Captures';
+$string['evidence:contenthash'] = 'SHA-256 of the archive';
+$string['evidence:title'] = 'Proctoring evidence: {$a}';
+$string['evidence:generated'] = 'Generated {$a}. The SHA256SUMS file lists the SHA-256 hash of every file in this bundle, integrity.csv the result of verifying the hash chain of every attempt.';
+$string['evidence:captures'] = 'Captures';
+$string['evidence:events'] = 'Events';
+$string['evidence:time'] = 'Time (UTC)';
+$string['evidence:missing'] = 'Image not found';
+$string['evidence:flagged'] = 'Flagged by a reviewer: {$a}';
+$string['evidence:chain'] = 'Chain #{$a->chainseq}: {$a->chainhash}';
+$string['evidence:failed'] = 'The evidence archive could not be created.';
+$string['evidence:queued'] = 'The evidence of all students is being exported. It will be listed under Evidence exports when it is ready.';
+$string['evidence:done'] = 'Export {$a->id} finished, {$a->filecount} capture(s) in {$a->filename}.';
+$string['evidence:gone'] = 'The quiz with course module ID {$a} no longer exists, nothing was exported.';
+$string['evidence:download'] = 'Download';
+$string['integrity'] = 'Capture integrity';
+$string['integrity_desc'] = 'Every stored capture is hashed with SHA-256 and chained to the previous capture of the same attempt with a key kept in the data directory. A replaced image, an edited log row or a deleted or moved capture breaks the chain. Back up the data directory with the database: chains cannot be verified without the key.';
+$string['integrity:verify'] = 'Verify integrity';
+$string['integrity:result'] = 'Result';
+$string['integrity:intact'] = 'Intact';
+$string['integrity:broken'] = 'Broken';
+$string['integrity:hash'] = 'SHA-256: {$a}';
+$string['integrity:missing'] = '{$a->count} capture(s) missing before capture #{$a->seq} ({$a->time})';
+$string['integrity:reordered'] = 'Capture #{$a->seq} ({$a->time}) is out of order';
+$string['integrity:rowaltered'] = 'The log row of capture #{$a->seq} ({$a->time}) was changed';
+$string['integrity:filemissing'] = 'The image of capture #{$a->seq} ({$a->time}) is missing';
+$string['integrity:filealtered'] = 'The image of capture #{$a->seq} ({$a->time}) was replaced';
+$string['integrity:unchained'] = 'Capture {$a->logid} ({$a->time}) is not part of the chain';
+$string['integrity:truncated'] = '{$a->count} capture(s) missing after capture #{$a->seq} ({$a->time}), at the end of the chain';
+$string['integrity:headaltered'] = 'The record of the end of the chain after capture #{$a->seq} ({$a->time}) was changed or deleted';
+$string['integrity:unverified'] = 'Captures up to #{$a->seq} ({$a->time}) were restored from a backup signed with another key, their chain before the restore could not be verified';
+$string['integrity:locked'] = 'The chain of the captures is locked by another upload, it will be chained later.';
+$string['integrity:nokey'] = 'The key of the capture chains cannot be read or written at {$a}.';
+$string['timeline'] = 'Timeline';
+$string['eventtype'] = 'Event';
+$string['eventdetails'] = 'Details';
+$string['alert:webcammsg'] = "Please allow access to your camera.";
+$string['alert:windowsurfacemsg'] = "You are sharing a window or browser tab. Please share your entire screen.";
 $string['invigilator:bulkdelete'] = 'Invigilator: Bulk Delete';
 $string['invigilator_bulkdelete'] = 'Invigilator Bulk Delete';
 $string['success'] = 'success';
@@ -74,3 +236,209 @@ $string['privacy:metadata:core_files'] = 'This plugin stores screenshots of user
 $string['privacy:metadata:quizaccess_invigilator_logs'] = 'Stores all validations for reporting';
 $string['privacy:metadata:quizaccess_invigilator_logs:userid'] = 'THe ID of user in quizaccess_invigilator_logs';
 $string['privacy:metadata:quizaccess_invigilator_logs:screenshot'] = 'Link to Screenshots of the test.';
+$string['privacy:metadata:quizaccess_invigilator_logs:capturetype'] = 'Whether the image is a screenshot or a webcam snapshot.';
+$string['privacy:metadata:quizaccess_invigilator_logs:surfacewidth'] = 'Width of the captured screen or camera.';
+$string['privacy:metadata:quizaccess_invigilator_logs:surfaceheight'] = 'Height of the captured screen or camera.';
+$string['privacy:metadata:quizaccess_invigilator_logs:multidisplay'] = 'Whether multiple displays were connected.';
+$string['privacy:metadata:quizaccess_invigilator_logs:attemptid'] = 'The ID of the quiz attempt in progress when the capture was stored.';
+$string['privacy:metadata:quizaccess_invigilator_logs:page'] = 'The page of the quiz attempt shown when the capture was stored.';
+$string['privacy:metadata:quizaccess_invigilator_logs:slot'] = 'The first question slot on that page.';
+$string['privacy:metadata:quizaccess_invigilator_events'] = 'Stores the proctoring events reported during quiz attempts';
+$string['privacy:metadata:quizaccess_invigilator_events:userid'] = 'The ID of the user who caused the event';
+$string['privacy:metadata:quizaccess_invigilator_events:attemptid'] = 'The ID of the quiz attempt the event belongs to';
+$string['privacy:metadata:quizaccess_invigilator_events:eventtype'] = 'The type of the event';
+$string['privacy:metadata:quizaccess_invigilator_events:details'] = 'Extra information about the event';
+$string['privacy:metadata:quizaccess_invigilator_events:timecreated'] = 'The time the event happened';
+$string['privacy:metadata:quizaccess_invigilator_actions'] = 'Stores the messages, pauses and terminations sent by proctors during quiz attempts';
+$string['privacy:metadata:quizaccess_invigilator_actions:userid'] = 'The ID of the student the action was sent to';
+$string['privacy:metadata:quizaccess_invigilator_actions:senderid'] = 'The ID of the proctor who sent the action';
+$string['privacy:metadata:quizaccess_invigilator_actions:attemptid'] = 'The ID of the quiz attempt the action belongs to';
+$string['privacy:metadata:quizaccess_invigilator_actions:action'] = 'The type of the action';
+$string['privacy:metadata:quizaccess_invigilator_actions:message'] = 'The message shown to the student';
+$string['privacy:metadata:quizaccess_invigilator_actions:timecreated'] = 'The time the action was sent';
+$string['privacy:metadata:quizaccess_invigilator_actions:timedelivered'] = 'The time the browser of the student received the action';
+$string['privacy:metadata:quizaccess_invigilator_actions:timeacknowledged'] = 'The time the student acknowledged the action';
+$string['privacy:metadata:quizaccess_invigilator_flags'] = 'Stores the screenshots flagged by reviewers';
+$string['privacy:metadata:quizaccess_invigilator_flags:userid'] = 'The ID of the student in the screenshot';
+$string['privacy:metadata:quizaccess_invigilator_flags:reviewerid'] = 'The ID of the reviewer who flagged the screenshot';
+$string['privacy:metadata:quizaccess_invigilator_flags:note'] = 'The note of the reviewer';
+$string['privacy:metadata:quizaccess_invigilator_flags:timemodified'] = 'The time the flag was last changed';
+$string['privacy:metadata:quizaccess_invigilator_verdicts'] = 'Stores the verdicts of reviewers on quiz attempts';
+$string['privacy:metadata:quizaccess_invigilator_verdicts:userid'] = 'The ID of the student of the attempt';
+$string['privacy:metadata:quizaccess_invigilator_verdicts:reviewerid'] = 'The ID of the reviewer who gave the verdict';
+$string['privacy:metadata:quizaccess_invigilator_verdicts:attemptid'] = 'The ID of the quiz attempt';
+$string['privacy:metadata:quizaccess_invigilator_verdicts:verdict'] = 'The verdict on the attempt';
+$string['privacy:metadata:quizaccess_invigilator_verdicts:note'] = 'The reason for the verdict';
+$string['privacy:metadata:quizaccess_invigilator_verdicts:timemodified'] = 'The time the verdict was last changed';
+$string['privacy:metadata:quizaccess_invigilator_exports'] = 'Stores who exported the proctoring evidence of students';
+$string['privacy:metadata:quizaccess_invigilator_exports:userid'] = 'The ID of the student whose evidence was exported';
+$string['privacy:metadata:quizaccess_invigilator_exports:exporterid'] = 'The ID of the user who exported the evidence';
+$string['privacy:metadata:quizaccess_invigilator_exports:attemptid'] = 'The ID of the exported quiz attempt';
+$string['privacy:metadata:quizaccess_invigilator_exports:timecreated'] = 'The time the evidence was exported';
+$string['setting:retentiondays'] = 'Retention period (days)';
+$string['setting:retentiondays_desc'] = 'Captures are deleted this many days after their quiz closes, 0 keeps them. Courses can override this period. Captures of attempts in progress, with a flagged capture or with a suspicious or violation verdict are kept. <a href="{$a}">Preview the cleanup</a>.';
+$string['invigilator:manageretention'] = 'Set the retention period of the captures of a course';
+$string['retention'] = 'Capture retention';
+$string['retention_desc'] = 'Captures and proctoring events are deleted by a scheduled task once their retention period after the quiz closes has passed. Captures of attempts in progress, with a flagged capture or with a suspicious or violation verdict are kept until the review is done.';
+$string['retention:site'] = 'Site retention period: {$a}';
+$string['retention:forever'] = 'Keep the captures';
+$string['retention:course'] = 'Days to keep the captures of this course (0 keeps them)';
+$string['retention:sitedefault'] = 'Site default';
+$string['retention:dryrun'] = 'Captures the next cleanup will delete';
+$string['retention:nothing'] = 'No capture has expired.';
+$string['retention:total'] = '{$a} capture(s) will be deleted.';
+$string['retention:timefirst'] = 'First capture';
+$string['retention:timelast'] = 'Last capture';
+$string['retention:purged'] = 'Deleted {$a} expired capture(s) and event(s).';
+$string['task:purgeexpiredcaptures'] = 'Delete expired captures';
+$string['invigilatordetectors'] = 'Capture detectors';
+$string['invigilatordetectors_help'] = 'Detectors that analyse every screenshot on the server after it is stored. Their findings are shown with a score in the report. The keyword detector needs the path to Tesseract OCR set in the plugin settings.';
+$string['invigilatorkeywords'] = 'Forbidden keywords and URLs';
+$string['invigilatorkeywords_help'] = 'One keyword, phrase or URL per line. The keyword detector reports the screenshots on which any of them can be read.';
+$string['invigilatortemplates'] = 'Disallowed application windows';
+$string['invigilatortemplates_help'] = 'Images of disallowed application windows, such as a title bar or an icon cropped from a screenshot of this quiz. The window detector reports the screenshots on which any of them appears.';
+$string['invigilatoridleminutes'] = 'Idle screen minutes';
+$string['invigilatoridleminutes_help'] = 'The idle detector reports a screen that stayed largely unchanged for longer than this many minutes.';
+$string['setting:pathtotesseract'] = 'Path to Tesseract OCR';
+$string['setting:pathtotesseract_desc'] = 'Path to the tesseract executable used by the keyword detector to read the text on the screenshots, for example /usr/bin/tesseract. Leave empty to disable the keyword detector.';
+$string['detector:keywords'] = 'Forbidden keywords';
+$string['detector:keywords_found'] = 'Found on the screen: {$a}';
+$string['detector:keywords_nocopy'] = 'The screenshot {$a} could not be copied for Tesseract.';
+$string['detector:keywords_failed'] = 'Tesseract failed with exit status {$a}.';
+$string['detector:window'] = 'Disallowed application window';
+$string['detector:window_found'] = 'Looks like {$a}';
+$string['detector:idle'] = 'Idle screen';
+$string['detector:idle_found'] = 'Screen largely unchanged for {$a} minutes';
+$string['detector:unavailable'] = '{$a} (not available on this site)';
+$string['detection'] = '{$a->detector} ({$a->score}%): {$a->details}';
+$string['detection:analysed'] = 'Capture {$a->logid} analysed, {$a->count} detection(s).';
+$string['privacy:metadata:quizaccess_invigilator_detections'] = 'Findings of the automatic analysis of the captures of a student.';
+$string['privacy:metadata:quizaccess_invigilator_detections:userid'] = 'The ID of the student of the capture.';
+$string['privacy:metadata:quizaccess_invigilator_detections:detector'] = 'The detector that found something on the capture.';
+$string['privacy:metadata:quizaccess_invigilator_detections:score'] = 'How sure the detector is.';
+$string['privacy:metadata:quizaccess_invigilator_detections:details'] = 'What the detector found.';
+$string['privacy:metadata:quizaccess_invigilator_detections:timecreated'] = 'The time the capture was analysed.';
+$string['analytics'] = 'Proctoring analytics';
+$string['analytics:summary'] = '{$a->attempts} attempt(s) by {$a->students} student(s), {$a->coverage}% average capture coverage, {$a->shareloss} lost share(s), {$a->flags} flagged capture(s). {$a->atrisk} attempt(s) show warning signs and are listed first.';
+$string['analytics:student'] = 'Student';
+$string['analytics:attempt'] = 'Attempt';
+$string['analytics:timestart'] = 'Started';
+$string['analytics:duration'] = 'Duration';
+$string['analytics:expected'] = 'Expected screens';
+$string['analytics:received'] = 'Received screens';
+$string['analytics:coverage'] = 'Coverage';
+$string['analytics:largestgap'] = 'Largest gap';
+$string['analytics:shareloss'] = 'Lost shares';
+$string['analytics:flags'] = 'Flags';
+$string['analytics:risk'] = 'Warning signs';
+$string['event:screenshotuploaded'] = 'Screenshot uploaded';
+$string['event:screenshotdeleted'] = 'Screenshot deleted';
+$string['event:screensharestarted'] = 'Screen share started';
+$string['event:screensharestopped'] = 'Screen share stopped';
+$string['event:attemptflagged'] = 'Attempt flagged';
+$string['event:flagupdated'] = 'Flag updated';
+$string['invigilator:receivealerts'] = 'Receive alerts about lost shares and detections during attempts';
+$string['cachedef_thumbnails'] = 'Thumbnails of the screenshots compared by the idle detector';
+$string['messageprovider:sharelost'] = 'Screen share of a student dropped during a quiz attempt';
+$string['messageprovider:detection'] = 'Suspicious content detected on the screen of a student during a quiz attempt';
+$string['notification:sharelost_subject'] = '{$a->quiz}: screen share of {$a->student} dropped';
+$string['notification:sharelost'] = 'The screen share of {$a->student} in the quiz {$a->quiz} dropped while the attempt is in progress ({$a->event}).';
+$string['notification:detection_subject'] = '{$a->quiz}: suspicious screen of {$a->student}';
+$string['notification:detection'] = 'A screenshot of {$a->student} in the quiz {$a->quiz}, taken while the attempt is in progress, was flagged by a detector. {$a->detection}';
+$string['logsearch:username'] = 'Name or username';
+$string['logsearch:nocaptures'] = 'No captures match the search.';
+$string['logsearch:selectpage'] = 'Select every capture on this page';
+$string['logsearch:pageselected'] = 'All {$a} captures on this page are selected.';
+$string['logsearch:selectall'] = 'Select all {$a} matching captures';
+$string['logsearch:allselected'] = 'All {$a} matching captures are selected.';
+$string['logsearch:clearselection'] = 'Clear selection';
+$string['logsearch:deleteselected'] = 'Delete selected';
+$string['logsearch:deleteconfirm'] = 'Delete {$a} capture(s) and their images? This cannot be undone.';
+$string['logsearch:queued'] = 'The deletion of {$a} capture(s) runs in the background, its progress is shown above the results.';
+$string['logsearch:progress'] = '{$a->deleted} of {$a->total} capture(s) deleted';
+$string['deletion:done'] = 'Deletion {$a->deletionid} finished, {$a->count} capture(s) deleted.';
+$string['systemcheck'] = 'Check my setup';
+$string['systemcheck_desc'] = 'Run these checks before the quiz to make sure your browser can share your screen. Nothing is recorded: the practice screenshot is only kept in your private draft files, which are deleted after a few days.';
+$string['systemcheck:link'] = 'Check your browser and screen sharing before the quiz';
+$string['systemcheck:notproctored'] = 'This quiz does not capture your screen, there is nothing to check.';
+$string['systemcheck:backtoquiz'] = 'Back to the quiz';
+$string['systemcheck:startshare'] = 'Start practice share';
+$string['systemcheck:stopshare'] = 'Stop practice share';
+$string['systemcheck:testupload'] = 'Test upload';
+$string['systemcheck:preview'] = 'Preview of your shared screen';
+$string['systemcheck:pending'] = 'Not checked';
+$string['systemcheck:pass'] = 'Passed';
+$string['systemcheck:warn'] = 'Check';
+$string['systemcheck:fail'] = 'Failed';
+$string['systemcheck:browser'] = 'Browser support';
+$string['systemcheck:browser_pass'] = 'Your browser can share your screen.';
+$string['systemcheck:browser_fail'] = 'Your browser cannot share your screen. Use a recent version of Chrome, Edge or Firefox on a computer; phones and tablets are not supported.';
+$string['systemcheck:secure'] = 'Secure connection';
+$string['systemcheck:secure_pass'] = 'The site is open over a secure connection.';
+$string['systemcheck:secure_fail'] = 'Browsers only share the screen with secure sites. Open this page with an https:// address.';
+$string['systemcheck:share'] = 'Screen share';
+$string['systemcheck:share_pass'] = 'The screen share started.';
+$string['systemcheck:share_fail'] = 'The screen share was refused or cancelled ({$a}). Click Start practice share again and allow it. On macOS, also allow screen recording for your browser in System Settings, Privacy & Security.';
+$string['systemcheck:surface'] = 'Entire screen';
+$string['systemcheck:surface_pass'] = 'You are sharing an entire screen.';
+$string['systemcheck:surface_fail'] = 'You are sharing a {$a} instead of an entire screen. Stop the practice share, start it again and choose Entire screen.';
+$string['systemcheck:surface_warn'] = 'Your browser does not tell what you are sharing. Make sure you choose Entire screen when the quiz asks you to share.';
+$string['systemcheck:webcam'] = 'Camera';
+$string['systemcheck:webcam_pass'] = 'Your camera is working.';
+$string['systemcheck:webcam_fail'] = 'Your camera could not be started ({$a}). Allow camera access for this site and close other applications using the camera.';
+$string['systemcheck:upload'] = 'Test upload';
+$string['systemcheck:upload_pass'] = 'A practice screenshot of {$a->width} x {$a->height} pixels ({$a->size}) was uploaded and processed.';
+$string['systemcheck:upload_fail'] = 'The practice screenshot could not be uploaded. Check your internet connection and try again; tell your teacher if it keeps failing.';
+$string['systemcheck:unreadableimage'] = 'The server could not read the practice screenshot.';
+$string['systemcheck:imagetoolarge'] = 'The practice screenshot is larger than {$a}.';
+$string['systemcheck:summary_pass'] = 'Your setup is ready for the quiz.';
+$string['systemcheck:summary_fail'] = 'Fix the failed checks before you start the quiz.';
+$string['invigilator:manageaccommodations'] = 'Exempt students or groups from the invigilation of a quiz or relax it for them';
+$string['accommodations'] = 'Accommodations';
+$string['accommodations_desc'] = 'Exempt a student or a group from the invigilation of this quiz, capture their screen less often or accept a shared window instead of the entire screen, for example for documented accessibility needs or broken hardware. The accommodation of a student replaces the ones of their groups; a student in several groups gets the most lenient of them.';
+$string['accommodation:for'] = 'Student or group';
+$string['accommodation:students'] = 'Students';
+$string['accommodation:group'] = 'Group {$a}';
+$string['accommodation:exempt'] = 'Exempt from invigilation';
+$string['accommodation:allowwindow'] = 'Window sharing allowed';
+$string['accommodation:screenshotdelay'] = 'Screenshot delay';
+$string['accommodation:quizdefault'] = 'Quiz setting';
+$string['accommodation:choose'] = 'Choose a student or a group.';
+$string['accommodation:nothing'] = 'Choose at least one accommodation.';
+$string['accommodation:none'] = 'No student or group has an accommodation on this quiz.';
+$string['accommodation:deleted'] = 'The accommodation was removed.';
+$string['accommodation:deleteconfirm'] = 'Remove the accommodation of {$a}?';
+$string['accommodation:backtoreport'] = 'Back to the report';
+$string['accommodation:badge'] = 'Accommodation';
+$string['accommodation:exemptbadge'] = 'Exempted';
+$string['accommodation:fromgroup'] = 'through a group';
+$string['accommodation:exemptlist'] = 'Exempted from invigilation, their screen is not captured: {$a}';
+$string['accommodation:exemptnotice'] = 'You are exempted from the invigilation of this quiz, your screen will not be captured.';
+$string['privacy:metadata:quizaccess_invigilator_accommodations'] = 'Students exempted from the invigilation of a quiz or for whom it was relaxed.';
+$string['privacy:metadata:quizaccess_invigilator_accommodations:userid'] = 'The ID of the student.';
+$string['privacy:metadata:quizaccess_invigilator_accommodations:exempt'] = 'Whether the screen of the student is not captured.';
+$string['privacy:metadata:quizaccess_invigilator_accommodations:screenshotdelay'] = 'The seconds between two screenshots of the student.';
+$string['privacy:metadata:quizaccess_invigilator_accommodations:allowwindow'] = 'Whether the student may share a window instead of the entire screen.';
+$string['privacy:metadata:quizaccess_invigilator_accommodations:usermodified'] = 'The ID of the teacher who set the accommodation.';
+$string['privacy:metadata:quizaccess_invigilator_accommodations:timemodified'] = 'The time the accommodation was set.';
+$string['setting:privacynotice'] = 'Privacy notice';
+$string['setting:privacynotice_desc'] = 'Shown to students before they share their screen, they must accept it to start the quiz. Saving a change gives the notice a new version and students are asked to accept it again. Leave empty to use the default notice. Current version: {$a}.';
+$string['privacynotice'] = 'Privacy notice';
+$string['privacynotice:default'] = '<p>While you attempt this quiz, screenshots of your entire screen are taken at regular intervals and, when the quiz requires it, pictures from your camera. They are stored on this site with the time they were taken and the proctoring events of your attempt, such as a stopped screen share.</p><p>Your teachers and the site administrators review them to check the integrity of the quiz. They are deleted at the end of the retention period of the course.</p>';
+$string['privacynotice:accept'] = 'I have read and accept the privacy notice (version {$a})';
+$string['privacynotice:required'] = 'You must accept the privacy notice before sharing your screen.';
+$string['privacynotice:changed'] = 'The privacy notice has changed since this page was opened. Reload the page and read the new notice.';
+$string['privacynotice:accepted'] = 'Version {$a->version}, {$a->time}';
+$string['privacynotice:notaccepted'] = 'Not accepted';
+$string['privacynotice:outdated'] = 'Older version';
+$string['privacy:metadata:quizaccess_invigilator_consents'] = 'Privacy notices accepted by a student before sharing their screen.';
+$string['privacy:metadata:quizaccess_invigilator_consents:userid'] = 'The ID of the student who accepted the notice.';
+$string['privacy:metadata:quizaccess_invigilator_consents:quizid'] = 'The ID of the quiz.';
+$string['privacy:metadata:quizaccess_invigilator_consents:noticeversion'] = 'The version of the accepted privacy notice.';
+$string['privacy:metadata:quizaccess_invigilator_consents:noticehash'] = 'A fingerprint of the text of the accepted privacy notice.';
+$string['privacy:metadata:quizaccess_invigilator_consents:timecreated'] = 'The time the privacy notice was accepted.';
+$string['privacy:metadata:quizaccess_invigilator_chains'] = 'The signed end of the hash chain of the captures of a student, to detect deleted captures.';
+$string['privacy:metadata:quizaccess_invigilator_chains:userid'] = 'The ID of the student of the captures.';
+$string['privacy:metadata:quizaccess_invigilator_chains:attemptid'] = 'The ID of the quiz attempt of the captures.';
+$string['privacy:metadata:quizaccess_invigilator_chains:chainseq'] = 'The number of captures in the chain.';
+$string['privacy:metadata:quizaccess_invigilator_chains:timemodified'] = 'The time the last capture was added to the chain.';
@@ -36,6 +36,17 @@ defined('MOODLE_INTERNAL') || die();
  * @return bool false if the file not found, just send the file otherwise and do not return anything.
  */
 function quizaccess_invigilator_pluginfile($course, $cm, $context, $filearea, $args, $forcedownload, array $options=array()) {
+    global $USER;
+
+    if ($context->contextlevel != CONTEXT_MODULE) {
+        return false;
+    }
+    require_login($course, false, $cm);
+    if ($filearea === \quizaccess_invigilator\evidence_export::FILEAREA) {
+        require_capability('quizaccess/invigilator:exportevidence', $context);
+    } else if ($filearea !== 'picture') {
+        return false;
+    }
     $itemid = array_shift($args);
     $filename = array_pop($args);
     if (!$args) {
@@ -48,5 +59,9 @@ function quizaccess_invigilator_pluginfile($course, $cm, $context, $filearea, $a
     if (!$file) {
         return false;
     }
+    // Students may see their own captures, the captures of the others are for the teachers.
+    if ($filearea === 'picture' && $file->get_userid() != $USER->id) {
+        require_capability('quizaccess/invigilator:viewreport', $context);
+    }
     send_stored_file($file, 0, 0, $forcedownload, $options);
 }
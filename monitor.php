@@ -0,0 +1,77 @@
+<?php
+// This file is part of Moodle invigilator for Moodle - http://moodle.org/
+//
+// Moodle invigilator is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle invigilator is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with MailTest.  If not, see <http://www.gnu.org/licenses/>.
+/**
+ * Live monitoring of the attempts in progress for the quizaccess_invigilator plugin.
+ *
+ * @package   quizaccess_invigilator
+ * @copyright 2021 Brain Station 23
+ * @license   http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later.
+ */
+
+require_once(__DIR__ . '/../../../../config.php');
+
+$cmid = required_param('cmid', PARAM_INT);
+
+list($course, $cm) = get_course_and_cm_from_cmid($cmid, 'quiz');
+$context = context_module::instance($cmid, MUST_EXIST);
+
+require_login($course, true, $cm);
+require_capability('quizaccess/invigilator:viewreport', $context);
+
+$quiz = $DB->get_record('quiz', array('id' => $cm->instance), '*', MUST_EXIST);
+
+$url = new moodle_url('/mod/quiz/accessrule/invigilator/monitor.php', array('cmid' => $cmid));
+$reporturl = new moodle_url('/mod/quiz/accessrule/invigilator/report.php', array('courseid' => $course->id, 'cmid' => $cmid));
+
+$PAGE->set_url($url);
+$PAGE->set_pagelayout('course');
+$PAGE->set_title($course->shortname . ': ' . get_string('livemonitor', 'quizaccess_invigilator'));
+$PAGE->set_heading($course->fullname . ': ' . get_string('pluginname', 'quizaccess_invigilator'));
+
+$PAGE->navbar->add(get_string('quizaccess_invigilator_label', 'quizaccess_invigilator'), $reporturl);
+$PAGE->navbar->add(get_string('livemonitor', 'quizaccess_invigilator'), $url);
+
+$record = new stdClass();
+$record->cmid = $cmid;
+$record->courseid = $course->id;
+$record->refreshinterval = 10;
+$record->reporturl = $reporturl->out(false);
+$record->noactiveattempts = get_string('noactiveattempts', 'quizaccess_invigilator');
+$record->nocapture = get_string('nocapture', 'quizaccess_invigilator');
+$record->lastcapture = get_string('lastcapture', 'quizaccess_invigilator');
+$record->stalemsg = get_string('monitor:stale', 'quizaccess_invigilator');
+$record->sharelostmsg = get_string('monitor:sharelost', 'quizaccess_invigilator');
+$record->exemptmsg = get_string('accommodation:exempt', 'quizaccess_invigilator');
+$record->canproctor = has_capability('quizaccess/invigilator:proctor', $context);
+$record->pausedmsg = get_string('monitor:paused', 'quizaccess_invigilator');
+$record->messagebtn = get_string('proctor:message', 'quizaccess_invigilator');
+$record->pausebtn = get_string('proctor:pause', 'quizaccess_invigilator');
+$record->resumebtn = get_string('proctor:resume', 'quizaccess_invigilator');
+$record->terminatebtn = get_string('proctor:terminate', 'quizaccess_invigilator');
+$record->messageprompt = get_string('proctor:messageprompt', 'quizaccess_invigilator');
+$record->terminateconfirm = get_string('proctor:terminateconfirm', 'quizaccess_invigilator');
+$record->actionsent = get_string('proctor:sent', 'quizaccess_invigilator');
+$PAGE->requires->js_call_amd('quizaccess_invigilator/lightbox2', 'setReplay', [
+    \quizaccess_invigilator\capture::get_replay_options(\quizaccess_invigilator\live_monitor::get_screenshot_delay($quiz->id))]);
+$PAGE->requires->js_call_amd('quizaccess_invigilator/monitor', 'setup', [$record]);
+
+echo $OUTPUT->header();
+echo '<div id="main"><h2>' . get_string('livemonitor', 'quizaccess_invigilator') . ': ' . format_string($quiz->name) . '</h2>';
+echo '<div class="box generalbox m-b-1 alert alert-info p-y-1">'
+    . get_string('livemonitor_desc', 'quizaccess_invigilator') . '</div>';
+echo '<div id="invigilator-monitor" class="invigilator-monitor"></div>';
+echo '</div>';
+echo $OUTPUT->footer();
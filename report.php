@@ -33,6 +33,8 @@ $searchkey = optional_param('searchKey', '', PARAM_TEXT);
 $submittype = optional_param('submitType', '', PARAM_TEXT);
 $reportid = optional_param('reportid', '', PARAM_INT);
 $logaction = optional_param('logaction', '', PARAM_TEXT);
+$verdictfilter = optional_param('verdict', '', PARAM_ALPHA);
+$verdictattempt = optional_param('verdictattempt', 0, PARAM_INT);
 
 $context = context_module::instance($cmid, MUST_EXIST);
 
@@ -55,6 +57,9 @@ if ($studentid) {
 if ($reportid) {
     $params['reportid'] = $reportid;
 }
+if ($verdictfilter) {
+    $params['verdict'] = $verdictfilter;
+}
 
 $url = new moodle_url(
     '/mod/quiz/accessrule/invigilator/report.php',
@@ -78,6 +83,20 @@ $PAGE->requires->js_call_amd('quizaccess_invigilator/lightbox2');
 
 $settingsbtn = "";
 $logbtn = "";
+$monitorbtn = "";
+$exportbtn = "";
+$retentionbtn = "";
+$accommodationsbtn = "";
+$canexport = has_capability('quizaccess/invigilator:exportevidence', $context);
+
+if (has_capability('quizaccess/invigilator:viewreport', $context, $USER->id)) {
+    $monitorurl = new moodle_url('/mod/quiz/accessrule/invigilator/monitor.php', array('cmid' => $cmid));
+    $monitorbtn = '<a class="btn btn-primary" style="margin-right:5px" href="' . $monitorurl . '">'
+        . get_string('livemonitor', 'quizaccess_invigilator') . '</a>';
+    $verifyurl = new moodle_url('/mod/quiz/accessrule/invigilator/verify.php', array('cmid' => $cmid));
+    $monitorbtn .= '<a class="btn btn-primary" style="margin-right:5px" href="' . $verifyurl . '">'
+        . get_string('integrity:verify', 'quizaccess_invigilator') . '</a>';
+}
 
 if (has_capability('quizaccess/invigilator:deletescreenshot', $context, $USER->id)) {
     $settingspageurl = $CFG->wwwroot . '/mod/quiz/accessrule/invigilator/invigilatorsummary.php?cmid=' . $cmid;
@@ -89,6 +108,24 @@ if (has_capability('quizaccess/invigilator:deletescreenshot', $context, $USER->i
     $logbtn = '<a class="btn btn-primary" style="margin-left:5px" href="' . $logpageurl . '">' . $logbtnlabel . '</a>';
 }
 
+if ($canexport) {
+    $exporturl = new moodle_url('/mod/quiz/accessrule/invigilator/export.php', array('cmid' => $cmid));
+    $exportbtn = $OUTPUT->single_button($exporturl, get_string('evidence:exportquiz', 'quizaccess_invigilator'), 'post',
+        array('class' => 'd-inline-block mr-1', 'primary' => true));
+}
+
+if (has_capability('quizaccess/invigilator:manageretention', context_course::instance($course->id))) {
+    $retentionurl = new moodle_url('/mod/quiz/accessrule/invigilator/retention.php', array('courseid' => $course->id));
+    $retentionbtn = '<a class="btn btn-primary" style="margin-left:5px" href="' . $retentionurl . '">'
+        . get_string('retention', 'quizaccess_invigilator') . '</a>';
+}
+
+if (has_capability('quizaccess/invigilator:manageaccommodations', $context)) {
+    $accommodationsurl = new moodle_url('/mod/quiz/accessrule/invigilator/accommodations.php', array('cmid' => $cmid));
+    $accommodationsbtn = '<a class="btn btn-primary" style="margin-left:5px" href="' . $accommodationsurl . '">'
+        . get_string('accommodations', 'quizaccess_invigilator') . '</a>';
+}
+
 if ($submittype == 'Search' && $searchkey != null) {
     $searchform = '<form action="' . $CFG->wwwroot
         . '/mod/quiz/accessrule/invigilator/report.php"><input type="hidden" id="courseid" name="courseid" value="'
@@ -119,7 +156,16 @@ if (
     && $reportid != null
     && $logaction == "delete"
 ) {
+    require_sesskey();
+    $deletedlogs = $DB->get_records('quizaccess_invigilator_logs',
+        array('courseid' => $courseid, 'cmid' => $cmid, 'userid' => $studentid));
+    foreach ($deletedlogs as $deletedlog) {
+        \quizaccess_invigilator\event\screenshot_deleted::create_from_log($deletedlog)->trigger();
+    }
+    $DB->delete_records_list('quizaccess_invigilator_detections', 'logid', array_keys($deletedlogs));
+    $DB->delete_records_list('quizaccess_invigilator_flags', 'logid', array_keys($deletedlogs));
     $DB->delete_records('quizaccess_invigilator_logs', array('courseid' => $courseid, 'cmid' => $cmid, 'userid' => $studentid));
+    \quizaccess_invigilator\integrity::delete_empty_heads($cmid);
     // Delete users file (webcam images).
     $filesql = 'SELECT * FROM {files} WHERE userid = :studentid  AND contextid = :contextid' .
         ' AND component = \'quizaccess_invigilator\' AND filearea = \'picture\'';
@@ -167,10 +213,22 @@ if (
     redirect($url2, get_string('imgdlt', 'quizaccess_invigilator'), -11);
 }
 
+if (has_capability('quizaccess/invigilator:review', $context) && $verdictattempt) {
+    require_sesskey();
+    $verdict = required_param('verdictvalue', PARAM_ALPHA);
+    if (!in_array($verdict, \quizaccess_invigilator\review::get_verdicts())) {
+        throw new invalid_parameter_exception('Unknown verdict ' . $verdict);
+    }
+    $attempt = $DB->get_record('quiz_attempts', array('id' => $verdictattempt, 'quiz' => $quiz->id), '*', MUST_EXIST);
+    \quizaccess_invigilator\review::set_verdict($attempt, $cm->get_course_module_record(), $USER->id, $verdict,
+        optional_param('verdictnote', '', PARAM_TEXT));
+    redirect($url, get_string('verdictsaved', 'quizaccess_invigilator'), null, \core\output\notification::NOTIFY_SUCCESS);
+}
+
 echo $OUTPUT->header();
 echo '<div id="main"><h2>' . get_string('invigilatorreports', 'quizaccess_invigilator') . ''
     . $quiz->name . '</h2>' . '<br/><br/><div style="float: left">' . $searchform . '</div>' . '<div style="float: right">'
-    . $settingsbtn . $logbtn . '</div><br/><br/><div class="box generalbox m-b-1 adminerror alert alert-info p-y-1">'
+    . $monitorbtn . $exportbtn . $settingsbtn . $logbtn . $retentionbtn . $accommodationsbtn . '</div><br/><br/><div class="box generalbox m-b-1 adminerror alert alert-info p-y-1">'
     . get_string('screenshot', 'quizaccess_invigilator') . '</div>';
 
 // Report print.
@@ -221,12 +279,14 @@ if (
     // Print report.
     $table = new flexible_table('invigilator-report-' . $COURSE->id . '-' . $cmid);
 
-    $table->define_columns(array('fullname', 'email', 'dateverified', 'actions'));
+    $table->define_columns(array('fullname', 'email', 'dateverified', 'verdict', 'consent', 'actions'));
     $table->define_headers(
         array(
             get_string('user'),
             get_string('email'),
             get_string('dateverified', 'quizaccess_invigilator'),
+            get_string('verdict', 'quizaccess_invigilator'),
+            get_string('privacynotice', 'quizaccess_invigilator'),
             get_string('actions', 'quizaccess_invigilator')
         )
     );
@@ -246,51 +306,172 @@ if (
     }
 
 
+    // Filter the students by the most severe verdict on their attempts.
+    $userverdicts = \quizaccess_invigilator\review::get_user_verdicts($cmid);
+    $verdictoptions = \quizaccess_invigilator\review::get_verdict_options();
+    $verdictoptions[\quizaccess_invigilator\review::VERDICT_NONE] = get_string('verdict:none', 'quizaccess_invigilator');
+    if ($studentid == null) {
+        $filterurl = new moodle_url($url);
+        $filterurl->remove_params('verdict');
+        echo $OUTPUT->single_select($filterurl, 'verdict', $verdictoptions, $verdictfilter,
+            array('' => get_string('verdict:all', 'quizaccess_invigilator')), null,
+            array('label' => get_string('verdict', 'quizaccess_invigilator')));
+    }
+
+    // Mark the students whose invigilation was relaxed, the exempted ones may have no capture at all.
+    $accommodations = \quizaccess_invigilator\accommodation::get_for_users($cmid,
+        $studentid ? array($studentid) : array_column($sqlexecuted, 'studentid'));
+    $exempted = array();
+    foreach ($studentid ? array() : \quizaccess_invigilator\accommodation::get_all($cmid) as $row) {
+        if ($row->exempt && ($row->userid ? $row->firstname !== null : $row->groupname !== null)) {
+            $exempted[] = $row->userid ? fullname($row) :
+                get_string('accommodation:group', 'quizaccess_invigilator', format_string($row->groupname));
+        }
+    }
+    // Privacy notice accepted by each student, the old versions are marked.
+    $consents = \quizaccess_invigilator\consent::get_latest($cmid);
+    $noticeversion = \quizaccess_invigilator\consent::get_notice()->version;
+
+    if ($exempted) {
+        echo $OUTPUT->notification(get_string('accommodation:exemptlist', 'quizaccess_invigilator',
+            implode(', ', $exempted)), 'info');
+    }
+
     foreach ($sqlexecuted as $info) {
+        $userverdict = $userverdicts[$info->studentid] ?? \quizaccess_invigilator\review::VERDICT_NONE;
+        if ($verdictfilter && $verdictfilter !== $userverdict) {
+            continue;
+        }
         $data = array();
         $data[] = '<a href="' . $CFG->wwwroot . '/user/view.php?id='
             . $info->studentid . '&course=' . $courseid . '" target="_blank">' . $info->firstname . ' ' . $info->lastname . '</a>';
+        if (isset($accommodations[$info->studentid])) {
+            $data[0] .= ' ' . \quizaccess_invigilator\accommodation::get_badge($accommodations[$info->studentid]);
+        }
 
         $data[] = $info->email;
 
         $data[] = date("Y/M/d H:m:s", $info->timecreated);
 
+        $data[] = $verdictoptions[$userverdict] ?? s($userverdict);
+
+        if (isset($consents[$info->studentid])) {
+            $consent = $consents[$info->studentid];
+            $data[] = get_string('privacynotice:accepted', 'quizaccess_invigilator', (object)array(
+                'version' => $consent->noticeversion,
+                'time' => userdate($consent->timecreated)
+            ));
+            if ($consent->noticeversion < $noticeversion) {
+                $data[count($data) - 1] .= ' ' . html_writer::span(
+                    get_string('privacynotice:outdated', 'quizaccess_invigilator'), 'badge badge-warning');
+            }
+        } else {
+            $data[] = get_string('privacynotice:notaccepted', 'quizaccess_invigilator');
+        }
+
         $con = "return confirm('Are you sure want to delete the pictures?');";
-        $btn = '<a onclick="' . $con . '" href="?courseid=' . $courseid . '&quizid=' . $cmid . '&cmid='
-            . $cmid . '&studentid=' . $info->studentid . '&reportid='
-            . $info->reportid . '&logaction=delete"><i class="icon fa fa-trash fa-fw "></i></a>';
+        $btn = html_writer::start_tag('form', array('method' => 'post', 'action' => $navurl->out(false),
+            'class' => 'd-inline', 'onsubmit' => $con));
+        $btn .= html_writer::empty_tag('input', array('type' => 'hidden', 'name' => 'sesskey', 'value' => sesskey()));
+        $btn .= html_writer::empty_tag('input', array('type' => 'hidden', 'name' => 'studentid', 'value' => $info->studentid));
+        $btn .= html_writer::empty_tag('input', array('type' => 'hidden', 'name' => 'reportid', 'value' => $info->reportid));
+        $btn .= html_writer::empty_tag('input', array('type' => 'hidden', 'name' => 'logaction', 'value' => 'delete'));
+        $btn .= html_writer::tag('button', '<i class="icon fa fa-trash fa-fw "></i>',
+            array('type' => 'submit', 'class' => 'btn btn-link p-0', 'title' => get_string('delete')));
+        $btn .= html_writer::end_tag('form');
         $data[] = '<a href="?courseid=' . $courseid . '&quizid=' . $quiz->id . '&cmid='
             . $cmid . '&studentid=' . $info->studentid . '&reportid=' . $info->reportid . '">'
             . '<i class="icon fa fa-folder-o fa-fw "></i>' . '</a>' . $btn;
+        if ($canexport) {
+            $exporturl = new moodle_url('/mod/quiz/accessrule/invigilator/export.php',
+                array('cmid' => $cmid, 'studentid' => $info->studentid));
+            $data[count($data) - 1] .= $OUTPUT->single_button($exporturl, get_string('evidence:export', 'quizaccess_invigilator'),
+                'post', array('class' => 'd-inline-block ml-1'));
+        }
 
         $table->add_data($data);
     }
     $table->finish_html();
 
+    // Print who exported the evidence of this quiz.
+    $exports = $canexport && $studentid == null ? \quizaccess_invigilator\evidence_export::get_exports($cmid) : array();
+    if ($exports) {
+        echo '<h3>' . get_string('evidence:exports', 'quizaccess_invigilator') . '</h3>';
+
+        $tableexports = new flexible_table('invigilator-report-exports' . $COURSE->id . '-' . $cmid);
+        $tableexports->define_columns(array('timecreated', 'exporterid', 'userid', 'attemptid', 'filecount', 'contenthash',
+            'archive'));
+        $tableexports->define_headers(
+            array(
+                get_string('dateverified', 'quizaccess_invigilator'),
+                get_string('evidence:exportedby', 'quizaccess_invigilator'),
+                get_string('evidence:student', 'quizaccess_invigilator'),
+                get_string('attempt', 'quizaccess_invigilator'),
+                get_string('evidence:filecount', 'quizaccess_invigilator'),
+                get_string('evidence:contenthash', 'quizaccess_invigilator'),
+                get_string('evidence:download', 'quizaccess_invigilator')
+            )
+        );
+        $tableexports->define_baseurl($url);
+        $tableexports->set_attribute('cellpadding', '2');
+        $tableexports->set_attribute('class', 'generaltable generalbox reporttable');
+        $tableexports->setup();
+
+        foreach ($exports as $export) {
+            $exporter = core_user::get_user($export->exporterid);
+            $student = $export->userid ? core_user::get_user($export->userid) : null;
+            $attemptnumber = $export->attemptid ? $DB->get_field('quiz_attempts', 'attempt', array('id' => $export->attemptid)) : 0;
+            $archiveurl = \quizaccess_invigilator\evidence_export::get_archive_url($export);
+            $tableexports->add_data(array(
+                date("Y/M/d H:i:s", $export->timecreated),
+                $exporter ? fullname($exporter) : '-',
+                $student ? fullname($student) : get_string('evidence:allstudents', 'quizaccess_invigilator'),
+                $attemptnumber ? get_string('attemptnumber', 'quizaccess_invigilator', $attemptnumber) :
+                    get_string('evidence:allattempts', 'quizaccess_invigilator'),
+                $export->filecount,
+                '<code>' . $export->contenthash . '</code>',
+                $archiveurl ? html_writer::link($archiveurl, get_string('evidence:download', 'quizaccess_invigilator')) : '-'
+            ));
+        }
+        $tableexports->finish_html();
+    }
 
     // Print image results.
     if ($studentid != null && $cmid != null && $courseid != null && $reportid != null) {
         $data = array();
         $sql = "SELECT e.id as reportid, e.userid as studentid, e.screenshot as screenshot," .
-            " e.timecreated as timecreated, u.firstname as firstname," .
-            " u.lastname as lastname, u.email as email" .
+            " e.capturetype as capturetype, e.timecreated as timecreated, e.attemptid as attemptid, e.page as page," .
+            " e.slot as slot, u.firstname as firstname, u.lastname as lastname, u.email as email" .
             " FROM {quizaccess_invigilator_logs} e INNER JOIN {user} u  ON u.id = e.userid" .
-            " WHERE e.courseid = '$courseid' AND e.cmid = '$cmid' AND u.id = '$studentid'";
+            " WHERE e.courseid = '$courseid' AND e.cmid = '$cmid' AND u.id = '$studentid'" .
+            " ORDER BY e.timecreated, e.id";
 
         $sqlexecuted = $DB->get_records_sql($sql);
         echo '<h3>' . get_string('picturesusedreport', 'quizaccess_invigilator') . '</h3>';
 
+        // Replay the screenshots with the proctoring events of the student marked on the scrub bar.
+        $replay = \quizaccess_invigilator\capture::get_replay_options(
+            \quizaccess_invigilator\live_monitor::get_screenshot_delay($quiz->id));
+        foreach (\quizaccess_invigilator\event_log::get_user_events($cmid, $studentid) as $event) {
+            if ($event->eventtype === \quizaccess_invigilator\event_log::TYPE_NO_CHANGE) {
+                continue;
+            }
+            $replay->events[] = ['time' => (int)$event->timecreated,
+                'label' => \quizaccess_invigilator\event_log::get_type_name($event->eventtype)];
+        }
+        if (has_capability('quizaccess/invigilator:review', $context)) {
+            $replay->annotate = true;
+            $PAGE->requires->js_call_amd('quizaccess_invigilator/review', 'setup', [array('cmid' => $cmid)]);
+        }
+        $PAGE->requires->js_call_amd('quizaccess_invigilator/lightbox2', 'setReplay', [$replay]);
+
         $tablepictures = new flexible_table('invigilator-report-pictures' . $COURSE->id . '-' . $cmid);
 
-        $tablepictures->define_columns(
-            array(
-                get_string('name', 'quizaccess_invigilator'),
-                get_string('screenshot', 'quizaccess_invigilator')
-            )
-        );
+        $tablepictures->define_columns(array('name', 'attempt', 'screenshot'));
         $tablepictures->define_headers(
             array(
                 get_string('name', 'quizaccess_invigilator'),
+                get_string('attempt', 'quizaccess_invigilator'),
                 get_string('screenshot', 'quizaccess_invigilator')
             )
         );
@@ -300,33 +481,205 @@ if (
         $tablepictures->set_attribute('class', 'generaltable generalbox reporttable');
 
         $tablepictures->setup();
-        $pictures = '';
 
         $user = core_user::get_user($studentid);
 
+        // Show webcam snapshots next to the screenshot taken around the same time.
+        $tolerance = max(\quizaccess_invigilator\live_monitor::get_screenshot_delay($quiz->id),
+            (int)get_config('quizaccess_invigilator', 'webcamdelay'));
+        $flags = \quizaccess_invigilator\review::get_flags($cmid, $studentid);
+        $detections = \quizaccess_invigilator\analysis::get_detections($cmid, $studentid);
+
+        // Group the captures by the attempt they were taken in, captures outside an attempt come last.
+        $groups = array();
         foreach ($sqlexecuted as $info) {
-            $d = basename($info->screenshot, '.png');
-            $imgid = "reportid-" . $info->reportid;
-
-            $pictures .= $info->screenshot ? '<a href="' . $info->screenshot . '" data-lightbox="procImages"' . ' data-title ="'
-                . $info->firstname . ' ' . $info->lastname . '">' . '<img id="'
-                . $imgid . '" width="100" src="' . $info->screenshot . '" alt="'
-                . $info->firstname . ' ' . $info->lastname . '" data-lightbox="'
-                . basename($info->screenshot, '.png') . '"/></a>' : '';
+            $groups[(int)$info->attemptid][] = $info;
+        }
+        if (isset($groups[0])) {
+            $outside = $groups[0];
+            unset($groups[0]);
+            $groups[0] = $outside;
         }
 
-        $userinfo = '<table border="0" width="110" height="160px">'
-            . '<tr height="120" style="background-color: transparent;"><td style="border: unset;">'
-            . $OUTPUT->user_picture($user, array('size' => 100)) . '</td></tr><tr height="50"><td style="border: unset;"><b>'
-            . $info->firstname . ' ' . $info->lastname . '</b></td></tr><tr height="50"><td style="border: unset;"><b>'
-            . $info->email . '</b></td></tr></table>';
-
-        $datapictures = array(
-            $userinfo,
-            $pictures
-        );
-        $tablepictures->add_data($datapictures);
+        $first = true;
+        foreach ($groups as $attemptid => $captures) {
+            $pictures = '';
+            $pairs = \quizaccess_invigilator\capture::pair_captures($captures, $tolerance);
+            foreach ($pairs as $pair) {
+                $info = $pair->screen ? $pair->screen : $pair->webcam;
+                $imgid = "reportid-" . $info->reportid;
+                $face = $pair->screen && $pair->webcam ? ' data-face="' . $pair->webcam->screenshot . '"' : '';
+                $flag = \quizaccess_invigilator\review::get_flag_attributes($info->reportid, $flags[$info->reportid] ?? null);
+                $title = $info->firstname . ' ' . $info->lastname;
+                if ($info->page !== null) {
+                    $title .= ' - ' . get_string('page', 'quizaccess_invigilator', $info->page + 1);
+                }
+                $found = isset($detections[$info->reportid]) ?
+                    array_map('\quizaccess_invigilator\analysis::describe', $detections[$info->reportid]) : array();
+                if ($found) {
+                    $title .= ' - ' . implode('; ', $found);
+                }
+
+                $pictures .= $info->screenshot ? '<a href="' . $info->screenshot . '" data-lightbox="procImages"' . $face . $flag
+                    . ' data-time="' . $info->timecreated . '" data-title ="' . s($title) . '">'
+                    . '<img id="'
+                    . $imgid . '" width="100" src="' . $info->screenshot . '" alt="'
+                    . $info->firstname . ' ' . $info->lastname . '" data-lightbox="'
+                    . basename($info->screenshot, '.png') . '"/></a>' : '';
+                if ($found) {
+                    $pictures .= '<span class="badge badge-warning invigilator-detection" title="' . s(implode('; ', $found))
+                        . '">' . round($detections[$info->reportid][0]->score * 100) . '%</span>';
+                }
+                if ($face) {
+                    $pictures .= '<img class="invigilator-face" height="56" src="' . $pair->webcam->screenshot . '" alt="'
+                        . get_string('webcam', 'quizaccess_invigilator') . '"/>';
+                }
+            }
+
+            $attemptinfo = get_string('noattempt', 'quizaccess_invigilator');
+            $attempt = $attemptid ? $DB->get_record('quiz_attempts', array('id' => $attemptid)) : null;
+            if ($attempt) {
+                $reviewurl = new moodle_url('/mod/quiz/review.php', array('attempt' => $attempt->id, 'cmid' => $cmid));
+                $attemptinfo = get_string('attemptnumber', 'quizaccess_invigilator', $attempt->attempt) . '<br/>'
+                    . date("Y/M/d H:i:s", $attempt->timestart) . '<br/>'
+                    . html_writer::link($reviewurl, get_string('reviewattempt', 'quizaccess_invigilator'));
+            }
+
+            $userinfo = '';
+            if ($first) {
+                $userinfo = '<table border="0" width="110" height="160px">'
+                    . '<tr height="120" style="background-color: transparent;"><td style="border: unset;">'
+                    . $OUTPUT->user_picture($user, array('size' => 100)) . '</td></tr><tr height="50"><td style="border: unset;"><b>'
+                    . $info->firstname . ' ' . $info->lastname . '</b></td></tr><tr height="50"><td style="border: unset;"><b>'
+                    . $info->email . '</b></td></tr></table>';
+                $first = false;
+            }
+
+            $tablepictures->add_data(array($userinfo, $attemptinfo, $pictures));
+        }
         $tablepictures->finish_html();
+
+        // Print the verdicts on the attempts of the student.
+        $attempts = $DB->get_records('quiz_attempts', array('quiz' => $quiz->id, 'userid' => $studentid, 'preview' => 0),
+            'attempt ASC');
+        if ($attempts) {
+            echo '<h3>' . get_string('verdicts', 'quizaccess_invigilator') . '</h3>';
+            $verdicts = \quizaccess_invigilator\review::get_attempt_verdicts($cmid, $studentid);
+            $canreview = has_capability('quizaccess/invigilator:review', $context);
+
+            $tableverdicts = new flexible_table('invigilator-report-verdicts' . $COURSE->id . '-' . $cmid);
+            $columns = array('attempt', 'verdict');
+            $headers = array(get_string('attempt', 'quizaccess_invigilator'), get_string('verdict', 'quizaccess_invigilator'));
+            if ($canexport) {
+                $columns[] = 'export';
+                $headers[] = get_string('evidence:export', 'quizaccess_invigilator');
+            }
+            $tableverdicts->define_columns($columns);
+            $tableverdicts->define_headers($headers);
+            $tableverdicts->define_baseurl($url);
+            $tableverdicts->set_attribute('cellpadding', '2');
+            $tableverdicts->set_attribute('class', 'generaltable generalbox reporttable');
+            $tableverdicts->setup();
+
+            foreach ($attempts as $attempt) {
+                $verdict = $verdicts[$attempt->id] ?? null;
+                $attemptname = get_string('attemptnumber', 'quizaccess_invigilator', $attempt->attempt) . ' ('
+                    . date("Y/M/d H:i:s", $attempt->timestart) . ')';
+                $exportlink = array();
+                if ($canexport) {
+                    $exporturl = new moodle_url('/mod/quiz/accessrule/invigilator/export.php',
+                        array('cmid' => $cmid, 'attemptid' => $attempt->id));
+                    $exportlink[] = $OUTPUT->single_button($exporturl, get_string('evidence:export', 'quizaccess_invigilator'),
+                        'post', array('class' => 'd-inline-block'));
+                }
+                if ($canreview) {
+                    $form = html_writer::start_tag('form', array('method' => 'post', 'action' => $url->out(false),
+                        'class' => 'form-inline'));
+                    $form .= html_writer::empty_tag('input', array('type' => 'hidden', 'name' => 'sesskey', 'value' => sesskey()));
+                    $form .= html_writer::empty_tag('input',
+                        array('type' => 'hidden', 'name' => 'verdictattempt', 'value' => $attempt->id));
+                    $form .= html_writer::select(\quizaccess_invigilator\review::get_verdict_options(), 'verdictvalue',
+                        $verdict ? $verdict->verdict : '', false, array('class' => 'custom-select mr-1'));
+                    $form .= html_writer::empty_tag('input', array('type' => 'text', 'name' => 'verdictnote',
+                        'value' => $verdict ? $verdict->note : '', 'class' => 'form-control mr-1',
+                        'placeholder' => get_string('verdictnote', 'quizaccess_invigilator')));
+                    $form .= html_writer::empty_tag('input', array('type' => 'submit', 'class' => 'btn btn-secondary',
+                        'value' => get_string('savechanges')));
+                    $form .= html_writer::end_tag('form');
+                    $tableverdicts->add_data(array_merge(array($attemptname, $form), $exportlink));
+                } else if ($verdict) {
+                    $tableverdicts->add_data(array_merge(array($attemptname,
+                        \quizaccess_invigilator\review::get_verdict_name($verdict->verdict) . ' ' . s($verdict->note)), $exportlink));
+                } else {
+                    $tableverdicts->add_data(array_merge(array($attemptname, get_string('verdict:none', 'quizaccess_invigilator')),
+                        $exportlink));
+                }
+            }
+            $tableverdicts->finish_html();
+        }
+
+        // Print the timeline of events and screenshots, without the no change heartbeats left out of the replay too.
+        $timeline = array_filter(\quizaccess_invigilator\event_log::get_user_timeline($cmid, $studentid), function($entry) {
+            return !$entry->event || $entry->event->eventtype !== \quizaccess_invigilator\event_log::TYPE_NO_CHANGE;
+        });
+        if ($timeline) {
+            echo '<h3>' . get_string('timeline', 'quizaccess_invigilator') . '</h3>';
+
+            $tabletimeline = new flexible_table('invigilator-report-timeline' . $COURSE->id . '-' . $cmid);
+            $tabletimeline->define_columns(array('timecreated', 'eventtype', 'details'));
+            $tabletimeline->define_headers(
+                array(
+                    get_string('dateverified', 'quizaccess_invigilator'),
+                    get_string('eventtype', 'quizaccess_invigilator'),
+                    get_string('eventdetails', 'quizaccess_invigilator')
+                )
+            );
+            $tabletimeline->define_baseurl($url);
+            $tabletimeline->set_attribute('cellpadding', '2');
+            $tabletimeline->set_attribute('class', 'generaltable generalbox reporttable invigilator-timeline');
+            $tabletimeline->setup();
+
+            foreach ($timeline as $entry) {
+                if ($entry->screenshot) {
+                    $name = $entry->screenshot->capturetype === \quizaccess_invigilator\capture::TYPE_WEBCAM ?
+                        get_string('webcam', 'quizaccess_invigilator') : get_string('screenshot', 'quizaccess_invigilator');
+                    $flag = $flags[$entry->screenshot->id] ?? null;
+                    $details = '<a href="' . $entry->screenshot->screenshot . '" data-lightbox="procTimeline" data-time="'
+                        . $entry->timecreated . '"'
+                        . \quizaccess_invigilator\review::get_flag_attributes($entry->screenshot->id, $flag) . ' data-title="'
+                        . date("Y/M/d H:i:s", $entry->timecreated) . '"><img width="100" src="'
+                        . $entry->screenshot->screenshot . '" alt="' . $name . '"/></a> '
+                        . s(\quizaccess_invigilator\capture::describe_surface($entry->screenshot));
+                    if ($entry->screenshot->contenthash) {
+                        $details .= '<br/><code class="invigilator-hash" title="' . $entry->screenshot->chainhash . '">'
+                            . get_string('integrity:hash', 'quizaccess_invigilator', $entry->screenshot->contenthash) . '</code>';
+                    }
+                    if (isset($detections[$entry->screenshot->id])) {
+                        $details .= html_writer::alist(array_map('s', array_map('\quizaccess_invigilator\analysis::describe',
+                            $detections[$entry->screenshot->id])), array('class' => 'invigilator-detections'));
+                    }
+                } else if ($entry->action) {
+                    $name = \quizaccess_invigilator\proctor_action::get_action_name($entry->action->action);
+                    $details = s($entry->action->message);
+                    $details .= ' (' . get_string('proctor:delivered', 'quizaccess_invigilator',
+                        $entry->action->timedelivered ? date("Y/M/d H:i:s", $entry->action->timedelivered) : '-');
+                    $details .= ', ' . get_string('proctor:acknowledged', 'quizaccess_invigilator',
+                        $entry->action->timeacknowledged ? date("Y/M/d H:i:s", $entry->action->timeacknowledged) : '-')
+                        . ')';
+                } else {
+                    $name = \quizaccess_invigilator\event_log::get_type_name($entry->event->eventtype);
+                    $details = s($entry->event->details);
+                }
+                $rowclass = '';
+                if ($entry->event) {
+                    $rowclass = 'invigilator-timeline-event';
+                } else if ($entry->action) {
+                    $rowclass = 'invigilator-timeline-action';
+                }
+                $tabletimeline->add_data(array(date("Y/M/d H:i:s", $entry->timecreated), $name, $details), $rowclass);
+            }
+            $tabletimeline->finish_html();
+        }
     }
 } else {
     // User has not permissions to view this page.
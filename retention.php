@@ -0,0 +1,132 @@
+<?php
+// This file is part of Moodle invigilator for Moodle - http://moodle.org/
+//
+// Moodle invigilator is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle invigilator is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with MailTest.  If not, see <http://www.gnu.org/licenses/>.
+/**
+ * Retention period of a course and dry run of the cleanup for the quizaccess_invigilator plugin.
+ *
+ * @package   quizaccess_invigilator
+ * @copyright 2021 Brain Station 23
+ * @license   http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later.
+ */
+
+require_once(__DIR__ . '/../../../../config.php');
+require_once($CFG->libdir . '/tablelib.php');
+
+use quizaccess_invigilator\retention;
+
+$courseid = optional_param('courseid', 0, PARAM_INT);
+
+if ($courseid) {
+    $course = get_course($courseid);
+    $context = context_course::instance($courseid);
+    require_login($course);
+    $PAGE->set_pagelayout('course');
+    $PAGE->set_heading($course->fullname . ': ' . get_string('pluginname', 'quizaccess_invigilator'));
+} else {
+    $context = context_system::instance();
+    require_login();
+    $PAGE->set_context($context);
+    $PAGE->set_pagelayout('admin');
+    $PAGE->set_heading(get_string('pluginname', 'quizaccess_invigilator'));
+}
+require_capability('quizaccess/invigilator:manageretention', $context);
+
+$url = new moodle_url('/mod/quiz/accessrule/invigilator/retention.php', array('courseid' => $courseid));
+$PAGE->set_url($url);
+$PAGE->set_title(get_string('retention', 'quizaccess_invigilator'));
+$PAGE->navbar->add(get_string('retention', 'quizaccess_invigilator'), $url);
+
+// Save the retention period of the course.
+if ($courseid && optional_param('saveretention', false, PARAM_BOOL) && confirm_sesskey()) {
+    $days = trim(optional_param('retentiondays', '', PARAM_RAW_TRIMMED));
+    retention::set_course_override($courseid, $days === '' ? null : (int)$days);
+    redirect($url, get_string('changessaved'), null, \core\output\notification::NOTIFY_SUCCESS);
+}
+
+echo $OUTPUT->header();
+echo '<div id="main"><h2>' . get_string('retention', 'quizaccess_invigilator') . '</h2>';
+echo '<div class="box generalbox m-b-1 alert alert-info p-y-1">'
+    . get_string('retention_desc', 'quizaccess_invigilator') . '</div>';
+
+$sitedays = retention::get_site_retention_days();
+echo html_writer::tag('p', get_string('retention:site', 'quizaccess_invigilator',
+    $sitedays ? get_string('numdays', '', $sitedays) : get_string('retention:forever', 'quizaccess_invigilator')));
+
+if ($courseid) {
+    $override = retention::get_course_override($courseid);
+    $form = html_writer::start_tag('form', array('method' => 'post', 'action' => $url->out(false), 'class' => 'form-inline mb-3'));
+    $form .= html_writer::empty_tag('input', array('type' => 'hidden', 'name' => 'sesskey', 'value' => sesskey()));
+    $form .= html_writer::empty_tag('input', array('type' => 'hidden', 'name' => 'saveretention', 'value' => 1));
+    $form .= html_writer::label(get_string('retention:course', 'quizaccess_invigilator'), 'retentiondays', true,
+        array('class' => 'mr-1'));
+    $form .= html_writer::empty_tag('input', array('type' => 'number', 'min' => 0, 'name' => 'retentiondays',
+        'id' => 'retentiondays', 'value' => $override === null ? '' : $override, 'class' => 'form-control mr-1',
+        'placeholder' => get_string('retention:sitedefault', 'quizaccess_invigilator')));
+    $form .= html_writer::empty_tag('input', array('type' => 'submit', 'class' => 'btn btn-primary',
+        'value' => get_string('savechanges')));
+    $form .= html_writer::end_tag('form');
+    echo $form;
+}
+
+// List what the next cleanup would delete.
+echo '<h3>' . get_string('retention:dryrun', 'quizaccess_invigilator') . '</h3>';
+$preview = retention::preview($courseid);
+if (!$preview) {
+    echo $OUTPUT->notification(get_string('retention:nothing', 'quizaccess_invigilator'), 'info');
+} else {
+    $total = array_sum(array_column($preview, 'count'));
+    echo html_writer::tag('p', get_string('retention:total', 'quizaccess_invigilator', $total));
+
+    $table = new flexible_table('invigilator-retention-' . $courseid);
+    $table->define_columns(array('course', 'quiz', 'fullname', 'attempt', 'count', 'timefirst', 'timelast'));
+    $table->define_headers(
+        array(
+            get_string('course'),
+            get_string('modulename', 'quiz'),
+            get_string('user'),
+            get_string('attempt', 'quizaccess_invigilator'),
+            get_string('evidence:filecount', 'quizaccess_invigilator'),
+            get_string('retention:timefirst', 'quizaccess_invigilator'),
+            get_string('retention:timelast', 'quizaccess_invigilator')
+        )
+    );
+    $table->define_baseurl($url);
+    $table->set_attribute('cellpadding', '5');
+    $table->set_attribute('class', 'generaltable generalbox reporttable');
+    $table->setup();
+
+    $courses = array();
+    foreach ($preview as $row) {
+        if (!isset($courses[$row->courseid])) {
+            $courses[$row->courseid] = $DB->get_field('course', 'shortname', array('id' => $row->courseid));
+        }
+        $user = core_user::get_user($row->userid);
+        $attemptnumber = $row->attemptid ?
+            $DB->get_field('quiz_attempts', 'attempt', array('id' => $row->attemptid)) : 0;
+        $table->add_data(array(
+            $courses[$row->courseid] ? format_string($courses[$row->courseid]) : '-',
+            $row->quizname !== null ? format_string($row->quizname) : '-',
+            $user ? fullname($user) : '-',
+            $attemptnumber ? get_string('attemptnumber', 'quizaccess_invigilator', $attemptnumber) :
+                get_string('noattempt', 'quizaccess_invigilator'),
+            $row->count,
+            date("Y/M/d H:i:s", $row->timefirst),
+            date("Y/M/d H:i:s", $row->timelast)
+        ));
+    }
+    $table->finish_html();
+}
+echo '</div>';
+echo $OUTPUT->footer();
@@ -34,6 +34,18 @@ require_once($CFG->dirroot . '/mod/quiz/accessrule/invigilator/lib.php');
 class quizaccess_invigilator extends quiz_access_rule_base
 {
 
+    /** @var int Screen share is requested but never enforced. */
+    const ENFORCEMENT_OFF = 0;
+
+    /** @var int Students are warned about an invalid screen share but may continue. */
+    const ENFORCEMENT_WARN = 1;
+
+    /** @var int The attempt cannot start until the entire monitor is shared. */
+    const ENFORCEMENT_BLOCK = 2;
+
+    /** @var stdClass|null|false Accommodation of the current user, false until it is loaded. */
+    protected $accommodation = false;
+
     /**
      * Check is preflight check is required.
      *
@@ -42,6 +54,11 @@ class quizaccess_invigilator extends quiz_access_rule_base
      */
     public function is_preflight_check_required($attemptid) {
         global $USER, $DB;
+
+        // Exempted students start the quiz without sharing their screen.
+        if ($this->is_exempt()) {
+            return false;
+        }
         
         // Only show preflight check when starting a new attempt
         if ($attemptid) {
@@ -55,13 +72,9 @@ class quizaccess_invigilator extends quiz_access_rule_base
             'userid' => $USER->id
         ]);
         
-        if ($existing_attempts > 0) {
-            // User has attempted this quiz before, don't show preflight again
-            return false;
-        }
-        
-        // Check if this is a POST request (form submission)
-        if ($_SERVER['REQUEST_METHOD'] === 'POST') {
+        if ($existing_attempts > 0 &&
+                \quizaccess_invigilator\consent::has_consented($this->quiz->cmid, $USER->id)) {
+            // User has attempted this quiz before, don't show preflight again unless the privacy notice changed
             return false;
         }
         
@@ -69,8 +82,9 @@ class quizaccess_invigilator extends quiz_access_rule_base
         $script = $this->get_topmost_script();
         $base = basename($script);
         
-        // Only show on view.php for new attempts
-        return $base == "view.php";
+        // Only show on view.php for new attempts, the form is submitted to startattempt.php
+        // where it is checked and the consent recorded once it passed
+        return $base == "view.php" || $base == "startattempt.php";
     }
 
     /**
@@ -101,9 +115,15 @@ class quizaccess_invigilator extends quiz_access_rule_base
 
         $screenhtml = get_string('screenhtml', 'quizaccess_invigilator');
         $screensharemsg = get_string('screensharemsg', 'quizaccess_invigilator');
+        $webcamrow = '';
+        if ($this->is_webcam_required()) {
+            $webcammsg = get_string('webcammsg', 'quizaccess_invigilator');
+            $webcamhtml = get_string('webcamhtml', 'quizaccess_invigilator');
+            $webcamrow = "<tr><td colspan='2'>$webcammsg</td></tr><tr><td colspan='2'>$webcamhtml</td></tr>";
+        }
         $html = "<div style='margin: auto !important;padding: 30px !important;'><table><tr>".
         "<td colspan='2'>$header</td></tr><tr><td colspan='2'>$screensharemsg</td></tr><tr>".
-        "<td colspan='2'>$screenhtml</td></tr></table></div>";
+        "<td colspan='2'>$screenhtml</td></tr>$webcamrow</table></div>";
         return $html;
     }
 
@@ -117,10 +137,10 @@ class quizaccess_invigilator extends quiz_access_rule_base
      * @throws coding_exception
      */
     public function add_preflight_check_form_fields(mod_quiz_preflight_check_form $quizform, MoodleQuickForm $mform, $attemptid) {
-        global $PAGE;
+        global $PAGE, $USER;
         $coursedata = $this->get_courseid_cmid_from_preflight_form();
-        $screenshotdelay = get_config('quizaccess_invigilator', 'screenshotdelay');
-        $screenshotwidth = get_config('quizaccess_invigilator', 'screenshotwidth');
+        $screenshotdelay = $this->get_screenshot_delay();
+        $screenshotwidth = $this->get_screenshot_width();
 
         $record = [];
         $record["courseid"] = (int)$coursedata['courseid'];
@@ -128,9 +148,24 @@ class quizaccess_invigilator extends quiz_access_rule_base
         $record["quizid"] = (int)$coursedata['quizid'];
         $record["screenshotdelay"] = (int)$screenshotdelay;
         $record["screenshotwidth"] = (int)$screenshotwidth;
+        $record["screenshotjitter"] = $this->get_screenshot_jitter();
+        $record["enforcement"] = $this->get_enforcement_name();
+        $record["webcam"] = $this->is_webcam_required();
+        $record["webcamdelay"] = (int)get_config('quizaccess_invigilator', 'webcamdelay');
+        $format = \quizaccess_invigilator\capture::get_configured_format();
+        $record["imageformat"] = array_search($format, \quizaccess_invigilator\capture::get_formats());
+        $record["imagequality"] = \quizaccess_invigilator\capture::get_configured_quality() / 100;
+        $record["changethreshold"] = (int)get_config('quizaccess_invigilator', 'changethreshold');
+        $record["userid"] = (int)$USER->id;
+        $record["uploadqueuelimit"] = (int)get_config('quizaccess_invigilator', 'uploadqueuelimit');
+        $record["webcammsg"] = get_string('alert:webcammsg', 'quizaccess_invigilator');
         $record["screensharemsg"] = get_string('alert:screensharemsg', 'quizaccess_invigilator');
         $record["restartattemptcommand"] = get_string('alert:restartattemptcommand', 'quizaccess_invigilator');
         $record["somethingwentwrong"] = get_string('alert:somethingwentwrong', 'quizaccess_invigilator');
+        $record["windowsurfacemsg"] = get_string('alert:windowsurfacemsg', 'quizaccess_invigilator');
+        $record["allowwindow"] = $this->is_window_allowed();
+        $notice = \quizaccess_invigilator\consent::get_notice();
+        $record["consented"] = \quizaccess_invigilator\consent::has_consented($this->quiz->cmid, $USER->id);
 
         $PAGE->requires->js_call_amd('quizaccess_invigilator/startattempt', 'setup', [$record]);
         $attributesarray = $mform->_attributes;
@@ -140,16 +175,160 @@ class quizaccess_invigilator extends quiz_access_rule_base
         $screensharebtnlabel = get_string('sharescreenbtnlabel', 'quizaccess_invigilator');
         $modalcontent = $this->make_modal_content($quizform);
         $actionbtns = "<button id='invigilator-share-screen-btn' style='margin: 5px'>".$screensharebtnlabel."</button>";
-        $hiddenvalue = "<input id='invigilator_window_surface' value='' type='hidden'/>".
-        "<input id='invigilator_share_state' value='' type='hidden'/>".
-        "<input id='invigilator_screen_off_flag' value='0' type='hidden'/>";
+        $hiddenvalue = "<input id='invigilator_screen_off_flag' value='0' type='hidden'/>";
 
         $mform->addElement('static', 'modalcontent', '', $modalcontent);
+
+        // The screen can only be shared once the privacy notice is accepted, see startattempt.js.
+        $noticehtml = html_writer::tag('h4', get_string('privacynotice', 'quizaccess_invigilator')) .
+            html_writer::div(format_text($notice->text, FORMAT_HTML), 'invigilator-privacynotice');
+        $mform->addElement('static', 'privacynotice', '', $noticehtml);
+        $mform->addElement('checkbox', 'invigilatorconsent',
+            get_string('privacynotice:accept', 'quizaccess_invigilator', $notice->version));
+        $mform->addElement('hidden', 'invigilatornoticeversion', $notice->version);
+        $mform->setType('invigilatornoticeversion', PARAM_INT);
         $mform->addElement('static', 'actionbtns', '', $actionbtns);
         $mform->addElement('checkbox', 'invigilator', get_string('invigilatorlabel', 'quizaccess_invigilator'));
+
+        // The share state is reported by startattempt.js so it can be checked in validate_preflight_check().
+        $mform->addElement('hidden', 'invigilator_window_surface', '', ['id' => 'invigilator_window_surface']);
+        $mform->setType('invigilator_window_surface', PARAM_ALPHA);
+        $mform->addElement('hidden', 'invigilator_share_state', '', ['id' => 'invigilator_share_state']);
+        $mform->setType('invigilator_share_state', PARAM_ALPHA);
+        $mform->addElement('hidden', 'invigilator_webcam_state', '', ['id' => 'invigilator_webcam_state']);
+        $mform->setType('invigilator_webcam_state', PARAM_ALPHA);
         $mform->addElement('html', $hiddenvalue);
     }
 
+    /**
+     * Get the screen share enforcement level configured for this quiz.
+     *
+     * @return int One of the ENFORCEMENT_* constants.
+     */
+    public function get_enforcement_level() {
+        if (!isset($this->quiz->invigilatorenforcement)) {
+            return self::ENFORCEMENT_BLOCK;
+        }
+        return (int)$this->quiz->invigilatorenforcement;
+    }
+
+    /**
+     * Whether webcam snapshots are captured alongside the screenshots.
+     *
+     * @return bool
+     */
+    public function is_webcam_required() {
+        return !empty($this->quiz->invigilatorwebcam);
+    }
+
+    /**
+     * Get the accommodation of the current user on this quiz.
+     *
+     * @return stdClass|null See \quizaccess_invigilator\accommodation::get_for_user().
+     * @throws dml_exception
+     */
+    public function get_accommodation() {
+        global $USER;
+
+        if ($this->accommodation === false) {
+            $this->accommodation = \quizaccess_invigilator\accommodation::get_for_user($this->quiz->cmid, $USER->id);
+        }
+        return $this->accommodation;
+    }
+
+    /**
+     * Whether the current user is exempted from the invigilation of this quiz.
+     *
+     * @return bool
+     * @throws dml_exception
+     */
+    public function is_exempt() {
+        $accommodation = $this->get_accommodation();
+        return $accommodation && $accommodation->exempt;
+    }
+
+    /**
+     * Whether the current user may share a window instead of the entire screen.
+     *
+     * @return bool
+     * @throws dml_exception
+     */
+    public function is_window_allowed() {
+        $accommodation = $this->get_accommodation();
+        return $accommodation && $accommodation->allowwindow;
+    }
+
+    /**
+     * Get a capture setting of the quiz, falling back to the site default.
+     *
+     * @param string $field Field of the quizaccess_invigilator table.
+     * @param string $config Name of the site setting.
+     * @return int
+     */
+    protected function get_capture_setting($field, $config) {
+        if (isset($this->quiz->$field) && $this->quiz->$field !== '') {
+            return (int)$this->quiz->$field;
+        }
+        return (int)get_config('quizaccess_invigilator', $config);
+    }
+
+    /**
+     * Seconds between two screenshots.
+     *
+     * @return int
+     */
+    public function get_screenshot_delay() {
+        return \quizaccess_invigilator\accommodation::get_screenshot_delay(
+            $this->get_capture_setting('invigilatorscreenshotdelay', 'screenshotdelay'), $this->get_accommodation());
+    }
+
+    /**
+     * Width of the screenshots in pixels.
+     *
+     * @return int
+     */
+    public function get_screenshot_width() {
+        return max(1, $this->get_capture_setting('invigilatorscreenshotwidth', 'screenshotwidth'));
+    }
+
+    /**
+     * Maximum number of seconds randomly added to or removed from the screenshot delay.
+     *
+     * @return int
+     */
+    public function get_screenshot_jitter() {
+        return max(0, $this->get_capture_setting('invigilatorscreenshotjitter', 'screenshotjitter'));
+    }
+
+    /**
+     * Get the enforcement level name passed to the javascript.
+     *
+     * @return string off, warn or block.
+     */
+    public function get_enforcement_name() {
+        $names = [
+            self::ENFORCEMENT_OFF => 'off',
+            self::ENFORCEMENT_WARN => 'warn',
+            self::ENFORCEMENT_BLOCK => 'block',
+        ];
+        $level = $this->get_enforcement_level();
+        return isset($names[$level]) ? $names[$level] : 'block';
+    }
+
+    /**
+     * Get the enforcement level options for the quiz settings form.
+     *
+     * @return array
+     * @throws coding_exception
+     */
+    public static function get_enforcement_options() {
+        return [
+            self::ENFORCEMENT_OFF => get_string('enforcementoff', 'quizaccess_invigilator'),
+            self::ENFORCEMENT_WARN => get_string('enforcementwarn', 'quizaccess_invigilator'),
+            self::ENFORCEMENT_BLOCK => get_string('enforcementblock', 'quizaccess_invigilator'),
+        ];
+    }
+
     /**
      * Get_courseid_cmid_from_preflight_form
      *
@@ -173,15 +352,50 @@ class quizaccess_invigilator extends quiz_access_rule_base
      * @param mixed $attemptid
      * @return mixed $errors
      * @throws coding_exception
+     * @throws dml_exception
      */
     public function validate_preflight_check($data, $files, $errors, $attemptid) {
+        global $USER;
+
         if (empty($data['invigilator'])) {
             $errors['invigilator'] = get_string('youmustagree', 'quizaccess_invigilator');
         }
+        if (!\quizaccess_invigilator\consent::has_consented($this->quiz->cmid, $USER->id)) {
+            $noticeversion = isset($data['invigilatornoticeversion']) ? (int)$data['invigilatornoticeversion'] : 0;
+            if (empty($data['invigilatorconsent'])) {
+                $errors['invigilatorconsent'] = get_string('privacynotice:required', 'quizaccess_invigilator');
+            } else if ($noticeversion != \quizaccess_invigilator\consent::get_notice()->version) {
+                $errors['invigilatorconsent'] = get_string('privacynotice:changed', 'quizaccess_invigilator');
+            }
+        }
+
+        if ($this->get_enforcement_level() == self::ENFORCEMENT_BLOCK) {
+            $sharestate = isset($data['invigilator_share_state']) ? $data['invigilator_share_state'] : '';
+            $surface = isset($data['invigilator_window_surface']) ? $data['invigilator_window_surface'] : '';
+            if ($sharestate !== 'true' || ($surface !== 'monitor' && !$this->is_window_allowed())) {
+                $errors['invigilator'] = get_string('youmustshare', 'quizaccess_invigilator');
+            } else if ($this->is_webcam_required() &&
+                    (!isset($data['invigilator_webcam_state']) || $data['invigilator_webcam_state'] !== 'true')) {
+                $errors['invigilator'] = get_string('youmustsharewebcam', 'quizaccess_invigilator');
+            }
+        }
 
         return $errors;
     }
 
+    /**
+     * The preflight check passed: record the privacy notice accepted in the form.
+     *
+     * @param int|null $attemptid
+     * @throws coding_exception
+     * @throws dml_exception
+     */
+    public function notify_preflight_check_passed($attemptid) {
+        global $USER;
+
+        \quizaccess_invigilator\consent::record($this->quiz->cmid, $this->quiz->id, $USER->id);
+    }
+
     /**
      * * Information, such as might be shown on the quiz view page, relating to this restriction.
      * There is no obligation to return anything. If it is not appropriate to tell students
@@ -216,6 +430,100 @@ class quizaccess_invigilator extends quiz_access_rule_base
                 1 => get_string('invigilatorrequiredoption', 'quizaccess_invigilator'),
             ]);
         $mform->addHelpButton('invigilatorrequired', 'invigilatorrequired', 'quizaccess_invigilator');
+
+        $mform->addElement('select', 'invigilatorenforcement',
+            get_string('invigilatorenforcement', 'quizaccess_invigilator'),
+            self::get_enforcement_options());
+        $mform->setDefault('invigilatorenforcement', self::ENFORCEMENT_BLOCK);
+        $mform->addHelpButton('invigilatorenforcement', 'invigilatorenforcement', 'quizaccess_invigilator');
+        $mform->disabledIf('invigilatorenforcement', 'invigilatorrequired', 'eq', 0);
+
+        $mform->addElement('selectyesno', 'invigilatorwebcam', get_string('invigilatorwebcam', 'quizaccess_invigilator'));
+        $mform->addHelpButton('invigilatorwebcam', 'invigilatorwebcam', 'quizaccess_invigilator');
+        $mform->disabledIf('invigilatorwebcam', 'invigilatorrequired', 'eq', 0);
+
+        // Capture settings, the site settings are only the defaults.
+        $capturesettings = [
+            'invigilatorscreenshotdelay' => 'screenshotdelay',
+            'invigilatorscreenshotwidth' => 'screenshotwidth',
+            'invigilatorscreenshotjitter' => 'screenshotjitter',
+        ];
+        foreach ($capturesettings as $field => $config) {
+            $mform->addElement('text', $field, get_string($field, 'quizaccess_invigilator'), ['size' => 6]);
+            $mform->setType($field, PARAM_INT);
+            $mform->setDefault($field, (int)get_config('quizaccess_invigilator', $config));
+            $mform->addHelpButton($field, $field, 'quizaccess_invigilator');
+            $mform->disabledIf($field, 'invigilatorrequired', 'eq', 0);
+        }
+
+        // Detectors analysing the screenshots.
+        $detectors = $mform->addElement('select', 'invigilatordetectors',
+            get_string('invigilatordetectors', 'quizaccess_invigilator'), \quizaccess_invigilator\analysis::get_detector_options());
+        $detectors->setMultiple(true);
+        $mform->addHelpButton('invigilatordetectors', 'invigilatordetectors', 'quizaccess_invigilator');
+        $mform->disabledIf('invigilatordetectors', 'invigilatorrequired', 'eq', 0);
+
+        $mform->addElement('textarea', 'invigilatorkeywords', get_string('invigilatorkeywords', 'quizaccess_invigilator'),
+            ['rows' => 4, 'cols' => 40]);
+        $mform->setType('invigilatorkeywords', PARAM_TEXT);
+        $mform->addHelpButton('invigilatorkeywords', 'invigilatorkeywords', 'quizaccess_invigilator');
+        $mform->disabledIf('invigilatorkeywords', 'invigilatorrequired', 'eq', 0);
+
+        $cm = $quizform->get_coursemodule();
+        $draftitemid = file_get_submitted_draft_itemid('invigilatortemplates');
+        file_prepare_draft_area($draftitemid, $cm ? context_module::instance($cm->id)->id : null, 'quizaccess_invigilator',
+            \quizaccess_invigilator\detector\window::FILEAREA, 0, self::get_template_options());
+        $mform->addElement('filemanager', 'invigilatortemplates', get_string('invigilatortemplates', 'quizaccess_invigilator'),
+            null, self::get_template_options());
+        $mform->setDefault('invigilatortemplates', $draftitemid);
+        $mform->addHelpButton('invigilatortemplates', 'invigilatortemplates', 'quizaccess_invigilator');
+        $mform->disabledIf('invigilatortemplates', 'invigilatorrequired', 'eq', 0);
+
+        $mform->addElement('text', 'invigilatoridleminutes', get_string('invigilatoridleminutes', 'quizaccess_invigilator'),
+            ['size' => 6]);
+        $mform->setType('invigilatoridleminutes', PARAM_INT);
+        $mform->setDefault('invigilatoridleminutes', \quizaccess_invigilator\detector\idle::DEFAULT_MINUTES);
+        $mform->addHelpButton('invigilatoridleminutes', 'invigilatoridleminutes', 'quizaccess_invigilator');
+        $mform->disabledIf('invigilatoridleminutes', 'invigilatorrequired', 'eq', 0);
+    }
+
+    /**
+     * Get the options of the file manager of the template images of the window detector.
+     *
+     * @return array
+     */
+    protected static function get_template_options() {
+        return ['subdirs' => 0, 'maxfiles' => 20, 'accepted_types' => ['.png', '.jpg', '.jpeg']];
+    }
+
+    /**
+     * Validate the data from any form fields added using {@link add_settings_form_fields()}.
+     *
+     * @param array $errors the errors found so far.
+     * @param array $data the submitted form data.
+     * @param array $files information about any uploaded files.
+     * @param mod_quiz_mod_form $quizform the quiz form object.
+     * @return array $errors the updated $errors array.
+     */
+    public static function validate_settings_form_fields(array $errors, array $data, $files, mod_quiz_mod_form $quizform) {
+        if (empty($data['invigilatorrequired'])) {
+            return $errors;
+        }
+        if (isset($data['invigilatorscreenshotdelay']) && $data['invigilatorscreenshotdelay'] < 1) {
+            $errors['invigilatorscreenshotdelay'] = get_string('errorpositive', 'quizaccess_invigilator');
+        }
+        if (isset($data['invigilatorscreenshotwidth']) && $data['invigilatorscreenshotwidth'] < 1) {
+            $errors['invigilatorscreenshotwidth'] = get_string('errorpositive', 'quizaccess_invigilator');
+        }
+        if (isset($data['invigilatorscreenshotjitter']) && ($data['invigilatorscreenshotjitter'] < 0 ||
+                (isset($data['invigilatorscreenshotdelay']) &&
+                $data['invigilatorscreenshotjitter'] >= $data['invigilatorscreenshotdelay']))) {
+            $errors['invigilatorscreenshotjitter'] = get_string('errorjitter', 'quizaccess_invigilator');
+        }
+        if (isset($data['invigilatoridleminutes']) && $data['invigilatoridleminutes'] < 1) {
+            $errors['invigilatoridleminutes'] = get_string('errorpositive', 'quizaccess_invigilator');
+        }
+        return $errors;
     }
 
     /**
@@ -231,11 +539,32 @@ class quizaccess_invigilator extends quiz_access_rule_base
         if (empty($quiz->invigilatorrequired)) {
             $DB->delete_records('quizaccess_invigilator', ['quizid' => $quiz->id]);
         } else {
-            if (!$DB->record_exists('quizaccess_invigilator', ['quizid' => $quiz->id])) {
+            $enforcement = isset($quiz->invigilatorenforcement) ? (int)$quiz->invigilatorenforcement : self::ENFORCEMENT_BLOCK;
+            $webcam = empty($quiz->invigilatorwebcam) ? 0 : 1;
+            $record = $DB->get_record('quizaccess_invigilator', ['quizid' => $quiz->id]);
+            if (!$record) {
                 $record = new stdClass();
                 $record->quizid = $quiz->id;
                 $record->invigilatorrequired = 1;
+            }
+            $record->invigilatorenforcement = $enforcement;
+            $record->invigilatorwebcam = $webcam;
+            foreach (['invigilatorscreenshotdelay', 'invigilatorscreenshotwidth', 'invigilatorscreenshotjitter'] as $field) {
+                $record->$field = isset($quiz->$field) && $quiz->$field !== '' ? (int)$quiz->$field : null;
+            }
+            $detectors = isset($quiz->invigilatordetectors) ? (array)$quiz->invigilatordetectors : [];
+            $detectors = array_intersect($detectors, array_keys(\quizaccess_invigilator\analysis::get_detector_classes()));
+            $record->invigilatordetectors = $detectors ? implode(',', $detectors) : null;
+            $record->invigilatorkeywords = isset($quiz->invigilatorkeywords) ? $quiz->invigilatorkeywords : null;
+            $record->invigilatoridleminutes = !empty($quiz->invigilatoridleminutes) ? (int)$quiz->invigilatoridleminutes : null;
+            if (empty($record->id)) {
                 $DB->insert_record('quizaccess_invigilator', $record);
+            } else {
+                $DB->update_record('quizaccess_invigilator', $record);
+            }
+            if (isset($quiz->invigilatortemplates) && !empty($quiz->coursemodule)) {
+                file_save_draft_area_files($quiz->invigilatortemplates, context_module::instance($quiz->coursemodule)->id,
+                    'quizaccess_invigilator', \quizaccess_invigilator\detector\window::FILEAREA, 0, self::get_template_options());
             }
         }
     }
@@ -275,7 +604,9 @@ class quizaccess_invigilator extends quiz_access_rule_base
      */
     public static function get_settings_sql($quizid) {
         return [
-            'invigilatorrequired',
+            'invigilatorrequired, invigilatorenforcement, invigilatorwebcam, invigilatorscreenshotdelay, ' .
+            'invigilatorscreenshotwidth, invigilatorscreenshotjitter, invigilatordetectors, invigilatorkeywords, ' .
+            'invigilatoridleminutes',
             'LEFT JOIN {quizaccess_invigilator} invigilator ON invigilator.quizid = quiz.id',
             [], ];
     }
@@ -291,16 +622,23 @@ class quizaccess_invigilator extends quiz_access_rule_base
      */
     public function description() {
         global $PAGE;
+
+        if ($this->is_exempt()) {
+            return [get_string('accommodation:exemptnotice', 'quizaccess_invigilator'), $this->get_download_config_button()];
+        }
+
         $record = new stdClass();
         $record->allowscreenshare = get_string('warning:allowscreenshare', 'quizaccess_invigilator');
         $record->screensharemsg = get_string('alert:screensharemsg', 'quizaccess_invigilator');
         $record->restartattemptcommand = get_string('alert:restartattemptcommand', 'quizaccess_invigilator');
         $record->somethingwentwrong = get_string('alert:somethingwentwrong', 'quizaccess_invigilator');
+        $record->enforcement = $this->get_enforcement_name();
 
         $PAGE->requires->js_call_amd('quizaccess_invigilator/startattempt', 'init', [$record]);
         $messages = [get_string('invigilatorheader', 'quizaccess_invigilator')];
 
         $messages[] = $this->get_download_config_button();
+        $messages[] = $this->get_system_check_link();
 
         return $messages;
     }
@@ -322,20 +660,93 @@ class quizaccess_invigilator extends quiz_access_rule_base
         $page->set_heading($page->title);
 
         global $DB, $COURSE, $USER;
-        if ($cmid) {
+        if ($cmid && !$this->is_exempt()) {
+            // Only watch the screen share while the attempt can still be changed.
+            if ($attempt && $DB->get_field('quiz_attempts', 'state', ['id' => $attempt]) !== quiz_attempt::IN_PROGRESS) {
+                return;
+            }
+
             // Get Screenshot Delay and Image Width.
-            $screenshotdelay = get_config('quizaccess_invigilator', 'screenshotdelay');
-            $screenshotwidth = get_config('quizaccess_invigilator', 'screenshotwidth');
+            $screenshotdelay = $this->get_screenshot_delay();
+            $screenshotwidth = $this->get_screenshot_width();
             $quizurl = new moodle_url("/mod/quiz/view.php", ["id" => $cmid]);
 
             $record = new stdClass();
+            $record->courseid = $this->quiz->course;
+            $record->cmid = $this->quiz->cmid;
+            $record->quizid = $this->quiz->id;
+            $record->attemptid = (int)$attempt;
+            list($record->page, $record->slot) = $this->get_attempt_page($attempt, $page);
             $record->screenshotdelay = $screenshotdelay;
             $record->screenshotwidth = $screenshotwidth;
             $record->quizurl = $quizurl->__toString();
+            $record->enforcement = $this->get_enforcement_name();
+            $record->allowwindow = $this->is_window_allowed();
+            $record->graceperiod = (int)get_config('quizaccess_invigilator', 'sharelossgraceperiod');
+            $record->sharelossaction = get_config('quizaccess_invigilator', 'sharelossaction');
+            $record->sharelostmsg = get_string('overlay:sharelost', 'quizaccess_invigilator');
+            $record->surfacechangedmsg = get_string('overlay:surfacechanged', 'quizaccess_invigilator');
+            $record->countdownmsg = get_string('overlay:countdown', 'quizaccess_invigilator');
+            $record->lockedmsg = get_string('overlay:locked', 'quizaccess_invigilator');
+            $record->submittingmsg = get_string('overlay:submitting', 'quizaccess_invigilator');
+            $record->sharescreenbtnlabel = get_string('sharescreenbtnlabel', 'quizaccess_invigilator');
+            $record->proctorpollinterval = 5;
+            $record->proctormessagetitle = get_string('proctor:messagetitle', 'quizaccess_invigilator');
+            $record->proctorokbtnlabel = get_string('ok');
+            $record->proctorpausedmsg = get_string('overlay:paused', 'quizaccess_invigilator');
+            $record->proctorterminatedmsg = get_string('overlay:terminated', 'quizaccess_invigilator');
             $page->requires->js_call_amd('quizaccess_invigilator/attemptpage', 'setup', [$record]);
         }
     }
 
+    /**
+     * Get the quiz page shown by an attempt page and the first question slot on it.
+     *
+     * @param int $attemptid Quiz attempt ID, 0 if none.
+     * @param moodle_page $page The page being set up.
+     * @return int[] The page number, -1 when no questions are shown, and the slot, 0 if none.
+     */
+    private function get_attempt_page($attemptid, $page) : array {
+        if (!$attemptid || $page->pagetype !== 'mod-quiz-attempt') {
+            return [-1, 0];
+        }
+        $attemptobj = quiz_attempt::create($attemptid);
+        $pagenumber = $attemptobj->force_page_number_into_range(optional_param('page', 0, PARAM_INT));
+        $slots = $attemptobj->get_slots($pagenumber);
+        return [$pagenumber, $slots ? (int)reset($slots) : 0];
+    }
+
+    /**
+     * Whether the user should be blocked from starting a new attempt or continuing
+     * an attempt now.
+     *
+     * @return string false if access should be allowed, a message explaining the
+     *      reason if access should be prevented.
+     * @throws coding_exception
+     * @throws dml_exception
+     */
+    public function prevent_access() {
+        global $DB, $USER;
+
+        // Do not rely on the browser reporting the lock when the share must not be lost.
+        $graceperiod = null;
+        if ($this->get_enforcement_level() == self::ENFORCEMENT_BLOCK && !$this->is_exempt()) {
+            $graceperiod = (int)get_config('quizaccess_invigilator', 'sharelossgraceperiod');
+        }
+
+        $attempts = $DB->get_records('quiz_attempts',
+            ['quiz' => $this->quiz->id, 'userid' => $USER->id, 'state' => quiz_attempt::IN_PROGRESS], '', 'id');
+        foreach ($attempts as $attempt) {
+            if (\quizaccess_invigilator\event_log::is_attempt_locked($attempt->id, $graceperiod, $this->timenow)) {
+                return get_string('attemptlocked', 'quizaccess_invigilator');
+            }
+            if (\quizaccess_invigilator\proctor_action::is_paused($attempt->id)) {
+                return get_string('attemptpaused', 'quizaccess_invigilator');
+            }
+        }
+        return false;
+    }
+
     /**
      * Get a button to view the Invigilator report.
      *
@@ -348,7 +759,28 @@ class quizaccess_invigilator extends quiz_access_rule_base
         $context = context_module::instance($this->quiz->cmid, MUST_EXIST);
         if (has_capability('quizaccess/invigilator:viewreport', $context, $USER->id)) {
             $httplink = \quizaccess_invigilator\link_generator::get_link($this->quiz->course, $this->quiz->cmid, false, is_https());
-            return $OUTPUT->single_button($httplink, get_string('picturesreport', 'quizaccess_invigilator'), 'get');
+            $monitorlink = new moodle_url('/mod/quiz/accessrule/invigilator/monitor.php', ['cmid' => $this->quiz->cmid]);
+            return $OUTPUT->single_button($httplink, get_string('picturesreport', 'quizaccess_invigilator'), 'get') .
+                $OUTPUT->single_button($monitorlink, get_string('livemonitor', 'quizaccess_invigilator'), 'get');
+        } else {
+            return '';
+        }
+    }
+
+    /**
+     * Get the link to the system check page for the students.
+     *
+     * @return string
+     * @throws coding_exception
+     * @throws moodle_exception
+     */
+    private function get_system_check_link() : string {
+        global $USER;
+
+        $context = context_module::instance($this->quiz->cmid, MUST_EXIST);
+        if (has_capability('quizaccess/invigilator:sendscreenshot', $context, $USER->id)) {
+            $url = new moodle_url('/mod/quiz/accessrule/invigilator/systemcheck.php', ['cmid' => $this->quiz->cmid]);
+            return html_writer::link($url, get_string('systemcheck:link', 'quizaccess_invigilator'));
         } else {
             return '';
         }
@@ -36,6 +36,64 @@ if ($hassiteconfig) {
         get_string('setting:screenshotwidth', 'quizaccess_invigilator'),
         get_string('setting:screenshotwidth_desc', 'quizaccess_invigilator'), 720, PARAM_INT));
 
+    $settings->add(new admin_setting_configtext('quizaccess_invigilator/screenshotjitter',
+        get_string('setting:screenshotjitter', 'quizaccess_invigilator'),
+        get_string('setting:screenshotjitter_desc', 'quizaccess_invigilator'), 0, PARAM_INT));
+
+    $settings->add(new admin_setting_configselect('quizaccess_invigilator/imageformat',
+        get_string('setting:imageformat', 'quizaccess_invigilator'),
+        get_string('setting:imageformat_desc', 'quizaccess_invigilator'), 'jpeg',
+        [
+            'png' => get_string('imageformat:png', 'quizaccess_invigilator'),
+            'jpeg' => get_string('imageformat:jpeg', 'quizaccess_invigilator'),
+            'webp' => get_string('imageformat:webp', 'quizaccess_invigilator'),
+        ]));
+
+    $settings->add(new admin_setting_configtext('quizaccess_invigilator/imagequality',
+        get_string('setting:imagequality', 'quizaccess_invigilator'),
+        get_string('setting:imagequality_desc', 'quizaccess_invigilator'), 70, PARAM_INT));
+
+    $settings->add(new admin_setting_configtext('quizaccess_invigilator/changethreshold',
+        get_string('setting:changethreshold', 'quizaccess_invigilator'),
+        get_string('setting:changethreshold_desc', 'quizaccess_invigilator'), 2, PARAM_INT));
+
+    $settings->add(new admin_setting_configtext('quizaccess_invigilator/webcamdelay',
+        get_string('setting:webcamdelay', 'quizaccess_invigilator'),
+        get_string('setting:webcamdelay_desc', 'quizaccess_invigilator'), 60, PARAM_INT));
+
+    $settings->add(new admin_setting_configtext('quizaccess_invigilator/uploadqueuelimit',
+        get_string('setting:uploadqueuelimit', 'quizaccess_invigilator'),
+        get_string('setting:uploadqueuelimit_desc', 'quizaccess_invigilator'), 100, PARAM_INT));
+
+    $settings->add(new admin_setting_configtext('quizaccess_invigilator/sharelossgraceperiod',
+        get_string('setting:sharelossgraceperiod', 'quizaccess_invigilator'),
+        get_string('setting:sharelossgraceperiod_desc', 'quizaccess_invigilator'), 30, PARAM_INT));
+
+    $settings->add(new admin_setting_configselect('quizaccess_invigilator/sharelossaction',
+        get_string('setting:sharelossaction', 'quizaccess_invigilator'),
+        get_string('setting:sharelossaction_desc', 'quizaccess_invigilator'), 'lock',
+        [
+            'lock' => get_string('sharelossaction:lock', 'quizaccess_invigilator'),
+            'autosubmit' => get_string('sharelossaction:autosubmit', 'quizaccess_invigilator'),
+        ]));
+
+    $settings->add(new admin_setting_configexecutable('quizaccess_invigilator/pathtotesseract',
+        get_string('setting:pathtotesseract', 'quizaccess_invigilator'),
+        get_string('setting:pathtotesseract_desc', 'quizaccess_invigilator'), ''));
+
+    $retentionurl = new moodle_url('/mod/quiz/accessrule/invigilator/retention.php');
+    $settings->add(new admin_setting_configtext('quizaccess_invigilator/retentiondays',
+        get_string('setting:retentiondays', 'quizaccess_invigilator'),
+        get_string('setting:retentiondays_desc', 'quizaccess_invigilator', $retentionurl->out()), 0, PARAM_INT));
+
+    // Every change of the privacy notice gets a new version that students must accept again.
+    $privacynotice = new admin_setting_confightmleditor('quizaccess_invigilator/privacynotice',
+        get_string('setting:privacynotice', 'quizaccess_invigilator'),
+        get_string('setting:privacynotice_desc', 'quizaccess_invigilator',
+            max(1, (int)get_config('quizaccess_invigilator', 'privacynoticeversion'))), '');
+    $privacynotice->set_updatedcallback('\quizaccess_invigilator\consent::notice_updated');
+    $settings->add($privacynotice);
+
 }
 
 
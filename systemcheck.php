@@ -0,0 +1,107 @@
+<?php
+// This file is part of Moodle invigilator for Moodle - http://moodle.org/
+//
+// Moodle invigilator is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle invigilator is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with MailTest.  If not, see <http://www.gnu.org/licenses/>.
+/**
+ * Pre-exam check of the browser, screen share and uploads for the quizaccess_invigilator plugin.
+ *
+ * @package   quizaccess_invigilator
+ * @copyright 2021 Brain Station 23
+ * @license   http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later.
+ */
+
+require_once(__DIR__ . '/../../../../config.php');
+require_once($CFG->dirroot . '/mod/quiz/locallib.php');
+require_once($CFG->dirroot . '/mod/quiz/accessrule/invigilator/rule.php');
+
+$cmid = required_param('cmid', PARAM_INT);
+
+list($course, $cm) = get_course_and_cm_from_cmid($cmid, 'quiz');
+$context = context_module::instance($cmid, MUST_EXIST);
+
+require_login($course, true, $cm);
+require_capability('quizaccess/invigilator:sendscreenshot', $context);
+
+$url = new moodle_url('/mod/quiz/accessrule/invigilator/systemcheck.php', array('cmid' => $cmid));
+$quizurl = new moodle_url('/mod/quiz/view.php', array('id' => $cmid));
+
+$PAGE->set_url($url);
+$PAGE->set_pagelayout('incourse');
+$PAGE->set_title($course->shortname . ': ' . get_string('systemcheck', 'quizaccess_invigilator'));
+$PAGE->set_heading($course->fullname);
+$PAGE->navbar->add(get_string('systemcheck', 'quizaccess_invigilator'), $url);
+
+$quizobj = quiz::create($cm->instance, $USER->id);
+$rule = quizaccess_invigilator::make($quizobj, time(), false);
+if (!$rule) {
+    notice(get_string('systemcheck:notproctored', 'quizaccess_invigilator'), $quizurl);
+}
+
+$format = \quizaccess_invigilator\capture::get_configured_format();
+
+$record = new stdClass();
+$record->cmid = $cmid;
+$record->screenshotwidth = (int)$rule->get_screenshot_width();
+$record->imageformat = array_search($format, \quizaccess_invigilator\capture::get_formats());
+$record->imagequality = \quizaccess_invigilator\capture::get_configured_quality() / 100;
+$record->webcam = $rule->is_webcam_required();
+$record->startshare = get_string('systemcheck:startshare', 'quizaccess_invigilator');
+$record->stopshare = get_string('systemcheck:stopshare', 'quizaccess_invigilator');
+$PAGE->requires->js_call_amd('quizaccess_invigilator/systemcheck', 'setup', [$record]);
+
+$checks = array('browser', 'secure', 'share', 'surface');
+if ($record->webcam) {
+    $checks[] = 'webcam';
+}
+$checks[] = 'upload';
+
+echo $OUTPUT->header();
+echo '<div id="main"><h2>' . get_string('systemcheck', 'quizaccess_invigilator') . ': ' . format_string($quizobj->get_quiz_name()) .
+    '</h2>';
+echo '<div class="box generalbox m-b-1 alert alert-info p-y-1">' .
+    get_string('systemcheck_desc', 'quizaccess_invigilator') . '</div>';
+
+echo '<div id="invigilator-systemcheck" class="invigilator-systemcheck">';
+echo '<ul class="invigilator-systemcheck-list list-unstyled">';
+foreach ($checks as $check) {
+    echo '<li class="invigilator-systemcheck-item" data-check="' . $check . '" data-status="pending">' .
+        '<span class="badge badge-secondary invigilator-systemcheck-status">' .
+        get_string('systemcheck:pending', 'quizaccess_invigilator') . '</span> ' .
+        '<strong>' . get_string('systemcheck:' . $check, 'quizaccess_invigilator') . '</strong>' .
+        '<div class="invigilator-systemcheck-hint"></div></li>';
+}
+echo '</ul>';
+
+echo '<div class="invigilator-systemcheck-actions">';
+echo '<button type="button" class="btn btn-primary" data-action="share">' . $record->startshare . '</button> ';
+echo '<button type="button" class="btn btn-secondary" data-action="upload" disabled>' .
+    get_string('systemcheck:testupload', 'quizaccess_invigilator') . '</button>';
+echo '</div>';
+
+echo '<div class="invigilator-systemcheck-previews">';
+echo '<video id="invigilator-systemcheck-screen" autoplay muted playsinline aria-label="' .
+    s(get_string('systemcheck:preview', 'quizaccess_invigilator')) . '"></video>';
+if ($record->webcam) {
+    echo '<video id="invigilator-systemcheck-webcam" autoplay muted playsinline aria-label="' .
+        s(get_string('systemcheck:webcam', 'quizaccess_invigilator')) . '"></video>';
+}
+echo '<img id="invigilator-systemcheck-upload" alt="" style="display: none;">';
+echo '</div>';
+
+echo '<div id="invigilator-systemcheck-summary" class="alert" style="display: none;"></div>';
+echo '</div>';
+
+echo $OUTPUT->single_button($quizurl, get_string('systemcheck:backtoquiz', 'quizaccess_invigilator'), 'get');
+echo '</div>';
+echo $OUTPUT->footer();
@@ -0,0 +1,235 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Accommodation unit tests for the quizaccess_invigilator plugin.
+ *
+ * @package    quizaccess_invigilator
+ * @copyright  2024 Brain Station 23
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+defined('MOODLE_INTERNAL') || die();
+
+require_once(__DIR__ . '/../../../config.php');
+require_once($CFG->libdir . '/phpunit/classes/base_testcase.php');
+require_once($CFG->dirroot . '/mod/quiz/accessrule/invigilator/classes/external.php');
+require_once($CFG->dirroot . '/mod/quiz/accessrule/invigilator/rule.php');
+
+use quizaccess_invigilator\accommodation;
+use quizaccess_invigilator\consent;
+
+/**
+ * Accommodation test class for Invigilator plugin.
+ */
+class quizaccess_invigilator_accommodation_test extends advanced_testcase {
+
+    /** @var stdClass Course object */
+    private $course;
+
+    /** @var stdClass Quiz object */
+    private $quiz;
+
+    /** @var stdClass Student object */
+    private $user;
+
+    /**
+     * Set up test environment.
+     */
+    protected function setUp(): void {
+        parent::setUp();
+        $this->resetAfterTest(true);
+
+        // Create test course
+        $this->course = $this->getDataGenerator()->create_course();
+
+        // Create test user
+        $this->user = $this->getDataGenerator()->create_user();
+        $this->getDataGenerator()->enrol_user($this->user->id, $this->course->id, 'student');
+
+        // Create test quiz
+        $this->quiz = $this->getDataGenerator()->create_module('quiz', [
+            'course' => $this->course->id,
+            'name' => 'Test Quiz for Accommodations',
+        ]);
+    }
+
+    /**
+     * Create a group with the student in it.
+     *
+     * @return stdClass
+     */
+    private function create_group() : stdClass {
+        $group = $this->getDataGenerator()->create_group(['courseid' => $this->course->id]);
+        $this->getDataGenerator()->create_group_member(['groupid' => $group->id, 'userid' => $this->user->id]);
+        return $group;
+    }
+
+    /**
+     * Get the rule of the quiz for the current user.
+     *
+     * @return quizaccess_invigilator
+     */
+    private function get_rule() : quizaccess_invigilator {
+        global $DB;
+
+        $quiz = $DB->get_record('quiz', ['id' => $this->quiz->id]);
+        $quiz->invigilatorrequired = 1;
+        $quiz->invigilatorenforcement = quizaccess_invigilator::ENFORCEMENT_BLOCK;
+        $quiz->invigilatorscreenshotdelay = 30;
+        $quizobj = new quiz($quiz, get_coursemodule_from_instance('quiz', $quiz->id), $this->course);
+        return new quizaccess_invigilator($quizobj, time());
+    }
+
+    /**
+     * Test the accommodation of the student replaces the ones of their groups.
+     */
+    public function test_user_accommodation_wins() {
+        $this->setAdminUser();
+        $group = $this->create_group();
+        accommodation::save($this->quiz->cmid, 0, $group->id, true, null, false);
+
+        $accommodation = accommodation::get_for_user($this->quiz->cmid, $this->user->id);
+        $this->assertTrue($accommodation->exempt, 'The group should be exempted');
+        $this->assertTrue($accommodation->fromgroup, 'The accommodation should come from the group');
+
+        accommodation::save($this->quiz->cmid, $this->user->id, 0, false, 60, false);
+        $accommodation = accommodation::get_for_user($this->quiz->cmid, $this->user->id);
+        $this->assertFalse($accommodation->exempt, 'The student should not be exempted by the group any more');
+        $this->assertEquals(60, $accommodation->screenshotdelay, 'The delay of the student should apply');
+        $this->assertFalse($accommodation->fromgroup, 'The accommodation should be the one of the student');
+
+        $other = $this->getDataGenerator()->create_user();
+        $this->assertNull(accommodation::get_for_user($this->quiz->cmid, $other->id),
+            'Students outside the group should have no accommodation');
+    }
+
+    /**
+     * Test a student in several groups gets the most lenient of their accommodations.
+     */
+    public function test_groups_merged() {
+        $this->setAdminUser();
+        accommodation::save($this->quiz->cmid, 0, $this->create_group()->id, false, 60, true);
+        accommodation::save($this->quiz->cmid, 0, $this->create_group()->id, false, 120, false);
+
+        $accommodation = accommodation::get_for_user($this->quiz->cmid, $this->user->id);
+        $this->assertFalse($accommodation->exempt, 'No group is exempted');
+        $this->assertTrue($accommodation->allowwindow, 'One group may share a window');
+        $this->assertEquals(120, $accommodation->screenshotdelay, 'The longest delay should apply');
+
+        // Saving again replaces the accommodation.
+        $row = accommodation::save($this->quiz->cmid, $this->user->id, 0, true, null, false);
+        accommodation::save($this->quiz->cmid, $this->user->id, 0, false, null, true);
+        $this->assertCount(3, accommodation::get_all($this->quiz->cmid), 'The student should have one accommodation');
+        accommodation::delete($this->quiz->cmid, $row->id);
+        $this->assertCount(2, accommodation::get_all($this->quiz->cmid), 'The accommodation should be removed');
+    }
+
+    /**
+     * Test an accommodation is either for a student or for a group.
+     */
+    public function test_save_needs_one_target() {
+        $this->setAdminUser();
+
+        $this->expectException(coding_exception::class);
+        accommodation::save($this->quiz->cmid, $this->user->id, $this->create_group()->id, true, null, false);
+    }
+
+    /**
+     * Test the rule applies the accommodation of the student.
+     */
+    public function test_rule_respects_accommodation() {
+        $this->setUser($this->user);
+        consent::record($this->quiz->cmid, $this->quiz->id, $this->user->id);
+        $window = ['invigilator' => 1, 'invigilator_share_state' => 'true', 'invigilator_window_surface' => 'window'];
+
+        $rule = $this->get_rule();
+        $this->assertFalse($rule->is_exempt(), 'The student should be invigilated');
+        $this->assertEquals(30, $rule->get_screenshot_delay(), 'The delay of the quiz should apply');
+        $this->assertArrayHasKey('invigilator', $rule->validate_preflight_check($window, [], [], 0),
+            'A shared window should be refused');
+
+        accommodation::save($this->quiz->cmid, $this->user->id, 0, false, 90, true);
+        $rule = $this->get_rule();
+        $this->assertEquals(90, $rule->get_screenshot_delay(), 'The delay of the accommodation should apply');
+        $this->assertTrue($rule->is_window_allowed(), 'The student may share a window');
+        $this->assertEmpty($rule->validate_preflight_check($window, [], [], 0), 'A shared window should be accepted');
+
+        accommodation::save($this->quiz->cmid, $this->user->id, 0, true, null, false);
+        $rule = $this->get_rule();
+        $this->assertTrue($rule->is_exempt(), 'The student should be exempted');
+        $this->assertFalse($rule->is_preflight_check_required(null), 'The student should not share the screen');
+    }
+
+    /**
+     * Test the server refuses the captures of an exempted student.
+     */
+    public function test_exempt_upload_refused() {
+        global $DB;
+
+        $this->setUser($this->user);
+        consent::record($this->quiz->cmid, $this->quiz->id, $this->user->id);
+        accommodation::save($this->quiz->cmid, $this->user->id, 0, true, null, false);
+
+        $screenshot = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==';
+        $this->expectException(invalid_parameter_exception::class);
+        try {
+            quizaccess_invigilator_external::send_screenshot($this->course->id, $this->quiz->cmid, $this->quiz->id, $screenshot);
+        } finally {
+            $this->assertEquals(0, $DB->count_records('quizaccess_invigilator_logs'), 'Nothing should be logged');
+        }
+    }
+}
+
+// Run tests if called directly
+if (!defined('PHPUNIT_TEST') && basename(__FILE__) == basename($_SERVER['SCRIPT_NAME'])) {
+    echo "Running Invigilator Plugin Accommodation Tests...\n\n";
+
+    $test = new quizaccess_invigilator_accommodation_test();
+    $test->setUp();
+
+    $methods = get_class_methods($test);
+    $test_methods = array_filter($methods, function($method) {
+        return strpos($method, 'test_') === 0;
+    });
+
+    $passed = 0;
+    $failed = 0;
+
+    foreach ($test_methods as $method) {
+        echo "Running $method... ";
+        try {
+            $test->$method();
+            echo "PASSED\n";
+            $passed++;
+        } catch (Exception $e) {
+            echo "FAILED: " . $e->getMessage() . "\n";
+            $failed++;
+        } catch (PHPUnit\Framework\AssertionFailedError $e) {
+            echo "FAILED: " . $e->getMessage() . "\n";
+            $failed++;
+        }
+    }
+
+    echo "\n=== Test Results ===\n";
+    echo "Passed: $passed\n";
+    echo "Failed: $failed\n";
+    echo "Total: " . ($passed + $failed) . "\n";
+
+    if ($failed > 0) {
+        exit(1);
+    }
+}
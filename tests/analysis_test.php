@@ -0,0 +1,288 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Capture analysis unit tests for the quizaccess_invigilator plugin.
+ *
+ * @package    quizaccess_invigilator
+ * @copyright  2024 Brain Station 23
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+defined('MOODLE_INTERNAL') || die();
+
+require_once(__DIR__ . '/../../../config.php');
+require_once($CFG->libdir . '/phpunit/classes/base_testcase.php');
+require_once($CFG->dirroot . '/mod/quiz/accessrule/invigilator/classes/external.php');
+
+use quizaccess_invigilator\analysis;
+use quizaccess_invigilator\capture;
+use quizaccess_invigilator\consent;
+use quizaccess_invigilator\detector\idle;
+use quizaccess_invigilator\detector\keywords;
+use quizaccess_invigilator\detector\window;
+
+/**
+ * Analysis test class for Invigilator plugin.
+ */
+class quizaccess_invigilator_analysis_test extends advanced_testcase {
+
+    /** @var stdClass Course object */
+    private $course;
+
+    /** @var stdClass Quiz object */
+    private $quiz;
+
+    /** @var stdClass Student object */
+    private $user;
+
+    /**
+     * Set up test environment.
+     */
+    protected function setUp(): void {
+        global $DB;
+
+        parent::setUp();
+        $this->resetAfterTest(true);
+
+        // Create test course
+        $this->course = $this->getDataGenerator()->create_course();
+
+        // Create test user
+        $this->user = $this->getDataGenerator()->create_user();
+        $this->getDataGenerator()->enrol_user($this->user->id, $this->course->id, 'student');
+
+        // Create a quiz using the idle detector
+        $this->quiz = $this->getDataGenerator()->create_module('quiz', [
+            'course' => $this->course->id,
+            'name' => 'Test Quiz for Analysis',
+        ]);
+
+        // The student accepted the privacy notice
+        consent::record($this->quiz->cmid, $this->quiz->id, $this->user->id);
+        $DB->insert_record('quizaccess_invigilator', (object)[
+            'quizid' => $this->quiz->id,
+            'invigilatorrequired' => 1,
+            'invigilatordetectors' => 'idle',
+            'invigilatoridleminutes' => 10,
+        ]);
+    }
+
+    /**
+     * Build a screenshot of one colour.
+     *
+     * @param int $grey Brightness of the screen.
+     * @return string Data URL of a PNG image.
+     */
+    private function make_screenshot(int $grey) : string {
+        $image = imagecreatetruecolor(64, 36);
+        imagefill($image, 0, 0, imagecolorallocate($image, $grey, $grey, $grey));
+        ob_start();
+        imagepng($image);
+        $data = ob_get_clean();
+        imagedestroy($image);
+        return 'data:image/png;base64,' . base64_encode($data);
+    }
+
+    /**
+     * Upload a screenshot as the student.
+     *
+     * @param int $grey Brightness of the screen.
+     * @param int $timecaptured Time the screenshot was taken.
+     * @return int ID of the capture.
+     */
+    private function upload(int $grey, int $timecaptured) : int {
+        $this->setUser($this->user);
+        $result = quizaccess_invigilator_external::send_screenshot($this->course->id, $this->quiz->cmid, $this->quiz->id,
+            $this->make_screenshot($grey), capture::TYPE_SCREEN, $timecaptured);
+        $this->setAdminUser();
+        return $result['screenshotid'];
+    }
+
+    /**
+     * Test keywords and URLs are found in the text of the screen.
+     */
+    public function test_find_keywords() {
+        $keywords = keywords::parse_keywords("  ChatGPT \n\nanswers.example.com\r\nChatGPT\n");
+        $this->assertEquals(['ChatGPT', 'answers.example.com'], $keywords, 'Keywords should be trimmed and unique');
+
+        $text = "Ask chatgpt for help\nhttps://answers. example.com/quiz";
+        $this->assertEquals(['ChatGPT', 'answers.example.com'], keywords::find_keywords($text, $keywords),
+            'Keywords should be found regardless of case and URLs across OCR spaces');
+        $this->assertEquals([], keywords::find_keywords('Question 1 of 10', $keywords), 'Nothing should be found');
+    }
+
+    /**
+     * Test template matching finds a window on the screen.
+     */
+    public function test_window_match() {
+        $screen = array_fill(0, 10, array_fill(0, 10, 255));
+        $template = [[0, 0, 0], [0, 255, 0], [0, 0, 0]];
+        foreach ($template as $y => $row) {
+            foreach ($row as $x => $brightness) {
+                $screen[4 + $y][5 + $x] = $brightness;
+            }
+        }
+
+        $this->assertEquals(1, window::match($screen, $template), 'The window should be found exactly');
+        $this->assertLessThan(window::THRESHOLD, window::match(array_fill(0, 10, array_fill(0, 10, 255)), $template),
+            'A blank screen should not match');
+        $this->assertEquals(0, window::match([[255]], $template), 'A template larger than the screen should not match');
+    }
+
+    /**
+     * Test thumbnails are compared with a tolerance.
+     */
+    public function test_is_unchanged() {
+        $grey = array_fill(0, idle::THUMBNAIL_HEIGHT, array_fill(0, idle::THUMBNAIL_WIDTH, 128));
+        $lighter = array_fill(0, idle::THUMBNAIL_HEIGHT, array_fill(0, idle::THUMBNAIL_WIDTH, 130));
+        $white = array_fill(0, idle::THUMBNAIL_HEIGHT, array_fill(0, idle::THUMBNAIL_WIDTH, 255));
+
+        $this->assertTrue(idle::is_unchanged($grey, $lighter), 'A slightly lighter screen should count as unchanged');
+        $this->assertFalse(idle::is_unchanged($grey, $white), 'A white screen should count as changed');
+    }
+
+    /**
+     * Test an idle screen is detected from the stored screenshots and no change events.
+     */
+    public function test_idle_detection() {
+        global $DB;
+
+        $now = time();
+        $this->upload(128, $now - 20 * MINSECS);
+        $this->upload(128, $now - 12 * MINSECS);
+        $logid = $this->upload(128, $now - 5 * MINSECS);
+
+        $detections = analysis::analyse($logid);
+        $this->assertCount(1, $detections, 'The idle screen should be detected');
+        $this->assertEquals('idle', $detections[0]->detector, 'The idle detector should report it');
+        $this->assertEqualsWithDelta(0.75, $detections[0]->score, 0.01, 'Fifteen of twenty minutes should score 0.75');
+
+        // A new screen after the browser reported no change until two minutes ago
+        $DB->insert_record('quizaccess_invigilator_events', (object)[
+            'courseid' => $this->course->id,
+            'cmid' => $this->quiz->cmid,
+            'quizid' => $this->quiz->id,
+            'userid' => $this->user->id,
+            'attemptid' => 0,
+            'eventtype' => \quizaccess_invigilator\event_log::TYPE_NO_CHANGE,
+            'details' => capture::TYPE_SCREEN,
+            'timecreated' => $now - 2 * MINSECS,
+        ]);
+        $logid = $this->upload(0, $now);
+        $detections = analysis::analyse($logid);
+        $this->assertCount(1, $detections, 'The screen should be idle until the last no change event');
+        $this->assertEqualsWithDelta(0.9, $detections[0]->score, 0.01, 'Eighteen of twenty minutes should score 0.9');
+
+        // Analysing again replaces the detections
+        analysis::analyse($logid);
+        $this->assertEquals(1, $DB->count_records('quizaccess_invigilator_detections', ['logid' => $logid]),
+            'The detections should be replaced');
+
+        $this->assertArrayHasKey($logid, analysis::get_detections($this->quiz->cmid, $this->user->id),
+            'The detections should be listed for the report');
+    }
+
+    /**
+     * Test the idle detector reuses the thumbnails of the screenshots it already compared.
+     */
+    public function test_idle_thumbnail_cache() {
+        $now = time();
+        $first = $this->upload(128, $now - 20 * MINSECS);
+        $second = $this->upload(128, $now - 12 * MINSECS);
+        analysis::analyse($second);
+        $this->assertIsArray(cache::make('quizaccess_invigilator', 'thumbnails')->get($second),
+            'The thumbnail of the analysed screenshot should be kept');
+
+        // The earlier images are not read again
+        $context = context_module::instance($this->quiz->cmid);
+        get_file_storage()->delete_area_files($context->id, 'quizaccess_invigilator', 'picture', $first);
+        get_file_storage()->delete_area_files($context->id, 'quizaccess_invigilator', 'picture', $second);
+        $detections = analysis::analyse($this->upload(128, $now - 5 * MINSECS));
+        $this->assertCount(1, $detections, 'The idle screen should be detected from the kept thumbnails');
+    }
+
+    /**
+     * Test screenshots are queued for analysis only when the quiz uses detectors.
+     */
+    public function test_queue() {
+        global $DB;
+
+        $this->upload(128, time());
+        $this->assertCount(1, \core\task\manager::get_adhoc_tasks(\quizaccess_invigilator\task\analyse_capture::class),
+            'The screenshot should be queued');
+
+        $DB->set_field('quizaccess_invigilator', 'invigilatordetectors', null, ['quizid' => $this->quiz->id]);
+        $this->upload(128, time());
+        $this->assertCount(1, \core\task\manager::get_adhoc_tasks(\quizaccess_invigilator\task\analyse_capture::class),
+            'A quiz without detectors should not queue anything');
+    }
+
+    /**
+     * Test the detectors offered in the quiz settings.
+     */
+    public function test_detector_options() {
+        set_config('pathtotesseract', '', 'quizaccess_invigilator');
+
+        $options = analysis::get_detector_options();
+        $this->assertEquals(['keywords', 'window', 'idle'], array_keys($options), 'The built in detectors should be offered');
+        $this->assertStringContainsString(get_string('detector:unavailable', 'quizaccess_invigilator', ''),
+            $options['keywords'], 'The keyword detector should need Tesseract');
+
+        $detectors = analysis::get_quiz_detectors((object)['invigilatordetectors' => 'keywords,idle,unknown']);
+        $this->assertEquals(['idle'], array_keys($detectors), 'Only the available detectors should run');
+    }
+}
+
+// Run tests if called directly
+if (!defined('PHPUNIT_TEST') && basename(__FILE__) == basename($_SERVER['SCRIPT_NAME'])) {
+    echo "Running Invigilator Plugin Analysis Tests...\n\n";
+
+    $test = new quizaccess_invigilator_analysis_test();
+    $test->setUp();
+
+    $methods = get_class_methods($test);
+    $test_methods = array_filter($methods, function($method) {
+        return strpos($method, 'test_') === 0;
+    });
+
+    $passed = 0;
+    $failed = 0;
+
+    foreach ($test_methods as $method) {
+        echo "Running $method... ";
+        try {
+            $test->$method();
+            echo "PASSED\n";
+            $passed++;
+        } catch (Exception $e) {
+            echo "FAILED: " . $e->getMessage() . "\n";
+            $failed++;
+        } catch (PHPUnit\Framework\AssertionFailedError $e) {
+            echo "FAILED: " . $e->getMessage() . "\n";
+            $failed++;
+        }
+    }
+
+    echo "\n=== Test Results ===\n";
+    echo "Passed: $passed\n";
+    echo "Failed: $failed\n";
+    echo "Total: " . ($passed + $failed) . "\n";
+
+    if ($failed > 0) {
+        exit(1);
+    }
+}
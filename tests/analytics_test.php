@@ -0,0 +1,268 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Proctoring analytics unit tests for the quizaccess_invigilator plugin.
+ *
+ * @package    quizaccess_invigilator
+ * @copyright  2024 Brain Station 23
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+defined('MOODLE_INTERNAL') || die();
+
+require_once(__DIR__ . '/../../../config.php');
+require_once($CFG->libdir . '/phpunit/classes/base_testcase.php');
+
+use quizaccess_invigilator\accommodation;
+use quizaccess_invigilator\analytics;
+use quizaccess_invigilator\capture;
+use quizaccess_invigilator\event_log;
+use quizaccess_invigilator\review;
+
+/**
+ * Analytics test class for Invigilator plugin.
+ */
+class quizaccess_invigilator_analytics_test extends advanced_testcase {
+
+    /** @var stdClass Course object */
+    private $course;
+
+    /** @var stdClass Quiz object */
+    private $quiz;
+
+    /** @var stdClass Student with a poorly proctored attempt */
+    private $risky;
+
+    /** @var stdClass Student with a fully proctored attempt */
+    private $clean;
+
+    /** @var int Time the attempts finished */
+    private $now;
+
+    /**
+     * Set up test environment.
+     */
+    protected function setUp(): void {
+        global $DB;
+
+        parent::setUp();
+        $this->resetAfterTest(true);
+        $this->now = time();
+
+        // Create test course
+        $this->course = $this->getDataGenerator()->create_course();
+
+        // Create test users
+        $this->risky = $this->getDataGenerator()->create_user(['firstname' => 'Risky']);
+        $this->clean = $this->getDataGenerator()->create_user(['firstname' => 'Clean']);
+
+        // Create a quiz taking a screenshot every 30 seconds
+        $this->quiz = $this->getDataGenerator()->create_module('quiz', [
+            'course' => $this->course->id,
+            'name' => 'Test Quiz for Analytics',
+        ]);
+        $DB->insert_record('quizaccess_invigilator', (object)[
+            'quizid' => $this->quiz->id,
+            'invigilatorrequired' => 1,
+            'invigilatorscreenshotdelay' => 30,
+        ]);
+
+        // Both attempts last five minutes
+        $generator = $this->getDataGenerator()->get_plugin_generator('quizaccess_invigilator');
+
+        // The risky attempt stops sending the screen halfway
+        $attemptid = $generator->create_attempt($this->quiz, $this->risky->id, $this->now - 300, $this->now)->id;
+        $logid = 0;
+        foreach ([0, 30, 60, 90] as $offset) {
+            $id = $this->create_capture($this->risky, $attemptid, $offset);
+            $logid = $logid ?: $id;
+        }
+        // Captured before the attempt was recorded with it
+        $this->create_capture($this->risky, 0, 120);
+        $this->create_event($this->risky, $attemptid, event_log::TYPE_NO_CHANGE, capture::TYPE_SCREEN, 150);
+        $this->create_event($this->risky, $attemptid, event_log::TYPE_SHARE_LOST, '', 160);
+        review::flag($DB->get_record('quizaccess_invigilator_logs', ['id' => $logid]), get_admin()->id, 'Phone');
+
+        // The clean attempt sends every screen
+        $attemptid = $generator->create_attempt($this->quiz, $this->clean->id, $this->now - 300, $this->now)->id;
+        for ($offset = 0; $offset <= 300; $offset += 30) {
+            $this->create_capture($this->clean, $attemptid, $offset);
+        }
+    }
+
+    /**
+     * Create a screenshot.
+     *
+     * @param stdClass $user Student.
+     * @param int $attemptid Attempt ID, 0 if unknown.
+     * @param int $offset Seconds after the start of the attempt.
+     * @return int Capture ID.
+     */
+    private function create_capture(stdClass $user, int $attemptid, int $offset) : int {
+        global $DB;
+
+        return $DB->insert_record('quizaccess_invigilator_logs', (object)[
+            'courseid' => $this->course->id,
+            'cmid' => $this->quiz->cmid,
+            'quizid' => $this->quiz->id,
+            'userid' => $user->id,
+            'screenshot' => '',
+            'timecreated' => $this->now - 300 + $offset,
+            'capturetype' => capture::TYPE_SCREEN,
+            'attemptid' => $attemptid,
+        ]);
+    }
+
+    /**
+     * Create a proctoring event.
+     *
+     * @param stdClass $user Student.
+     * @param int $attemptid Attempt ID.
+     * @param string $eventtype One of the event_log::TYPE_* constants.
+     * @param string $details Extra information about the event.
+     * @param int $offset Seconds after the start of the attempt.
+     */
+    private function create_event(stdClass $user, int $attemptid, string $eventtype, string $details, int $offset) {
+        global $DB;
+
+        $DB->insert_record('quizaccess_invigilator_events', (object)[
+            'courseid' => $this->course->id,
+            'cmid' => $this->quiz->cmid,
+            'quizid' => $this->quiz->id,
+            'userid' => $user->id,
+            'attemptid' => $attemptid,
+            'eventtype' => $eventtype,
+            'details' => $details,
+            'timecreated' => $this->now - 300 + $offset,
+        ]);
+    }
+
+    /**
+     * Get the analytics of the quiz.
+     *
+     * @return stdClass[]
+     */
+    private function get_attempts() : array {
+        return analytics::get_quiz_attempts(get_coursemodule_from_id('quiz', $this->quiz->cmid), $this->now);
+    }
+
+    /**
+     * Test the coverage, gap, lost shares and flags of a poorly proctored attempt.
+     */
+    public function test_risky_attempt() {
+        $attempt = $this->get_attempts()[0];
+
+        $this->assertEquals($this->risky->id, $attempt->userid, 'The riskiest attempt should be listed first');
+        $this->assertEquals(300, $attempt->duration, 'The attempt should last five minutes');
+        $this->assertEquals(11, $attempt->expected, 'A screen should be expected every 30 seconds');
+        $this->assertEquals(6, $attempt->received, 'Screenshots and unchanged screens should be received');
+        $this->assertEquals(55, $attempt->coverage, 'Six of eleven screens should be covered');
+        $this->assertEquals(150, $attempt->largestgap, 'The gap should run to the end of the attempt');
+        $this->assertEquals(1, $attempt->shareloss, 'The lost share should be counted');
+        $this->assertEquals(1, $attempt->flags, 'The flag should be counted');
+        $this->assertEquals(4, $attempt->risk, 'Every warning sign should count');
+    }
+
+    /**
+     * Test a fully proctored attempt shows no warning signs.
+     */
+    public function test_clean_attempt() {
+        $attempt = $this->get_attempts()[1];
+
+        $this->assertEquals($this->clean->id, $attempt->userid, 'The clean attempt should be listed last');
+        $this->assertEquals(100, $attempt->coverage, 'Every screen should be covered');
+        $this->assertEquals(30, $attempt->largestgap, 'The gap should be the screenshot delay');
+        $this->assertEquals(0, $attempt->risk, 'There should be no warning sign');
+    }
+
+    /**
+     * Test the accommodation of a student sets their screenshot delay and exemption.
+     */
+    public function test_accommodated_attempt() {
+        accommodation::save($this->quiz->cmid, $this->risky->id, 0, false, 60, false);
+        $attempt = $this->get_attempts()[0];
+
+        $this->assertEquals(60, $attempt->delay, 'The delay of the accommodation should be used');
+        $this->assertEquals(6, $attempt->expected, 'A screen should be expected every 60 seconds');
+        $this->assertEquals(100, $attempt->coverage, 'Every screen should be covered');
+        $this->assertEquals(2, $attempt->risk, 'The gap should be within three delays');
+
+        accommodation::save($this->quiz->cmid, $this->risky->id, 0, true, null, false);
+        $attempt = $this->get_attempts()[0];
+
+        $this->assertTrue($attempt->exempt, 'The student should be exempt');
+        $this->assertEquals(0, $attempt->expected, 'No screen should be expected');
+        $this->assertEquals(100, $attempt->coverage, 'The coverage should not be a warning sign');
+        $this->assertEquals(2, $attempt->risk, 'Only the lost share and the flag should count');
+    }
+
+    /**
+     * Test the attempts are sorted by the table columns and summarised.
+     */
+    public function test_sort_and_summary() {
+        $attempts = analytics::sort_attempts($this->get_attempts(), ['coverage' => SORT_DESC]);
+        $this->assertEquals($this->clean->id, $attempts[0]->userid, 'The best coverage should be first');
+
+        $attempts = analytics::sort_attempts($attempts, ['student' => SORT_ASC, 'unknown' => SORT_ASC]);
+        $this->assertEquals($this->clean->id, $attempts[0]->userid, 'Students should be sorted by name');
+
+        $summary = analytics::summarise($attempts);
+        $this->assertEquals(2, $summary->attempts, 'Both attempts should be counted');
+        $this->assertEquals(78, $summary->coverage, 'The coverage should be averaged');
+        $this->assertEquals(1, $summary->atrisk, 'One attempt should show warning signs');
+    }
+}
+
+// Run tests if called directly
+if (!defined('PHPUNIT_TEST') && basename(__FILE__) == basename($_SERVER['SCRIPT_NAME'])) {
+    echo "Running Invigilator Plugin Analytics Tests...\n\n";
+
+    $test = new quizaccess_invigilator_analytics_test();
+    $test->setUp();
+
+    $methods = get_class_methods($test);
+    $test_methods = array_filter($methods, function($method) {
+        return strpos($method, 'test_') === 0;
+    });
+
+    $passed = 0;
+    $failed = 0;
+
+    foreach ($test_methods as $method) {
+        echo "Running $method... ";
+        try {
+            $test->$method();
+            echo "PASSED\n";
+            $passed++;
+        } catch (Exception $e) {
+            echo "FAILED: " . $e->getMessage() . "\n";
+            $failed++;
+        } catch (PHPUnit\Framework\AssertionFailedError $e) {
+            echo "FAILED: " . $e->getMessage() . "\n";
+            $failed++;
+        }
+    }
+
+    echo "\n=== Test Results ===\n";
+    echo "Passed: $passed\n";
+    echo "Failed: $failed\n";
+    echo "Total: " . ($passed + $failed) . "\n";
+
+    if ($failed > 0) {
+        exit(1);
+    }
+}
@@ -0,0 +1,264 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Backup and restore unit tests for the quizaccess_invigilator plugin.
+ *
+ * @package    quizaccess_invigilator
+ * @copyright  2024 Brain Station 23
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+defined('MOODLE_INTERNAL') || die();
+
+require_once(__DIR__ . '/../../../config.php');
+require_once($CFG->libdir . '/phpunit/classes/base_testcase.php');
+require_once($CFG->dirroot . '/backup/util/includes/backup_includes.php');
+require_once($CFG->dirroot . '/backup/util/includes/restore_includes.php');
+require_once($CFG->dirroot . '/mod/quiz/accessrule/invigilator/classes/external.php');
+
+use quizaccess_invigilator\consent;
+use quizaccess_invigilator\integrity;
+
+/**
+ * Backup test class for Invigilator plugin.
+ */
+class quizaccess_invigilator_backup_test extends advanced_testcase {
+
+    /** @var stdClass Course object */
+    private $course;
+
+    /** @var stdClass Quiz object */
+    private $quiz;
+
+    /** @var stdClass Student object */
+    private $user;
+
+    /**
+     * Set up test environment.
+     */
+    protected function setUp(): void {
+        global $DB;
+
+        parent::setUp();
+        $this->resetAfterTest(true);
+        $this->setAdminUser();
+
+        // Create test course
+        $this->course = $this->getDataGenerator()->create_course();
+
+        // Create test user
+        $this->user = $this->getDataGenerator()->create_user();
+        $this->getDataGenerator()->enrol_user($this->user->id, $this->course->id, 'student');
+
+        // Create a proctored quiz
+        $this->quiz = $this->getDataGenerator()->create_module('quiz', [
+            'course' => $this->course->id,
+            'name' => 'Test Quiz for Backup',
+        ]);
+
+        // The student accepted the privacy notice
+        consent::record($this->quiz->cmid, $this->quiz->id, $this->user->id);
+        $DB->insert_record('quizaccess_invigilator', (object)[
+            'quizid' => $this->quiz->id,
+            'invigilatorrequired' => 1,
+            'invigilatorwebcam' => 1,
+            'invigilatorscreenshotdelay' => 45,
+            'invigilatordetectors' => 'idle',
+        ]);
+
+        // Upload two captures
+        $this->setUser($this->user);
+        $screenshot = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==';
+        for ($i = 0; $i < 2; $i++) {
+            quizaccess_invigilator_external::send_screenshot($this->course->id, $this->quiz->cmid, $this->quiz->id,
+                $screenshot);
+        }
+        $this->setAdminUser();
+    }
+
+    /**
+     * Back up the course and restore it as a new course.
+     *
+     * @param bool $userdata Whether to include the user data.
+     * @param string|null $key Chain key of the restoring site, null for this site.
+     * @return stdClass The quiz of the new course.
+     */
+    private function backup_and_restore(bool $userdata, ?string $key = null) : stdClass {
+        global $DB, $USER;
+
+        $bc = new backup_controller(backup::TYPE_1COURSE, $this->course->id, backup::FORMAT_MOODLE, backup::INTERACTIVE_NO,
+            backup::MODE_GENERAL, $USER->id);
+        $bc->get_plan()->get_setting('users')->set_value($userdata);
+        $backupid = $bc->get_backupid();
+        $bc->execute_plan();
+        $bc->destroy();
+
+        if ($key !== null) {
+            $property = new ReflectionProperty(integrity::class, 'key');
+            $property->setAccessible(true);
+            $property->setValue(null, $key);
+        }
+
+        $newcourseid = restore_dbops::create_new_course($this->course->fullname, $this->course->shortname . '_2',
+            $this->course->category);
+        $rc = new restore_controller($backupid, $newcourseid, backup::INTERACTIVE_NO, backup::MODE_GENERAL, $USER->id,
+            backup::TARGET_NEW_COURSE);
+        $rc->execute_precheck();
+        $rc->execute_plan();
+        $rc->destroy();
+
+        $quiz = $DB->get_record('quiz', ['course' => $newcourseid], '*', MUST_EXIST);
+        $quiz->cmid = get_coursemodule_from_instance('quiz', $quiz->id)->id;
+        return $quiz;
+    }
+
+    /**
+     * Test the settings are restored without the captures when the user data is left out.
+     */
+    public function test_settings_without_user_data() {
+        global $DB;
+
+        $quiz = $this->backup_and_restore(false);
+
+        $settings = $DB->get_record('quizaccess_invigilator', ['quizid' => $quiz->id]);
+        $this->assertNotEmpty($settings, 'The settings should be restored');
+        $this->assertEquals(1, $settings->invigilatorrequired, 'The quiz should stay proctored');
+        $this->assertEquals(45, $settings->invigilatorscreenshotdelay, 'The delay should be restored');
+        $this->assertEquals('idle', $settings->invigilatordetectors, 'The detectors should be restored');
+        $this->assertEquals(0, $DB->count_records('quizaccess_invigilator_logs', ['quizid' => $quiz->id]),
+            'No capture should be restored');
+    }
+
+    /**
+     * Test the captures and their images are restored and remapped with the user data.
+     */
+    public function test_captures_with_user_data() {
+        global $DB;
+
+        $quiz = $this->backup_and_restore(true);
+        $context = context_module::instance($quiz->cmid);
+
+        $logs = $DB->get_records('quizaccess_invigilator_logs', ['quizid' => $quiz->id], 'id ASC');
+        $this->assertCount(2, $logs, 'Both captures should be restored');
+        $fs = get_file_storage();
+        foreach ($logs as $log) {
+            $this->assertEquals($quiz->course, $log->courseid, 'The capture should belong to the new course');
+            $this->assertEquals($quiz->cmid, $log->cmid, 'The capture should belong to the new quiz');
+            $this->assertEquals($this->user->id, $log->userid, 'The capture should keep its student');
+            $this->assertStringContainsString('/' . $context->id . '/quizaccess_invigilator/picture/' . $log->id . '/',
+                $log->screenshot, 'The link should point to the restored image');
+            $this->assertCount(1, $fs->get_area_files($context->id, 'quizaccess_invigilator', 'picture', $log->id, 'id',
+                false), 'The image should be restored');
+        }
+
+        $chains = integrity::verify($quiz->cmid);
+        $this->assertCount(1, $chains, 'The captures should form one chain');
+        $this->assertEquals([], $chains[0]->problems, 'The restored chain should verify');
+    }
+
+    /**
+     * Test a chain broken before the backup stays broken after the restore.
+     */
+    public function test_broken_chain_restored() {
+        global $DB;
+
+        $logs = $DB->get_records('quizaccess_invigilator_logs', ['quizid' => $this->quiz->id], 'id ASC');
+        $first = reset($logs);
+        $DB->set_field('quizaccess_invigilator_logs', 'timecreated', $first->timecreated - 60, ['id' => $first->id]);
+
+        $quiz = $this->backup_and_restore(true);
+
+        $chains = integrity::verify($quiz->cmid);
+        $this->assertCount(1, $chains[0]->problems, 'Only the altered capture should be reported');
+        $this->assertEquals(integrity::PROBLEM_ROW_ALTERED, $chains[0]->problems[0]->problem,
+            'The altered row should still break the chain');
+        $this->assertEquals(1, $chains[0]->problems[0]->seq, 'The first capture should be reported');
+    }
+
+    /**
+     * Test a chain truncated before the backup stays truncated after the restore.
+     */
+    public function test_truncated_chain_restored() {
+        global $DB;
+
+        $logs = $DB->get_records('quizaccess_invigilator_logs', ['quizid' => $this->quiz->id], 'id ASC');
+        $DB->delete_records('quizaccess_invigilator_logs', ['id' => end($logs)->id]);
+
+        $quiz = $this->backup_and_restore(true);
+
+        $problems = integrity::verify($quiz->cmid)[0]->problems;
+        $this->assertCount(1, $problems, 'Only the deleted capture should be reported');
+        $this->assertEquals(integrity::PROBLEM_TRUNCATED, $problems[0]->problem, 'The end of the chain should be kept');
+    }
+
+    /**
+     * Test a chain backed up on a site with another key is marked as unverified.
+     */
+    public function test_chain_restored_with_other_key() {
+        $quiz = $this->backup_and_restore(true, str_repeat('0', 64));
+        $chains = integrity::verify($quiz->cmid);
+
+        $property = new ReflectionProperty(integrity::class, 'key');
+        $property->setAccessible(true);
+        $property->setValue(null, null);
+
+        $this->assertCount(1, $chains[0]->problems, 'The chain should only be reported as unverified');
+        $this->assertEquals(integrity::PROBLEM_UNVERIFIED, $chains[0]->problems[0]->problem,
+            'The chain should be marked as unverified');
+        $this->assertEquals(2, $chains[0]->problems[0]->seq, 'Every restored capture should be unverified');
+    }
+}
+
+// Run tests if called directly
+if (!defined('PHPUNIT_TEST') && basename(__FILE__) == basename($_SERVER['SCRIPT_NAME'])) {
+    echo "Running Invigilator Plugin Backup Tests...\n\n";
+
+    $test = new quizaccess_invigilator_backup_test();
+    $test->setUp();
+
+    $methods = get_class_methods($test);
+    $test_methods = array_filter($methods, function($method) {
+        return strpos($method, 'test_') === 0;
+    });
+
+    $passed = 0;
+    $failed = 0;
+
+    foreach ($test_methods as $method) {
+        echo "Running $method... ";
+        try {
+            $test->$method();
+            echo "PASSED\n";
+            $passed++;
+        } catch (Exception $e) {
+            echo "FAILED: " . $e->getMessage() . "\n";
+            $failed++;
+        } catch (PHPUnit\Framework\AssertionFailedError $e) {
+            echo "FAILED: " . $e->getMessage() . "\n";
+            $failed++;
+        }
+    }
+
+    echo "\n=== Test Results ===\n";
+    echo "Passed: $passed\n";
+    echo "Failed: $failed\n";
+    echo "Total: " . ($passed + $failed) . "\n";
+
+    if ($failed > 0) {
+        exit(1);
+    }
+}
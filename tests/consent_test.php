@@ -0,0 +1,231 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Privacy notice consent unit tests for the quizaccess_invigilator plugin.
+ *
+ * @package    quizaccess_invigilator
+ * @copyright  2024 Brain Station 23
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+defined('MOODLE_INTERNAL') || die();
+
+require_once(__DIR__ . '/../../../config.php');
+require_once($CFG->libdir . '/phpunit/classes/base_testcase.php');
+require_once($CFG->dirroot . '/mod/quiz/accessrule/invigilator/classes/external.php');
+require_once($CFG->dirroot . '/mod/quiz/accessrule/invigilator/rule.php');
+
+use quizaccess_invigilator\consent;
+
+/**
+ * Consent test class for Invigilator plugin.
+ */
+class quizaccess_invigilator_consent_test extends advanced_testcase {
+
+    /** @var stdClass Course object */
+    private $course;
+
+    /** @var stdClass Quiz object */
+    private $quiz;
+
+    /** @var stdClass Student object */
+    private $user;
+
+    /**
+     * Set up test environment.
+     */
+    protected function setUp(): void {
+        parent::setUp();
+        $this->resetAfterTest(true);
+
+        // Create test course
+        $this->course = $this->getDataGenerator()->create_course();
+
+        // Create test user
+        $this->user = $this->getDataGenerator()->create_user();
+        $this->getDataGenerator()->enrol_user($this->user->id, $this->course->id, 'student');
+
+        // Create test quiz
+        $this->quiz = $this->getDataGenerator()->create_module('quiz', [
+            'course' => $this->course->id,
+            'name' => 'Test Quiz for Consent',
+        ]);
+    }
+
+    /**
+     * Get the rule of the quiz, without enforcing the screen share.
+     *
+     * @return quizaccess_invigilator
+     */
+    private function get_rule() {
+        global $DB;
+
+        $quiz = $DB->get_record('quiz', ['id' => $this->quiz->id]);
+        $quiz->invigilatorrequired = 1;
+        $quiz->invigilatorenforcement = quizaccess_invigilator::ENFORCEMENT_OFF;
+        $quizobj = new quiz($quiz, get_coursemodule_from_instance('quiz', $quiz->id), $this->course);
+        return new quizaccess_invigilator($quizobj, time());
+    }
+
+    /**
+     * Test the default notice and the new version given by each change.
+     */
+    public function test_notice_versions() {
+        $notice = consent::get_notice();
+        $this->assertEquals(1, $notice->version, 'The first notice should be version 1');
+        $this->assertEquals(get_string('privacynotice:default', 'quizaccess_invigilator'), $notice->text,
+            'The default notice should be shown while none is configured');
+
+        set_config('privacynotice', '<p>New notice</p>', 'quizaccess_invigilator');
+        consent::notice_updated();
+        $notice = consent::get_notice();
+        $this->assertEquals(2, $notice->version, 'The change should give a new version');
+        $this->assertEquals('<p>New notice</p>', $notice->text, 'The configured notice should be shown');
+
+        $this->assertEquals('<p>New notice</p>', consent::get_notice_version(2)->noticetext,
+            'The text of the new version should be kept');
+        $this->assertNull(consent::get_notice_version(3), 'Only the versions shown should be kept');
+
+        set_config('privacynotice', '<p>Newer notice</p>', 'quizaccess_invigilator');
+        consent::notice_updated();
+        $this->assertEquals('<p>New notice</p>', consent::get_notice_version(2)->noticetext,
+            'The text of the older versions should be kept');
+        $this->assertEquals(sha1('<p>Newer notice</p>'), consent::get_notice_version(3)->noticehash,
+            'The hash of the text should be kept');
+    }
+
+    /**
+     * Test the passed preflight check records the version accepted and asks again after a change.
+     */
+    public function test_record_consent() {
+        global $DB;
+
+        $this->setUser($this->user);
+        $rule = $this->get_rule();
+        $this->assertFalse(consent::has_consented($this->quiz->cmid, $this->user->id), 'Nothing should be accepted yet');
+
+        $data = ['invigilator' => 1, 'invigilatorconsent' => 1, 'invigilatornoticeversion' => 1];
+        $this->assertEmpty($rule->validate_preflight_check($data, [], [], 0), 'The preflight check should pass');
+        $this->assertFalse(consent::has_consented($this->quiz->cmid, $this->user->id),
+            'Nothing should be recorded while the form is checked');
+        $rule->notify_preflight_check_passed(null);
+        $this->assertTrue(consent::has_consented($this->quiz->cmid, $this->user->id), 'The notice should be accepted');
+
+        $record = $DB->get_record('quizaccess_invigilator_consents', ['userid' => $this->user->id]);
+        $this->assertEquals($this->quiz->id, $record->quizid, 'The consent should name the quiz');
+        $this->assertEquals(sha1(consent::get_notice()->text), $record->noticehash, 'The accepted text should be kept');
+        $this->assertEquals(consent::get_notice()->text, consent::get_notice_version(1)->noticetext,
+            'The text of the accepted version should be kept');
+
+        // Passing twice keeps one record.
+        $rule->notify_preflight_check_passed(null);
+        $this->assertEquals(1, $DB->count_records('quizaccess_invigilator_consents'), 'The consent should be recorded once');
+
+        consent::notice_updated();
+        $this->assertFalse(consent::has_consented($this->quiz->cmid, $this->user->id),
+            'The new version of the notice should be accepted again');
+
+        $errors = $rule->validate_preflight_check($data, [], [], 0);
+        $this->assertEquals(get_string('privacynotice:changed', 'quizaccess_invigilator'), $errors['invigilatorconsent'],
+            'An old version of the notice should not be accepted');
+
+        $data['invigilatornoticeversion'] = 2;
+        $this->assertEmpty($rule->validate_preflight_check($data, [], [], 0), 'The new version should pass');
+        $rule->notify_preflight_check_passed(null);
+        $this->assertTrue(consent::has_consented($this->quiz->cmid, $this->user->id), 'The new version should be accepted');
+        $this->assertEquals(2, consent::get_latest($this->quiz->cmid)[$this->user->id]->noticeversion,
+            'The report should show the latest version accepted');
+    }
+
+    /**
+     * Test the server refuses the captures of students who did not accept the current notice.
+     */
+    public function test_upload_requires_consent() {
+        global $DB;
+
+        $this->setUser($this->user);
+        $screenshot = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==';
+
+        consent::record($this->quiz->cmid, $this->quiz->id, $this->user->id);
+        quizaccess_invigilator_external::send_screenshot($this->course->id, $this->quiz->cmid, $this->quiz->id, $screenshot);
+        $this->assertEquals(1, $DB->count_records('quizaccess_invigilator_logs'), 'The capture should be stored');
+
+        consent::notice_updated();
+        $this->expectException(invalid_parameter_exception::class);
+        try {
+            quizaccess_invigilator_external::send_screenshot($this->course->id, $this->quiz->cmid, $this->quiz->id, $screenshot);
+        } finally {
+            $this->assertEquals(1, $DB->count_records('quizaccess_invigilator_logs'),
+                'The capture should wait for the new notice to be accepted');
+        }
+    }
+
+    /**
+     * Test the preflight check refuses students who did not accept the notice.
+     */
+    public function test_preflight_requires_consent() {
+        $this->setUser($this->user);
+        $rule = $this->get_rule();
+
+        $errors = $rule->validate_preflight_check(['invigilator' => 1], [], [], 0);
+        $this->assertArrayHasKey('invigilatorconsent', $errors, 'The notice should be accepted first');
+
+        consent::record($this->quiz->cmid, $this->quiz->id, $this->user->id);
+        $this->assertEmpty($rule->validate_preflight_check(['invigilator' => 1], [], [], 0),
+            'The preflight check should pass once the notice is accepted');
+    }
+}
+
+// Run tests if called directly
+if (!defined('PHPUNIT_TEST') && basename(__FILE__) == basename($_SERVER['SCRIPT_NAME'])) {
+    echo "Running Invigilator Plugin Consent Tests...\n\n";
+
+    $test = new quizaccess_invigilator_consent_test();
+    $test->setUp();
+
+    $methods = get_class_methods($test);
+    $test_methods = array_filter($methods, function($method) {
+        return strpos($method, 'test_') === 0;
+    });
+
+    $passed = 0;
+    $failed = 0;
+
+    foreach ($test_methods as $method) {
+        echo "Running $method... ";
+        try {
+            $test->$method();
+            echo "PASSED\n";
+            $passed++;
+        } catch (Exception $e) {
+            echo "FAILED: " . $e->getMessage() . "\n";
+            $failed++;
+        } catch (PHPUnit\Framework\AssertionFailedError $e) {
+            echo "FAILED: " . $e->getMessage() . "\n";
+            $failed++;
+        }
+    }
+
+    echo "\n=== Test Results ===\n";
+    echo "Passed: $passed\n";
+    echo "Failed: $failed\n";
+    echo "Total: " . ($passed + $failed) . "\n";
+
+    if ($failed > 0) {
+        exit(1);
+    }
+}
@@ -64,6 +64,17 @@ class quizaccess_invigilator_database_test extends advanced_testcase {
         $field = new xmldb_field('invigilatorrequired');
         $this->assertTrue($dbman->field_exists($table, $field), 'Invigilator required field should exist');
         
+        $field = new xmldb_field('invigilatorenforcement');
+        $this->assertTrue($dbman->field_exists($table, $field), 'Invigilator enforcement field should exist');
+        
+        $field = new xmldb_field('invigilatorwebcam');
+        $this->assertTrue($dbman->field_exists($table, $field), 'Invigilator webcam field should exist');
+        
+        foreach (['invigilatorscreenshotdelay', 'invigilatorscreenshotwidth', 'invigilatorscreenshotjitter'] as $field_name) {
+            $field = new xmldb_field($field_name);
+            $this->assertTrue($dbman->field_exists($table, $field), "Field '$field_name' should exist");
+        }
+        
         // Test field types and constraints
         $columns = $DB->get_columns('quizaccess_invigilator');
         
@@ -92,7 +103,8 @@ class quizaccess_invigilator_database_test extends advanced_testcase {
         
         // Test required fields
         $required_fields = [
-            'id', 'courseid', 'cmid', 'quizid', 'userid', 'screenshot', 'timecreated'
+            'id', 'courseid', 'cmid', 'quizid', 'userid', 'screenshot', 'capturetype', 'timecreated',
+            'surfacewidth', 'surfaceheight', 'multidisplay'
         ];
         
         foreach ($required_fields as $field_name) {
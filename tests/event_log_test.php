@@ -0,0 +1,293 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Proctoring event log unit tests for the quizaccess_invigilator plugin.
+ *
+ * @package    quizaccess_invigilator
+ * @copyright  2024 Brain Station 23
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+defined('MOODLE_INTERNAL') || die();
+
+require_once(__DIR__ . '/../../../config.php');
+require_once($CFG->libdir . '/phpunit/classes/base_testcase.php');
+require_once($CFG->dirroot . '/mod/quiz/accessrule/invigilator/classes/external.php');
+require_once($CFG->dirroot . '/mod/quiz/accessrule/invigilator/rule.php');
+
+use quizaccess_invigilator\event_log;
+use quizaccess_invigilator\proctor_action;
+
+/**
+ * Proctoring event log test class for Invigilator plugin.
+ */
+class quizaccess_invigilator_event_log_test extends advanced_testcase {
+
+    /** @var stdClass Course object */
+    private $course;
+
+    /** @var stdClass Quiz object */
+    private $quiz;
+
+    /** @var stdClass User object */
+    private $user;
+
+    /** @var stdClass Attempt record */
+    private $attempt;
+
+    /**
+     * Set up test environment.
+     */
+    protected function setUp(): void {
+        parent::setUp();
+        $this->resetAfterTest(true);
+
+        // Create test course
+        $this->course = $this->getDataGenerator()->create_course();
+
+        // Create test user
+        $this->user = $this->getDataGenerator()->create_user();
+        $this->getDataGenerator()->enrol_user($this->user->id, $this->course->id, 'student');
+
+        // Create test quiz
+        $this->quiz = $this->getDataGenerator()->create_module('quiz', [
+            'course' => $this->course->id,
+            'name' => 'Test Quiz for Event Log',
+        ]);
+
+        // Create an attempt in progress
+        $this->attempt = $this->getDataGenerator()->get_plugin_generator('quizaccess_invigilator')
+            ->create_attempt($this->quiz, $this->user->id);
+
+        // Set current user
+        $this->setUser($this->user);
+    }
+
+    /**
+     * Test recording and reading back events.
+     */
+    public function test_record_and_get_user_events() {
+        event_log::record($this->course->id, $this->quiz->cmid, $this->quiz->id, $this->user->id,
+            $this->attempt->id, event_log::TYPE_SHARE_LOST);
+        event_log::record($this->course->id, $this->quiz->cmid, $this->quiz->id, $this->user->id,
+            $this->attempt->id, event_log::TYPE_SHARE_RESUMED, 'sharelost');
+
+        $events = array_values(event_log::get_user_events($this->quiz->cmid, $this->user->id));
+
+        $this->assertCount(2, $events, 'Both events should be stored');
+        $this->assertEquals(event_log::TYPE_SHARE_LOST, $events[0]->eventtype, 'Events should be in order');
+        $this->assertEquals(event_log::TYPE_SHARE_RESUMED, $events[1]->eventtype, 'Events should be in order');
+        $this->assertEquals($this->attempt->id, $events[1]->attemptid, 'Attempt ID should match');
+    }
+
+    /**
+     * Test the log_event web service.
+     */
+    public function test_log_event_service() {
+        global $DB;
+
+        $result = quizaccess_invigilator_external::log_event($this->course->id, $this->quiz->cmid, $this->quiz->id,
+            $this->attempt->id, event_log::TYPE_SURFACE_CHANGED, 'window');
+
+        $this->assertArrayHasKey('eventid', $result, 'Result should contain event ID');
+        $event = $DB->get_record('quizaccess_invigilator_events', ['id' => $result['eventid']]);
+        $this->assertEquals($this->user->id, $event->userid, 'Event should belong to the current user');
+        $this->assertEquals('window', $event->details, 'Details should be stored');
+    }
+
+    /**
+     * Test events and screenshots are merged into one chronological timeline.
+     */
+    public function test_user_timeline() {
+        global $DB;
+
+        $DB->insert_record('quizaccess_invigilator_logs', (object)[
+            'courseid' => $this->course->id,
+            'cmid' => $this->quiz->cmid,
+            'quizid' => $this->quiz->id,
+            'userid' => $this->user->id,
+            'screenshot' => 'http://example.com/screenshot.png',
+            'timecreated' => time() - 60,
+        ]);
+        event_log::record($this->course->id, $this->quiz->cmid, $this->quiz->id, $this->user->id,
+            $this->attempt->id, event_log::TYPE_TAB_HIDDEN);
+
+        $timeline = event_log::get_user_timeline($this->quiz->cmid, $this->user->id);
+
+        $this->assertCount(2, $timeline, 'Timeline should contain the screenshot and the event');
+        $this->assertNotNull($timeline[0]->screenshot, 'Older screenshot should come first');
+        $this->assertEquals(event_log::TYPE_TAB_HIDDEN, $timeline[1]->event->eventtype, 'Newer event should come last');
+    }
+
+    /**
+     * Test the log_event web service refuses unknown event types.
+     */
+    public function test_log_event_unknown_type() {
+        $this->expectException(invalid_parameter_exception::class);
+        quizaccess_invigilator_external::log_event($this->course->id, $this->quiz->cmid, $this->quiz->id,
+            $this->attempt->id, 'madeup', '');
+    }
+
+    /**
+     * Test the log_event web service refuses attempts of other users.
+     */
+    public function test_log_event_other_users_attempt() {
+        $other = $this->getDataGenerator()->create_user();
+        $this->getDataGenerator()->enrol_user($other->id, $this->course->id, 'student');
+        $this->setUser($other);
+
+        $this->expectException(invalid_parameter_exception::class);
+        quizaccess_invigilator_external::log_event($this->course->id, $this->quiz->cmid, $this->quiz->id,
+            $this->attempt->id, event_log::TYPE_ATTEMPT_LOCKED, '');
+    }
+
+    /**
+     * Test a locked attempt prevents access to the quiz.
+     */
+    public function test_locked_attempt_prevents_access() {
+        global $DB;
+
+        $quiz = $DB->get_record('quiz', ['id' => $this->quiz->id]);
+        $quiz->invigilatorrequired = 1;
+        $quizobj = new quiz($quiz, get_coursemodule_from_instance('quiz', $quiz->id), $this->course);
+        $rule = new quizaccess_invigilator($quizobj, time());
+
+        $this->assertFalse($rule->prevent_access(), 'Access should be allowed before the attempt is locked');
+        $this->assertFalse(event_log::is_attempt_locked($this->attempt->id), 'Attempt should not be locked');
+
+        event_log::record($this->course->id, $this->quiz->cmid, $this->quiz->id, $this->user->id,
+            $this->attempt->id, event_log::TYPE_ATTEMPT_LOCKED, 'sharelost');
+
+        $this->assertTrue(event_log::is_attempt_locked($this->attempt->id), 'Attempt should be locked');
+        $this->assertNotEmpty($rule->prevent_access(), 'Access should be prevented once the attempt is locked');
+    }
+
+    /**
+     * Test an attempt is locked once the share stays lost past the grace period, even if the browser never says so.
+     */
+    public function test_lost_share_locks_attempt() {
+        global $DB;
+
+        $quiz = $DB->get_record('quiz', ['id' => $this->quiz->id]);
+        $quiz->invigilatorrequired = 1;
+        $quiz->invigilatorenforcement = quizaccess_invigilator::ENFORCEMENT_BLOCK;
+        set_config('sharelossgraceperiod', 30, 'quizaccess_invigilator');
+        $quizobj = new quiz($quiz, get_coursemodule_from_instance('quiz', $quiz->id), $this->course);
+
+        $lostid = event_log::record($this->course->id, $this->quiz->cmid, $this->quiz->id, $this->user->id,
+            $this->attempt->id, event_log::TYPE_SHARE_LOST);
+        $this->assertFalse(event_log::is_attempt_locked($this->attempt->id, 30), 'The grace period should not be over yet');
+
+        $DB->set_field('quizaccess_invigilator_events', 'timecreated', time() - 60, ['id' => $lostid]);
+        $this->assertFalse(event_log::is_attempt_locked($this->attempt->id),
+            'Only the reported lock should be checked without a grace period');
+        $this->assertTrue(event_log::is_attempt_locked($this->attempt->id, 30), 'The share was not resumed in time');
+        $rule = new quizaccess_invigilator($quizobj, time());
+        $this->assertNotEmpty($rule->prevent_access(), 'Access should be prevented once the grace period is over');
+
+        event_log::record($this->course->id, $this->quiz->cmid, $this->quiz->id, $this->user->id,
+            $this->attempt->id, event_log::TYPE_SHARE_RESUMED, 'sharelost');
+        $this->assertFalse(event_log::is_attempt_locked($this->attempt->id, 30), 'The share was resumed');
+        $rule = new quizaccess_invigilator($quizobj, time());
+        $this->assertFalse($rule->prevent_access(), 'Access should be allowed once the share is resumed');
+    }
+
+    /**
+     * Test a proctor resuming a locked attempt unlocks it and gives the student a new grace period.
+     */
+    public function test_resume_unlocks_attempt() {
+        global $DB;
+
+        $quiz = $DB->get_record('quiz', ['id' => $this->quiz->id]);
+        $quiz->invigilatorrequired = 1;
+        $quiz->invigilatorenforcement = quizaccess_invigilator::ENFORCEMENT_BLOCK;
+        set_config('sharelossgraceperiod', 30, 'quizaccess_invigilator');
+        $cm = get_coursemodule_from_instance('quiz', $quiz->id);
+        $quizobj = new quiz($quiz, $cm, $this->course);
+        $teacher = $this->getDataGenerator()->create_user();
+
+        $lostid = event_log::record($this->course->id, $this->quiz->cmid, $this->quiz->id, $this->user->id,
+            $this->attempt->id, event_log::TYPE_SHARE_LOST);
+        $DB->set_field('quizaccess_invigilator_events', 'timecreated', time() - 120, ['id' => $lostid]);
+        $lockedid = event_log::record($this->course->id, $this->quiz->cmid, $this->quiz->id, $this->user->id,
+            $this->attempt->id, event_log::TYPE_ATTEMPT_LOCKED, 'sharelost');
+        $DB->set_field('quizaccess_invigilator_events', 'timecreated', time() - 60, ['id' => $lockedid]);
+        $rule = new quizaccess_invigilator($quizobj, time());
+        $this->assertNotEmpty($rule->prevent_access(), 'Access should be prevented once the attempt is locked');
+
+        $resumeid = proctor_action::send($this->attempt, $cm, $teacher->id, proctor_action::ACTION_RESUME);
+        $this->assertFalse(event_log::is_attempt_locked($this->attempt->id), 'The resume should lift the reported lock');
+        $this->assertFalse(event_log::is_attempt_locked($this->attempt->id, 30), 'A new grace period should start');
+        $rule = new quizaccess_invigilator($quizobj, time());
+        $this->assertFalse($rule->prevent_access(), 'Access should be allowed once a proctor resumed the attempt');
+
+        $DB->set_field('quizaccess_invigilator_actions', 'timecreated', time() - 40, ['id' => $resumeid]);
+        $this->assertTrue(event_log::is_attempt_locked($this->attempt->id, 30),
+            'The attempt should be locked again when the share is not resumed within the new grace period');
+    }
+
+    /**
+     * Test the log_event web service refuses a quiz that is not the one of the course module.
+     */
+    public function test_log_event_other_quiz() {
+        $other = $this->getDataGenerator()->create_module('quiz', ['course' => $this->course->id]);
+
+        $this->expectException(invalid_parameter_exception::class);
+        quizaccess_invigilator_external::log_event($this->course->id, $this->quiz->cmid, $other->id,
+            0, event_log::TYPE_TAB_HIDDEN, '');
+    }
+}
+
+// Run tests if called directly
+if (!defined('PHPUNIT_TEST') && basename(__FILE__) == basename($_SERVER['SCRIPT_NAME'])) {
+    echo "Running Invigilator Plugin Event Log Tests...\n\n";
+
+    $test = new quizaccess_invigilator_event_log_test();
+    $test->setUp();
+
+    $methods = get_class_methods($test);
+    $test_methods = array_filter($methods, function($method) {
+        return strpos($method, 'test_') === 0;
+    });
+
+    $passed = 0;
+    $failed = 0;
+
+    foreach ($test_methods as $method) {
+        echo "Running $method... ";
+        try {
+            $test->$method();
+            echo "PASSED\n";
+            $passed++;
+        } catch (Exception $e) {
+            echo "FAILED: " . $e->getMessage() . "\n";
+            $failed++;
+        } catch (PHPUnit\Framework\AssertionFailedError $e) {
+            echo "FAILED: " . $e->getMessage() . "\n";
+            $failed++;
+        }
+    }
+
+    echo "\n=== Test Results ===\n";
+    echo "Passed: $passed\n";
+    echo "Failed: $failed\n";
+    echo "Total: " . ($passed + $failed) . "\n";
+
+    if ($failed > 0) {
+        exit(1);
+    }
+}
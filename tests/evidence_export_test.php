@@ -0,0 +1,245 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Evidence export unit tests for the quizaccess_invigilator plugin.
+ *
+ * @package    quizaccess_invigilator
+ * @copyright  2024 Brain Station 23
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+defined('MOODLE_INTERNAL') || die();
+
+require_once(__DIR__ . '/../../../config.php');
+require_once($CFG->libdir . '/phpunit/classes/base_testcase.php');
+
+use quizaccess_invigilator\evidence_export;
+
+/**
+ * Evidence export test class for Invigilator plugin.
+ */
+class quizaccess_invigilator_evidence_export_test extends advanced_testcase {
+
+    /** @var stdClass Course object */
+    private $course;
+
+    /** @var stdClass Quiz object */
+    private $quiz;
+
+    /** @var stdClass Course module of the quiz */
+    private $cm;
+
+    /** @var stdClass Student object */
+    private $user;
+
+    /** @var stdClass Teacher object */
+    private $teacher;
+
+    /** @var stdClass Attempt record */
+    private $attempt;
+
+    /** @var stdClass Screenshot taken during the attempt */
+    private $log;
+
+    /** @var string Content of the stored screenshot */
+    private $content = 'not really a png';
+
+    /**
+     * Set up test environment.
+     */
+    protected function setUp(): void {
+        parent::setUp();
+        $this->resetAfterTest(true);
+
+        // Create test course
+        $this->course = $this->getDataGenerator()->create_course();
+
+        // Create test users
+        $this->user = $this->getDataGenerator()->create_user();
+        $this->getDataGenerator()->enrol_user($this->user->id, $this->course->id, 'student');
+        $this->teacher = $this->getDataGenerator()->create_user();
+        $this->getDataGenerator()->enrol_user($this->teacher->id, $this->course->id, 'editingteacher');
+
+        // Create test quiz
+        $this->quiz = $this->getDataGenerator()->create_module('quiz', [
+            'course' => $this->course->id,
+            'name' => 'Test Quiz for Evidence',
+        ]);
+        $this->cm = get_coursemodule_from_id('quiz', $this->quiz->cmid);
+
+        // Create a finished attempt
+        $this->attempt = $this->getDataGenerator()->get_plugin_generator('quizaccess_invigilator')
+            ->create_attempt($this->quiz, $this->user->id, time() - 600, time() - 60);
+
+        // One screenshot during the attempt with a stored image, one from before it
+        $this->log = $this->create_log(time() - 300);
+        $this->create_log(time() - 3600);
+
+        $fs = get_file_storage();
+        $fs->create_file_from_string([
+            'contextid' => context_module::instance($this->quiz->cmid)->id,
+            'component' => 'quizaccess_invigilator',
+            'filearea' => 'picture',
+            'itemid' => $this->log->id,
+            'filepath' => '/',
+            'filename' => 'screenshot-' . $this->log->id . '.png',
+            'userid' => $this->user->id,
+        ], $this->content);
+
+        \quizaccess_invigilator\event_log::record($this->course->id, $this->quiz->cmid, $this->quiz->id, $this->user->id,
+            $this->attempt->id, \quizaccess_invigilator\event_log::TYPE_SHARE_LOST, 'Track ended');
+    }
+
+    /**
+     * Create a screenshot log row.
+     *
+     * @param int $time
+     * @return stdClass
+     */
+    private function create_log(int $time) : stdClass {
+        global $DB;
+
+        $log = (object)[
+            'courseid' => $this->course->id,
+            'cmid' => $this->quiz->cmid,
+            'quizid' => $this->quiz->id,
+            'userid' => $this->user->id,
+            'screenshot' => 'http://example.com/screenshot.png',
+            'timecreated' => $time,
+            'capturetype' => 'screen',
+        ];
+        $log->id = $DB->insert_record('quizaccess_invigilator_logs', $log);
+        return $log;
+    }
+
+    /**
+     * Test an attempt only exports the captures taken during it.
+     */
+    public function test_attempt_logs() {
+        $this->assertCount(2, evidence_export::get_logs($this->cm, $this->user->id), 'All captures of the student');
+        $logs = evidence_export::get_logs($this->cm, 0, $this->attempt);
+        $this->assertEquals([$this->log->id], array_keys($logs), 'Only the capture taken during the attempt');
+        $this->assertCount(1, evidence_export::get_events($this->cm, 0, $this->attempt), 'The event of the attempt');
+    }
+
+    /**
+     * Test the archive holds the captures, log rows, events, contact sheets and their hashes.
+     */
+    public function test_create_bundle() {
+        global $DB;
+
+        $export = evidence_export::create($this->cm, $this->teacher->id, make_request_directory(), 0, $this->attempt);
+        $this->assertFileExists($export->path, 'The archive should be written');
+        $this->assertEquals(hash_file('sha256', $export->path), $export->contenthash, 'The archive hash should be recorded');
+
+        $names = array_map(function($file) {
+            return $file->pathname;
+        }, get_file_packer('application/zip')->list_files($export->path));
+        $capture = evidence_export::CAPTURE_FOLDER . '/screenshot-' . $this->log->id . '.png';
+        $expected = [$capture, 'logs.csv', 'events.csv', 'contactsheet.html', 'contactsheet.pdf', 'integrity.csv', 'SHA256SUMS'];
+        foreach ($expected as $name) {
+            $this->assertContains($name, $names, 'The archive should contain ' . $name);
+        }
+
+        $zip = new ZipArchive();
+        $zip->open($export->path);
+        $this->assertStringContainsString(hash('sha256', $this->content) . '  ' . $capture, $zip->getFromName('SHA256SUMS'),
+            'The hash of the capture should be listed');
+        $this->assertStringContainsString('sharelost', $zip->getFromName('events.csv'), 'The events should be exported');
+        $zip->close();
+
+        // The export is recorded for the student of the attempt
+        $record = $DB->get_record('quizaccess_invigilator_exports', ['id' => $export->id]);
+        $this->assertEquals($this->teacher->id, $record->exporterid, 'The exporter should be recorded');
+        $this->assertEquals($this->user->id, $record->userid, 'The student should be recorded');
+        $this->assertEquals($this->attempt->id, $record->attemptid, 'The attempt should be recorded');
+        $this->assertEquals(1, $record->filecount, 'The number of captures should be recorded');
+        $this->assertCount(1, evidence_export::get_exports($this->quiz->cmid), 'The export should be listed');
+    }
+
+    /**
+     * Test the evidence of a whole quiz is exported by a task and kept for the exporter.
+     */
+    public function test_queued_export() {
+        $this->setUser($this->teacher);
+        evidence_export::queue($this->quiz->cmid);
+        $this->assertCount(0, evidence_export::get_exports($this->quiz->cmid), 'Nothing should be exported yet');
+        $tasks = \core\task\manager::get_adhoc_tasks(\quizaccess_invigilator\task\export_evidence::class);
+        $this->assertCount(1, $tasks, 'The export should be queued');
+
+        $this->expectOutputRegex('/evidence-/');
+        reset($tasks)->execute();
+
+        $exports = evidence_export::get_exports($this->quiz->cmid);
+        $this->assertCount(1, $exports, 'The export should be recorded');
+        $export = reset($exports);
+        $this->assertEquals($this->teacher->id, $export->exporterid, 'The user who queued the export should be recorded');
+        $this->assertEquals(0, $export->userid, 'Every student should be exported');
+        $this->assertNotNull(evidence_export::get_archive_url($export), 'The archive should be kept');
+    }
+
+    /**
+     * Test students cannot export evidence.
+     */
+    public function test_capability() {
+        $context = context_module::instance($this->quiz->cmid);
+        $this->assertTrue(has_capability('quizaccess/invigilator:exportevidence', $context, $this->teacher),
+            'Teachers should export evidence');
+        $this->assertFalse(has_capability('quizaccess/invigilator:exportevidence', $context, $this->user),
+            'Students should not export evidence');
+    }
+}
+
+// Run tests if called directly
+if (!defined('PHPUNIT_TEST') && basename(__FILE__) == basename($_SERVER['SCRIPT_NAME'])) {
+    echo "Running Invigilator Plugin Evidence Export Tests...\n\n";
+
+    $test = new quizaccess_invigilator_evidence_export_test();
+    $test->setUp();
+
+    $methods = get_class_methods($test);
+    $test_methods = array_filter($methods, function($method) {
+        return strpos($method, 'test_') === 0;
+    });
+
+    $passed = 0;
+    $failed = 0;
+
+    foreach ($test_methods as $method) {
+        echo "Running $method... ";
+        try {
+            $test->$method();
+            echo "PASSED\n";
+            $passed++;
+        } catch (Exception $e) {
+            echo "FAILED: " . $e->getMessage() . "\n";
+            $failed++;
+        } catch (PHPUnit\Framework\AssertionFailedError $e) {
+            echo "FAILED: " . $e->getMessage() . "\n";
+            $failed++;
+        }
+    }
+
+    echo "\n=== Test Results ===\n";
+    echo "Passed: $passed\n";
+    echo "Failed: $failed\n";
+    echo "Total: " . ($passed + $failed) . "\n";
+
+    if ($failed > 0) {
+        exit(1);
+    }
+}
@@ -0,0 +1,68 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Data generator for the quizaccess_invigilator plugin.
+ *
+ * @package    quizaccess_invigilator
+ * @copyright  2024 Brain Station 23
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+defined('MOODLE_INTERNAL') || die();
+
+/**
+ * Invigilator data generator class.
+ *
+ * Used through $this->getDataGenerator()->get_plugin_generator('quizaccess_invigilator').
+ */
+class quizaccess_invigilator_generator extends component_generator_base {
+
+    /**
+     * Start an attempt of a student through the quiz API, and finish it when asked.
+     *
+     * A true/false question is added to the quiz first when it has none, so the
+     * attempt has a real question usage and layout.
+     *
+     * @param stdClass $quiz Quiz created by the module generator.
+     * @param int $userid Student.
+     * @param int|null $timestart Time the attempt started, null for now.
+     * @param int|null $timefinish Time the attempt was submitted, null to leave it in progress.
+     * @return stdClass Row of the quiz_attempts table.
+     */
+    public function create_attempt(stdClass $quiz, int $userid, ?int $timestart = null, ?int $timefinish = null) : stdClass {
+        global $CFG, $DB;
+        require_once($CFG->dirroot . '/mod/quiz/locallib.php');
+
+        if (!$DB->record_exists('quiz_slots', ['quizid' => $quiz->id])) {
+            $questiongenerator = $this->datagenerator->get_plugin_generator('core_question');
+            $category = $questiongenerator->create_question_category();
+            $question = $questiongenerator->create_question('truefalse', null, ['category' => $category->id]);
+            quiz_add_quiz_question($question->id, $DB->get_record('quiz', ['id' => $quiz->id], '*', MUST_EXIST));
+        }
+
+        $quizobj = quiz::create($quiz->id, $userid);
+        $attemptnumber = $DB->count_records('quiz_attempts', ['quiz' => $quiz->id, 'userid' => $userid]) + 1;
+        $attempt = quiz_prepare_and_start_new_attempt($quizobj, $attemptnumber, null, false, [], [], $userid);
+        if ($timestart !== null) {
+            $DB->set_field('quiz_attempts', 'timestart', $timestart, ['id' => $attempt->id]);
+        }
+        if ($timefinish !== null) {
+            quiz_attempt::create($attempt->id)->process_finish($timefinish, false);
+        }
+        return $DB->get_record('quiz_attempts', ['id' => $attempt->id], '*', MUST_EXIST);
+    }
+}
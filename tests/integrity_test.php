@@ -0,0 +1,307 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Capture hash chain unit tests for the quizaccess_invigilator plugin.
+ *
+ * @package    quizaccess_invigilator
+ * @copyright  2024 Brain Station 23
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+defined('MOODLE_INTERNAL') || die();
+
+require_once(__DIR__ . '/../../../config.php');
+require_once($CFG->libdir . '/phpunit/classes/base_testcase.php');
+require_once($CFG->dirroot . '/mod/quiz/accessrule/invigilator/classes/external.php');
+
+use quizaccess_invigilator\consent;
+use quizaccess_invigilator\integrity;
+
+/**
+ * Integrity test class for Invigilator plugin.
+ */
+class quizaccess_invigilator_integrity_test extends advanced_testcase {
+
+    /** @var stdClass Course object */
+    private $course;
+
+    /** @var stdClass Quiz object */
+    private $quiz;
+
+    /** @var stdClass Student object */
+    private $user;
+
+    /** @var stdClass Attempt record */
+    private $attempt;
+
+    /** @var int[] IDs of the captures, in upload order */
+    private $logids = [];
+
+    /**
+     * Set up test environment.
+     */
+    protected function setUp(): void {
+        parent::setUp();
+        $this->resetAfterTest(true);
+
+        // Create test course
+        $this->course = $this->getDataGenerator()->create_course();
+
+        // Create test user
+        $this->user = $this->getDataGenerator()->create_user();
+        $this->getDataGenerator()->enrol_user($this->user->id, $this->course->id, 'student');
+
+        // Create test quiz
+        $this->quiz = $this->getDataGenerator()->create_module('quiz', [
+            'course' => $this->course->id,
+            'name' => 'Test Quiz for Integrity',
+        ]);
+
+        // The student accepted the privacy notice
+        consent::record($this->quiz->cmid, $this->quiz->id, $this->user->id);
+
+        // Create an attempt in progress
+        $this->attempt = $this->getDataGenerator()->get_plugin_generator('quizaccess_invigilator')
+            ->create_attempt($this->quiz, $this->user->id, time() - 600);
+
+        // Upload three captures
+        $this->setUser($this->user);
+        $screenshot = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==';
+        for ($i = 3; $i > 0; $i--) {
+            $result = quizaccess_invigilator_external::send_screenshot($this->course->id, $this->quiz->cmid, $this->quiz->id,
+                $screenshot, 'screen', time() - 60 * $i);
+            $this->logids[] = $result['screenshotid'];
+        }
+    }
+
+    /**
+     * Get the problems found in the chain of the attempt.
+     *
+     * @return string[] Problem => chain place.
+     */
+    private function get_problems() : array {
+        $results = integrity::verify($this->quiz->cmid, $this->user->id, $this->attempt->id);
+        $this->assertCount(1, $results, 'The attempt should have one chain');
+        $problems = [];
+        foreach ($results[0]->problems as $problem) {
+            $problems[$problem->problem] = $problem->seq;
+        }
+        return $problems;
+    }
+
+    /**
+     * Test uploaded captures are chained to the attempt in progress.
+     */
+    public function test_captures_are_chained() {
+        global $DB;
+
+        $previous = integrity::GENESIS;
+        foreach ($this->logids as $index => $logid) {
+            $log = $DB->get_record('quizaccess_invigilator_logs', ['id' => $logid]);
+            $this->assertEquals($this->attempt->id, $log->attemptid, 'The capture should belong to the attempt');
+            $this->assertEquals($index + 1, $log->chainseq, 'The capture should follow the previous one');
+            $this->assertEquals(integrity::get_chain_hash($previous, $log), $log->chainhash, 'The chain hash should match');
+            $previous = $log->chainhash;
+        }
+        $this->assertEquals([], $this->get_problems(), 'The chain should be intact');
+    }
+
+    /**
+     * Test a replaced image is reported.
+     */
+    public function test_altered_file() {
+        $context = context_module::instance($this->quiz->cmid);
+        $fs = get_file_storage();
+        $files = $fs->get_area_files($context->id, 'quizaccess_invigilator', 'picture', $this->logids[1], 'id', false);
+        $file = reset($files);
+        $record = ['contextid' => $context->id, 'component' => 'quizaccess_invigilator', 'filearea' => 'picture',
+            'itemid' => $this->logids[1], 'filepath' => '/', 'filename' => $file->get_filename()];
+        $file->delete();
+        $fs->create_file_from_string($record, 'another image');
+
+        $this->assertEquals([integrity::PROBLEM_FILE_ALTERED => 2], $this->get_problems(), 'The image should be replaced');
+
+        $fs->delete_area_files($context->id, 'quizaccess_invigilator', 'picture', $this->logids[1]);
+        $this->assertEquals([integrity::PROBLEM_FILE_MISSING => 2], $this->get_problems(), 'The image should be missing');
+    }
+
+    /**
+     * Test an edited log row is reported.
+     */
+    public function test_altered_row() {
+        global $DB;
+
+        $DB->set_field('quizaccess_invigilator_logs', 'timecreated', time() - 3600, ['id' => $this->logids[0]]);
+        $this->assertEquals([integrity::PROBLEM_ROW_ALTERED => 1], $this->get_problems(), 'The row should be changed');
+    }
+
+    /**
+     * Test a deleted capture is reported.
+     */
+    public function test_missing_capture() {
+        global $DB;
+
+        $DB->delete_records('quizaccess_invigilator_logs', ['id' => $this->logids[1]]);
+        $this->assertEquals([integrity::PROBLEM_MISSING => 3], $this->get_problems(), 'A capture should be missing');
+    }
+
+    /**
+     * Test captures moved to another place in the chain are reported.
+     */
+    public function test_reordered_captures() {
+        global $DB;
+
+        $DB->set_field('quizaccess_invigilator_logs', 'chainseq', 3, ['id' => $this->logids[1]]);
+        $DB->set_field('quizaccess_invigilator_logs', 'chainseq', 2, ['id' => $this->logids[2]]);
+        $problems = $this->get_problems();
+        $this->assertArrayHasKey(integrity::PROBLEM_REORDERED, $problems, 'The captures should be out of order');
+        $this->assertArrayHasKey(integrity::PROBLEM_ROW_ALTERED, $problems, 'The chain should be broken');
+    }
+
+    /**
+     * Test captures stored before the chain existed are reported.
+     */
+    public function test_unchained_capture() {
+        global $DB;
+
+        $log = $DB->get_record('quizaccess_invigilator_logs', ['id' => $this->logids[2]]);
+        unset($log->id);
+        $log->contenthash = null;
+        $log->chainseq = null;
+        $log->chainhash = null;
+        $DB->insert_record('quizaccess_invigilator_logs', $log);
+        $this->assertEquals([integrity::PROBLEM_UNCHAINED => 0], $this->get_problems(), 'The capture should be unchained');
+    }
+
+    /**
+     * Test captures deleted from the end of the chain are reported.
+     */
+    public function test_truncated_chain() {
+        global $DB;
+
+        $DB->delete_records('quizaccess_invigilator_logs', ['id' => $this->logids[2]]);
+        $this->assertEquals([integrity::PROBLEM_TRUNCATED => 2], $this->get_problems(), 'The last capture should be missing');
+
+        // Moving the recorded end back is a change of the record
+        $DB->set_field('quizaccess_invigilator_chains', 'chainseq', 2, ['attemptid' => $this->attempt->id]);
+        $this->assertEquals([integrity::PROBLEM_HEAD_ALTERED => 2], $this->get_problems(), 'The end should be changed');
+
+        $DB->delete_records('quizaccess_invigilator_chains', ['attemptid' => $this->attempt->id]);
+        $this->assertEquals([integrity::PROBLEM_HEAD_ALTERED => 2], $this->get_problems(), 'The end should be deleted');
+    }
+
+    /**
+     * Test a chain rebuilt with a plain SHA-256 hash is reported, as it lacks the key.
+     */
+    public function test_unkeyed_hash() {
+        global $DB;
+
+        $previous = $DB->get_field('quizaccess_invigilator_logs', 'chainhash', ['id' => $this->logids[1]]);
+        $log = $DB->get_record('quizaccess_invigilator_logs', ['id' => $this->logids[2]]);
+        $log->timecreated -= 30;
+        $log->chainhash = hash('sha256', implode('|', [$previous, $log->chainseq, $log->id, $log->cmid,
+            $log->userid, $log->attemptid, $log->capturetype, $log->timecreated, $log->contenthash]));
+        $DB->update_record('quizaccess_invigilator_logs', $log);
+        $this->assertEquals([integrity::PROBLEM_ROW_ALTERED => 3], $this->get_problems(), 'The row should be changed');
+    }
+
+    /**
+     * Test captures left unchained by a locked chain are chained later in the order they were stored.
+     */
+    public function test_pending_captures() {
+        global $DB;
+
+        // The second and third captures waited for the lock
+        foreach ([$this->logids[1], $this->logids[2]] as $logid) {
+            $DB->update_record('quizaccess_invigilator_logs', (object)['id' => $logid, 'chainseq' => null, 'chainhash' => null]);
+        }
+        $head = $DB->get_record('quizaccess_invigilator_chains', ['attemptid' => $this->attempt->id]);
+        $DB->delete_records('quizaccess_invigilator_chains', ['id' => $head->id]);
+
+        $task = new \quizaccess_invigilator\task\chain_captures();
+        $task->set_custom_data(['cmid' => $this->quiz->cmid, 'userid' => $this->user->id, 'attemptid' => $this->attempt->id]);
+        $task->execute();
+
+        foreach ($this->logids as $index => $logid) {
+            $this->assertEquals($index + 1, $DB->get_field('quizaccess_invigilator_logs', 'chainseq', ['id' => $logid]),
+                'The captures should be chained in upload order');
+        }
+        $this->assertEquals([], $this->get_problems(), 'The chain should be intact');
+    }
+
+    /**
+     * Test chains signed before the key existed are signed again, keeping their breaks.
+     */
+    public function test_upgrade_to_hmac() {
+        global $DB;
+
+        // Rebuild the chain the way it was computed before the key existed, with an edited first row
+        $previous = integrity::GENESIS;
+        foreach ($this->logids as $logid) {
+            $log = $DB->get_record('quizaccess_invigilator_logs', ['id' => $logid]);
+            $log->chainhash = hash('sha256', implode('|', [$previous, $log->chainseq, $log->id, $log->cmid,
+                $log->userid, $log->attemptid, $log->capturetype, $log->timecreated, $log->contenthash]));
+            $DB->set_field('quizaccess_invigilator_logs', 'chainhash', $log->chainhash, ['id' => $logid]);
+            $previous = $log->chainhash;
+        }
+        $DB->delete_records('quizaccess_invigilator_chains');
+        $DB->set_field('quizaccess_invigilator_logs', 'timecreated', time() - 3600, ['id' => $this->logids[0]]);
+
+        $this->assertEquals(2, integrity::upgrade_to_hmac(), 'The intact captures should be signed');
+        $this->assertEquals([integrity::PROBLEM_ROW_ALTERED => 1], $this->get_problems(), 'The break should be kept');
+    }
+}
+
+// Run tests if called directly
+if (!defined('PHPUNIT_TEST') && basename(__FILE__) == basename($_SERVER['SCRIPT_NAME'])) {
+    echo "Running Invigilator Plugin Integrity Tests...\n\n";
+
+    $test = new quizaccess_invigilator_integrity_test();
+    $test->setUp();
+
+    $methods = get_class_methods($test);
+    $test_methods = array_filter($methods, function($method) {
+        return strpos($method, 'test_') === 0;
+    });
+
+    $passed = 0;
+    $failed = 0;
+
+    foreach ($test_methods as $method) {
+        echo "Running $method... ";
+        try {
+            $test->$method();
+            echo "PASSED\n";
+            $passed++;
+        } catch (Exception $e) {
+            echo "FAILED: " . $e->getMessage() . "\n";
+            $failed++;
+        } catch (PHPUnit\Framework\AssertionFailedError $e) {
+            echo "FAILED: " . $e->getMessage() . "\n";
+            $failed++;
+        }
+    }
+
+    echo "\n=== Test Results ===\n";
+    echo "Passed: $passed\n";
+    echo "Failed: $failed\n";
+    echo "Total: " . ($passed + $failed) . "\n";
+
+    if ($failed > 0) {
+        exit(1);
+    }
+}
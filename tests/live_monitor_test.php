@@ -0,0 +1,247 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Live monitoring unit tests for the quizaccess_invigilator plugin.
+ *
+ * @package    quizaccess_invigilator
+ * @copyright  2024 Brain Station 23
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+defined('MOODLE_INTERNAL') || die();
+
+require_once(__DIR__ . '/../../../config.php');
+require_once($CFG->libdir . '/phpunit/classes/base_testcase.php');
+require_once($CFG->dirroot . '/mod/quiz/accessrule/invigilator/classes/external.php');
+
+use quizaccess_invigilator\accommodation;
+use quizaccess_invigilator\event_log;
+use quizaccess_invigilator\live_monitor;
+
+/**
+ * Live monitoring test class for Invigilator plugin.
+ */
+class quizaccess_invigilator_live_monitor_test extends advanced_testcase {
+
+    /** @var stdClass Course object */
+    private $course;
+
+    /** @var stdClass Quiz object */
+    private $quiz;
+
+    /** @var stdClass Student object */
+    private $user;
+
+    /** @var stdClass Teacher object */
+    private $teacher;
+
+    /** @var stdClass Attempt record */
+    private $attempt;
+
+    /**
+     * Set up test environment.
+     */
+    protected function setUp(): void {
+        parent::setUp();
+        $this->resetAfterTest(true);
+
+        // Create test course
+        $this->course = $this->getDataGenerator()->create_course();
+
+        // Create test users
+        $this->user = $this->getDataGenerator()->create_user();
+        $this->getDataGenerator()->enrol_user($this->user->id, $this->course->id, 'student');
+        $this->teacher = $this->getDataGenerator()->create_user();
+        $this->getDataGenerator()->enrol_user($this->teacher->id, $this->course->id, 'editingteacher');
+
+        // Create test quiz
+        $this->quiz = $this->getDataGenerator()->create_module('quiz', [
+            'course' => $this->course->id,
+            'name' => 'Test Quiz for Live Monitoring',
+        ]);
+
+        // Create an attempt in progress
+        $this->attempt = $this->getDataGenerator()->get_plugin_generator('quizaccess_invigilator')
+            ->create_attempt($this->quiz, $this->user->id, time() - 600);
+
+        set_config('screenshotdelay', 30, 'quizaccess_invigilator');
+    }
+
+    /**
+     * Insert a screenshot of the student.
+     *
+     * @param int $timecreated
+     * @return int
+     */
+    private function add_screenshot($timecreated) {
+        global $DB;
+        return $DB->insert_record('quizaccess_invigilator_logs', (object)[
+            'courseid' => $this->course->id,
+            'cmid' => $this->quiz->cmid,
+            'quizid' => $this->quiz->id,
+            'userid' => $this->user->id,
+            'screenshot' => 'http://example.com/screenshot-' . $timecreated . '.png',
+            'timecreated' => $timecreated,
+            'capturetype' => 'screen',
+        ]);
+    }
+
+    /**
+     * Test the latest screenshot and the recent sequence of an attempt.
+     */
+    public function test_active_attempt_screenshots() {
+        $now = time();
+        $this->add_screenshot($now - 40);
+        $latestid = $this->add_screenshot($now - 10);
+
+        $cm = get_coursemodule_from_id('quiz', $this->quiz->cmid);
+        $attempts = live_monitor::get_active_attempts($cm, $now);
+
+        $this->assertCount(1, $attempts, 'The attempt in progress should be listed');
+        $this->assertEquals($this->attempt->id, $attempts[0]->attemptid, 'Attempt ID should match');
+        $this->assertEquals($latestid, $attempts[0]->reportid, 'Latest screenshot should be returned');
+        $this->assertEquals($now - 10, $attempts[0]->lastcapture, 'Latest capture time should be returned');
+        $this->assertFalse($attempts[0]->stale, 'A recent screenshot should not be stale');
+        $this->assertCount(2, $attempts[0]->recent, 'Recent screenshots should be returned');
+        $this->assertEquals($now - 40, $attempts[0]->recent[0]->timecreated, 'Recent screenshots should be oldest first');
+    }
+
+    /**
+     * Test a queued screenshot uploaded late does not replace the latest one captured.
+     */
+    public function test_late_upload_not_latest() {
+        $now = time();
+        $latestid = $this->add_screenshot($now - 10);
+        $this->add_screenshot($now - 100);
+
+        $cm = get_coursemodule_from_id('quiz', $this->quiz->cmid);
+        $attempts = live_monitor::get_active_attempts($cm, $now);
+
+        $this->assertEquals($latestid, $attempts[0]->reportid, 'The screenshot captured last should be returned');
+        $this->assertEquals($now - 10, $attempts[0]->lastcapture, 'The time of the screenshot captured last should be returned');
+    }
+
+    /**
+     * Test attempts with overdue screenshots or a lost screen share are flagged.
+     */
+    public function test_stale_and_share_lost_flags() {
+        $now = time();
+        $this->add_screenshot($now - 300);
+
+        $cm = get_coursemodule_from_id('quiz', $this->quiz->cmid);
+        $attempts = live_monitor::get_active_attempts($cm, $now);
+        $this->assertTrue($attempts[0]->stale, 'Screenshots older than twice the delay should be stale');
+        $this->assertFalse($attempts[0]->sharelost, 'Share should not be lost without events');
+
+        event_log::record($this->course->id, $this->quiz->cmid, $this->quiz->id, $this->user->id,
+            $this->attempt->id, event_log::TYPE_SHARE_LOST);
+        $attempts = live_monitor::get_active_attempts($cm, $now);
+        $this->assertTrue($attempts[0]->sharelost, 'Share loss should be flagged');
+
+        event_log::record($this->course->id, $this->quiz->cmid, $this->quiz->id, $this->user->id,
+            $this->attempt->id, event_log::TYPE_SHARE_RESUMED);
+        $attempts = live_monitor::get_active_attempts($cm, $now);
+        $this->assertFalse($attempts[0]->sharelost, 'Resumed share should clear the flag');
+    }
+
+    /**
+     * Test the accommodation of a student sets when their screenshots are overdue, and exempts them.
+     */
+    public function test_accommodated_attempt() {
+        $now = time();
+        $this->add_screenshot($now - 100);
+        $cm = get_coursemodule_from_id('quiz', $this->quiz->cmid);
+
+        accommodation::save($this->quiz->cmid, $this->user->id, 0, false, 60, false);
+        $attempts = live_monitor::get_active_attempts($cm, $now);
+        $this->assertFalse($attempts[0]->stale, 'Screenshots should be overdue after twice the delay of the accommodation');
+
+        accommodation::save($this->quiz->cmid, $this->user->id, 0, true, null, false);
+        event_log::record($this->course->id, $this->quiz->cmid, $this->quiz->id, $this->user->id,
+            $this->attempt->id, event_log::TYPE_SHARE_LOST);
+        $attempts = live_monitor::get_active_attempts($cm, $now + HOURSECS);
+        $this->assertTrue($attempts[0]->exempt, 'The student should be exempt');
+        $this->assertFalse($attempts[0]->stale, 'An exempt student should never be overdue');
+        $this->assertFalse($attempts[0]->sharelost, 'An exempt student should not lose a share');
+    }
+
+    /**
+     * Test the live attempts web service.
+     */
+    public function test_get_live_attempts_service() {
+        global $DB;
+
+        $this->setUser($this->teacher);
+        $result = quizaccess_invigilator_external::get_live_attempts($this->quiz->cmid);
+        $this->assertCount(1, $result['attempts'], 'The attempt in progress should be returned');
+        $this->assertEquals('', $result['attempts'][0]['screenshot'], 'No screenshot should be returned yet');
+
+        // Finished attempts are not monitored
+        $DB->set_field('quiz_attempts', 'state', 'finished', ['id' => $this->attempt->id]);
+        $result = quizaccess_invigilator_external::get_live_attempts($this->quiz->cmid);
+        $this->assertCount(0, $result['attempts'], 'Finished attempts should not be returned');
+    }
+
+    /**
+     * Test students cannot use the live attempts web service.
+     */
+    public function test_get_live_attempts_requires_capability() {
+        $this->setUser($this->user);
+        $this->expectException(required_capability_exception::class);
+        quizaccess_invigilator_external::get_live_attempts($this->quiz->cmid);
+    }
+}
+
+// Run tests if called directly
+if (!defined('PHPUNIT_TEST') && basename(__FILE__) == basename($_SERVER['SCRIPT_NAME'])) {
+    echo "Running Invigilator Plugin Live Monitoring Tests...\n\n";
+
+    $test = new quizaccess_invigilator_live_monitor_test();
+    $test->setUp();
+
+    $methods = get_class_methods($test);
+    $test_methods = array_filter($methods, function($method) {
+        return strpos($method, 'test_') === 0;
+    });
+
+    $passed = 0;
+    $failed = 0;
+
+    foreach ($test_methods as $method) {
+        echo "Running $method... ";
+        try {
+            $test->$method();
+            echo "PASSED\n";
+            $passed++;
+        } catch (Exception $e) {
+            echo "FAILED: " . $e->getMessage() . "\n";
+            $failed++;
+        } catch (PHPUnit\Framework\AssertionFailedError $e) {
+            echo "FAILED: " . $e->getMessage() . "\n";
+            $failed++;
+        }
+    }
+
+    echo "\n=== Test Results ===\n";
+    echo "Passed: $passed\n";
+    echo "Failed: $failed\n";
+    echo "Total: " . ($passed + $failed) . "\n";
+
+    if ($failed > 0) {
+        exit(1);
+    }
+}
@@ -0,0 +1,238 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Capture search and bulk deletion unit tests for the quizaccess_invigilator plugin.
+ *
+ * @package    quizaccess_invigilator
+ * @copyright  2024 Brain Station 23
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+defined('MOODLE_INTERNAL') || die();
+
+require_once(__DIR__ . '/../../../config.php');
+require_once($CFG->libdir . '/phpunit/classes/base_testcase.php');
+require_once($CFG->dirroot . '/mod/quiz/accessrule/invigilator/classes/external.php');
+
+use quizaccess_invigilator\consent;
+use quizaccess_invigilator\log_search;
+
+/**
+ * Log search test class for Invigilator plugin.
+ */
+class quizaccess_invigilator_log_search_test extends advanced_testcase {
+
+    /** @var stdClass Course object */
+    private $course;
+
+    /** @var stdClass Quiz object */
+    private $quiz;
+
+    /** @var stdClass First student, with three captures */
+    private $alice;
+
+    /** @var stdClass Second student, with two captures */
+    private $bob;
+
+    /**
+     * Set up test environment.
+     */
+    protected function setUp(): void {
+        global $DB;
+
+        parent::setUp();
+        $this->resetAfterTest(true);
+
+        // Create test course
+        $this->course = $this->getDataGenerator()->create_course(['fullname' => 'Chemistry 101']);
+
+        // Create test users
+        $this->alice = $this->getDataGenerator()->create_user(['firstname' => 'Alice', 'lastname' => 'Archer',
+            'email' => 'alice@example.com']);
+        $this->bob = $this->getDataGenerator()->create_user(['firstname' => 'Bob', 'lastname' => 'Baker',
+            'email' => 'bob@example.org']);
+        $this->getDataGenerator()->enrol_user($this->alice->id, $this->course->id, 'student');
+        $this->getDataGenerator()->enrol_user($this->bob->id, $this->course->id, 'student');
+
+        // Create test quiz
+        $this->quiz = $this->getDataGenerator()->create_module('quiz', [
+            'course' => $this->course->id,
+            'name' => 'Midterm exam',
+        ]);
+
+        // The students accepted the privacy notice
+        consent::record($this->quiz->cmid, $this->quiz->id, $this->alice->id);
+        consent::record($this->quiz->cmid, $this->quiz->id, $this->bob->id);
+
+        // Upload the captures, a day apart
+        $screenshot = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==';
+        $day = 0;
+        foreach ([$this->alice, $this->alice, $this->alice, $this->bob, $this->bob] as $user) {
+            $this->setUser($user);
+            $result = quizaccess_invigilator_external::send_screenshot($this->course->id, $this->quiz->cmid,
+                $this->quiz->id, $screenshot);
+            $DB->set_field('quizaccess_invigilator_logs', 'timecreated', 1700000000 + DAYSECS * $day++,
+                ['id' => $result['screenshotid']]);
+        }
+        $this->setAdminUser();
+    }
+
+    /**
+     * Test the filters match any part of the name, email, course and quiz, and the date range.
+     */
+    public function test_filters() {
+        $this->assertEquals(5, log_search::count([]), 'No filter should match every capture');
+        $this->assertEquals(3, log_search::count(['username' => 'ice arch']), 'Part of the full name should match');
+        $this->assertEquals(2, log_search::count(['email' => 'EXAMPLE.ORG']), 'The email should match in any case');
+        $this->assertEquals(5, log_search::count(['coursename' => 'chem', 'quizname' => 'term']),
+            'Course and quiz names should match');
+        $this->assertEquals(0, log_search::count(['quizname' => 'Final']), 'Another quiz should not match');
+        $this->assertEquals(2, log_search::count(['timefrom' => 1700000000 + DAYSECS, 'timeto' => 1700000000 + 2 * DAYSECS]),
+            'The date range should include both ends');
+    }
+
+    /**
+     * Test the pages are sorted on the server.
+     */
+    public function test_paging_and_sorting() {
+        $first = log_search::get_page([], 'fullname', 'DESC', 0, 2);
+        $this->assertCount(2, $first, 'A page should be limited');
+        $this->assertEquals($this->bob->id, $first[0]->studentid, 'Baker should sort after Archer');
+        $this->assertEquals('Chemistry 101', $first[0]->coursename, 'The course name should be included');
+
+        $last = log_search::get_page([], 'timecreated', 'ASC', 2, 2);
+        $this->assertCount(1, $last, 'The last page should hold the remaining capture');
+        $this->assertEquals(1700000000 + 4 * DAYSECS, $last[0]->timecreated, 'The newest capture should come last');
+
+        $result = quizaccess_invigilator_external::search_captures($this->quiz->cmid, ['username' => 'bob'], 'id', 'ASC', 0, 1);
+        $this->assertEquals(2, $result['total'], 'The total should count every page');
+        $this->assertCount(1, $result['captures'], 'Only one page should be returned');
+        $this->assertEquals('Bob Baker', $result['captures'][0]['fullname'], 'The student should be named');
+    }
+
+    /**
+     * Test a deletion by search is queued and deletes only the captures matching when it was queued.
+     */
+    public function test_deletion_by_search() {
+        global $DB;
+
+        $result = quizaccess_invigilator_external::delete_captures($this->quiz->cmid, [], ['username' => 'alice']);
+        $this->assertNotEmpty($result['deletionid'], 'The deletion should be queued');
+        $this->assertEquals(3, $result['total'], 'Every capture of Alice should be counted');
+        $this->assertEquals(5, $DB->count_records('quizaccess_invigilator_logs'), 'Nothing should be deleted yet');
+
+        // A capture stored after the deletion was queued is kept
+        $this->setUser($this->alice);
+        $screenshot = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==';
+        quizaccess_invigilator_external::send_screenshot($this->course->id, $this->quiz->cmid, $this->quiz->id, $screenshot);
+        $this->setAdminUser();
+
+        $this->assertEquals(3, log_search::run_deletion($result['deletionid']), 'The matching captures should be deleted');
+        $progress = quizaccess_invigilator_external::get_deletion_progress($this->quiz->cmid, $result['deletionid']);
+        $this->assertEquals(log_search::STATUS_DONE, $progress['status'], 'The deletion should be done');
+        $this->assertEquals(3, $progress['deleted'], 'The progress should count the deleted captures');
+        $this->assertEquals(1, log_search::count(['username' => 'alice']), 'The newer capture should be kept');
+        $this->assertEquals(2, log_search::count(['username' => 'bob']), 'Other students should be kept');
+    }
+
+    /**
+     * Test teachers only search and delete the captures of their own courses, and never every capture.
+     */
+    public function test_course_scope() {
+        global $DB;
+
+        // A capture of another course
+        $course = $this->getDataGenerator()->create_course(['fullname' => 'Physics 101']);
+        $quiz = $this->getDataGenerator()->create_module('quiz', ['course' => $course->id, 'name' => 'Midterm exam']);
+        $this->getDataGenerator()->enrol_user($this->alice->id, $course->id, 'student');
+        consent::record($quiz->cmid, $quiz->id, $this->alice->id);
+        $this->setUser($this->alice);
+        $screenshot = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==';
+        $other = quizaccess_invigilator_external::send_screenshot($course->id, $quiz->cmid, $quiz->id, $screenshot);
+
+        $teacher = $this->getDataGenerator()->create_user();
+        $this->getDataGenerator()->enrol_user($teacher->id, $this->course->id, 'editingteacher');
+        $this->setUser($teacher);
+
+        $result = quizaccess_invigilator_external::search_captures($this->quiz->cmid, [], 'id', 'ASC', 0, 10);
+        $this->assertEquals(5, $result['total'], 'Only the captures of the course of the teacher should be searched');
+        $result = quizaccess_invigilator_external::delete_captures($this->quiz->cmid, [], ['username' => 'alice']);
+        $this->assertEquals(3, $result['total'], 'Only the captures of the course of the teacher should be deleted');
+
+        try {
+            quizaccess_invigilator_external::delete_captures($this->quiz->cmid, [$other['screenshotid']]);
+            $this->fail('A capture of another course should not be deleted');
+        } catch (invalid_parameter_exception $e) {
+            $this->assertTrue($DB->record_exists('quizaccess_invigilator_logs', ['id' => $other['screenshotid']]),
+                'The capture of the other course should be kept');
+        }
+
+        $this->expectException(invalid_parameter_exception::class);
+        quizaccess_invigilator_external::delete_captures($this->quiz->cmid, [], []);
+    }
+
+    /**
+     * Test selected captures are deleted at once.
+     */
+    public function test_deletion_by_ids() {
+        $ids = array_column(log_search::get_page(['username' => 'bob'], 'id', 'ASC', 0, 10), 'reportid');
+        $result = quizaccess_invigilator_external::delete_captures($this->quiz->cmid, $ids);
+        $this->assertEquals(0, $result['deletionid'], 'No deletion should be queued');
+        $this->assertEquals(0, log_search::count(['username' => 'bob']), 'The selected captures should be deleted');
+        $this->assertEquals(3, log_search::count([]), 'The other captures should be kept');
+    }
+}
+
+// Run tests if called directly
+if (!defined('PHPUNIT_TEST') && basename(__FILE__) == basename($_SERVER['SCRIPT_NAME'])) {
+    echo "Running Invigilator Plugin Log Search Tests...\n\n";
+
+    $test = new quizaccess_invigilator_log_search_test();
+    $test->setUp();
+
+    $methods = get_class_methods($test);
+    $test_methods = array_filter($methods, function($method) {
+        return strpos($method, 'test_') === 0;
+    });
+
+    $passed = 0;
+    $failed = 0;
+
+    foreach ($test_methods as $method) {
+        echo "Running $method... ";
+        try {
+            $test->$method();
+            echo "PASSED\n";
+            $passed++;
+        } catch (Exception $e) {
+            echo "FAILED: " . $e->getMessage() . "\n";
+            $failed++;
+        } catch (PHPUnit\Framework\AssertionFailedError $e) {
+            echo "FAILED: " . $e->getMessage() . "\n";
+            $failed++;
+        }
+    }
+
+    echo "\n=== Test Results ===\n";
+    echo "Passed: $passed\n";
+    echo "Failed: $failed\n";
+    echo "Total: " . ($passed + $failed) . "\n";
+
+    if ($failed > 0) {
+        exit(1);
+    }
+}
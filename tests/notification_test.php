@@ -0,0 +1,262 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Event and notification unit tests for the quizaccess_invigilator plugin.
+ *
+ * @package    quizaccess_invigilator
+ * @copyright  2024 Brain Station 23
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+defined('MOODLE_INTERNAL') || die();
+
+require_once(__DIR__ . '/../../../config.php');
+require_once($CFG->libdir . '/phpunit/classes/base_testcase.php');
+require_once($CFG->dirroot . '/mod/quiz/accessrule/invigilator/classes/external.php');
+require_once($CFG->dirroot . '/mod/quiz/accessrule/invigilator/classes/addtional_settings_helper.php');
+
+use quizaccess_invigilator\consent;
+use quizaccess_invigilator\event_log;
+use quizaccess_invigilator\notifier;
+use quizaccess_invigilator\review;
+
+/**
+ * Notification test class for Invigilator plugin.
+ */
+class quizaccess_invigilator_notification_test extends advanced_testcase {
+
+    /** @var stdClass Course object */
+    private $course;
+
+    /** @var stdClass Quiz object */
+    private $quiz;
+
+    /** @var stdClass Student object */
+    private $user;
+
+    /** @var stdClass Teacher object */
+    private $teacher;
+
+    /** @var stdClass Attempt record */
+    private $attempt;
+
+    /**
+     * Set up test environment.
+     */
+    protected function setUp(): void {
+        parent::setUp();
+        $this->resetAfterTest(true);
+        $this->preventResetByRollback();
+
+        // Create test course
+        $this->course = $this->getDataGenerator()->create_course();
+
+        // Create test users
+        $this->user = $this->getDataGenerator()->create_user();
+        $this->getDataGenerator()->enrol_user($this->user->id, $this->course->id, 'student');
+        $this->teacher = $this->getDataGenerator()->create_user();
+        $this->getDataGenerator()->enrol_user($this->teacher->id, $this->course->id, 'editingteacher');
+
+        // Create test quiz
+        $this->quiz = $this->getDataGenerator()->create_module('quiz', [
+            'course' => $this->course->id,
+            'name' => 'Test Quiz for Notifications',
+        ]);
+
+        // The student accepted the privacy notice
+        consent::record($this->quiz->cmid, $this->quiz->id, $this->user->id);
+
+        // Create an attempt in progress
+        $this->attempt = $this->getDataGenerator()->get_plugin_generator('quizaccess_invigilator')
+            ->create_attempt($this->quiz, $this->user->id);
+    }
+
+    /**
+     * Upload a screenshot as the student.
+     *
+     * @return stdClass Row of the logs table.
+     */
+    private function upload() : stdClass {
+        global $DB;
+
+        $this->setUser($this->user);
+        $screenshot = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==';
+        $result = quizaccess_invigilator_external::send_screenshot($this->course->id, $this->quiz->cmid, $this->quiz->id,
+            $screenshot);
+        return $DB->get_record('quizaccess_invigilator_logs', ['id' => $result['screenshotid']]);
+    }
+
+    /**
+     * Report a proctoring event as the student.
+     *
+     * @param string $eventtype One of the event_log::TYPE_* constants.
+     */
+    private function report_event(string $eventtype) {
+        $this->setUser($this->user);
+        quizaccess_invigilator_external::log_event($this->course->id, $this->quiz->cmid, $this->quiz->id,
+            $this->attempt->id, $eventtype, '');
+    }
+
+    /**
+     * Test uploads, flags and deletions of screenshots are logged.
+     */
+    public function test_screenshot_events() {
+        $sink = $this->redirectEvents();
+
+        $log = $this->upload();
+        $events = $sink->get_events();
+        $this->assertInstanceOf('\quizaccess_invigilator\event\screenshot_uploaded', end($events),
+            'The upload should be logged');
+        $this->assertEquals($log->id, end($events)->objectid, 'The event should be about the screenshot');
+        $this->assertEquals($this->attempt->id, end($events)->other['attemptid'], 'The event should name the attempt');
+        $sink->clear();
+
+        $this->setUser($this->teacher);
+        review::flag($log, $this->teacher->id, 'Phone on the desk');
+        $events = $sink->get_events();
+        $this->assertCount(1, $events, 'The flag should be logged');
+        $this->assertInstanceOf('\quizaccess_invigilator\event\attempt_flagged', $events[0], 'The attempt should be flagged');
+        $this->assertEquals($this->user->id, $events[0]->relateduserid, 'The event should be about the student');
+        $sink->clear();
+
+        review::flag($log, $this->teacher->id, 'Phone and notes on the desk');
+        $events = $sink->get_events();
+        $this->assertCount(1, $events, 'The change of the flag should be logged');
+        $this->assertInstanceOf('\quizaccess_invigilator\event\flag_updated', $events[0],
+            'The change should not flag the attempt again');
+        $sink->clear();
+
+        $helper = new addtional_settings_helper();
+        $helper->deletesslogs((string)$log->id);
+        $events = $sink->get_events();
+        $this->assertInstanceOf('\quizaccess_invigilator\event\screenshot_deleted', $events[0],
+            'The deletion should be logged');
+        $this->assertEquals($this->teacher->id, $events[0]->userid, 'The teacher should have deleted it');
+        $sink->close();
+    }
+
+    /**
+     * Test the first dropped share of an attempt is logged and alerts the teachers while it is in progress.
+     */
+    public function test_share_lost_alert() {
+        global $DB;
+
+        $events = $this->redirectEvents();
+        $messages = $this->redirectMessages();
+
+        $this->report_event(event_log::TYPE_SHARE_STARTED);
+        $this->assertInstanceOf('\quizaccess_invigilator\event\screen_share_started', $events->get_events()[0],
+            'The start of the share should be logged');
+        $this->assertCount(0, $messages->get_messages(), 'A started share should not alert');
+
+        $this->report_event(event_log::TYPE_SHARE_LOST);
+        $this->assertInstanceOf('\quizaccess_invigilator\event\screen_share_stopped', $events->get_events()[1],
+            'The lost share should be logged');
+        $sent = $messages->get_messages();
+        $this->assertCount(1, $sent, 'The teacher should be alerted');
+        $this->assertEquals($this->teacher->id, $sent[0]->useridto, 'The alert should go to the teacher');
+        $this->assertEquals(notifier::PROVIDER_SHARE_LOST, $sent[0]->eventtype, 'The alert should be about the share');
+
+        // Only the first drop of the attempt alerts
+        $messages->clear();
+        $this->report_event(event_log::TYPE_SHARE_RESUMED);
+        $this->report_event(event_log::TYPE_SHARE_LOST);
+        $this->assertCount(0, $messages->get_messages(), 'A later drop should not alert again');
+
+        // No alert once the attempt is finished
+        $messages->clear();
+        $DB->set_field('quiz_attempts', 'state', 'finished', ['id' => $this->attempt->id]);
+        $this->report_event(event_log::TYPE_SHARE_ENDED);
+        $this->assertCount(0, $messages->get_messages(), 'A share ended after the attempt should not alert');
+
+        $events->close();
+        $messages->close();
+    }
+
+    /**
+     * Test only the first detection of each detector in an attempt alerts the teachers.
+     */
+    public function test_detection_alert() {
+        global $DB;
+
+        $messages = $this->redirectMessages();
+        $this->setAdminUser();
+
+        $alerts = 0;
+        foreach ([$this->upload(), $this->upload()] as $log) {
+            $detection = (object)[
+                'courseid' => $log->courseid,
+                'cmid' => $log->cmid,
+                'logid' => $log->id,
+                'userid' => $log->userid,
+                'attemptid' => $log->attemptid,
+                'detector' => 'idle',
+                'score' => 0.6,
+                'details' => 'Screen largely unchanged for 12 minutes',
+                'timecreated' => time(),
+            ];
+            $detection->id = $DB->insert_record('quizaccess_invigilator_detections', $detection);
+            $alerts += notifier::detections($log, [$detection]);
+        }
+
+        $this->assertEquals(1, $alerts, 'Only the first idle screen should alert');
+        $sent = $messages->get_messages();
+        $this->assertCount(1, $sent, 'The teacher should be alerted once');
+        $this->assertEquals(notifier::PROVIDER_DETECTION, $sent[0]->eventtype, 'The alert should be about the detection');
+        $messages->close();
+    }
+}
+
+// Run tests if called directly
+if (!defined('PHPUNIT_TEST') && basename(__FILE__) == basename($_SERVER['SCRIPT_NAME'])) {
+    echo "Running Invigilator Plugin Notification Tests...\n\n";
+
+    $test = new quizaccess_invigilator_notification_test();
+    $test->setUp();
+
+    $methods = get_class_methods($test);
+    $test_methods = array_filter($methods, function($method) {
+        return strpos($method, 'test_') === 0;
+    });
+
+    $passed = 0;
+    $failed = 0;
+
+    foreach ($test_methods as $method) {
+        echo "Running $method... ";
+        try {
+            $test->$method();
+            echo "PASSED\n";
+            $passed++;
+        } catch (Exception $e) {
+            echo "FAILED: " . $e->getMessage() . "\n";
+            $failed++;
+        } catch (PHPUnit\Framework\AssertionFailedError $e) {
+            echo "FAILED: " . $e->getMessage() . "\n";
+            $failed++;
+        }
+    }
+
+    echo "\n=== Test Results ===\n";
+    echo "Passed: $passed\n";
+    echo "Failed: $failed\n";
+    echo "Total: " . ($passed + $failed) . "\n";
+
+    if ($failed > 0) {
+        exit(1);
+    }
+}
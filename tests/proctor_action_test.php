@@ -0,0 +1,266 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Proctor action unit tests for the quizaccess_invigilator plugin.
+ *
+ * @package    quizaccess_invigilator
+ * @copyright  2024 Brain Station 23
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+defined('MOODLE_INTERNAL') || die();
+
+require_once(__DIR__ . '/../../../config.php');
+require_once($CFG->libdir . '/phpunit/classes/base_testcase.php');
+require_once($CFG->dirroot . '/mod/quiz/locallib.php');
+require_once($CFG->dirroot . '/mod/quiz/accessrule/invigilator/rule.php');
+require_once($CFG->dirroot . '/mod/quiz/accessrule/invigilator/classes/external.php');
+
+use quizaccess_invigilator\event_log;
+use quizaccess_invigilator\proctor_action;
+
+/**
+ * Proctor action test class for Invigilator plugin.
+ */
+class quizaccess_invigilator_proctor_action_test extends advanced_testcase {
+
+    /** @var stdClass Course object */
+    private $course;
+
+    /** @var stdClass Quiz object */
+    private $quiz;
+
+    /** @var stdClass Course module of the quiz */
+    private $cm;
+
+    /** @var stdClass Student object */
+    private $user;
+
+    /** @var stdClass Teacher object */
+    private $teacher;
+
+    /** @var stdClass Attempt record */
+    private $attempt;
+
+    /**
+     * Set up test environment.
+     */
+    protected function setUp(): void {
+        global $DB;
+
+        parent::setUp();
+        $this->resetAfterTest(true);
+
+        // Create test course
+        $this->course = $this->getDataGenerator()->create_course();
+
+        // Create test users
+        $this->user = $this->getDataGenerator()->create_user();
+        $this->getDataGenerator()->enrol_user($this->user->id, $this->course->id, 'student');
+        $this->teacher = $this->getDataGenerator()->create_user();
+        $this->getDataGenerator()->enrol_user($this->teacher->id, $this->course->id, 'editingteacher');
+
+        // Create test quiz with one question
+        $this->quiz = $this->getDataGenerator()->create_module('quiz', [
+            'course' => $this->course->id,
+            'name' => 'Test Quiz for Proctor Actions',
+        ]);
+        $this->cm = get_coursemodule_from_id('quiz', $this->quiz->cmid);
+        $questiongenerator = $this->getDataGenerator()->get_plugin_generator('core_question');
+        $category = $questiongenerator->create_question_category();
+        $question = $questiongenerator->create_question('shortanswer', null, ['category' => $category->id]);
+        quiz_add_quiz_question($question->id, $this->quiz);
+
+        // Start a real attempt so it can be finished
+        $quizobj = quiz::create($this->quiz->id, $this->user->id);
+        $quba = question_engine::make_questions_usage_by_activity('mod_quiz', $quizobj->get_context());
+        $quba->set_preferred_behaviour($quizobj->get_quiz()->preferredbehaviour);
+        $timenow = time();
+        $attempt = quiz_create_attempt($quizobj, 1, false, $timenow, false, $this->user->id);
+        quiz_start_new_attempt($quizobj, $quba, $attempt, 1, $timenow);
+        quiz_attempt_save_started($quizobj, $quba, $attempt);
+        $this->attempt = $DB->get_record('quiz_attempts', ['id' => $attempt->id]);
+    }
+
+    /**
+     * Test pending actions are delivered and disappear once acknowledged.
+     */
+    public function test_send_and_acknowledge_message() {
+        global $DB;
+
+        $actionid = proctor_action::send($this->attempt, $this->cm, $this->teacher->id,
+            proctor_action::ACTION_MESSAGE, 'Eyes on your own screen');
+
+        $pending = proctor_action::get_pending($this->attempt->id);
+        $this->assertCount(1, $pending, 'The message should be pending');
+        $this->assertEquals('Eyes on your own screen', $pending[$actionid]->message, 'Message text should be stored');
+        $this->assertNotNull($DB->get_field('quizaccess_invigilator_actions', 'timedelivered', ['id' => $actionid]),
+            'Fetching the action should record its delivery');
+
+        $this->assertFalse(proctor_action::acknowledge($actionid, $this->teacher->id),
+            'Only the student may acknowledge the action');
+        $this->assertTrue(proctor_action::acknowledge($actionid, $this->user->id), 'The student should acknowledge');
+        $this->assertNotNull($DB->get_field('quizaccess_invigilator_actions', 'timeacknowledged', ['id' => $actionid]),
+            'The acknowledgement time should be stored');
+        $this->assertCount(0, proctor_action::get_pending($this->attempt->id), 'Acknowledged actions are not pending');
+    }
+
+    /**
+     * Test a paused attempt cannot be continued until it is resumed.
+     */
+    public function test_pause_and_resume() {
+        global $DB;
+
+        $this->setUser($this->user);
+        $quiz = $DB->get_record('quiz', ['id' => $this->quiz->id]);
+        $quiz->invigilatorrequired = 1;
+        $quizobj = new quiz($quiz, $this->cm, $this->course);
+        $rule = new quizaccess_invigilator($quizobj, time());
+        $this->assertFalse($rule->prevent_access(), 'Access should be allowed before a pause');
+
+        proctor_action::send($this->attempt, $this->cm, $this->teacher->id, proctor_action::ACTION_PAUSE);
+        $this->assertTrue(proctor_action::is_paused($this->attempt->id), 'The attempt should be paused');
+        $this->assertEquals(get_string('attemptpaused', 'quizaccess_invigilator'), $rule->prevent_access(),
+            'A paused attempt should not be continued');
+
+        proctor_action::send($this->attempt, $this->cm, $this->teacher->id, proctor_action::ACTION_RESUME);
+        $this->assertFalse(proctor_action::is_paused($this->attempt->id), 'The attempt should be resumed');
+        $this->assertFalse($rule->prevent_access(), 'Access should be allowed after resuming');
+    }
+
+    /**
+     * Test resuming a paused attempt that was also locked after a screen share loss allows access again.
+     */
+    public function test_resume_clears_lock() {
+        global $DB;
+
+        $this->setUser($this->user);
+        $quiz = $DB->get_record('quiz', ['id' => $this->quiz->id]);
+        $quiz->invigilatorrequired = 1;
+        $quizobj = new quiz($quiz, $this->cm, $this->course);
+
+        proctor_action::send($this->attempt, $this->cm, $this->teacher->id, proctor_action::ACTION_PAUSE);
+        $lockedid = event_log::record($this->course->id, $this->quiz->cmid, $this->quiz->id, $this->user->id,
+            $this->attempt->id, event_log::TYPE_ATTEMPT_LOCKED, 'sharelost');
+        $DB->set_field('quizaccess_invigilator_events', 'timecreated', time() - 60, ['id' => $lockedid]);
+        $rule = new quizaccess_invigilator($quizobj, time());
+        $this->assertEquals(get_string('attemptlocked', 'quizaccess_invigilator'), $rule->prevent_access(),
+            'A locked attempt should not be continued');
+
+        proctor_action::send($this->attempt, $this->cm, $this->teacher->id, proctor_action::ACTION_RESUME);
+        $this->assertFalse(proctor_action::is_paused($this->attempt->id), 'The attempt should be resumed');
+        $this->assertFalse(event_log::is_attempt_locked($this->attempt->id), 'The attempt should be unlocked');
+        $rule = new quizaccess_invigilator($quizobj, time());
+        $this->assertFalse($rule->prevent_access(), 'Access should be allowed after resuming');
+    }
+
+    /**
+     * Test terminating submits the attempt.
+     */
+    public function test_terminate_finishes_attempt() {
+        global $DB;
+
+        proctor_action::send($this->attempt, $this->cm, $this->teacher->id, proctor_action::ACTION_TERMINATE);
+        $this->assertEquals(quiz_attempt::FINISHED,
+            $DB->get_field('quiz_attempts', 'state', ['id' => $this->attempt->id]), 'The attempt should be finished');
+        $this->assertCount(1, proctor_action::get_pending($this->attempt->id),
+            'The student should still be told about the termination');
+    }
+
+    /**
+     * Test the proctor action web services.
+     */
+    public function test_proctor_action_services() {
+        $this->setUser($this->teacher);
+        $result = quizaccess_invigilator_external::send_proctor_action($this->quiz->cmid, $this->attempt->id,
+            proctor_action::ACTION_PAUSE, 'Please wait');
+        $this->assertNotEmpty($result['actionid'], 'The action should be stored');
+
+        $this->setUser($this->user);
+        $result = quizaccess_invigilator_external::get_proctor_actions($this->quiz->cmid, $this->attempt->id);
+        $this->assertTrue($result['paused'], 'The attempt should be reported as paused');
+        $this->assertCount(1, $result['actions'], 'The pause should be pending');
+        $this->assertEquals('Please wait', $result['actions'][0]['message'], 'The message should be returned');
+
+        $result = quizaccess_invigilator_external::acknowledge_proctor_action($this->quiz->cmid,
+            $result['actions'][0]['id']);
+        $this->assertTrue($result['status'], 'The action should be acknowledged');
+        $result = quizaccess_invigilator_external::get_proctor_actions($this->quiz->cmid, $this->attempt->id);
+        $this->assertCount(0, $result['actions'], 'No action should be pending');
+    }
+
+    /**
+     * Test students cannot send proctor actions.
+     */
+    public function test_send_proctor_action_requires_capability() {
+        $this->setUser($this->user);
+        $this->expectException(required_capability_exception::class);
+        quizaccess_invigilator_external::send_proctor_action($this->quiz->cmid, $this->attempt->id,
+            proctor_action::ACTION_TERMINATE, '');
+    }
+
+    /**
+     * Test proctor actions appear in the timeline of the student.
+     */
+    public function test_actions_in_timeline() {
+        proctor_action::send($this->attempt, $this->cm, $this->teacher->id, proctor_action::ACTION_MESSAGE, 'Hello');
+
+        $timeline = event_log::get_user_timeline($this->quiz->cmid, $this->user->id);
+        $this->assertCount(1, $timeline, 'The action should be in the timeline');
+        $this->assertEquals(proctor_action::ACTION_MESSAGE, $timeline[0]->action->action, 'Action should be attached');
+    }
+}
+
+// Run tests if called directly
+if (!defined('PHPUNIT_TEST') && basename(__FILE__) == basename($_SERVER['SCRIPT_NAME'])) {
+    echo "Running Invigilator Plugin Proctor Action Tests...\n\n";
+
+    $test = new quizaccess_invigilator_proctor_action_test();
+    $test->setUp();
+
+    $methods = get_class_methods($test);
+    $test_methods = array_filter($methods, function($method) {
+        return strpos($method, 'test_') === 0;
+    });
+
+    $passed = 0;
+    $failed = 0;
+
+    foreach ($test_methods as $method) {
+        echo "Running $method... ";
+        try {
+            $test->$method();
+            echo "PASSED\n";
+            $passed++;
+        } catch (Exception $e) {
+            echo "FAILED: " . $e->getMessage() . "\n";
+            $failed++;
+        } catch (PHPUnit\Framework\AssertionFailedError $e) {
+            echo "FAILED: " . $e->getMessage() . "\n";
+            $failed++;
+        }
+    }
+
+    echo "\n=== Test Results ===\n";
+    echo "Passed: $passed\n";
+    echo "Failed: $failed\n";
+    echo "Total: " . ($passed + $failed) . "\n";
+
+    if ($failed > 0) {
+        exit(1);
+    }
+}
@@ -158,19 +158,26 @@ class quizaccess_invigilator_quiz_access_control_test extends advanced_testcase
         $quiz_form = $this->createMock('mod_quiz_mod_form');
         $mform = $this->createMock('MoodleQuickForm');
         
-        // Expect addElement to be called for invigilator settings
+        // Record the elements added for invigilator settings
+        $elements = [];
         $mform->expects($this->atLeastOnce())
               ->method('addElement')
-              ->with('select', 'invigilatorrequired');
+              ->willReturnCallback(function($type, $name) use (&$elements) {
+                  $elements[$name] = $type;
+              });
         
         $mform->expects($this->atLeastOnce())
-              ->method('addHelpButton')
-              ->with('invigilatorrequired', 'invigilatorrequired', 'quizaccess_invigilator');
+              ->method('addHelpButton');
         
         // Test adding settings form fields
         quizaccess_invigilator::add_settings_form_fields($quiz_form, $mform);
         
-        $this->assertTrue(true, 'Settings form fields should be added without errors');
+        $this->assertEquals('select', $elements['invigilatorrequired'], 'Required setting should be a select');
+        $this->assertEquals('select', $elements['invigilatorenforcement'], 'Enforcement setting should be a select');
+        $this->assertEquals('selectyesno', $elements['invigilatorwebcam'], 'Webcam setting should be a yes/no select');
+        $this->assertEquals('text', $elements['invigilatorscreenshotdelay'], 'Screenshot delay should be a text field');
+        $this->assertEquals('text', $elements['invigilatorscreenshotwidth'], 'Screenshot width should be a text field');
+        $this->assertEquals('text', $elements['invigilatorscreenshotjitter'], 'Screenshot jitter should be a text field');
     }
 
     /**
@@ -189,6 +196,36 @@ class quizaccess_invigilator_quiz_access_control_test extends advanced_testcase
         $record = $DB->get_record('quizaccess_invigilator', ['quizid' => $this->quiz->id]);
         $this->assertNotEmpty($record, 'Record should be created when invigilator is enabled');
         $this->assertEquals(1, $record->invigilatorrequired, 'Invigilator should be marked as required');
+        $this->assertEquals(quizaccess_invigilator::ENFORCEMENT_BLOCK, $record->invigilatorenforcement,
+            'Enforcement should default to block');
+        $this->assertEquals(0, $record->invigilatorwebcam, 'Webcam should default to off');
+        
+        // Test enabling the webcam
+        $quiz_data->invigilatorwebcam = 1;
+        quizaccess_invigilator::save_settings($quiz_data);
+        
+        $record = $DB->get_record('quizaccess_invigilator', ['quizid' => $this->quiz->id]);
+        $this->assertEquals(1, $record->invigilatorwebcam, 'Webcam setting should be stored');
+        $this->assertNull($record->invigilatorscreenshotdelay, 'Screenshot delay should default to the site setting');
+        
+        // Test saving the capture settings
+        $quiz_data->invigilatorscreenshotdelay = 45;
+        $quiz_data->invigilatorscreenshotwidth = 1024;
+        $quiz_data->invigilatorscreenshotjitter = 10;
+        quizaccess_invigilator::save_settings($quiz_data);
+        
+        $record = $DB->get_record('quizaccess_invigilator', ['quizid' => $this->quiz->id]);
+        $this->assertEquals(45, $record->invigilatorscreenshotdelay, 'Screenshot delay should be stored');
+        $this->assertEquals(1024, $record->invigilatorscreenshotwidth, 'Screenshot width should be stored');
+        $this->assertEquals(10, $record->invigilatorscreenshotjitter, 'Screenshot jitter should be stored');
+        
+        // Test updating the enforcement level
+        $quiz_data->invigilatorenforcement = quizaccess_invigilator::ENFORCEMENT_WARN;
+        quizaccess_invigilator::save_settings($quiz_data);
+        
+        $record = $DB->get_record('quizaccess_invigilator', ['quizid' => $this->quiz->id]);
+        $this->assertEquals(quizaccess_invigilator::ENFORCEMENT_WARN, $record->invigilatorenforcement,
+            'Enforcement level should be updated');
         
         // Test saving with invigilator disabled
         $quiz_data->invigilatorrequired = 0;
@@ -235,7 +272,10 @@ class quizaccess_invigilator_quiz_access_control_test extends advanced_testcase
         
         list($fields, $joins, $params) = $sql_parts;
         
-        $this->assertEquals('invigilatorrequired', $fields, 'Fields should include invigilatorrequired');
+        $this->assertStringContainsString('invigilatorrequired', $fields, 'Fields should include invigilatorrequired');
+        $this->assertStringContainsString('invigilatorenforcement', $fields, 'Fields should include invigilatorenforcement');
+        $this->assertStringContainsString('invigilatorwebcam', $fields, 'Fields should include invigilatorwebcam');
+        $this->assertStringContainsString('invigilatorscreenshotjitter', $fields, 'Fields should include the capture settings');
         $this->assertStringContainsString('LEFT JOIN', $joins, 'Joins should include LEFT JOIN');
         $this->assertStringContainsString('quizaccess_invigilator', $joins, 'Joins should reference plugin table');
         $this->assertIsArray($params, 'Params should be an array');
@@ -259,14 +299,109 @@ class quizaccess_invigilator_quiz_access_control_test extends advanced_testcase
         $this->assertNotEmpty($result_errors['invigilator'], 
             'Error message should be provided');
         
-        // Test validation with checkbox checked
-        $data = ['invigilator' => 1];
+        // Test validation with checkbox checked and the entire monitor shared
+        $data = ['invigilator' => 1, 'invigilator_share_state' => 'true', 'invigilator_window_surface' => 'monitor'];
         $result_errors = $rule->validate_preflight_check($data, $files, $errors, null);
         
         $this->assertArrayNotHasKey('invigilator', $result_errors, 
             'Validation should pass when checkbox is checked');
     }
 
+    /**
+     * Test preflight validation of the shared surface for each enforcement level.
+     */
+    public function test_preflight_enforcement_levels() {
+        $rule = $this->create_rule_instance();
+        $reflection = new ReflectionProperty($rule, 'quiz');
+        $reflection->setAccessible(true);
+        $quiz = $reflection->getValue($rule);
+        
+        $data = ['invigilator' => 1, 'invigilator_share_state' => 'true', 'invigilator_window_surface' => 'window'];
+        
+        // Block refuses a window share
+        $quiz->invigilatorenforcement = quizaccess_invigilator::ENFORCEMENT_BLOCK;
+        $this->assertEquals('block', $rule->get_enforcement_name());
+        $result_errors = $rule->validate_preflight_check($data, [], [], null);
+        $this->assertArrayHasKey('invigilator', $result_errors, 'Block should refuse a window share');
+        
+        // Block refuses a share that has ended
+        $ended = ['invigilator' => 1, 'invigilator_share_state' => 'false', 'invigilator_window_surface' => 'monitor'];
+        $result_errors = $rule->validate_preflight_check($ended, [], [], null);
+        $this->assertArrayHasKey('invigilator', $result_errors, 'Block should refuse an ended share');
+        
+        // Warn and off let the attempt start
+        $quiz->invigilatorenforcement = quizaccess_invigilator::ENFORCEMENT_WARN;
+        $this->assertEquals('warn', $rule->get_enforcement_name());
+        $this->assertArrayNotHasKey('invigilator', $rule->validate_preflight_check($data, [], [], null),
+            'Warn should allow a window share');
+        
+        $quiz->invigilatorenforcement = quizaccess_invigilator::ENFORCEMENT_OFF;
+        $this->assertEquals('off', $rule->get_enforcement_name());
+        $this->assertArrayNotHasKey('invigilator', $rule->validate_preflight_check(['invigilator' => 1], [], [], null),
+            'Off should not require a share');
+    }
+
+    /**
+     * Test the capture settings of a quiz fall back to the site settings.
+     */
+    public function test_capture_settings() {
+        set_config('screenshotdelay', 30, 'quizaccess_invigilator');
+        set_config('screenshotwidth', 720, 'quizaccess_invigilator');
+        set_config('screenshotjitter', 5, 'quizaccess_invigilator');
+        
+        $rule = $this->create_rule_instance();
+        $reflection = new ReflectionProperty($rule, 'quiz');
+        $reflection->setAccessible(true);
+        $quiz = $reflection->getValue($rule);
+        
+        $this->assertEquals(30, $rule->get_screenshot_delay(), 'Delay should default to the site setting');
+        $this->assertEquals(720, $rule->get_screenshot_width(), 'Width should default to the site setting');
+        $this->assertEquals(5, $rule->get_screenshot_jitter(), 'Jitter should default to the site setting');
+        
+        $quiz->invigilatorscreenshotdelay = 60;
+        $quiz->invigilatorscreenshotwidth = 1280;
+        $quiz->invigilatorscreenshotjitter = 0;
+        $this->assertEquals(60, $rule->get_screenshot_delay(), 'Quiz delay should be used');
+        $this->assertEquals(1280, $rule->get_screenshot_width(), 'Quiz width should be used');
+        $this->assertEquals(0, $rule->get_screenshot_jitter(), 'Quiz jitter should be used');
+        
+        // The jitter must stay below the delay
+        $quiz_form = $this->createMock('mod_quiz_mod_form');
+        $data = ['invigilatorrequired' => 1, 'invigilatorscreenshotdelay' => 10, 'invigilatorscreenshotwidth' => 720,
+            'invigilatorscreenshotjitter' => 10];
+        $errors = quizaccess_invigilator::validate_settings_form_fields([], $data, [], $quiz_form);
+        $this->assertArrayHasKey('invigilatorscreenshotjitter', $errors, 'Jitter as large as the delay should be refused');
+        
+        $data['invigilatorscreenshotjitter'] = 3;
+        $errors = quizaccess_invigilator::validate_settings_form_fields([], $data, [], $quiz_form);
+        $this->assertEmpty($errors, 'Valid capture settings should be accepted');
+    }
+
+    /**
+     * Test preflight validation requires the webcam when the quiz captures it.
+     */
+    public function test_preflight_webcam_required() {
+        $rule = $this->create_rule_instance();
+        $reflection = new ReflectionProperty($rule, 'quiz');
+        $reflection->setAccessible(true);
+        $quiz = $reflection->getValue($rule);
+        $quiz->invigilatorenforcement = quizaccess_invigilator::ENFORCEMENT_BLOCK;
+        $quiz->invigilatorwebcam = 1;
+        
+        $data = ['invigilator' => 1, 'invigilator_share_state' => 'true', 'invigilator_window_surface' => 'monitor'];
+        $this->assertTrue($rule->is_webcam_required(), 'Webcam should be required');
+        $this->assertArrayHasKey('invigilator', $rule->validate_preflight_check($data, [], [], null),
+            'Block should refuse to start without the webcam');
+        
+        $data['invigilator_webcam_state'] = 'true';
+        $this->assertArrayNotHasKey('invigilator', $rule->validate_preflight_check($data, [], [], null),
+            'Block should allow a monitor share with a live webcam');
+        
+        $modal_content = $rule->make_modal_content($this->createMock('mod_quiz_preflight_check_form'));
+        $this->assertStringContainsString('invigilator-video-webcam', $modal_content,
+            'Modal content should contain the webcam preview');
+    }
+
     /**
      * Test rule description generation.
      */
@@ -0,0 +1,290 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Capture retention unit tests for the quizaccess_invigilator plugin.
+ *
+ * @package    quizaccess_invigilator
+ * @copyright  2024 Brain Station 23
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+defined('MOODLE_INTERNAL') || die();
+
+require_once(__DIR__ . '/../../../config.php');
+require_once($CFG->libdir . '/phpunit/classes/base_testcase.php');
+require_once($CFG->dirroot . '/mod/quiz/accessrule/invigilator/classes/external.php');
+
+use quizaccess_invigilator\consent;
+use quizaccess_invigilator\retention;
+use quizaccess_invigilator\review;
+
+/**
+ * Retention test class for Invigilator plugin.
+ */
+class quizaccess_invigilator_retention_test extends advanced_testcase {
+
+    /** @var stdClass Course object */
+    private $course;
+
+    /** @var stdClass Quiz object */
+    private $quiz;
+
+    /** @var stdClass Student object */
+    private $user;
+
+    /** @var stdClass Attempt record */
+    private $attempt;
+
+    /** @var int[] IDs of the captures, in upload order */
+    private $logids = [];
+
+    /**
+     * Set up test environment.
+     */
+    protected function setUp(): void {
+        global $DB;
+
+        parent::setUp();
+        $this->resetAfterTest(true);
+
+        // Create test course
+        $this->course = $this->getDataGenerator()->create_course();
+
+        // Create test user
+        $this->user = $this->getDataGenerator()->create_user();
+        $this->getDataGenerator()->enrol_user($this->user->id, $this->course->id, 'student');
+
+        // Create a quiz that closed 40 days ago
+        $this->quiz = $this->getDataGenerator()->create_module('quiz', [
+            'course' => $this->course->id,
+            'name' => 'Test Quiz for Retention',
+            'timeclose' => time() - 40 * DAYSECS,
+        ]);
+
+        // The student accepted the privacy notice
+        consent::record($this->quiz->cmid, $this->quiz->id, $this->user->id);
+
+        // Create an attempt in progress
+        $this->attempt = $this->getDataGenerator()->get_plugin_generator('quizaccess_invigilator')
+            ->create_attempt($this->quiz, $this->user->id, time() - 41 * DAYSECS);
+
+        // Upload two captures during the attempt
+        $this->setUser($this->user);
+        $screenshot = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==';
+        for ($i = 0; $i < 2; $i++) {
+            $result = quizaccess_invigilator_external::send_screenshot($this->course->id, $this->quiz->cmid, $this->quiz->id,
+                $screenshot);
+            $this->logids[] = $result['screenshotid'];
+        }
+        $this->setAdminUser();
+
+        // Move the captures before the quiz closed and finish the attempt
+        $DB->set_field_select('quizaccess_invigilator_logs', 'timecreated', time() - 41 * DAYSECS, 'quizid = ?',
+            [$this->quiz->id]);
+        $DB->update_record('quiz_attempts', (object)['id' => $this->attempt->id, 'state' => 'finished',
+            'timefinish' => time() - 41 * DAYSECS]);
+    }
+
+    /**
+     * Get the IDs of the expired captures.
+     *
+     * @return int[]
+     */
+    private function get_expired_ids() : array {
+        return array_keys(retention::get_expired($this->course->id));
+    }
+
+    /**
+     * Test nothing expires with the site default of keeping the captures.
+     */
+    public function test_keep_by_default() {
+        $this->assertEquals(0, retention::get_retention_days($this->course->id), 'Captures should be kept by default');
+        $this->assertEquals([], $this->get_expired_ids(), 'Nothing should expire');
+    }
+
+    /**
+     * Test captures expire after the retention period following the close of the quiz.
+     */
+    public function test_expiry_after_close() {
+        set_config('retentiondays', 30, 'quizaccess_invigilator');
+        $this->assertEquals($this->logids, $this->get_expired_ids(), 'Captures should expire 30 days after the close');
+
+        set_config('retentiondays', 50, 'quizaccess_invigilator');
+        $this->assertEquals([], $this->get_expired_ids(), 'Captures should be kept for 50 days after the close');
+    }
+
+    /**
+     * Test the course override of the site retention period.
+     */
+    public function test_course_override() {
+        set_config('retentiondays', 30, 'quizaccess_invigilator');
+
+        retention::set_course_override($this->course->id, 0);
+        $this->assertEquals(0, retention::get_retention_days($this->course->id), 'The course should keep its captures');
+        $this->assertEquals([], $this->get_expired_ids(), 'Nothing should expire in the course');
+
+        retention::set_course_override($this->course->id, 60);
+        $this->assertEquals(60, retention::get_course_override($this->course->id), 'The override should be stored');
+        $this->assertEquals([], $this->get_expired_ids(), 'Captures should be kept for 60 days');
+
+        retention::set_course_override($this->course->id, null);
+        $this->assertNull(retention::get_course_override($this->course->id), 'The override should be removed');
+        $this->assertEquals($this->logids, $this->get_expired_ids(), 'The site period should apply again');
+    }
+
+    /**
+     * Test attempts under review are kept.
+     */
+    public function test_attempts_under_review_are_kept() {
+        global $DB;
+
+        set_config('retentiondays', 30, 'quizaccess_invigilator');
+        $log = $DB->get_record('quizaccess_invigilator_logs', ['id' => $this->logids[0]]);
+
+        // A flagged capture keeps the whole attempt
+        review::flag($log, get_admin()->id, 'Phone on the desk');
+        $this->assertEquals([], $this->get_expired_ids(), 'A flagged attempt should be kept');
+        review::unflag($log->id);
+
+        // So does a suspicious verdict, but not a clear one
+        $cm = get_coursemodule_from_id('quiz', $this->quiz->cmid);
+        $attempt = $DB->get_record('quiz_attempts', ['id' => $this->attempt->id]);
+        review::set_verdict($attempt, $cm, get_admin()->id, review::VERDICT_SUSPICIOUS);
+        $this->assertEquals([], $this->get_expired_ids(), 'A suspicious attempt should be kept');
+        review::set_verdict($attempt, $cm, get_admin()->id, review::VERDICT_CLEAR);
+        $this->assertEquals($this->logids, $this->get_expired_ids(), 'A cleared attempt should expire');
+
+        // And an attempt still in progress
+        $DB->set_field('quiz_attempts', 'state', 'inprogress', ['id' => $this->attempt->id]);
+        $this->assertEquals([], $this->get_expired_ids(), 'An attempt in progress should be kept');
+    }
+
+    /**
+     * Test the dry run lists what would be deleted without deleting it.
+     */
+    public function test_preview() {
+        global $DB;
+
+        set_config('retentiondays', 30, 'quizaccess_invigilator');
+        $preview = retention::preview($this->course->id);
+
+        $this->assertCount(1, $preview, 'The captures of the attempt should be grouped');
+        $this->assertEquals($this->attempt->id, $preview[0]->attemptid, 'The attempt should be listed');
+        $this->assertEquals($this->user->id, $preview[0]->userid, 'The student should be listed');
+        $this->assertEquals(2, $preview[0]->count, 'Both captures should be counted');
+        $this->assertEquals(2, $DB->count_records('quizaccess_invigilator_logs', ['quizid' => $this->quiz->id]),
+            'Nothing should be deleted');
+    }
+
+    /**
+     * Test the scheduled task deletes the files and rows of the expired captures in batches.
+     */
+    public function test_purge_task() {
+        global $DB;
+
+        set_config('retentiondays', 30, 'quizaccess_invigilator');
+        $context = context_module::instance($this->quiz->cmid);
+        $fs = get_file_storage();
+
+        $this->assertEquals(1, retention::purge(1), 'One capture should be deleted per batch of one');
+        $this->assertFalse($DB->record_exists('quizaccess_invigilator_logs', ['id' => $this->logids[0]]),
+            'The oldest capture should be deleted first');
+        $this->assertTrue($fs->is_area_empty($context->id, 'quizaccess_invigilator', 'picture', $this->logids[0]),
+            'The file of the capture should be deleted');
+
+        $task = new \quizaccess_invigilator\task\purge_expired_captures();
+        $this->expectOutputRegex('/1/');
+        $task->execute();
+
+        $this->assertEquals(0, $DB->count_records('quizaccess_invigilator_logs', ['quizid' => $this->quiz->id]),
+            'All expired captures should be deleted');
+        $this->assertTrue($fs->is_area_empty($context->id, 'quizaccess_invigilator', 'picture'),
+            'All files should be deleted');
+    }
+
+    /**
+     * Test the proctoring events expire with the captures, unless their attempt is under review.
+     */
+    public function test_purge_events() {
+        global $DB;
+
+        set_config('retentiondays', 30, 'quizaccess_invigilator');
+        $event = (object)[
+            'courseid' => $this->course->id,
+            'cmid' => $this->quiz->cmid,
+            'quizid' => $this->quiz->id,
+            'userid' => $this->user->id,
+            'attemptid' => $this->attempt->id,
+            'eventtype' => 'sharelost',
+            'timecreated' => time() - 41 * DAYSECS,
+        ];
+        $event->id = $DB->insert_record('quizaccess_invigilator_events', $event);
+
+        // A suspicious verdict keeps the events of the attempt
+        $cm = get_coursemodule_from_id('quiz', $this->quiz->cmid);
+        $attempt = $DB->get_record('quiz_attempts', ['id' => $this->attempt->id]);
+        review::set_verdict($attempt, $cm, get_admin()->id, review::VERDICT_SUSPICIOUS);
+        $this->assertEquals(0, retention::purge(), 'Nothing should be deleted');
+        $this->assertTrue($DB->record_exists('quizaccess_invigilator_events', ['id' => $event->id]),
+            'The events of an attempt under review should be kept');
+
+        review::set_verdict($attempt, $cm, get_admin()->id, review::VERDICT_CLEAR);
+        $this->assertEquals(3, retention::purge(), 'The captures and the event should be deleted');
+        $this->assertFalse($DB->record_exists('quizaccess_invigilator_events', ['id' => $event->id]),
+            'The expired event should be deleted');
+    }
+}
+
+// Run tests if called directly
+if (!defined('PHPUNIT_TEST') && basename(__FILE__) == basename($_SERVER['SCRIPT_NAME'])) {
+    echo "Running Invigilator Plugin Retention Tests...\n\n";
+
+    $test = new quizaccess_invigilator_retention_test();
+    $test->setUp();
+
+    $methods = get_class_methods($test);
+    $test_methods = array_filter($methods, function($method) {
+        return strpos($method, 'test_') === 0;
+    });
+
+    $passed = 0;
+    $failed = 0;
+
+    foreach ($test_methods as $method) {
+        echo "Running $method... ";
+        try {
+            $test->$method();
+            echo "PASSED\n";
+            $passed++;
+        } catch (Exception $e) {
+            echo "FAILED: " . $e->getMessage() . "\n";
+            $failed++;
+        } catch (PHPUnit\Framework\AssertionFailedError $e) {
+            echo "FAILED: " . $e->getMessage() . "\n";
+            $failed++;
+        }
+    }
+
+    echo "\n=== Test Results ===\n";
+    echo "Passed: $passed\n";
+    echo "Failed: $failed\n";
+    echo "Total: " . ($passed + $failed) . "\n";
+
+    if ($failed > 0) {
+        exit(1);
+    }
+}
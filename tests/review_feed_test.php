@@ -0,0 +1,236 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Review web service unit tests for the quizaccess_invigilator plugin.
+ *
+ * @package    quizaccess_invigilator
+ * @copyright  2024 Brain Station 23
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+defined('MOODLE_INTERNAL') || die();
+
+require_once(__DIR__ . '/../../../config.php');
+require_once($CFG->libdir . '/phpunit/classes/base_testcase.php');
+require_once($CFG->dirroot . '/mod/quiz/accessrule/invigilator/classes/external.php');
+
+use quizaccess_invigilator\consent;
+use quizaccess_invigilator\event_log;
+use quizaccess_invigilator\review;
+
+/**
+ * Review feed test class for Invigilator plugin.
+ */
+class quizaccess_invigilator_review_feed_test extends advanced_testcase {
+
+    /** @var stdClass Course object */
+    private $course;
+
+    /** @var stdClass Proctored quiz object */
+    private $quiz;
+
+    /** @var stdClass Student object */
+    private $user;
+
+    /** @var stdClass Other student object */
+    private $other;
+
+    /** @var stdClass Teacher object */
+    private $teacher;
+
+    /** @var stdClass Attempt record */
+    private $attempt;
+
+    /**
+     * Set up test environment.
+     */
+    protected function setUp(): void {
+        global $DB;
+
+        parent::setUp();
+        $this->resetAfterTest(true);
+
+        // Create test course
+        $this->course = $this->getDataGenerator()->create_course();
+
+        // Create test users
+        $this->user = $this->getDataGenerator()->create_user();
+        $this->other = $this->getDataGenerator()->create_user();
+        $this->teacher = $this->getDataGenerator()->create_user();
+        $this->getDataGenerator()->enrol_user($this->user->id, $this->course->id, 'student');
+        $this->getDataGenerator()->enrol_user($this->other->id, $this->course->id, 'student');
+        $this->getDataGenerator()->enrol_user($this->teacher->id, $this->course->id, 'editingteacher');
+
+        // Create a proctored quiz and one without proctoring
+        $this->quiz = $this->getDataGenerator()->create_module('quiz', [
+            'course' => $this->course->id,
+            'name' => 'Proctored Quiz',
+        ]);
+
+        // The student accepted the privacy notice
+        consent::record($this->quiz->cmid, $this->quiz->id, $this->user->id);
+        $DB->insert_record('quizaccess_invigilator', (object)[
+            'quizid' => $this->quiz->id,
+            'invigilatorrequired' => 1,
+            'invigilatorenforcement' => 1,
+            'invigilatorwebcam' => 0,
+            'invigilatorscreenshotdelay' => 30,
+        ]);
+        $this->getDataGenerator()->create_module('quiz', [
+            'course' => $this->course->id,
+            'name' => 'Open Quiz',
+        ]);
+
+        // Create an attempt with two screenshots and an event
+        $this->attempt = $this->getDataGenerator()->get_plugin_generator('quizaccess_invigilator')
+            ->create_attempt($this->quiz, $this->user->id, time() - 600, time());
+
+        $this->setUser($this->user);
+        $screenshot = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==';
+        for ($i = 0; $i < 2; $i++) {
+            quizaccess_invigilator_external::send_screenshot($this->course->id, $this->quiz->cmid, $this->quiz->id,
+                $screenshot);
+        }
+        $DB->set_field('quizaccess_invigilator_logs', 'attemptid', $this->attempt->id, ['userid' => $this->user->id]);
+        event_log::record($this->course->id, $this->quiz->cmid, $this->quiz->id, $this->user->id, $this->attempt->id,
+            event_log::TYPE_TAB_HIDDEN, '');
+    }
+
+    /**
+     * Test only the proctored quizzes are listed with their capture count.
+     */
+    public function test_proctored_quizzes() {
+        $this->setUser($this->teacher);
+        $result = quizaccess_invigilator_external::get_proctored_quizzes($this->course->id);
+        $result = external_api::clean_returnvalue(quizaccess_invigilator_external::get_proctored_quizzes_returns(), $result);
+
+        $this->assertCount(1, $result['quizzes'], 'Only the proctored quiz should be listed');
+        $this->assertEquals($this->quiz->cmid, $result['quizzes'][0]['cmid'], 'The proctored quiz should be listed');
+        $this->assertEquals(1, $result['quizzes'][0]['enforcement'], 'The enforcement should be returned');
+        $this->assertEquals(30, $result['quizzes'][0]['screenshotdelay'], 'The delay should be returned');
+        $this->assertEquals(2, $result['quizzes'][0]['captures'], 'The captures should be counted');
+
+        $this->setUser($this->other);
+        $result = quizaccess_invigilator_external::get_proctored_quizzes($this->course->id);
+        $this->assertCount(0, $result['quizzes'], 'A student should not see the quizzes to review');
+    }
+
+    /**
+     * Test the attempts are listed with their counts and verdict.
+     */
+    public function test_quiz_attempts() {
+        global $DB;
+
+        $log = $DB->get_record('quizaccess_invigilator_logs', ['userid' => $this->user->id], '*', IGNORE_MULTIPLE);
+        $this->setUser($this->teacher);
+        review::flag($log, $this->teacher->id, 'Second screen');
+
+        $result = quizaccess_invigilator_external::get_quiz_attempts($this->quiz->cmid);
+        $result = external_api::clean_returnvalue(quizaccess_invigilator_external::get_quiz_attempts_returns(), $result);
+
+        $this->assertCount(1, $result['attempts'], 'The attempt should be listed');
+        $attempt = $result['attempts'][0];
+        $this->assertEquals($this->attempt->id, $attempt['attemptid'], 'The attempt should be named');
+        $this->assertEquals(2, $attempt['screenshots'], 'The screenshots should be counted');
+        $this->assertEquals(0, $attempt['webcam'], 'No webcam snapshot should be counted');
+        $this->assertEquals(1, $attempt['events'], 'The event should be counted');
+        $this->assertEquals(1, $attempt['flags'], 'The flag should be counted');
+        $this->assertEquals(review::VERDICT_NONE, $attempt['verdict'], 'No verdict should be given yet');
+    }
+
+    /**
+     * Test the captures of a student link to their images through the web service file server.
+     */
+    public function test_student_captures() {
+        $this->setUser($this->teacher);
+        $result = quizaccess_invigilator_external::get_student_captures($this->quiz->cmid, $this->user->id,
+            $this->attempt->id);
+        $result = external_api::clean_returnvalue(quizaccess_invigilator_external::get_student_captures_returns(), $result);
+
+        $this->assertCount(2, $result['captures'], 'Both captures should be listed');
+        $capture = $result['captures'][0];
+        $this->assertEquals('screen', $capture['capturetype'], 'The capture should be a screenshot');
+        $this->assertEquals(64, strlen($capture['contenthash']), 'The SHA-256 hash should be returned');
+        $this->assertStringContainsString('/webservice/pluginfile.php/', $capture['fileurl'],
+            'The image should be served to web service clients');
+        $this->assertGreaterThan(0, $capture['filesize'], 'The size of the image should be returned');
+    }
+
+    /**
+     * Test the events of a student are only given to reviewers, not to the student.
+     */
+    public function test_student_events_access() {
+        $this->setUser($this->teacher);
+        $result = quizaccess_invigilator_external::get_student_events($this->quiz->cmid, $this->user->id);
+        $result = external_api::clean_returnvalue(quizaccess_invigilator_external::get_student_events_returns(), $result);
+        $this->assertCount(1, $result['events'], 'A reviewer should see the events of the student');
+        $this->assertEquals(event_log::TYPE_TAB_HIDDEN, $result['events'][0]['eventtype'], 'The event type should be returned');
+        $this->assertCount(0, $result['flags'], 'No capture should be flagged');
+
+        $this->setUser($this->user);
+        try {
+            quizaccess_invigilator_external::get_student_events($this->quiz->cmid, $this->user->id);
+            $this->fail('A student should not see the flags and notes of the reviewers');
+        } catch (required_capability_exception $e) {
+            $this->assertEquals('nopermissions', $e->errorcode, 'The report capability should be required');
+        }
+
+        $this->setUser($this->other);
+        $this->expectException(required_capability_exception::class);
+        quizaccess_invigilator_external::get_student_captures($this->quiz->cmid, $this->user->id);
+    }
+}
+
+// Run tests if called directly
+if (!defined('PHPUNIT_TEST') && basename(__FILE__) == basename($_SERVER['SCRIPT_NAME'])) {
+    echo "Running Invigilator Plugin Review Feed Tests...\n\n";
+
+    $test = new quizaccess_invigilator_review_feed_test();
+    $test->setUp();
+
+    $methods = get_class_methods($test);
+    $test_methods = array_filter($methods, function($method) {
+        return strpos($method, 'test_') === 0;
+    });
+
+    $passed = 0;
+    $failed = 0;
+
+    foreach ($test_methods as $method) {
+        echo "Running $method... ";
+        try {
+            $test->$method();
+            echo "PASSED\n";
+            $passed++;
+        } catch (Exception $e) {
+            echo "FAILED: " . $e->getMessage() . "\n";
+            $failed++;
+        } catch (PHPUnit\Framework\AssertionFailedError $e) {
+            echo "FAILED: " . $e->getMessage() . "\n";
+            $failed++;
+        }
+    }
+
+    echo "\n=== Test Results ===\n";
+    echo "Passed: $passed\n";
+    echo "Failed: $failed\n";
+    echo "Total: " . ($passed + $failed) . "\n";
+
+    if ($failed > 0) {
+        exit(1);
+    }
+}
@@ -0,0 +1,235 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Reviewer flag and verdict unit tests for the quizaccess_invigilator plugin.
+ *
+ * @package    quizaccess_invigilator
+ * @copyright  2024 Brain Station 23
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+defined('MOODLE_INTERNAL') || die();
+
+require_once(__DIR__ . '/../../../config.php');
+require_once($CFG->libdir . '/phpunit/classes/base_testcase.php');
+require_once($CFG->dirroot . '/mod/quiz/accessrule/invigilator/classes/external.php');
+require_once($CFG->dirroot . '/mod/quiz/accessrule/invigilator/classes/addtional_settings_helper.php');
+
+use quizaccess_invigilator\review;
+
+/**
+ * Review test class for Invigilator plugin.
+ */
+class quizaccess_invigilator_review_test extends advanced_testcase {
+
+    /** @var stdClass Course object */
+    private $course;
+
+    /** @var stdClass Quiz object */
+    private $quiz;
+
+    /** @var stdClass Course module of the quiz */
+    private $cm;
+
+    /** @var stdClass Student object */
+    private $user;
+
+    /** @var stdClass Teacher object */
+    private $teacher;
+
+    /** @var stdClass Attempt record */
+    private $attempt;
+
+    /** @var stdClass Screenshot record */
+    private $log;
+
+    /**
+     * Set up test environment.
+     */
+    protected function setUp(): void {
+        global $DB;
+
+        parent::setUp();
+        $this->resetAfterTest(true);
+
+        // Create test course
+        $this->course = $this->getDataGenerator()->create_course();
+
+        // Create test users
+        $this->user = $this->getDataGenerator()->create_user();
+        $this->getDataGenerator()->enrol_user($this->user->id, $this->course->id, 'student');
+        $this->teacher = $this->getDataGenerator()->create_user();
+        $this->getDataGenerator()->enrol_user($this->teacher->id, $this->course->id, 'editingteacher');
+
+        // Create test quiz
+        $this->quiz = $this->getDataGenerator()->create_module('quiz', [
+            'course' => $this->course->id,
+            'name' => 'Test Quiz for Review',
+        ]);
+        $this->cm = get_coursemodule_from_id('quiz', $this->quiz->cmid);
+
+        // Create a finished attempt with a screenshot
+        $this->attempt = $this->getDataGenerator()->get_plugin_generator('quizaccess_invigilator')
+            ->create_attempt($this->quiz, $this->user->id, time() - 600, time());
+
+        $this->log = (object)[
+            'courseid' => $this->course->id,
+            'cmid' => $this->quiz->cmid,
+            'quizid' => $this->quiz->id,
+            'userid' => $this->user->id,
+            'screenshot' => 'http://example.com/screenshot.png',
+            'timecreated' => time() - 300,
+            'capturetype' => 'screen',
+        ];
+        $this->log->id = $DB->insert_record('quizaccess_invigilator_logs', $this->log);
+    }
+
+    /**
+     * Test flagging a screenshot with a note and a highlighted area.
+     */
+    public function test_flag_screenshot() {
+        $rect = (object)['x' => 0.25, 'y' => 0.5, 'width' => 0.2, 'height' => 1.5];
+        $flagid = review::flag($this->log, $this->teacher->id, 'Phone on the desk', $rect);
+
+        $flags = review::get_flags($this->quiz->cmid, $this->user->id);
+        $this->assertCount(1, $flags, 'The screenshot should be flagged');
+        $this->assertEquals($flagid, $flags[$this->log->id]->id, 'Flags should be keyed by screenshot');
+        $this->assertEquals('Phone on the desk', $flags[$this->log->id]->note, 'The note should be stored');
+        $this->assertEquals(0.25, (float)$flags[$this->log->id]->rectx, 'The highlight should be stored');
+        $this->assertEquals(1, (float)$flags[$this->log->id]->rectheight, 'The highlight should stay inside the image');
+
+        // Flagging again updates the same flag
+        $this->assertEquals($flagid, review::flag($this->log, $this->teacher->id, 'Updated'), 'The flag should be updated');
+        $flags = review::get_flags($this->quiz->cmid, $this->user->id);
+        $this->assertNull($flags[$this->log->id]->rectx, 'The highlight should be removed');
+
+        review::unflag($this->log->id);
+        $this->assertCount(0, review::get_flags($this->quiz->cmid, $this->user->id), 'The flag should be removed');
+    }
+
+    /**
+     * Test the flag of a screenshot is deleted with the screenshot.
+     */
+    public function test_flag_deleted_with_screenshot() {
+        review::flag($this->log, $this->teacher->id, 'Phone on the desk');
+
+        $helper = new addtional_settings_helper();
+        $helper->deletesslogs((string)$this->log->id);
+        $this->assertCount(0, review::get_flags($this->quiz->cmid, $this->user->id), 'The flag should be deleted');
+    }
+
+    /**
+     * Test verdicts replace each other and the most severe one is used per student.
+     */
+    public function test_verdicts() {
+        review::set_verdict($this->attempt, $this->cm, $this->teacher->id, review::VERDICT_CLEAR);
+        $this->assertEquals([$this->user->id => review::VERDICT_CLEAR], review::get_user_verdicts($this->quiz->cmid),
+            'The verdict of the student should be returned');
+
+        $verdictid = review::set_verdict($this->attempt, $this->cm, $this->teacher->id, review::VERDICT_SUSPICIOUS, 'Left');
+        $verdicts = review::get_attempt_verdicts($this->quiz->cmid, $this->user->id);
+        $this->assertCount(1, $verdicts, 'An attempt should have one verdict');
+        $this->assertEquals($verdictid, $verdicts[$this->attempt->id]->id, 'The verdict should be replaced');
+
+        // A second attempt with a violation makes the student a violation
+        $second = $this->getDataGenerator()->get_plugin_generator('quizaccess_invigilator')
+            ->create_attempt($this->quiz, $this->user->id);
+        review::set_verdict($second, $this->cm, $this->teacher->id, review::VERDICT_VIOLATION);
+        $this->assertEquals(review::VERDICT_VIOLATION, review::get_user_verdicts($this->quiz->cmid)[$this->user->id],
+            'The most severe verdict should be used');
+    }
+
+    /**
+     * Test the flag web services.
+     */
+    public function test_flag_services() {
+        $this->setUser($this->teacher);
+        $result = quizaccess_invigilator_external::flag_screenshot($this->quiz->cmid, $this->log->id, 'Second screen',
+            0.1, 0.1, 0.3, 0.3);
+        $this->assertNotEmpty($result['flagid'], 'The flag should be stored');
+        $flags = review::get_flags($this->quiz->cmid, $this->user->id);
+        $this->assertEquals(0.3, (float)$flags[$this->log->id]->rectwidth, 'The highlight should be stored');
+
+        $result = quizaccess_invigilator_external::unflag_screenshot($this->quiz->cmid, $this->log->id);
+        $this->assertTrue($result['status'], 'The flag should be removed');
+        $this->assertCount(0, review::get_flags($this->quiz->cmid, $this->user->id), 'No flag should remain');
+    }
+
+    /**
+     * Test students cannot flag screenshots.
+     */
+    public function test_flag_requires_capability() {
+        $this->setUser($this->user);
+        $this->expectException(required_capability_exception::class);
+        quizaccess_invigilator_external::flag_screenshot($this->quiz->cmid, $this->log->id, '', -1, 0, 0, 0);
+    }
+
+    /**
+     * Test the lightbox attributes of flagged screenshots.
+     */
+    public function test_flag_attributes() {
+        $this->assertEquals(' data-id="5" data-flagged="0"', review::get_flag_attributes(5, null),
+            'Unflagged screenshots should only be marked as such');
+
+        $flag = (object)['note' => 'Look "here"', 'rectx' => '0.1', 'recty' => '0.2', 'rectwidth' => '0.3',
+            'rectheight' => '0.4'];
+        $attributes = review::get_flag_attributes(5, $flag);
+        $this->assertStringContainsString('data-flagged="1"', $attributes, 'The screenshot should be flagged');
+        $this->assertStringContainsString('data-note="Look &quot;here&quot;"', $attributes, 'The note should be escaped');
+        $this->assertStringContainsString('data-rect="0.1,0.2,0.3,0.4"', $attributes, 'The highlight should be set');
+    }
+}
+
+// Run tests if called directly
+if (!defined('PHPUNIT_TEST') && basename(__FILE__) == basename($_SERVER['SCRIPT_NAME'])) {
+    echo "Running Invigilator Plugin Review Tests...\n\n";
+
+    $test = new quizaccess_invigilator_review_test();
+    $test->setUp();
+
+    $methods = get_class_methods($test);
+    $test_methods = array_filter($methods, function($method) {
+        return strpos($method, 'test_') === 0;
+    });
+
+    $passed = 0;
+    $failed = 0;
+
+    foreach ($test_methods as $method) {
+        echo "Running $method... ";
+        try {
+            $test->$method();
+            echo "PASSED\n";
+            $passed++;
+        } catch (Exception $e) {
+            echo "FAILED: " . $e->getMessage() . "\n";
+            $failed++;
+        } catch (PHPUnit\Framework\AssertionFailedError $e) {
+            echo "FAILED: " . $e->getMessage() . "\n";
+            $failed++;
+        }
+    }
+
+    echo "\n=== Test Results ===\n";
+    echo "Passed: $passed\n";
+    echo "Failed: $failed\n";
+    echo "Total: " . ($passed + $failed) . "\n";
+
+    if ($failed > 0) {
+        exit(1);
+    }
+}
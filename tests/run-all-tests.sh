@@ -27,6 +27,22 @@ TEST_SUITES=(
     "screenshot_capture_test.php"
     "quiz_access_control_test.php"
     "admin_reporting_test.php"
+    "event_log_test.php"
+    "live_monitor_test.php"
+    "proctor_action_test.php"
+    "review_test.php"
+    "evidence_export_test.php"
+    "integrity_test.php"
+    "retention_test.php"
+    "analysis_test.php"
+    "analytics_test.php"
+    "backup_test.php"
+    "notification_test.php"
+    "log_search_test.php"
+    "review_feed_test.php"
+    "systemcheck_test.php"
+    "accommodation_test.php"
+    "consent_test.php"
 )
 
 # Initialize
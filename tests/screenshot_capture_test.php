@@ -64,6 +64,9 @@ class quizaccess_invigilator_screenshot_capture_test extends advanced_testcase {
             'course' => $this->course->id,
             'name' => 'Test Quiz for Screenshot Capture',
         ]);
+
+        // The student accepted the privacy notice
+        \quizaccess_invigilator\consent::record($this->quiz->cmid, $this->quiz->id, $this->user->id);
         
         $this->context = context_module::instance($this->quiz->cmid);
         
@@ -204,6 +207,235 @@ class quizaccess_invigilator_screenshot_capture_test extends advanced_testcase {
             'Stored image should be different from original (timestamp added)');
     }
 
+    /**
+     * Test queued screenshots keep the time they were captured.
+     */
+    public function test_screenshot_capture_time() {
+        global $DB;
+        
+        $screenshot_data = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==';
+        $timecaptured = time() - 300;
+        
+        $result = quizaccess_invigilator_external::send_screenshot(
+            $this->course->id,
+            $this->quiz->cmid,
+            $this->quiz->id,
+            $screenshot_data,
+            \quizaccess_invigilator\capture::TYPE_SCREEN,
+            $timecaptured
+        );
+        
+        $log_record = $DB->get_record('quizaccess_invigilator_logs', ['id' => $result['screenshotid']]);
+        $this->assertEquals($timecaptured, $log_record->timecreated, 'Capture time should be stored');
+        
+        // A capture time in the future is not trusted
+        $result = quizaccess_invigilator_external::send_screenshot(
+            $this->course->id,
+            $this->quiz->cmid,
+            $this->quiz->id,
+            $screenshot_data,
+            \quizaccess_invigilator\capture::TYPE_SCREEN,
+            time() + 3600
+        );
+        
+        $log_record = $DB->get_record('quizaccess_invigilator_logs', ['id' => $result['screenshotid']]);
+        $this->assertLessThanOrEqual(time(), $log_record->timecreated, 'Capture time should not be in the future');
+        
+        // A capture time before the attempt started is not trusted either
+        $attempt = $this->getDataGenerator()->get_plugin_generator('quizaccess_invigilator')
+            ->create_attempt($this->quiz, $this->user->id, time() - 60);
+        $result = quizaccess_invigilator_external::send_screenshot(
+            $this->course->id,
+            $this->quiz->cmid,
+            $this->quiz->id,
+            $screenshot_data,
+            \quizaccess_invigilator\capture::TYPE_SCREEN,
+            time() - 86400,
+            0, 0, -1,
+            $attempt->id
+        );
+        
+        $log_record = $DB->get_record('quizaccess_invigilator_logs', ['id' => $result['screenshotid']]);
+        $this->assertEquals($attempt->timestart, $log_record->timecreated, 'Capture time should not be before the attempt');
+    }
+
+    /**
+     * Test screenshots are stored in the format sent by the browser.
+     */
+    public function test_screenshot_format_preserved() {
+        global $DB;
+        
+        $image = imagecreatetruecolor(200, 100);
+        ob_start();
+        imagejpeg($image);
+        $jpeg_data = 'data:image/jpeg;base64,' . base64_encode(ob_get_clean());
+        imagedestroy($image);
+        
+        $result = quizaccess_invigilator_external::send_screenshot(
+            $this->course->id,
+            $this->quiz->cmid,
+            $this->quiz->id,
+            $jpeg_data
+        );
+        
+        $log_record = $DB->get_record('quizaccess_invigilator_logs', ['id' => $result['screenshotid']]);
+        $this->assertStringEndsWith('.jpg', $log_record->screenshot, 'JPEG captures should be stored as JPEG');
+        
+        // The configured format falls back to PNG when unknown
+        set_config('imageformat', 'bmp', 'quizaccess_invigilator');
+        $this->assertEquals(\quizaccess_invigilator\capture::FORMAT_PNG,
+            \quizaccess_invigilator\capture::get_configured_format(), 'Unknown formats should fall back to PNG');
+        
+        set_config('imageformat', 'jpeg', 'quizaccess_invigilator');
+        set_config('imagequality', 250, 'quizaccess_invigilator');
+        $this->assertEquals(\quizaccess_invigilator\capture::FORMAT_JPEG,
+            \quizaccess_invigilator\capture::get_configured_format(), 'Configured format should be used');
+        $this->assertEquals(100, \quizaccess_invigilator\capture::get_configured_quality(), 'Quality should be capped');
+    }
+
+    /**
+     * Test captures the server cannot read are refused instead of being stored without a time code.
+     */
+    public function test_screenshot_unreadable_refused() {
+        global $DB;
+        
+        $this->expectException(invalid_parameter_exception::class);
+        try {
+            quizaccess_invigilator_external::send_screenshot(
+                $this->course->id,
+                $this->quiz->cmid,
+                $this->quiz->id,
+                'data:image/png;base64,' . base64_encode('not an image')
+            );
+        } finally {
+            $this->assertEquals(0, $DB->count_records('quizaccess_invigilator_logs'), 'Nothing should be logged');
+        }
+    }
+
+    /**
+     * Test captures are refused for another quiz than the course module and from users who may not send them.
+     */
+    public function test_screenshot_access_checked() {
+        global $DB;
+
+        $screenshot_data = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==';
+        $other = $this->getDataGenerator()->create_module('quiz', ['course' => $this->course->id]);
+        try {
+            quizaccess_invigilator_external::send_screenshot($this->course->id, $this->quiz->cmid, $other->id, $screenshot_data);
+            $this->fail('A capture for another quiz should be refused');
+        } catch (invalid_parameter_exception $e) {
+            $this->assertEquals(0, $DB->count_records('quizaccess_invigilator_logs'), 'Nothing should be logged');
+        }
+
+        $teacher = $this->getDataGenerator()->create_user();
+        $this->getDataGenerator()->enrol_user($teacher->id, $this->course->id, 'teacher');
+        $this->setUser($teacher);
+        $this->expectException(required_capability_exception::class);
+        quizaccess_invigilator_external::send_screenshot($this->course->id, $this->quiz->cmid, $this->quiz->id, $screenshot_data);
+    }
+
+    /**
+     * Test the captured surface metadata is stored.
+     */
+    public function test_screenshot_surface_metadata() {
+        global $DB;
+        
+        $screenshot_data = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==';
+        
+        $result = quizaccess_invigilator_external::send_screenshot(
+            $this->course->id,
+            $this->quiz->cmid,
+            $this->quiz->id,
+            $screenshot_data,
+            \quizaccess_invigilator\capture::TYPE_SCREEN,
+            0,
+            2560,
+            1440,
+            1
+        );
+        
+        $log_record = $DB->get_record('quizaccess_invigilator_logs', ['id' => $result['screenshotid']]);
+        $this->assertEquals(2560, $log_record->surfacewidth, 'Surface width should be stored');
+        $this->assertEquals(1440, $log_record->surfaceheight, 'Surface height should be stored');
+        $this->assertEquals(1, $log_record->multidisplay, 'Multiple displays should be stored');
+        $this->assertStringContainsString('2560', \quizaccess_invigilator\capture::describe_surface($log_record),
+            'Description should contain the resolution');
+        
+        // Unknown metadata is stored as null
+        $result = quizaccess_invigilator_external::send_screenshot(
+            $this->course->id,
+            $this->quiz->cmid,
+            $this->quiz->id,
+            $screenshot_data
+        );
+        
+        $log_record = $DB->get_record('quizaccess_invigilator_logs', ['id' => $result['screenshotid']]);
+        $this->assertNull($log_record->surfacewidth, 'Unknown width should be null');
+        $this->assertNull($log_record->multidisplay, 'Unknown display count should be null');
+        $this->assertEquals('', \quizaccess_invigilator\capture::describe_surface($log_record),
+            'Nothing should be described when nothing is known');
+    }
+
+    /**
+     * Test the attempt and the page a screenshot was taken on are stored.
+     */
+    public function test_screenshot_attempt_page() {
+        global $DB;
+        
+        $screenshot_data = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==';
+        
+        $generator = $this->getDataGenerator()->get_plugin_generator('quizaccess_invigilator');
+        $attempt = $generator->create_attempt($this->quiz, $this->user->id, time() - 600);
+        
+        $result = quizaccess_invigilator_external::send_screenshot(
+            $this->course->id,
+            $this->quiz->cmid,
+            $this->quiz->id,
+            $screenshot_data,
+            \quizaccess_invigilator\capture::TYPE_SCREEN,
+            0, 0, 0, -1,
+            $attempt->id,
+            2,
+            5
+        );
+        
+        $log_record = $DB->get_record('quizaccess_invigilator_logs', ['id' => $result['screenshotid']]);
+        $this->assertEquals($attempt->id, $log_record->attemptid, 'The attempt should be stored');
+        $this->assertEquals(2, $log_record->page, 'The page should be stored');
+        $this->assertEquals(5, $log_record->slot, 'The slot should be stored');
+        
+        // An attempt of another student is replaced by the attempt in progress
+        $other = $this->getDataGenerator()->create_user();
+        $otherattempt = $generator->create_attempt($this->quiz, $other->id, time() - 600);
+        
+        $result = quizaccess_invigilator_external::send_screenshot(
+            $this->course->id,
+            $this->quiz->cmid,
+            $this->quiz->id,
+            $screenshot_data,
+            \quizaccess_invigilator\capture::TYPE_SCREEN,
+            0, 0, 0, -1,
+            $otherattempt->id,
+            1,
+            3
+        );
+        
+        $log_record = $DB->get_record('quizaccess_invigilator_logs', ['id' => $result['screenshotid']]);
+        $this->assertEquals($attempt->id, $log_record->attemptid, 'Only an attempt of the student should be stored');
+        
+        // Without a page the page and slot are unknown
+        $result = quizaccess_invigilator_external::send_screenshot(
+            $this->course->id,
+            $this->quiz->cmid,
+            $this->quiz->id,
+            $screenshot_data
+        );
+        
+        $log_record = $DB->get_record('quizaccess_invigilator_logs', ['id' => $result['screenshotid']]);
+        $this->assertNull($log_record->page, 'Unknown page should be null');
+        $this->assertNull($log_record->slot, 'Unknown slot should be null');
+    }
+
     /**
      * Test screenshot parameter validation.
      */
@@ -215,7 +447,7 @@ class quizaccess_invigilator_screenshot_capture_test extends advanced_testcase {
             'Parameters should be external function parameters');
         
         $param_keys = array_keys($params->keys);
-        $expected_keys = ['courseid', 'cmid', 'quizid', 'screenshot'];
+        $expected_keys = ['courseid', 'cmid', 'quizid', 'screenshot', 'capturetype', 'timecaptured'];
         
         foreach ($expected_keys as $key) {
             $this->assertContains($key, $param_keys, "Parameter '$key' should be defined");
@@ -335,6 +567,46 @@ class quizaccess_invigilator_screenshot_capture_test extends advanced_testcase {
             'Screenshot path should be a pluginfile URL');
     }
 
+    /**
+     * Test webcam snapshots are stored with their capture type.
+     */
+    public function test_webcam_snapshot_storage() {
+        global $DB;
+        
+        $screenshot_data = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==';
+        
+        $screen = quizaccess_invigilator_external::send_screenshot(
+            $this->course->id,
+            $this->quiz->cmid,
+            $this->quiz->id,
+            $screenshot_data
+        );
+        $webcam = quizaccess_invigilator_external::send_screenshot(
+            $this->course->id,
+            $this->quiz->cmid,
+            $this->quiz->id,
+            $screenshot_data,
+            \quizaccess_invigilator\capture::TYPE_WEBCAM
+        );
+        
+        $screen_record = $DB->get_record('quizaccess_invigilator_logs', ['id' => $screen['screenshotid']]);
+        $webcam_record = $DB->get_record('quizaccess_invigilator_logs', ['id' => $webcam['screenshotid']]);
+        $this->assertEquals('screen', $screen_record->capturetype, 'Capture type should default to screen');
+        $this->assertEquals('webcam', $webcam_record->capturetype, 'Capture type should be stored');
+        $this->assertStringContainsString('webcam-', $webcam_record->screenshot, 'Webcam file should be named as such');
+        
+        // Pair the snapshot with the screenshot taken at the same time
+        $pairs = \quizaccess_invigilator\capture::pair_captures([$screen_record, $webcam_record], 30);
+        $this->assertCount(1, $pairs, 'Captures taken together should be paired');
+        $this->assertEquals($webcam_record->id, $pairs[0]->webcam->id, 'Webcam snapshot should be paired');
+        
+        // Captures too far apart are kept separate
+        $webcam_record->timecreated += 120;
+        $pairs = \quizaccess_invigilator\capture::pair_captures([$screen_record, $webcam_record], 30);
+        $this->assertCount(2, $pairs, 'Captures far apart should not be paired');
+        $this->assertNull($pairs[1]->screen, 'Lone webcam snapshot should have no screenshot');
+    }
+
     /**
      * Test screenshot file permissions and access.
      */
@@ -377,6 +649,52 @@ class quizaccess_invigilator_screenshot_capture_test extends advanced_testcase {
         $this->assertEquals($this->context->id, $image_file->get_contextid(), 
             'Context ID should be correct');
     }
+
+    /**
+     * Test the captures of a student are not served to the other students.
+     */
+    public function test_screenshot_served_to_teachers_only() {
+        global $CFG;
+        require_once($CFG->dirroot . '/mod/quiz/accessrule/invigilator/lib.php');
+
+        $screenshot_data = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==';
+        $result = quizaccess_invigilator_external::send_screenshot(
+            $this->course->id,
+            $this->quiz->cmid,
+            $this->quiz->id,
+            $screenshot_data
+        );
+        $file = array_values(array_filter(get_file_storage()->get_area_files($this->context->id, 'quizaccess_invigilator',
+            'picture', $result['screenshotid']), function($file) {
+                return !$file->is_directory();
+            }))[0];
+
+        $course = get_course($this->course->id);
+        $cm = get_coursemodule_from_id('quiz', $this->quiz->cmid);
+        $this->assertFalse(quizaccess_invigilator_pluginfile($course, $cm, $this->context, 'unknown',
+            [$result['screenshotid'], $file->get_filename()], false), 'Unknown file areas should not be served');
+
+        $other = $this->getDataGenerator()->create_user();
+        $this->getDataGenerator()->enrol_user($other->id, $this->course->id, 'student');
+        $this->setUser($other);
+
+        $this->expectException(required_capability_exception::class);
+        quizaccess_invigilator_pluginfile($course, $cm, $this->context, 'picture',
+            [$result['screenshotid'], $file->get_filename()], false);
+    }
+
+    /**
+     * Test the options of the screenshot replay.
+     */
+    public function test_replay_options() {
+        $replay = \quizaccess_invigilator\capture::get_replay_options(30);
+
+        $this->assertEquals(60, $replay->replayGap, 'Gaps should start at twice the screenshot delay');
+        $this->assertSame([], $replay->events, 'No events should be set');
+        $this->assertEquals(get_string('replay:play', 'quizaccess_invigilator'), $replay->replayLabels['play'],
+            'Labels should be translated');
+        $this->assertArrayHasKey('shortcuts', $replay->replayLabels, 'Keyboard shortcuts should be described');
+    }
 }
 
 // Run tests if called directly
@@ -0,0 +1,198 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * System check unit tests for the quizaccess_invigilator plugin.
+ *
+ * @package    quizaccess_invigilator
+ * @copyright  2024 Brain Station 23
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+defined('MOODLE_INTERNAL') || die();
+
+require_once(__DIR__ . '/../../../config.php');
+require_once($CFG->libdir . '/phpunit/classes/base_testcase.php');
+require_once($CFG->dirroot . '/mod/quiz/accessrule/invigilator/classes/external.php');
+
+use quizaccess_invigilator\capture;
+
+/**
+ * System check test class for Invigilator plugin.
+ */
+class quizaccess_invigilator_systemcheck_test extends advanced_testcase {
+
+    /** @var stdClass Course object */
+    private $course;
+
+    /** @var stdClass Quiz object */
+    private $quiz;
+
+    /** @var stdClass Student object */
+    private $user;
+
+    /**
+     * Set up test environment.
+     */
+    protected function setUp(): void {
+        parent::setUp();
+        $this->resetAfterTest(true);
+
+        // Create test course
+        $this->course = $this->getDataGenerator()->create_course();
+
+        // Create test user
+        $this->user = $this->getDataGenerator()->create_user();
+        $this->getDataGenerator()->enrol_user($this->user->id, $this->course->id, 'student');
+
+        // Create test quiz
+        $this->quiz = $this->getDataGenerator()->create_module('quiz', [
+            'course' => $this->course->id,
+            'name' => 'Test Quiz for System Check',
+        ]);
+    }
+
+    /**
+     * Test the practice screenshot is stored in the draft files without being logged.
+     */
+    public function test_practice_upload() {
+        global $DB;
+
+        $this->setUser($this->user);
+        $sink = $this->redirectEvents();
+        $screenshot = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==';
+
+        $result = quizaccess_invigilator_external::test_screenshot($this->quiz->cmid, $screenshot);
+        $result = external_api::clean_returnvalue(quizaccess_invigilator_external::test_screenshot_returns(), $result);
+
+        $this->assertTrue($result['status'], 'The practice screenshot should be stored');
+        $this->assertEquals(1, $result['width'], 'The width of the image sent should be reported');
+        $this->assertEquals(1, $result['height'], 'The height of the image sent should be reported');
+        $this->assertEquals('png', $result['format'], 'The format of the browser should be kept');
+        $this->assertGreaterThan(0, $result['filesize'], 'The size of the stored image should be reported');
+        $this->assertStringContainsString('/draftfile.php/', $result['fileurl'], 'The image should be in the draft files');
+
+        $files = $DB->get_records('files', ['component' => 'user', 'filearea' => 'draft', 'filename' => 'systemcheck.png',
+            'contextid' => context_user::instance($this->user->id)->id]);
+        $this->assertCount(1, $files, 'The image should be in the draft area of the student');
+        $this->assertEquals(0, $DB->count_records('quizaccess_invigilator_logs'), 'The practice should not be logged');
+        $this->assertEquals(0, $DB->count_records('files', ['component' => 'quizaccess_invigilator']),
+            'The practice should not be kept with the captures');
+        $this->assertCount(0, $sink->get_events(), 'The practice should not trigger events');
+        $sink->close();
+    }
+
+    /**
+     * Test an unreadable screenshot is reported without storing anything.
+     */
+    public function test_unreadable_upload() {
+        global $DB;
+
+        $this->setUser($this->user);
+        $result = quizaccess_invigilator_external::test_screenshot($this->quiz->cmid, 'data:image/png;base64,bm90IGFuIGltYWdl');
+        $result = external_api::clean_returnvalue(quizaccess_invigilator_external::test_screenshot_returns(), $result);
+
+        $this->assertFalse($result['status'], 'An unreadable screenshot should fail');
+        $this->assertEquals('unreadableimage', $result['warnings'][0]['warningcode'], 'The failure should be explained');
+        $this->assertEquals('', $result['fileurl'], 'Nothing should be stored');
+        $this->assertEquals(0, $DB->count_records('files', ['component' => 'user', 'filearea' => 'draft',
+            'filename' => 'systemcheck.png']), 'Nothing should be stored');
+    }
+
+    /**
+     * Test a new practice screenshot replaces the previous one in its draft area.
+     */
+    public function test_practice_upload_replaced() {
+        global $DB;
+
+        $this->setUser($this->user);
+        $screenshot = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==';
+        $first = quizaccess_invigilator_external::test_screenshot($this->quiz->cmid, $screenshot);
+        $second = quizaccess_invigilator_external::test_screenshot($this->quiz->cmid, $screenshot);
+
+        $this->assertTrue($second['status'], 'The practice screenshot should be stored again');
+        $this->assertEquals($first['fileurl'], $second['fileurl'], 'The draft area should be reused');
+        $this->assertEquals(1, $DB->count_records('files', ['component' => 'user', 'filearea' => 'draft',
+            'filename' => 'systemcheck.png']), 'Only the last practice screenshot should be kept');
+    }
+
+    /**
+     * Test a practice screenshot larger than the limit is refused without reading it.
+     */
+    public function test_large_upload() {
+        global $DB;
+
+        $this->setUser($this->user);
+        $data = str_repeat('0', capture::MAX_PRACTICE_BYTES + 1);
+        $result = quizaccess_invigilator_external::test_screenshot($this->quiz->cmid,
+            'data:image/png;base64,' . base64_encode($data));
+
+        $this->assertFalse($result['status'], 'A large screenshot should fail');
+        $this->assertEquals('imagetoolarge', $result['warnings'][0]['warningcode'], 'The failure should be explained');
+        $this->assertEquals(0, $DB->count_records('files', ['component' => 'user', 'filearea' => 'draft',
+            'filename' => 'systemcheck.png']), 'Nothing should be stored');
+    }
+
+    /**
+     * Test the practice upload needs the capability to send screenshots.
+     */
+    public function test_practice_upload_capability() {
+        $this->setUser($this->getDataGenerator()->create_user());
+
+        $this->expectException(moodle_exception::class);
+        quizaccess_invigilator_external::test_screenshot($this->quiz->cmid, 'data:image/png;base64,');
+    }
+}
+
+// Run tests if called directly
+if (!defined('PHPUNIT_TEST') && basename(__FILE__) == basename($_SERVER['SCRIPT_NAME'])) {
+    echo "Running Invigilator Plugin System Check Tests...\n\n";
+
+    $test = new quizaccess_invigilator_systemcheck_test();
+    $test->setUp();
+
+    $methods = get_class_methods($test);
+    $test_methods = array_filter($methods, function($method) {
+        return strpos($method, 'test_') === 0;
+    });
+
+    $passed = 0;
+    $failed = 0;
+
+    foreach ($test_methods as $method) {
+        echo "Running $method... ";
+        try {
+            $test->$method();
+            echo "PASSED\n";
+            $passed++;
+        } catch (Exception $e) {
+            echo "FAILED: " . $e->getMessage() . "\n";
+            $failed++;
+        } catch (PHPUnit\Framework\AssertionFailedError $e) {
+            echo "FAILED: " . $e->getMessage() . "\n";
+            $failed++;
+        }
+    }
+
+    echo "\n=== Test Results ===\n";
+    echo "Passed: $passed\n";
+    echo "Failed: $failed\n";
+    echo "Total: " . ($passed + $failed) . "\n";
+
+    if ($failed > 0) {
+        exit(1);
+    }
+}
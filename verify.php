@@ -0,0 +1,100 @@
+<?php
+// This file is part of Moodle invigilator for Moodle - http://moodle.org/
+//
+// Moodle invigilator is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle invigilator is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with MailTest.  If not, see <http://www.gnu.org/licenses/>.
+/**
+ * Verify the capture hash chains of a quiz for the quizaccess_invigilator plugin.
+ *
+ * @package   quizaccess_invigilator
+ * @copyright 2021 Brain Station 23
+ * @license   http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later.
+ */
+
+require_once(__DIR__ . '/../../../../config.php');
+require_once($CFG->libdir . '/tablelib.php');
+
+$cmid = required_param('cmid', PARAM_INT);
+$studentid = optional_param('studentid', 0, PARAM_INT);
+$attemptid = optional_param('attemptid', 0, PARAM_INT);
+
+list($course, $cm) = get_course_and_cm_from_cmid($cmid, 'quiz');
+$context = context_module::instance($cmid, MUST_EXIST);
+
+require_login($course, true, $cm);
+require_capability('quizaccess/invigilator:viewreport', $context);
+
+$quiz = $DB->get_record('quiz', array('id' => $cm->instance), '*', MUST_EXIST);
+
+$url = new moodle_url('/mod/quiz/accessrule/invigilator/verify.php',
+    array('cmid' => $cmid, 'studentid' => $studentid, 'attemptid' => $attemptid));
+$reporturl = new moodle_url('/mod/quiz/accessrule/invigilator/report.php', array('courseid' => $course->id, 'cmid' => $cmid));
+
+$PAGE->set_url($url);
+$PAGE->set_pagelayout('course');
+$PAGE->set_title($course->shortname . ': ' . get_string('integrity', 'quizaccess_invigilator'));
+$PAGE->set_heading($course->fullname . ': ' . get_string('pluginname', 'quizaccess_invigilator'));
+
+$PAGE->navbar->add(get_string('quizaccess_invigilator_label', 'quizaccess_invigilator'), $reporturl);
+$PAGE->navbar->add(get_string('integrity', 'quizaccess_invigilator'), $url);
+
+core_php_time_limit::raise();
+$results = \quizaccess_invigilator\integrity::verify($cmid, $studentid, $attemptid);
+
+echo $OUTPUT->header();
+echo '<div id="main"><h2>' . get_string('integrity', 'quizaccess_invigilator') . ': ' . format_string($quiz->name) . '</h2>';
+echo '<div class="box generalbox m-b-1 alert alert-info p-y-1">'
+    . get_string('integrity_desc', 'quizaccess_invigilator') . '</div>';
+
+if (!$results) {
+    echo $OUTPUT->notification(get_string('nocapture', 'quizaccess_invigilator'), 'info');
+} else {
+    $table = new flexible_table('invigilator-integrity-' . $cmid);
+    $table->define_columns(array('fullname', 'attempt', 'count', 'result'));
+    $table->define_headers(
+        array(
+            get_string('user'),
+            get_string('attempt', 'quizaccess_invigilator'),
+            get_string('evidence:filecount', 'quizaccess_invigilator'),
+            get_string('integrity:result', 'quizaccess_invigilator')
+        )
+    );
+    $table->define_baseurl($url);
+    $table->set_attribute('cellpadding', '5');
+    $table->set_attribute('class', 'generaltable generalbox reporttable');
+    $table->setup();
+
+    foreach ($results as $result) {
+        $user = core_user::get_user($result->userid);
+        $attemptnumber = $result->attemptid ?
+            $DB->get_field('quiz_attempts', 'attempt', array('id' => $result->attemptid)) : 0;
+        if ($result->problems) {
+            $items = array_map('\quizaccess_invigilator\integrity::describe_problem', $result->problems);
+            $status = html_writer::tag('span', get_string('integrity:broken', 'quizaccess_invigilator'),
+                array('class' => 'badge badge-danger')) . html_writer::alist(array_map('s', $items));
+        } else {
+            $status = html_writer::tag('span', get_string('integrity:intact', 'quizaccess_invigilator'),
+                array('class' => 'badge badge-success'));
+        }
+        $table->add_data(array(
+            $user ? fullname($user) : '-',
+            $attemptnumber ? get_string('attemptnumber', 'quizaccess_invigilator', $attemptnumber) :
+                get_string('noattempt', 'quizaccess_invigilator'),
+            $result->count,
+            $status
+        ));
+    }
+    $table->finish_html();
+}
+echo '</div>';
+echo $OUTPUT->footer();
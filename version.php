@@ -25,6 +25,6 @@ defined('MOODLE_INTERNAL') || die();
 
 $plugin->component = 'quizaccess_invigilator';
 $plugin->release = '2.0.0';
-$plugin->version = 2025110605;
+$plugin->version = 2026101923;
 $plugin->requires = 2019052000;
 $plugin->maturity = MATURITY_BETA;